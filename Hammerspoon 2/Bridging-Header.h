@@ -14,6 +14,12 @@
 #import <JavaScriptCore/JavaScriptCore.h>
 JS_EXPORT void JSSynchronousGarbageCollectForDebugging(JSContextRef ctx);
 
+// JSGlobalContextSetUnhandledRejectionCallback is declared in JavaScriptCore's private
+// JSContextRefPrivate.h. It registers a function that JSC calls with (promise, reason)
+// for every rejected promise that still has no rejection handler once the microtask
+// queue drains. There is no public API for this; see ErrorReportingInstaller.
+JS_EXPORT void JSGlobalContextSetUnhandledRejectionCallback(JSGlobalContextRef ctx, JSObjectRef function, JSValueRef* exception);
+
 // IOHIDGetAccelerationWithKey / IOHIDSetAccelerationWithKey were deprecated in macOS 10.12
 // but remain the only public API for reading and writing live mouse-acceleration values
 // for the current session. These wrappers silence the deprecation warnings so they can be
@@ -0,0 +1,217 @@
+//
+//  AutoReloader.swift
+//  Hammerspoon 2
+//
+
+import Foundation
+import JavaScriptCore
+
+// The native half of hs.autoReload(). Watches the config file, every file loaded through require() and any extra paths
+// the user asked for, waits for a burst of changes to settle, then reloads the config if the changed files still parse.
+@_documentation(visibility: private)
+final class AutoReloader {
+    struct Options {
+        /// Version control and editor droppings (vim swap files and its "4913" write test, emacs lock and backup files)
+        static let defaultIgnore = [".git", ".DS_Store", "*.swp", "*.swo", "*.swx", "*~", ".#*", "#*#", "4913"]
+
+        var paths: [String] = []
+        var debounce: TimeInterval = 0.5
+        var ignore: [String] = Options.defaultIgnore
+
+        init() {}
+
+        init(_ value: JSValue?) {
+            guard let value, value.isObject else { return }
+
+            if let paths = value.forProperty("paths"), paths.isArray {
+                self.paths = (paths.toArray() ?? []).compactMap { $0 as? String }.map { NSString(string: $0).expandingTildeInPath }
+            }
+            if let debounce = value.forProperty("debounce"), debounce.isNumber {
+                self.debounce = max(0, debounce.toDouble())
+            }
+            if let ignore = value.forProperty("ignore"), ignore.isArray {
+                self.ignore += (ignore.toArray() ?? []).compactMap { $0 as? String }
+            }
+        }
+    }
+
+    private let configFile: String
+    private let options: Options
+    private weak var context: JSContext?
+    private let reload: () -> Void
+
+    private var watchers: [String: HSPathWatcher] = [:]
+    private var changedFiles: Set<String> = []
+    private var debounceTimer: Timer?
+
+    init(configFile: String, options: Options, context: JSContext, reload: @escaping () -> Void) {
+        self.configFile = configFile
+        self.options = options
+        self.context = context
+        self.reload = reload
+    }
+
+    isolated deinit {
+        stop()
+    }
+
+    func start() {
+        updateWatchers()
+        AKTrace("hs.autoReload: Watching \(watchers.keys.sorted().joined(separator: ", "))")
+    }
+
+    func stop() {
+        debounceTimer?.invalidate()
+        debounceTimer = nil
+        for watcher in watchers.values {
+            watcher.destroy()
+        }
+        watchers.removeAll()
+        changedFiles.removeAll()
+    }
+
+    // MARK: - Watching
+
+    /// The config file and every module in require()'s cache
+    private var loadedFiles: Set<String> {
+        var files: Set<String> = [AutoReloader.realPath(configFile)]
+        if let context,
+           let cache = context.objectForKeyedSubscript("require")?.forProperty("cache"), cache.isObject,
+           let keys = context.objectForKeyedSubscript("Object")?.invokeMethod("keys", withArguments: [cache])?.toArray() {
+            for case let path as String in keys {
+                files.insert(AutoReloader.realPath(path))
+            }
+        }
+        return files
+    }
+
+    private var extraPaths: [String] {
+        options.paths.map(AutoReloader.realPath)
+    }
+
+    private func updateWatchers() {
+        // FSEvents watches directory trees, so watch the directory of each file. That also catches editors that save
+        // by writing a new file and renaming it over the old one.
+        var directories: Set<String> = [(AutoReloader.realPath(configFile) as NSString).deletingLastPathComponent]
+        for file in loadedFiles {
+            directories.insert((file as NSString).deletingLastPathComponent)
+        }
+        for path in extraPaths {
+            var isDirectory = ObjCBool(false)
+            let exists = unsafe FileManager.default.fileExists(atPath: path, isDirectory: &isDirectory)
+            directories.insert(exists && isDirectory.boolValue ? path : (path as NSString).deletingLastPathComponent)
+        }
+
+        // A directory inside another one is already covered by the outer watcher
+        let roots = directories.filter { directory in
+            !directories.contains { other in other != directory && AutoReloader.isPath(directory, inside: other) }
+        }
+
+        for (root, watcher) in watchers where !roots.contains(root) {
+            watcher.destroy()
+            watchers[root] = nil
+        }
+        for root in roots where watchers[root] == nil {
+            let watcher = HSPathWatcher(path: root)
+            watcher.handler = { [weak self] paths, flags in
+                self?.pathsChanged(paths, flags)
+            }
+            watcher.start()
+            watchers[root] = watcher
+        }
+    }
+
+    private func pathsChanged(_ paths: [String], _ flags: [[String]]) {
+        let files = loadedFiles
+        let extra = extraPaths
+
+        for (path, pathFlags) in zip(paths, flags) where !pathFlags.contains("itemIsDir") {
+            let path = AutoReloader.realPath(path)
+            guard !isIgnored(path) else { continue }
+
+            if files.contains(path) || extra.contains(where: { path == $0 || AutoReloader.isPath(path, inside: $0) }) {
+                changedFiles.insert(path)
+            }
+        }
+
+        // Pick up the directories of anything require()d since the last change
+        updateWatchers()
+
+        guard !changedFiles.isEmpty else { return }
+
+        debounceTimer?.invalidate()
+        debounceTimer = Timer.scheduledTimer(withTimeInterval: options.debounce, repeats: false) { [weak self] _ in
+            MainActor.assumeIsolated {
+                self?.reloadIfValid()
+            }
+        }
+    }
+
+    private func isIgnored(_ path: String) -> Bool {
+        let components = (path as NSString).pathComponents
+        return options.ignore.contains { pattern in
+            let predicate = NSPredicate(format: "SELF LIKE %@", pattern)
+            return components.contains { predicate.evaluate(with: $0) }
+        }
+    }
+
+    // MARK: - Reloading
+
+    private func reloadIfValid() {
+        debounceTimer = nil
+        let files = changedFiles.sorted()
+        changedFiles.removeAll()
+
+        let loaded = loadedFiles
+        for file in files {
+            if let problem = syntaxError(in: file, isLoaded: loaded.contains(file)) {
+                AKError("hs.autoReload: Not reloading, \(problem)")
+                return
+            }
+        }
+
+        AKInfo("hs.autoReload: Reloading, \(files.joined(separator: ", ")) changed")
+        reload()
+    }
+
+    /// Describe the syntax error in a changed file, if it has one
+    /// - Parameters:
+    ///   - path: The file to check. Files that no longer exist, or aren't JavaScript or JSON, pass
+    ///   - isLoaded: Whether the file is the config file or was loaded with require(), in which case it is checked as JavaScript whatever its extension
+    func syntaxError(in path: String, isLoaded: Bool) -> String? {
+        guard let context, let source = try? String(contentsOfFile: path, encoding: .utf8) else { return nil }
+
+        let pathExtension = (path as NSString).pathExtension.lowercased()
+        if pathExtension == "json" {
+            do {
+                _ = try JSONSerialization.jsonObject(with: Data(source.utf8), options: .fragmentsAllowed)
+            } catch {
+                return "\(path) is not valid JSON"
+            }
+            return nil
+        }
+        guard isLoaded || pathExtension == "js" else { return nil }
+
+        // Compiling a module wrapper parses the whole file without running any of it
+        guard let error = ModuleLoader.compile(source, path: path, in: context).error else { return nil }
+        let details = UncaughtError(error: error, kind: .uncaughtException)
+        return "\(path)\(details.line.map { ":\($0)" } ?? ""): \(details.message)"
+    }
+
+    // MARK: - Paths
+
+    /// FSEvents reports paths with symlinks resolved, so everything we compare against them must be resolved too.
+    /// A file that has just been removed can't be resolved, but its directory usually can.
+    static func realPath(_ path: String) -> String {
+        let path = (path as NSString).standardizingPath
+        if FileManager.default.fileExists(atPath: path) {
+            return (path as NSString).resolvingSymlinksInPath
+        }
+        let directory = ((path as NSString).deletingLastPathComponent as NSString).resolvingSymlinksInPath
+        return (directory as NSString).appendingPathComponent((path as NSString).lastPathComponent)
+    }
+
+    static func isPath(_ path: String, inside directory: String) -> Bool {
+        directory == "/" ? path != "/" : path.hasPrefix(directory + "/")
+    }
+}
@@ -0,0 +1,139 @@
+//
+//  ErrorReporting.swift
+//  Hammerspoon 2
+//
+
+import Foundation
+import JavaScriptCore
+import JavaScriptCoreExtras
+
+/// The ways an error can escape from JavaScript without anything handling it
+@_documentation(visibility: private)
+enum UncaughtErrorKind: String {
+    /// An exception that propagated all the way out to native code
+    case uncaughtException
+    /// A promise that was rejected without a rejection handler attached
+    case unhandledRejection
+    /// An error passed to the global reportError(), e.g. from a watcher or timer callback that threw
+    case reported
+
+    var label: String {
+        switch self {
+        case .uncaughtException:
+            return "JavaScript Exception"
+        case .unhandledRejection:
+            return "Unhandled Promise Rejection"
+        case .reported:
+            return "JavaScript Error"
+        }
+    }
+}
+
+/// Everything we know about an uncaught error, extracted from the thrown value
+@_documentation(visibility: private)
+struct UncaughtError {
+    let kind: UncaughtErrorKind
+    let error: JSValue
+    let message: String
+    let stack: String?
+    let sourceURL: String?
+    let line: Int?
+    let column: Int?
+
+    init(error: JSValue, kind: UncaughtErrorKind) {
+        self.kind = kind
+        self.error = error
+        self.message = error.toString() ?? "unknown"
+
+        // JavaScriptCore attaches these to Error objects. Rejection reasons can be any value, including
+        // the plain strings our native promises reject with, in which case there is no location to report.
+        func stringProperty(_ name: String) -> String? {
+            guard error.isObject, let value = error.forProperty(name), value.isString else { return nil }
+            let string = value.toString() ?? ""
+            return string.isEmpty ? nil : string
+        }
+        func intProperty(_ name: String) -> Int? {
+            guard error.isObject, let value = error.forProperty(name), value.isNumber else { return nil }
+            return Int(value.toInt32())
+        }
+
+        self.stack = stringProperty("stack")
+        self.sourceURL = stringProperty("sourceURL")
+        self.line = intProperty("line")
+        self.column = intProperty("column")
+    }
+
+    /// The error's origin as file:line:column, if known
+    var location: String? {
+        guard let sourceURL else { return nil }
+        var location = sourceURL
+        if let line {
+            location += ":\(line)"
+            if let column {
+                location += ":\(column)"
+            }
+        }
+        return location
+    }
+
+    var consoleDescription: String {
+        var description = "\(kind.label): \(message)"
+        if let location {
+            description += " (at \(location))"
+        }
+        if let stack {
+            description += "\nStack trace: \(stack)"
+        }
+        return description
+    }
+
+    /// The details object passed to hs.onError() handlers
+    func details(in context: JSContext) -> JSValue {
+        let details: [String: Any] = [
+            "kind": kind.rawValue,
+            "message": message,
+            "stack": stack ?? NSNull(),
+            "sourceURL": sourceURL ?? NSNull(),
+            "line": line ?? NSNull(),
+            "column": column ?? NSNull(),
+        ]
+        return JSValue(object: details, in: context)
+    }
+}
+
+// MARK: - JSContextInstallable
+
+/// Routes every way an error can escape JavaScript to a single reporting function:
+/// the context's exception handler, JavaScriptCore's unhandled rejection callback, and the web-standard global reportError()
+struct ErrorReportingInstaller: JSContextInstallable {
+    let report: @MainActor (UncaughtError) -> Void
+
+    func install(in context: JSContext) throws {
+        let report = self.report
+
+        context.exceptionHandler = { _, exception in
+            guard let exception else { return }
+            MainActor.assumeIsolated {
+                report(UncaughtError(error: exception, kind: .uncaughtException))
+            }
+        }
+
+        // JavaScriptCore calls this once microtasks have drained, for each rejected promise that still has no handler
+        let unhandledRejection: @convention(block) (JSValue, JSValue) -> Void = { _, reason in
+            MainActor.assumeIsolated {
+                report(UncaughtError(error: reason, kind: .unhandledRejection))
+            }
+        }
+        if let callback = JSValue(object: unhandledRejection, in: context) {
+            let callbackObject = unsafe JSValueToObject(context.jsGlobalContextRef, callback.jsValueRef, nil)
+            unsafe JSGlobalContextSetUnhandledRejectionCallback(context.jsGlobalContextRef, callbackObject, nil)
+        }
+
+        let reportError: @convention(block) (JSValue) -> Void = { error in
+            MainActor.assumeIsolated {
+                report(UncaughtError(error: error, kind: .reported))
+            }
+        }
+        context.setObject(reportError, forKeyedSubscript: "reportError" as NSString)
+    }
+}
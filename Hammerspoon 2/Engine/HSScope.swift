@@ -0,0 +1,293 @@
+//
+//  HSScope.swift
+//  Hammerspoon 2
+//
+
+import Foundation
+import JavaScriptCore
+
+/// Something created from JavaScript that has to be torn down explicitly, such as a hotkey, a timer or a server.
+///
+/// Modules call `HSScope.track()` when they create one, so that the active scope can dispose of it later.
+@_documentation(visibility: private)
+protocol HSDisposable: AnyObject {
+    /// Release whatever the object holds outside of JavaScript. Must be safe to call more than once
+    func dispose()
+}
+
+/// A record of the resources created while it was active, so they can all be torn down together
+///
+/// Create scopes with `hs.scope()`. While a scope's `run()` is executing, every hotkey, timer, watcher, event tap,
+/// menubar item, HTTP server, websocket, task and hs.ui window that is created is recorded in it, as is every listener
+/// added with an `addWatcher()` function. `dispose()` tears them all down again, newest first.
+///
+/// Every config has a root scope, which is active whenever no other scope is running, and which is disposed before the
+/// config is reloaded.
+///
+/// Only resources created while `run()` is executing are recorded. Anything created later, from a callback or after an
+/// `await`, is recorded in whichever scope is active then. Use `add()` to record those yourself.
+///
+/// ```js
+/// // features/clipboard.js
+/// module.exports = function () {
+///     hs.hotkey.bind(["cmd", "shift"], "v", () => showClipboardHistory())
+///     hs.pasteboard.addWatcher(() => rememberClipboard())
+/// }
+///
+/// // init.js
+/// const clipboard = hs.scope("clipboard")
+/// clipboard.run(require("./features/clipboard"))
+///
+/// // Switch the feature off, and back on again
+/// clipboard.dispose()
+/// clipboard.run(require("./features/clipboard"))
+/// ```
+@objc protocol HSScopeAPI: HSTypeAPI, JSExport {
+    /// The name given to `hs.scope()`
+    @objc var name: String { get }
+
+    /// The number of resources recorded in the scope. A nested scope counts as one resource
+    @objc var count: Int { get }
+
+    /// Call a function with this scope active, recording every resource it creates
+    /// - Parameter fn: {() => any} The function to call
+    /// - Returns: {any} Whatever the function returns. If it throws, the error is rethrown after the scope stops being active
+    /// - Example:
+    /// ```js
+    /// const layout = hs.scope("layout")
+    /// const timer = layout.run(() => hs.timer.doEvery(60, () => tidyWindows()))
+    /// ```
+    @objc func run(_ fn: JSValue) -> JSValue?
+
+    /// Record a resource that was created outside of `run()`, or a cleanup function of your own
+    /// - Parameter resource: {(() => void) | {dispose(): void} | {destroy(): void} | {stop(): void}} A function to call when the scope is disposed, or an object with a `dispose()`, `destroy()` or `stop()` method
+    /// - Returns: {any} The resource, so the call can wrap its creation
+    /// - Example:
+    /// ```js
+    /// const feature = hs.scope("feature")
+    /// hs.timer.doAfter(5, () => {
+    ///     feature.add(hs.hotkey.bind(["cmd"], "k", () => console.log("late hotkey")))
+    /// })
+    /// feature.add(() => console.log("feature disposed"))
+    /// ```
+    @objc func add(_ resource: JSValue) -> JSValue
+
+    /// Stop recording a resource, without disposing of it
+    /// - Parameter resource: {any} A resource created while the scope was running, or a value passed to `add()`
+    /// - Returns: true if the resource was recorded in this scope
+    @objc func remove(_ resource: JSValue) -> Bool
+
+    /// Create a scope nested inside this one, which is disposed along with it
+    /// - Parameter name?: A name for the new scope
+    /// - Returns: {HSScope} The new scope
+    @objc func scope(_ name: String?) -> HSScope
+
+    /// Tear down every resource recorded in the scope, newest first. Errors thrown by cleanup functions are reported,
+    /// and do not stop the rest being disposed. The scope is empty afterwards, and can be run again
+    /// - Example:
+    /// ```js
+    /// clipboard.dispose()
+    /// ```
+    @objc func dispose()
+}
+
+@_documentation(visibility: private)
+@objc class HSScope: NSObject, HSScopeAPI {
+    @objc var typeName = "HSScope"
+    @objc let name: String
+
+    private enum Entry {
+        /// Native resources are held weakly, as the module that created them already keeps them alive for as long as
+        /// they are active. Once one has been released there is nothing left to dispose of.
+        case native(WeakDisposable)
+        /// Values passed to add(), which nothing else may be holding on to. Held through JSCallback, so a scope that is
+        /// dropped without being disposed doesn't keep the JSContext alive. An object is held as its dispose method, bound
+        /// to it, with the object as the bound function's `resource` so that remove() can find it
+        case javascript(JSCallback, isBound: Bool)
+        case scope(HSScope)
+
+        var isReleased: Bool {
+            if case .native(let box) = self {
+                return box.value == nil
+            }
+            return false
+        }
+    }
+
+    private struct WeakDisposable {
+        weak var value: (any HSDisposable)?
+    }
+
+    private weak var parent: HSScope?
+    private var entries: [Entry] = []
+    private var compactionThreshold = 64
+    private var isAttached = false
+
+    // MARK: - The active scope
+
+    /// The root scope of the running config
+    static weak var root: HSScope?
+
+    /// Scopes whose run() is executing, innermost last
+    private static var running: [HSScope] = []
+
+    /// The scope that newly created resources are recorded in
+    static var current: HSScope? {
+        running.last ?? root
+    }
+
+    /// Record a newly created resource in the active scope
+    static func track(_ resource: any HSDisposable) {
+        current?.append(.native(WeakDisposable(value: resource)))
+    }
+
+    init(name: String, parent: HSScope? = nil) {
+        self.name = name
+        self.parent = parent
+        super.init()
+    }
+
+    isolated deinit {
+        // A scope that is dropped without being disposed doesn't call its cleanup functions, but it lets go of them
+        for case .javascript(let callback, _) in entries {
+            callback.detach(from: self)
+        }
+    }
+
+    // MARK: - API
+
+    @objc var count: Int {
+        entries.filter { !$0.isReleased }.count
+    }
+
+    @objc func run(_ fn: JSValue) -> JSValue? {
+        guard let context = fn.context else { return nil }
+        guard fn.isFunction else {
+            context.exception = JSValue(newErrorFromMessage: "HSScope.run(): The argument must be a function", in: context)
+            return nil
+        }
+
+        // Catch anything fn throws, so this scope stops being active before the error carries on up the stack
+        var thrown: JSValue?
+        let previousHandler = context.exceptionHandler
+        context.exceptionHandler = { _, exception in
+            thrown = exception
+        }
+        HSScope.running.append(self)
+        let result = fn.call(withArguments: [])
+        HSScope.running.removeLast()
+        context.exceptionHandler = previousHandler
+
+        if let thrown {
+            context.exception = thrown
+            return nil
+        }
+        return result
+    }
+
+    @objc func add(_ resource: JSValue) -> JSValue {
+        if let disposable = resource.toObject() as? any HSDisposable {
+            append(.native(WeakDisposable(value: disposable)))
+        } else if resource.isFunction, let callback = JSCallback(value: resource, owner: self) {
+            append(.javascript(callback, isBound: false))
+        } else if let bound = HSScope.boundDisposeMethod(of: resource), let callback = JSCallback(value: bound, owner: self) {
+            append(.javascript(callback, isBound: true))
+        } else if let context = resource.context {
+            context.exception = JSValue(newErrorFromMessage: "HSScope.add(): The resource must be a function, or have a dispose(), destroy() or stop() method", in: context)
+        }
+        return resource
+    }
+
+    @objc func remove(_ resource: JSValue) -> Bool {
+        let native = resource.toObject() as AnyObject?
+        guard let index = entries.lastIndex(where: { entry in
+            switch entry {
+            case .native(let box):
+                return box.value != nil && box.value === native
+            case .javascript(let callback, let isBound):
+                let value = isBound ? callback.value?.forProperty("resource") : callback.value
+                return value?.isEqual(to: resource) == true
+            case .scope(let scope):
+                return scope === native
+            }
+        }) else { return false }
+
+        switch entries[index] {
+        case .javascript(let callback, _):
+            callback.detach(from: self)
+        case .scope(let scope):
+            scope.isAttached = false
+        case .native:
+            break
+        }
+        entries.remove(at: index)
+        return true
+    }
+
+    @objc func scope(_ name: String?) -> HSScope {
+        HSScope(name: name ?? "", parent: self)
+    }
+
+    @objc func dispose() {
+        let disposing = entries
+        entries.removeAll()
+        compactionThreshold = 64
+
+        if isAttached {
+            isAttached = false
+            _ = parent?.detach(self)
+        }
+
+        AKTrace("HSScope(\(name)): disposing \(disposing.count) resources")
+        for entry in disposing.reversed() {
+            switch entry {
+            case .native(let box):
+                box.value?.dispose()
+            case .javascript(let callback, _):
+                // A throwing cleanup function is reported through the context's exception handler, like any other
+                // callback that throws, and the rest are still disposed
+                let value = callback.value
+                callback.detach(from: self)
+                value?.call(withArguments: [])
+            case .scope(let scope):
+                scope.dispose()
+            }
+        }
+    }
+
+    // MARK: - Private
+
+    private func append(_ entry: Entry) {
+        // Released native resources are only cleared out once in a while, so the root scope of a long running config
+        // doesn't grow without bound
+        if entries.count >= compactionThreshold {
+            entries.removeAll { $0.isReleased }
+            compactionThreshold = max(64, entries.count * 2)
+        }
+        entries.append(entry)
+
+        // A nested scope joins its parent when it first has something to dispose, so scopes that are created and
+        // dropped without being used don't accumulate
+        if !isAttached, let parent {
+            isAttached = true
+            parent.append(.scope(self))
+        }
+    }
+
+    private func detach(_ scope: HSScope) -> Bool {
+        guard let index = entries.lastIndex(where: { entry in
+            if case .scope(let child) = entry { return child === scope }
+            return false
+        }) else { return false }
+        entries.remove(at: index)
+        return true
+    }
+
+    private static func boundDisposeMethod(of value: JSValue) -> JSValue? {
+        guard value.isObject,
+              let method = ["dispose", "destroy", "stop"].first(where: { value.forProperty($0)?.isFunction == true }),
+              let bound = value.forProperty(method)?.invokeMethod("bind", withArguments: [value]) else { return nil }
+        bound.setValue(value, forProperty: "resource")
+        return bound
+    }
+}
@@ -48,23 +48,16 @@ class JSEngine {
         // Attach a sentinel so we can observe exactly when this JSContext's ARC drops to 0.
         unsafe objc_setAssociatedObject(context, &contextTrackerKey, ContextLifetimeTracker(id: id), .OBJC_ASSOCIATION_RETAIN_NONATOMIC)
 
-        // Set up exception handler to catch JavaScript errors
-        context.exceptionHandler = { context, exception in
-            if let exception = exception {
-                AKError("JavaScript Exception: \(exception.toString() ?? "unknown")")
-                if let stack = exception.objectForKeyedSubscript("stack") {
-                    AKError("Stack trace: \(stack)")
-                }
-            }
-        }
-
         // This is our startup sequence - install all components in order
         do {
             try context.install([
+                ErrorReportingInstaller { [weak self] error in  // exception handler, unhandled rejections, reportError()
+                    self?.reportUncaughtError(error)
+                },
                 ConsoleModuleInstaller(),      // console namespace
-                RequireInstaller(),            // require() function
+                RequireInstaller(baseDirectory: SettingsManager.shared.configLocation.deletingLastPathComponent()),  // native module loader for require()
                 TypeBridgesInstaller(),        // HSPoint, HSSize, HSRect, HSFont, HSAlert
-                .bundled(path: "engine.js", in: .main),  // EventEmitter class
+                .bundled(path: "engine.js", in: .main),  // EventEmitter class, require()
                 ModuleRootInstaller(engineID: id),  // hs namespace
             ])
         } catch {
@@ -72,6 +65,15 @@ class JSEngine {
         }
     }
 
+    /// Log an error that escaped JavaScript, then pass it to the user's hs.onError() handler, if any
+    private func reportUncaughtError(_ error: UncaughtError) {
+        AKError(error.consoleDescription)
+
+        if let hs = self["hs"] as? JSValue, let moduleRoot = hs.toObjectOf(ModuleRoot.self) as? ModuleRoot {
+            moduleRoot.dispatchError(error)
+        }
+    }
+
     private func deleteContext() {
         AKTrace("Destroying JavaScript context: \(id)")
 
@@ -85,7 +87,7 @@ class JSEngine {
         // ConsoleModule has no shutdown() so we can just nil it out
         self["console"] = nil
 
-        // require() isn't even an object, so we can just nil it out
+        // require() is a plain JavaScript function, so we can just nil it out
         self["require"] = nil
 
         if let context = context {
@@ -194,31 +196,3 @@ extension JSEngine: JSEngineProtocol {
         return context?.createRejectedPromise(with: error)
     }
 }
-
-// MARK: - JSContextInstallable Implementations
-
-struct RequireInstaller: JSContextInstallable {
-    func install(in context: JSContext) throws {
-        let require: @convention(block) (String) -> (JSValue?) = { [weak context] path in
-            let expandedPath = NSString(string: path).expandingTildeInPath
-
-            // Return void or throw an error here.
-            guard FileManager.default.fileExists(atPath: expandedPath) else {
-                AKError("require(): \(expandedPath) could not be found. Current working directory is \(FileManager.default.currentDirectoryPath)")
-                return nil
-            }
-
-            let fileURL = URL(fileURLWithPath: expandedPath)
-
-            guard let fileContent = try? String(contentsOfFile: expandedPath, encoding: .utf8) else {
-                AKError("require(): Unable to read \(expandedPath)")
-                return nil
-            }
-
-            return context?.evaluateScript(fileContent, withSourceURL: fileURL)
-        }
-
-        context.setObject(require, forKeyedSubscript: "require" as NSString)
-    }
-}
-
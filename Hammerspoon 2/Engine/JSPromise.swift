@@ -30,6 +30,11 @@ public typealias JSPromise = JSValue
 final class JSPromiseHolder {
     private let resolve: JSFunction
     private let reject: JSFunction
+    private var abortHandlers: [@MainActor () -> Void] = []
+    private var removeAbortListener: (() -> Void)?
+
+    /// Whether the promise has already been rejected because its AbortSignal fired
+    private(set) var isAborted = false
 
     init(resolve: JSFunction, reject: JSFunction) {
         self.resolve = resolve
@@ -38,23 +43,92 @@ final class JSPromiseHolder {
 
     /// Resolve the promise with a value
     func resolveWith(_ value: Any?) {
+        settle()
         resolve.call(withArguments: [value as Any])
     }
 
     /// Reject the promise with an error
     func rejectWith(_ error: Error) {
+        settle()
         reject.call(withArguments: [error.localizedDescription])
     }
 
     /// Reject the promise with a string message
     func rejectWithMessage(_ message: String) {
+        settle()
         reject.call(withArguments: [message])
     }
+
+    /// Register a handler that stops the underlying work if the promise's AbortSignal fires.
+    /// The promise has already been rejected by the time handlers run, so anything they cause to resolve is ignored.
+    func onAbort(_ handler: @escaping @MainActor () -> Void) {
+        if isAborted {
+            handler()
+        } else {
+            abortHandlers.append(handler)
+        }
+    }
+
+    /// Reject the promise with the signal's reason and run the onAbort() handlers
+    fileprivate func abort(reason: JSValue) {
+        guard !isAborted else { return }
+        isAborted = true
+        let handlers = abortHandlers
+        settle()
+        reject.call(withArguments: [reason])
+        handlers.forEach { $0() }
+    }
+
+    /// Listen for the signal's 'abort' event until the promise settles
+    fileprivate func observe(signal: JSValue) {
+        // The listener is handed the event rather than capturing the signal, so that the only native reference
+        // to the signal is the one held by removeAbortListener, which is dropped as soon as the promise settles
+        let listener: @convention(block) (JSValue) -> Void = { [weak self] event in
+            MainActor.assumeIsolated {
+                self?.abort(reason: event.forProperty("target").forProperty("reason"))
+            }
+        }
+        guard let listenerValue = JSValue(object: listener, in: signal.context) else { return }
+        signal.invokeMethod("addEventListener", withArguments: ["abort", listenerValue])
+        removeAbortListener = {
+            signal.invokeMethod("removeEventListener", withArguments: ["abort", listenerValue])
+        }
+    }
+
+    private func settle() {
+        removeAbortListener?()
+        removeAbortListener = nil
+        abortHandlers.removeAll()
+    }
+}
+
+/// Whether a value is an AbortSignal (from engine.js) that can be passed to wrapAsyncInJSPromise(in:signal:body:)
+@_documentation(visibility: private)
+@MainActor
+func isAbortSignal(_ value: JSValue?) -> Bool {
+    guard let value, value.isObject, let context = value.context,
+          let signalClass = context.objectForKeyedSubscript("AbortSignal"), !signalClass.isUndefined else {
+        return false
+    }
+    return value.isInstance(of: signalClass)
+}
+
+/// The `signal` property of a JavaScript options object, if it is an AbortSignal
+@_documentation(visibility: private)
+@MainActor
+func abortSignal(in options: JSValue?) -> JSValue? {
+    guard let options, options.isObject, let signal = options.forProperty("signal"), isAbortSignal(signal) else {
+        return nil
+    }
+    return signal
 }
 
 /// Wraps a Swift operation as a JavaScript Promise
 /// The body closure runs on MainActor and receives a JSPromiseHolder.
 ///
+/// If `signal` is an AbortSignal, the promise rejects with the signal's reason when it is aborted, and the body is
+/// not run at all if it was aborted already. Use `holder.onAbort { }` in the body to stop the underlying work.
+///
 /// Usage:
 /// ```swift
 /// let promise = wrapAsyncInJSPromise(in: context) { holder in
@@ -69,11 +143,20 @@ final class JSPromiseHolder {
 /// ```
 @_documentation(visibility: private)
 @MainActor
-func wrapAsyncInJSPromise(in context: JSContext, body: @escaping @MainActor (JSPromiseHolder) -> Void) -> JSPromise? {
+func wrapAsyncInJSPromise(in context: JSContext, signal: JSValue? = nil, body: @escaping @MainActor (JSPromiseHolder) -> Void) -> JSPromise? {
+    let signal = isAbortSignal(signal) ? signal : nil
+
     // Create the Promise executor function
     let executor: @convention(block) (JSFunction, JSFunction) -> Void = { resolve, reject in
         MainActor.assumeIsolated {
             let holder = JSPromiseHolder(resolve: resolve, reject: reject)
+            if let signal {
+                if signal.forProperty("aborted").toBool() {
+                    holder.abort(reason: signal.forProperty("reason"))
+                    return
+                }
+                holder.observe(signal: signal)
+            }
             body(holder)
         }
     }
@@ -0,0 +1,125 @@
+//
+//  ModuleLoader.swift
+//  Hammerspoon 2
+//
+
+import Foundation
+import JavaScriptCore
+import JavaScriptCoreExtras
+
+// The native half of our CommonJS module system. This only knows how to find, read and compile files;
+// the module wrapper, the cache and cycle handling are all implemented in engine.js, which builds require() on top of it.
+@_documentation(visibility: private)
+@objc protocol ModuleLoaderAPI: JSExport {
+    /// The directory that bare module names (e.g. `require("lib/foo")`) are resolved against
+    @objc var baseDirectory: String { get }
+
+    /// Resolve a module request to the absolute path of a file that exists
+    /// - Parameters:
+    ///   - request: The path passed to require(). May be absolute, `~` relative, `./` or `../` relative, or a bare name
+    ///   - fromDirectory: The directory of the requiring file, used for `./` and `../` requests
+    /// - Returns: The resolved path, or nil if no matching file exists
+    @objc func resolve(_ request: String, _ fromDirectory: String) -> String?
+
+    /// Read a module's source
+    /// - Parameter path: A path previously returned by resolve()
+    /// - Returns: The contents of the file, or nil if it could not be read
+    @objc func read(_ path: String) -> String?
+
+    /// Compile a module's source into its CommonJS wrapper function
+    /// - Parameters:
+    ///   - source: The JavaScript source of the module
+    ///   - path: The path of the module, used as the source URL for errors and stack traces
+    /// - Returns: A function taking (exports, require, module, __filename, __dirname). Throws into JavaScript on syntax errors.
+    @objc func compile(_ source: String, _ path: String) -> JSValue?
+}
+
+@_documentation(visibility: private)
+@objc class ModuleLoader: NSObject, ModuleLoaderAPI {
+    let baseDirectory: String
+    private let fileSystem: FileSystemProtocol
+
+    init(baseDirectory: URL, fileSystem: FileSystemProtocol = FileManager.default) {
+        self.baseDirectory = baseDirectory.path
+        self.fileSystem = fileSystem
+        super.init()
+    }
+
+    @objc func resolve(_ request: String, _ fromDirectory: String) -> String? {
+        let expanded = NSString(string: request).expandingTildeInPath
+
+        let base: String
+        if expanded.hasPrefix("/") {
+            base = expanded
+        } else if request == "." || request == ".." || request.hasPrefix("./") || request.hasPrefix("../") {
+            base = (fromDirectory as NSString).appendingPathComponent(request)
+        } else {
+            base = (baseDirectory as NSString).appendingPathComponent(request)
+        }
+
+        let path = (base as NSString).standardizingPath
+        let candidates = [
+            path,
+            path + ".js",
+            path + ".json",
+            (path as NSString).appendingPathComponent("index.js"),
+            (path as NSString).appendingPathComponent("index.json"),
+        ]
+
+        return candidates.first { candidate in
+            var isDirectory = ObjCBool(false)
+            return unsafe fileSystem.fileExists(atPath: candidate, isDirectory: &isDirectory) && !isDirectory.boolValue
+        }
+    }
+
+    @objc func read(_ path: String) -> String? {
+        do {
+            return try fileSystem.contentsOf(url: URL(fileURLWithPath: path))
+        } catch {
+            AKError("require(): Unable to read \(path): \(error.localizedDescription)")
+            return nil
+        }
+    }
+
+    @objc func compile(_ source: String, _ path: String) -> JSValue? {
+        guard let context = JSContext.current() else { return nil }
+
+        let (wrapper, compileError) = ModuleLoader.compile(source, path: path, in: context)
+        if let compileError {
+            context.exception = compileError
+            return nil
+        }
+
+        return wrapper
+    }
+
+    /// Compile a module's source into its CommonJS wrapper function, without running any of it
+    /// - Returns: The wrapper function, or the SyntaxError thrown while compiling it
+    static func compile(_ source: String, path: String, in context: JSContext) -> (wrapper: JSValue?, error: JSValue?) {
+        // As with JSEngine.evalFromURL(wrapInIIFE:), the wrapper opens on the same line as the module's first line,
+        // so line numbers in errors and stack traces match the user's file.
+        let wrapped = "(function (exports, require, module, __filename, __dirname) {" + source + "\n})"
+
+        // Syntax errors would otherwise go straight to the context's exception handler and be logged. Capture them
+        // instead, so callers can decide what to do with them.
+        var compileError: JSValue?
+        let previousHandler = context.exceptionHandler
+        context.exceptionHandler = { _, exception in
+            compileError = exception
+        }
+        let wrapper = context.evaluateScript(wrapped, withSourceURL: URL(fileURLWithPath: path))
+        context.exceptionHandler = previousHandler
+
+        return compileError == nil ? (wrapper, nil) : (nil, compileError)
+    }
+}
+
+// MARK: - JSContextInstallable
+
+struct RequireInstaller: JSContextInstallable {
+    let baseDirectory: URL
+
+    func install(in context: JSContext) throws {
+        context.setObject(ModuleLoader(baseDirectory: baseDirectory), forKeyedSubscript: "__hs_moduleLoader" as NSString)
+    }
+}
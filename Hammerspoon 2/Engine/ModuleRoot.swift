@@ -20,6 +20,21 @@ import JavaScriptCoreExtras
     /// ```
     @objc func reload()
 
+    /// Reload the configuration automatically whenever it changes on disk
+    ///
+    /// The config file and every file loaded with `require()` are watched. Changes are collected until no more arrive for the `debounce` period, so saving several files at once causes a single reload.
+    /// - Parameter options?: { {paths?: string[], debounce?: number, ignore?: string[]} | false } Optional object. `paths`: an array of extra files or directories to watch. `debounce`: the number of seconds to wait for further changes, defaulting to 0.5. `ignore`: an array of file name patterns to ignore, such as `"*.log"`, added to the defaults of `.git`, `.DS_Store` and editor swap and backup files. Pass `false` instead of an object to stop reloading automatically
+    /// - Note: Changed JavaScript and JSON files are checked for syntax errors first. If one has an error, it is logged to the Console and the running configuration is left alone
+    /// - Example:
+    /// ```js
+    /// hs.autoReload()
+    /// ```
+    /// - Example:
+    /// ```js
+    /// hs.autoReload({ paths: ["~/Documents/Layouts"], debounce: 1, ignore: ["*.bak"] })
+    /// ```
+    @objc func autoReload(_ options: JSValue?)
+
     /// Force garbage collection of JavaScript objects that no longer have any references
     /// - Note: This uses private macOS API
     /// - Example:
@@ -49,6 +64,40 @@ import JavaScriptCoreExtras
     /// ```
     @objc func clearConsole()
 
+    /// Set a function to be called for every error that escapes your JavaScript: uncaught exceptions, promise rejections that nothing handles, and errors thrown by callbacks such as watchers and timers
+    /// - Parameter handler: A function taking two arguments: the error value, and a details object with `kind` (`"uncaughtException"`, `"unhandledRejection"` or `"reported"`), `message`, `stack`, `sourceURL`, `line` and `column`. Location fields are null when the error carries no location. Pass null to remove the handler
+    /// - Note: Errors are always logged to the Console as well. An error thrown by the handler itself is logged, but not passed back to it
+    /// - Example:
+    /// ```js
+    /// hs.onError((error, details) => {
+    ///     hs.notify.show("Hammerspoon error", `${details.message} (${details.sourceURL}:${details.line})`, () => hs.openConsole())
+    /// })
+    /// ```
+    @objc func onError(_ handler: JSFunction?)
+
+    /// Create a scope, which records the hotkeys, timers, watchers and other resources created while it runs, so they can be torn down together
+    /// - Parameter name?: A name for the scope
+    /// - Returns: {HSScope} A new scope, nested inside the active one so that disposing that also disposes this
+    /// - Example:
+    /// ```js
+    /// const clipboard = hs.scope("clipboard")
+    /// clipboard.run(() => {
+    ///     hs.hotkey.bind(["cmd", "shift"], "v", () => showClipboardHistory())
+    ///     hs.pasteboard.addWatcher(() => rememberClipboard())
+    /// })
+    /// // ...and later
+    /// clipboard.dispose()
+    /// ```
+    @objc func scope(_ name: String?) -> HSScope
+
+    /// Get the scope that newly created resources are being recorded in
+    /// - Returns: {HSScope} The scope whose `run()` is executing, or the config's root scope, which is disposed before the config is reloaded
+    /// - Example:
+    /// ```js
+    /// hs.currentScope().add(() => console.log("Reloading"))
+    /// ```
+    @objc func currentScope() -> HSScope
+
     // Modules
     @objc var appinfo: HSAppInfoModule { get }
     @objc var application: HSApplicationModule { get }
@@ -67,6 +116,7 @@ import JavaScriptCoreExtras
     @objc var httpserver: HSHTTPServerModule { get }
     @objc var locale: HSLocaleModule { get }
     @objc var location: HSLocationModule { get }
+    @objc var logger: HSLoggerModule { get }
     @objc var menubar: HSMenuBarModule { get }
     @objc var midi: HSMIDIModule { get }
     @objc var notify: HSNotifyModule { get }
@@ -74,8 +124,10 @@ import JavaScriptCoreExtras
     @objc var osascript: HSOSAScriptModule { get }
     @objc var pasteboard: HSPasteboardModule { get }
     @objc var permissions: HSPermissionsModule { get }
+    @objc var plugins: HSPluginsModule { get }
     @objc var screen: HSScreenModule { get }
     @objc var serial: HSSerialModule { get }
+    @objc var settings: HSSettingsModule { get }
     @objc var sharing: HSSharingModule { get }
     @objc var spotlight: HSSpotlightModule { get }
     @objc var task: HSTaskModule { get }
@@ -100,10 +152,15 @@ import JavaScriptCoreExtras
 @objc class ModuleRoot: NSObject, ModuleRootAPI {
     let engineID: UUID
     @objc var modules: [String: HSModuleAPI] = [:]
+    private var errorHandler: JSCallback?
+    private var isDispatchingError = false
+    private var autoReloader: AutoReloader?
+    private let rootScope = HSScope(name: "root")
 
     init(engineID: UUID) {
         self.engineID = engineID
         super.init()
+        HSScope.root = rootScope
     }
 
     private func getOrCreate<T>(name: String, type: T.Type) -> T where T:HSModuleAPI {
@@ -123,12 +180,34 @@ import JavaScriptCoreExtras
     }
 
     func shutdown() {
+        // Tear down what the config created in the order it asked for, before modules clean up whatever is left
+        rootScope.dispose()
+        if HSScope.root === rootScope {
+            HSScope.root = nil
+        }
+
         let names = Array(modules.keys)
         for moduleName in names {
             AKTrace("Destroying module: \(moduleName)")
             modules[moduleName]?.shutdown()
         }
         modules.removeAll()
+
+        errorHandler?.detach(from: self)
+        errorHandler = nil
+
+        autoReloader?.stop()
+        autoReloader = nil
+    }
+
+    /// Pass an uncaught error to the user's hs.onError() handler, if one is set
+    func dispatchError(_ error: UncaughtError) {
+        // If the handler itself throws, that error comes straight back here. Log it, but don't recurse.
+        guard !isDispatchingError, let handler = errorHandler?.value, let context = handler.context else { return }
+
+        isDispatchingError = true
+        defer { isDispatchingError = false }
+        handler.call(withArguments: [error.error, error.details(in: context)])
     }
 
     // MARK: - ModuleRootAPI conformance
@@ -142,6 +221,32 @@ import JavaScriptCoreExtras
         }
     }
 
+    @objc func autoReload(_ options: JSValue?) {
+        autoReloader?.stop()
+        autoReloader = nil
+
+        if let options, options.isBoolean, !options.toBool() {
+            return
+        }
+        guard let context = JSContext.current() else { return }
+
+        let reloader = AutoReloader(configFile: SettingsManager.shared.configLocation.path,
+                                    options: AutoReloader.Options(options),
+                                    context: context) { [weak self] in
+            self?.reload()
+        }
+        reloader.start()
+        autoReloader = reloader
+    }
+
+    @objc func scope(_ name: String?) -> HSScope {
+        (HSScope.current ?? rootScope).scope(name)
+    }
+
+    @objc func currentScope() -> HSScope {
+        HSScope.current ?? rootScope
+    }
+
     @objc func collectGarbage() {
         // For now we're using a private API synchronous garbage collector
 //        unsafe JavaScriptCore.JSGarbageCollect(JSContext.current().jsGlobalContextRef)
@@ -167,6 +272,15 @@ import JavaScriptCoreExtras
         }
     }
 
+    @objc func onError(_ handler: JSFunction?) {
+        errorHandler?.detach(from: self)
+        errorHandler = nil
+
+        if let handler, handler.isFunction {
+            errorHandler = JSCallback(value: handler, owner: self)
+        }
+    }
+
     // Modules
     @objc var appinfo: HSAppInfoModule { get { getOrCreate(name: "appinfo", type: HSAppInfoModule.self)}}
     @objc var application: HSApplicationModule { get { getOrCreate(name: "application", type: HSApplicationModule.self)}}
@@ -185,6 +299,7 @@ import JavaScriptCoreExtras
     @objc var httpserver: HSHTTPServerModule { get { getOrCreate(name: "httpserver", type: HSHTTPServerModule.self)}}
     @objc var locale: HSLocaleModule { get { getOrCreate(name: "locale", type: HSLocaleModule.self)}}
     @objc var location: HSLocationModule { get { getOrCreate(name: "location", type: HSLocationModule.self)}}
+    @objc var logger: HSLoggerModule { get { getOrCreate(name: "logger", type: HSLoggerModule.self)}}
     @objc var menubar: HSMenuBarModule { get { getOrCreate(name: "menubar", type: HSMenuBarModule.self)}}
     @objc var midi: HSMIDIModule { get { getOrCreate(name: "midi", type: HSMIDIModule.self)}}
     @objc var notify: HSNotifyModule { get { getOrCreate(name: "notify", type: HSNotifyModule.self)}}
@@ -192,8 +307,10 @@ import JavaScriptCoreExtras
     @objc var osascript: HSOSAScriptModule { get { getOrCreate(name: "osascript", type: HSOSAScriptModule.self)}}
     @objc var pasteboard: HSPasteboardModule { get { getOrCreate(name: "pasteboard", type: HSPasteboardModule.self)}}
     @objc var permissions: HSPermissionsModule { get { getOrCreate(name: "permissions", type: HSPermissionsModule.self)}}
+    @objc var plugins: HSPluginsModule { get { getOrCreate(name: "plugins", type: HSPluginsModule.self)}}
     @objc var screen: HSScreenModule { get { getOrCreate(name: "screen", type: HSScreenModule.self)}}
     @objc var serial: HSSerialModule { get { getOrCreate(name: "serial", type: HSSerialModule.self)}}
+    @objc var settings: HSSettingsModule { get { getOrCreate(name: "settings", type: HSSettingsModule.self)}}
     @objc var sharing: HSSharingModule { get { getOrCreate(name: "sharing", type: HSSharingModule.self)}}
     @objc var spotlight: HSSpotlightModule { get { getOrCreate(name: "spotlight", type: HSSpotlightModule.self)}}
     @objc var task: HSTaskModule { get { getOrCreate(name: "task", type: HSTaskModule.self)}}
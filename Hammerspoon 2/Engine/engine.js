@@ -11,40 +11,2294 @@
 console.log("engine.js loading...")
 
 // MARK: - EventEmitter
+// A Node-style event emitter. Listeners are isolated from each other: one that throws is passed to reportError()
+// (which logs it and hands it to hs.onError()) and delivery continues to the rest. Emitting 'error' with no listeners throws the error, as in Node.
 var EventEmitter = function () {
-    this.events = {};
+    // No prototype, so events can be named like its properties, such as "constructor"
+    this.events = Object.create(null);
+    this._maxListeners = undefined;
 };
 
-EventEmitter.prototype.on = function (event, listener) {
+// Adding more than this many listeners for one event logs a warning, since it usually means listeners are leaking
+EventEmitter.defaultMaxListeners = 10;
+
+EventEmitter.prototype._addListener = function (event, listener, prepend) {
+    if (typeof listener !== 'function') {
+        throw new TypeError("EventEmitter: The listener for '" + String(event) + "' must be a function");
+    }
+
     if (typeof this.events[event] !== 'object') {
         this.events[event] = [];
     }
 
-    this.events[event].push(listener);
+    if (prepend) {
+        this.events[event].unshift(listener);
+    } else {
+        this.events[event].push(listener);
+    }
+
+    var max = this.getMaxListeners();
+    var listeners = this.events[event];
+    if (max > 0 && listeners.length > max && !listeners.warned) {
+        listeners.warned = true;
+        console.warn("EventEmitter: Possible memory leak detected. " + listeners.length + " '" + String(event) +
+                     "' listeners added. Use emitter.setMaxListeners() to increase the limit.");
+    }
+
+    return this;
+};
+
+EventEmitter.prototype._onceWrapper = function (event, listener) {
+    var emitter = this;
+    var wrapper = function () {
+        emitter.removeListener(event, wrapper);
+        return listener.apply(this, arguments);
+    };
+    // Lets removeListener() find the wrapper from the original listener
+    wrapper.listener = listener;
+    return wrapper;
+};
+
+EventEmitter.prototype.on = function (event, listener) {
+    return this._addListener(event, listener, false);
+};
+
+EventEmitter.prototype.addListener = EventEmitter.prototype.on;
+
+EventEmitter.prototype.prependListener = function (event, listener) {
+    return this._addListener(event, listener, true);
+};
+
+EventEmitter.prototype.once = function (event, listener) {
+    if (typeof listener !== 'function') {
+        throw new TypeError("EventEmitter: The listener for '" + String(event) + "' must be a function");
+    }
+    return this._addListener(event, this._onceWrapper(event, listener), false);
+};
+
+EventEmitter.prototype.prependOnceListener = function (event, listener) {
+    if (typeof listener !== 'function') {
+        throw new TypeError("EventEmitter: The listener for '" + String(event) + "' must be a function");
+    }
+    return this._addListener(event, this._onceWrapper(event, listener), true);
 };
 
 EventEmitter.prototype.removeListener = function (event, listener) {
-    var idx;
+    var i, listeners = this.events[event];
 
-    if (typeof this.events[event] === 'object') {
-        idx = this.events[event].indexOf(listener);
+    if (typeof listeners === 'object') {
+        // Remove the most recently added match, as Node does
+        for (i = listeners.length - 1; i >= 0; i--) {
+            if (listeners[i] === listener || listeners[i].listener === listener) {
+                listeners.splice(i, 1);
+                break;
+            }
+        }
 
-        if (idx > -1) {
-            this.events[event].splice(idx, 1);
+        if (listeners.length === 0) {
+            delete this.events[event];
         }
     }
+
+    return this;
+};
+
+EventEmitter.prototype.off = EventEmitter.prototype.removeListener;
+
+EventEmitter.prototype.removeAllListeners = function (event) {
+    if (arguments.length === 0) {
+        this.events = Object.create(null);
+    } else {
+        delete this.events[event];
+    }
+
+    return this;
+};
+
+EventEmitter.prototype.listeners = function (event) {
+    var listeners = this.events[event];
+
+    if (typeof listeners !== 'object') {
+        return [];
+    }
+
+    return listeners.map(function (listener) {
+        return listener.listener || listener;
+    });
+};
+
+EventEmitter.prototype.listenerCount = function (event) {
+    var listeners = this.events[event];
+    return typeof listeners === 'object' ? listeners.length : 0;
+};
+
+EventEmitter.prototype.eventNames = function () {
+    return Object.keys(this.events);
+};
+
+EventEmitter.prototype.setMaxListeners = function (n) {
+    if (typeof n !== 'number' || n < 0 || isNaN(n)) {
+        throw new RangeError("EventEmitter.setMaxListeners(): The limit must be a non-negative number");
+    }
+    this._maxListeners = n;
+    return this;
+};
+
+EventEmitter.prototype.getMaxListeners = function () {
+    return this._maxListeners === undefined ? EventEmitter.defaultMaxListeners : this._maxListeners;
 };
 
 EventEmitter.prototype.emit = function (event) {
     var i, listeners, length, args = [].slice.call(arguments, 1);
 
-    if (typeof this.events[event] === 'object') {
-        listeners = this.events[event].slice();
-        length = listeners.length;
+    if (typeof this.events[event] !== 'object') {
+        if (event === 'error') {
+            var err = args[0];
+            if (err instanceof Error) {
+                throw err;
+            }
+            throw new Error("EventEmitter: Unhandled 'error' event (" + String(err) + ")");
+        }
+        return false;
+    }
+
+    // Copy the list so listeners added or removed during delivery don't affect this emit
+    listeners = this.events[event].slice();
+    length = listeners.length;
 
-        for (i = 0; i < length; i++) {
+    for (i = 0; i < length; i++) {
+        try {
             listeners[i].apply(this, args);
+        } catch (e) {
+            console.error("EventEmitter: A listener for '" + String(event) + "' threw an error");
+            reportError(e);
         }
     }
+
+    return true;
 };
 
+// MARK: - WatcherEmitter
+// One-to-many emitter that sits between a module's public addWatcher()/removeWatcher() and its single native watcher.
+// Listeners are grouped by key: modules like hs.ax and hs.userdefaults watch several things at once and pass the key
+// as leading arguments, e.g. on(application, notification, listener). Modules with a single watcher pass no key.
+// The native watcher for a key is started when its first listener is added, and stopped when its last listener is removed.
+// Each listener is recorded in the active hs.scope(), so disposing the scope removes it.
+// A listener may be followed by an options object. With { coalesce: seconds }, events are collected from the first one
+// for that many seconds, then the listener is called once with an array of them, each an array of its arguments. The
+// window is an HSTimer, so a pending batch is dropped when the listener is removed or the config is reloaded.
+//
+// options:
+//  - name: Used as the prefix of error messages, e.g. "hs.usb.addWatcher()"
+//  - start: (...keyArgs, dispatch) => boolean|void. Starts the native watcher, which must call dispatch(...eventArgs) for
+//           each event. Returning false means the watcher could not be started.
+//  - stop: (...keyArgs) => void. Stops the native watcher
+//  - key: Optional (...keyArgs) => string. Turns the key arguments into a grouping key. Defaults to joining them with ':'
+class WatcherEmitter {
+    #name
+    #start
+    #stop
+    #key
+    #groups = new Map()
+
+    constructor(options) {
+        this.#name = options.name;
+        this.#start = options.start;
+        this.#stop = options.stop;
+        this.#key = options.key || ((...keyArgs) => keyArgs.map(String).join(':'));
+    }
+
+    #dispatch(key, eventArgs) {
+        const group = this.#groups.get(key);
+        if (!group) {
+            return;
+        }
+
+        // Copy the list so listeners added or removed during delivery don't affect this event
+        const listeners = group.listeners.slice();
+        for (const entry of listeners) {
+            if (entry.coalesce !== null) {
+                entry.batch.push(eventArgs);
+                if (entry.timer === null) {
+                    entry.timer = hs.timer.doAfter(entry.coalesce, () => this.#flush(key, group.keyArgs, entry));
+                }
+                continue;
+            }
+            this.#deliver(key, group.keyArgs, entry, eventArgs);
+        }
+    }
+
+    #flush(key, keyArgs, entry) {
+        const batch = entry.batch;
+        entry.batch = [];
+        entry.timer = null;
+        this.#deliver(key, keyArgs, entry, [batch]);
+    }
+
+    #deliver(key, keyArgs, entry, eventArgs) {
+        if (entry.once) {
+            this.#remove(key, keyArgs, entry.listener);
+        }
+        try {
+            entry.listener.apply(null, eventArgs);
+        } catch (e) {
+            console.error(this.#name + ": A watcher threw an error");
+            reportError(e);
+        }
+    }
+
+    #add(args, once) {
+        // A trailing options object follows the listener
+        let options = null;
+        if (args.length > 1 && typeof args[args.length - 1] !== 'function' && typeof args[args.length - 2] === 'function') {
+            options = args.pop();
+        }
+        const listener = args.pop();
+        const keyArgs = args;
+
+        if (typeof listener !== 'function') {
+            throw new Error(this.#name + ": The provided handler must be a function");
+        }
+
+        let coalesce = null;
+        if (options !== null && options !== undefined) {
+            if (typeof options !== 'object') {
+                throw new TypeError(this.#name + ": The options must be an object");
+            }
+            if (options.coalesce !== undefined && options.coalesce !== null) {
+                if (typeof options.coalesce !== 'number' || !(options.coalesce > 0)) {
+                    throw new TypeError(this.#name + ": options.coalesce must be a number of seconds greater than 0");
+                }
+                coalesce = options.coalesce;
+            }
+        }
+
+        const key = this.#key(...keyArgs);
+        let group = this.#groups.get(key);
+
+        if (group && group.listeners.some(entry => entry.listener === listener)) {
+            console.error(this.#name + ": The provided handler is already registered.");
+            return;
+        }
+
+        if (!group) {
+            const started = this.#start(...keyArgs, (...eventArgs) => { this.#dispatch(key, eventArgs) });
+            if (started === false) {
+                throw new Error(this.#name + ": Failed to start watcher");
+            }
+            group = { keyArgs: keyArgs, listeners: [] };
+            this.#groups.set(key, group);
+        }
+
+        const entry = { listener: listener, once: once, scope: null, dispose: null, coalesce: coalesce, batch: [], timer: null };
+        if (typeof hs !== 'undefined' && typeof hs.currentScope === 'function') {
+            entry.scope = hs.currentScope();
+            entry.dispose = () => this.#remove(key, keyArgs, listener);
+            entry.scope.add(entry.dispose);
+        }
+
+        group.listeners.push(entry);
+    }
+
+    #remove(key, keyArgs, listener) {
+        const group = this.#groups.get(key);
+        if (!group) {
+            return;
+        }
+
+        const idx = group.listeners.findIndex(entry => entry.listener === listener);
+        if (idx === -1) {
+            return;
+        }
+
+        const [entry] = group.listeners.splice(idx, 1);
+        if (entry.scope) {
+            entry.scope.remove(entry.dispose);
+        }
+        if (entry.timer) {
+            entry.timer.stop();
+            entry.timer = null;
+            entry.batch = [];
+        }
+
+        if (group.listeners.length === 0) {
+            this.#groups.delete(key);
+            this.#stop(...keyArgs);
+        }
+    }
+
+    // on(...keyArgs, listener, options?)
+    on(...args) {
+        this.#add(args, false);
+    }
+
+    // once(...keyArgs, listener, options?) - the listener is removed before it is called for the first time
+    once(...args) {
+        this.#add(args, true);
+    }
+
+    // removeListener(...keyArgs, listener)
+    removeListener(...args) {
+        const listener = args.pop();
+        this.#remove(this.#key(...args), args, listener);
+    }
+
+    // listeners(...keyArgs) - a copy of the listeners registered for a key
+    listeners(...keyArgs) {
+        const group = this.#groups.get(this.#key(...keyArgs));
+        return group ? group.listeners.map(entry => entry.listener) : [];
+    }
+}
+
+// MARK: - Timers
+// Web-standard timer globals, implemented with hs.timer. hs.timer is only touched when a timer is created, by which time
+// the hs namespace exists. Every handle is an HSTimer owned by the hs.timer module, so anything still outstanding is
+// cancelled by the module's shutdown when the config is reloaded.
+(function (global) {
+    var nextHandle = 1;
+    var active = new Map();
+
+    function callbackFailed(caller, e) {
+        console.error(caller + ": Callback threw an error");
+        reportError(e);
+    }
+
+    function schedule(caller, callback, delay, args, repeats) {
+        if (typeof callback !== 'function') {
+            throw new TypeError(caller + ": The callback must be a function");
+        }
+
+        var handle = nextHandle++;
+        var seconds = Math.max(0, Number(delay) || 0) / 1000;
+        var fire = function () {
+            if (!repeats) {
+                active.delete(handle);
+            }
+            try {
+                callback.apply(null, args);
+            } catch (e) {
+                callbackFailed(caller, e);
+            }
+        };
+
+        var timer;
+        if (repeats) {
+            // A zero interval would spin the run loop, so repeat no faster than once per millisecond
+            timer = hs.timer.create(Math.max(seconds, 0.001), fire, true);
+            timer.start();
+        } else {
+            timer = hs.timer.doAfter(seconds, fire);
+        }
+
+        // Holding the HSTimer here keeps its callback alive until it fires or is cleared
+        active.set(handle, timer);
+        return handle;
+    }
+
+    function clear(handle) {
+        var timer = active.get(handle);
+        if (timer) {
+            timer.stop();
+            active.delete(handle);
+        }
+    }
+
+    global.setTimeout = function (callback, delay) {
+        return schedule("setTimeout()", callback, delay, [].slice.call(arguments, 2), false);
+    };
+
+    global.setInterval = function (callback, delay) {
+        return schedule("setInterval()", callback, delay, [].slice.call(arguments, 2), true);
+    };
+
+    global.setImmediate = function (callback) {
+        return schedule("setImmediate()", callback, 0, [].slice.call(arguments, 1), false);
+    };
+
+    // As in browsers, handles share one ID space, so any clear function cancels any kind of timer
+    global.clearTimeout = clear;
+    global.clearInterval = clear;
+    global.clearImmediate = clear;
+
+    global.queueMicrotask = function (callback) {
+        if (typeof callback !== 'function') {
+            throw new TypeError("queueMicrotask(): The callback must be a function");
+        }
+        Promise.resolve().then(function () {
+            try {
+                callback();
+            } catch (e) {
+                callbackFailed("queueMicrotask()", e);
+            }
+        });
+    };
+})(globalThis);
+
+// MARK: - AbortController
+// Web-standard cancellation. An AbortController owns an AbortSignal; aborting the controller records a reason on the
+// signal and notifies its 'abort' listeners, once. Promise-returning hs APIs accept the signal as options.signal: they
+// stop their underlying work and reject with signal.reason, which is an AbortError unless abort() was given a reason.
+// JavaScriptCore has no DOMException, so AbortError and TimeoutError are plain Error subclasses with the web names.
+(function (global) {
+    var constructing = Symbol("AbortSignal");
+    var abortSignal;
+
+    class AbortError extends Error {
+        constructor(message) {
+            super(message === undefined ? "This operation was aborted" : message);
+            this.name = "AbortError";
+        }
+    }
+
+    class TimeoutError extends Error {
+        constructor(message) {
+            super(message === undefined ? "The operation timed out" : message);
+            this.name = "TimeoutError";
+        }
+    }
+
+    class AbortSignal {
+        #aborted = false
+        #reason = undefined
+        #listeners = []
+        onabort = null
+
+        static {
+            // Only AbortController (and the static helpers below) may abort a signal
+            abortSignal = (signal, reason) => signal.#abort(reason);
+        }
+
+        constructor(token) {
+            if (token !== constructing) {
+                throw new TypeError("AbortSignal: Illegal constructor, use new AbortController().signal");
+            }
+        }
+
+        get aborted() {
+            return this.#aborted;
+        }
+
+        get reason() {
+            return this.#reason;
+        }
+
+        throwIfAborted() {
+            if (this.#aborted) {
+                throw this.#reason;
+            }
+        }
+
+        addEventListener(type, listener, options) {
+            if (type !== 'abort' || listener == null || this.#aborted) {
+                return;
+            }
+            if (this.#listeners.some(entry => entry.listener === listener)) {
+                return;
+            }
+            this.#listeners.push({ listener: listener, once: !!(options && options.once) });
+        }
+
+        removeEventListener(type, listener) {
+            if (type !== 'abort') {
+                return;
+            }
+            this.#listeners = this.#listeners.filter(entry => entry.listener !== listener);
+        }
+
+        #abort(reason) {
+            if (this.#aborted) {
+                return;
+            }
+            this.#aborted = true;
+            this.#reason = reason === undefined ? new AbortError() : reason;
+
+            // Listeners only ever fire once, so the list can be dropped before delivery
+            var listeners = this.#listeners;
+            this.#listeners = [];
+            var event = { type: 'abort', target: this };
+            if (typeof this.onabort === 'function') {
+                listeners.unshift({ listener: this.onabort });
+            }
+            for (var entry of listeners) {
+                try {
+                    if (typeof entry.listener === 'function') {
+                        entry.listener.call(this, event);
+                    } else {
+                        entry.listener.handleEvent(event);
+                    }
+                } catch (e) {
+                    console.error("AbortSignal: An 'abort' listener threw an error");
+                    reportError(e);
+                }
+            }
+        }
+
+        // Returns a signal that is already aborted
+        static abort(reason) {
+            var signal = new AbortSignal(constructing);
+            abortSignal(signal, reason);
+            return signal;
+        }
+
+        // Returns a signal that aborts with a TimeoutError after the given number of milliseconds
+        static timeout(milliseconds) {
+            var signal = new AbortSignal(constructing);
+            setTimeout(() => abortSignal(signal, new TimeoutError()), milliseconds);
+            return signal;
+        }
+
+        // Returns a signal that aborts as soon as any of the given signals does, with that signal's reason
+        static any(signals) {
+            var signal = new AbortSignal(constructing);
+            for (var source of signals) {
+                if (source.aborted) {
+                    abortSignal(signal, source.reason);
+                    return signal;
+                }
+            }
+            for (var source of signals) {
+                source.addEventListener('abort', (event) => abortSignal(signal, event.target.reason), { once: true });
+            }
+            return signal;
+        }
+    }
+
+    class AbortController {
+        #signal = new AbortSignal(constructing)
+
+        get signal() {
+            return this.#signal;
+        }
+
+        abort(reason) {
+            abortSignal(this.#signal, reason);
+        }
+    }
+
+    global.AbortError = AbortError;
+    global.TimeoutError = TimeoutError;
+    global.AbortSignal = AbortSignal;
+    global.AbortController = AbortController;
+})(globalThis);
+
+// MARK: - TextEncoder and TextDecoder
+// The WHATWG encoding classes. Both speak UTF-8 only, which is all TextEncoder has ever supported and what every hs API
+// uses. TextDecoder replaces malformed input with U+FFFD, or throws a TypeError when created with { fatal: true }, and
+// carries incomplete sequences over between decode(chunk, { stream: true }) calls.
+(function (global) {
+    var UTF8_LABELS = ["unicode-1-1-utf-8", "unicode11utf8", "unicode20utf8", "utf-8", "utf8", "x-unicode20utf8"];
+
+    function toBytes(input, caller) {
+        if (input instanceof ArrayBuffer) {
+            return new Uint8Array(input);
+        }
+        if (ArrayBuffer.isView(input)) {
+            return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+        }
+        throw new TypeError(caller + ": The input must be an ArrayBuffer or a typed array");
+    }
+
+    // The code point at index, with lone surrogates replaced by U+FFFD as UTF-8 cannot represent them
+    function codePointAt(string, index) {
+        var codePoint = string.codePointAt(index);
+        return codePoint >= 0xD800 && codePoint <= 0xDFFF ? 0xFFFD : codePoint;
+    }
+
+    function utf8Length(codePoint) {
+        return codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+    }
+
+    function writeCodePoint(codePoint, bytes, offset) {
+        var length = utf8Length(codePoint);
+        if (length === 1) {
+            bytes[offset] = codePoint;
+            return 1;
+        }
+        for (var i = length - 1; i > 0; i--) {
+            bytes[offset + i] = 0x80 | (codePoint & 0x3F);
+            codePoint >>= 6;
+        }
+        bytes[offset] = (0xF00 >> length) & 0xFF | codePoint;
+        return length;
+    }
+
+    class TextEncoder {
+        get encoding() {
+            return "utf-8";
+        }
+
+        encode(input = "") {
+            input = String(input);
+            // Each UTF-16 code unit needs at most three bytes
+            var bytes = new Uint8Array(input.length * 3);
+            var written = 0;
+            for (var i = 0; i < input.length; ) {
+                var codePoint = codePointAt(input, i);
+                i += codePoint > 0xFFFF ? 2 : 1;
+                written += writeCodePoint(codePoint, bytes, written);
+            }
+            return bytes.slice(0, written);
+        }
+
+        // Encodes as much of source as fits into destination, without splitting a character
+        encodeInto(source, destination) {
+            if (!(destination instanceof Uint8Array)) {
+                throw new TypeError("TextEncoder.encodeInto(): The destination must be a Uint8Array");
+            }
+            source = String(source);
+            var read = 0, written = 0;
+            while (read < source.length) {
+                var codePoint = codePointAt(source, read);
+                if (written + utf8Length(codePoint) > destination.length) {
+                    break;
+                }
+                written += writeCodePoint(codePoint, destination, written);
+                read += codePoint > 0xFFFF ? 2 : 1;
+            }
+            return { read, written };
+        }
+    }
+
+    class TextDecoder {
+        #fatal
+        #ignoreBOM
+        // The state of the WHATWG UTF-8 decoder, kept between streaming decode() calls
+        #codePoint = 0
+        #bytesNeeded = 0
+        #bytesSeen = 0
+        #lowerBoundary = 0x80
+        #upperBoundary = 0xBF
+        #bomChecked = false
+
+        constructor(label = "utf-8", options = {}) {
+            if (!UTF8_LABELS.includes(String(label).trim().toLowerCase())) {
+                throw new RangeError("TextDecoder: '" + label + "' is not supported, only UTF-8 is available");
+            }
+            this.#fatal = Boolean(options && options.fatal);
+            this.#ignoreBOM = Boolean(options && options.ignoreBOM);
+        }
+
+        get encoding() {
+            return "utf-8";
+        }
+
+        get fatal() {
+            return this.#fatal;
+        }
+
+        get ignoreBOM() {
+            return this.#ignoreBOM;
+        }
+
+        decode(input, options = {}) {
+            var bytes = input === undefined || input === null ? new Uint8Array(0) : toBytes(input, "TextDecoder.decode()");
+            var stream = Boolean(options && options.stream);
+            var units = [];
+            var output = "";
+
+            var emit = codePoint => {
+                if (!this.#bomChecked) {
+                    this.#bomChecked = true;
+                    if (codePoint === 0xFEFF && !this.#ignoreBOM) {
+                        return;
+                    }
+                }
+                if (codePoint > 0xFFFF) {
+                    codePoint -= 0x10000;
+                    units.push(0xD800 | (codePoint >> 10), 0xDC00 | (codePoint & 0x3FF));
+                } else {
+                    units.push(codePoint);
+                }
+                if (units.length >= 8192) {
+                    output += String.fromCharCode.apply(null, units);
+                    units = [];
+                }
+            };
+            var error = () => {
+                if (this.#fatal) {
+                    this.#reset();
+                    throw new TypeError("TextDecoder.decode(): The encoded data is not valid UTF-8");
+                }
+                emit(0xFFFD);
+            };
+
+            for (var i = 0; i < bytes.length; i++) {
+                var byte = bytes[i];
+                if (this.#bytesNeeded === 0) {
+                    if (byte <= 0x7F) {
+                        emit(byte);
+                    } else if (byte >= 0xC2 && byte <= 0xDF) {
+                        this.#bytesNeeded = 1;
+                        this.#codePoint = byte & 0x1F;
+                    } else if (byte >= 0xE0 && byte <= 0xEF) {
+                        if (byte === 0xE0) {
+                            this.#lowerBoundary = 0xA0;
+                        } else if (byte === 0xED) {
+                            this.#upperBoundary = 0x9F;
+                        }
+                        this.#bytesNeeded = 2;
+                        this.#codePoint = byte & 0xF;
+                    } else if (byte >= 0xF0 && byte <= 0xF4) {
+                        if (byte === 0xF0) {
+                            this.#lowerBoundary = 0x90;
+                        } else if (byte === 0xF4) {
+                            this.#upperBoundary = 0x8F;
+                        }
+                        this.#bytesNeeded = 3;
+                        this.#codePoint = byte & 0x7;
+                    } else {
+                        error();
+                    }
+                    continue;
+                }
+                if (byte < this.#lowerBoundary || byte > this.#upperBoundary) {
+                    // The sequence so far becomes one U+FFFD, and this byte starts afresh
+                    this.#resetSequence();
+                    i--;
+                    error();
+                    continue;
+                }
+                this.#lowerBoundary = 0x80;
+                this.#upperBoundary = 0xBF;
+                this.#codePoint = (this.#codePoint << 6) | (byte & 0x3F);
+                this.#bytesSeen++;
+                if (this.#bytesSeen === this.#bytesNeeded) {
+                    var codePoint = this.#codePoint;
+                    this.#resetSequence();
+                    emit(codePoint);
+                }
+            }
+
+            if (!stream) {
+                if (this.#bytesNeeded !== 0) {
+                    this.#resetSequence();
+                    error();
+                }
+                this.#reset();
+            }
+            return output + String.fromCharCode.apply(null, units);
+        }
+
+        #resetSequence() {
+            this.#codePoint = 0;
+            this.#bytesNeeded = 0;
+            this.#bytesSeen = 0;
+            this.#lowerBoundary = 0x80;
+            this.#upperBoundary = 0xBF;
+        }
+
+        #reset() {
+            this.#resetSequence();
+            this.#bomChecked = false;
+        }
+    }
+
+    global.TextEncoder = TextEncoder;
+    global.TextDecoder = TextDecoder;
+})(globalThis);
+
+// MARK: - URL and URLSearchParams
+// The WHATWG URL classes. URL parses and resolves URLs as browsers do, normalising hosts, ports, dot segments and
+// percent-encoding, and its searchParams are live: changing one updates the other. URLSearchParams is serialised as
+// application/x-www-form-urlencoded. fetch() accepts one as a request body, and it is the easiest way to build a query
+// string: fetch(url + "?" + new URLSearchParams({ q: "search terms" })).
+(function (global) {
+    var attachToURL, resetFromURL;
+
+    // encodeURIComponent leaves these unescaped, but the form-urlencoded serialiser must not
+    function formEncode(string) {
+        return encodeURIComponent(string)
+            .replace(/[!'()~]/g, c => "%" + c.charCodeAt(0).toString(16).toUpperCase())
+            .replace(/%20/g, "+");
+    }
+
+    function formDecode(string) {
+        string = string.replace(/\+/g, " ");
+        try {
+            return decodeURIComponent(string);
+        } catch (e) {
+            // Malformed escapes are kept literally, as browsers do, rather than throwing
+            return string.replace(/(%[0-9A-Fa-f]{2})+/g, run => {
+                try {
+                    return decodeURIComponent(run);
+                } catch (e) {
+                    return run;
+                }
+            });
+        }
+    }
+
+    class URLSearchParams {
+        #list = []
+        #update = null
+
+        static {
+            // A URL's searchParams write their changes back to its query, and are re-parsed when the query is replaced
+            attachToURL = (params, update) => {
+                params.#update = update;
+            };
+            resetFromURL = (params, query) => {
+                params.#list = [];
+                params.#parse(query);
+            };
+        }
+
+        constructor(init) {
+            if (init === undefined || init === null) {
+                return;
+            }
+            if (init instanceof URLSearchParams) {
+                this.#list = init.#list.map(pair => pair.slice());
+            } else if (typeof init === 'object' && typeof init[Symbol.iterator] === 'function') {
+                for (var pair of init) {
+                    pair = Array.from(pair);
+                    if (pair.length !== 2) {
+                        throw new TypeError("URLSearchParams: Each pair must contain exactly two items");
+                    }
+                    this.#list.push([String(pair[0]), String(pair[1])]);
+                }
+            } else if (typeof init === 'object') {
+                for (var key of Object.keys(init)) {
+                    this.#list.push([key, String(init[key])]);
+                }
+            } else {
+                this.#parse(String(init));
+            }
+        }
+
+        #parse(query) {
+            if (query.startsWith("?")) {
+                query = query.slice(1);
+            }
+            for (var part of query.split("&")) {
+                if (part === "") {
+                    continue;
+                }
+                var index = part.indexOf("=");
+                var name = index === -1 ? part : part.slice(0, index);
+                var value = index === -1 ? "" : part.slice(index + 1);
+                this.#list.push([formDecode(name), formDecode(value)]);
+            }
+        }
+
+        get size() {
+            return this.#list.length;
+        }
+
+        append(name, value) {
+            this.#list.push([String(name), String(value)]);
+            this.#changed();
+        }
+
+        delete(name, value) {
+            name = String(name);
+            this.#list = this.#list.filter(pair => pair[0] !== name || (value !== undefined && pair[1] !== String(value)));
+            this.#changed();
+        }
+
+        get(name) {
+            name = String(name);
+            var pair = this.#list.find(pair => pair[0] === name);
+            return pair ? pair[1] : null;
+        }
+
+        getAll(name) {
+            name = String(name);
+            return this.#list.filter(pair => pair[0] === name).map(pair => pair[1]);
+        }
+
+        has(name, value) {
+            name = String(name);
+            return this.#list.some(pair => pair[0] === name && (value === undefined || pair[1] === String(value)));
+        }
+
+        // Replaces the first value for name and removes the rest, or appends if there was none
+        set(name, value) {
+            name = String(name);
+            value = String(value);
+            var index = this.#list.findIndex(pair => pair[0] === name);
+            if (index === -1) {
+                this.#list.push([name, value]);
+            } else {
+                this.#list[index][1] = value;
+                this.#list = this.#list.filter((pair, i) => i <= index || pair[0] !== name);
+            }
+            this.#changed();
+        }
+
+        // A stable sort by name, comparing UTF-16 code units as the spec requires
+        sort() {
+            this.#list = this.#list
+                .map((pair, index) => ({ pair, index }))
+                .sort((a, b) => (a.pair[0] < b.pair[0] ? -1 : a.pair[0] > b.pair[0] ? 1 : a.index - b.index))
+                .map(entry => entry.pair);
+            this.#changed();
+        }
+
+        forEach(callback, thisArg) {
+            for (var pair of this.#list.slice()) {
+                callback.call(thisArg, pair[1], pair[0], this);
+            }
+        }
+
+        *entries() {
+            for (var pair of this.#list.slice()) {
+                yield [pair[0], pair[1]];
+            }
+        }
+
+        *keys() {
+            for (var pair of this.#list.slice()) {
+                yield pair[0];
+            }
+        }
+
+        *values() {
+            for (var pair of this.#list.slice()) {
+                yield pair[1];
+            }
+        }
+
+        [Symbol.iterator]() {
+            return this.entries();
+        }
+
+        toString() {
+            return this.#list.map(pair => formEncode(pair[0]) + "=" + formEncode(pair[1])).join("&");
+        }
+
+        #changed() {
+            if (this.#update) {
+                this.#update(this.toString());
+            }
+        }
+    }
+
+    // MARK: URL
+
+    var SPECIAL_SCHEMES = new Map([["ftp", 21], ["file", null], ["http", 80], ["https", 443], ["ws", 80], ["wss", 443]]);
+
+    // Percent-encode sets: characters outside printable ASCII are always encoded, these ASCII ones are too
+    var FRAGMENT_SET = " \"<>`";
+    var QUERY_SET = " \"#<>";
+    var SPECIAL_QUERY_SET = QUERY_SET + "'";
+    var PATH_SET = QUERY_SET + "?^`{}";
+    var USERINFO_SET = PATH_SET + "/:;=@[\\]|";
+
+    var SINGLE_DOT = /^(\.|%2e)$/i;
+    var DOUBLE_DOT = /^(\.|%2e)(\.|%2e)$/i;
+    var WINDOWS_DRIVE_LETTER = /^[A-Za-z][:|]$/;
+
+    function isSpecial(scheme) {
+        return SPECIAL_SCHEMES.has(scheme);
+    }
+
+    function percentEncode(string, set) {
+        var out = "";
+        for (var char of string) {
+            var code = char.codePointAt(0);
+            if (code > 0x7E) {
+                try {
+                    out += encodeURIComponent(char);
+                } catch (e) {
+                    // A lone surrogate, which UTF-8 encodes as U+FFFD
+                    out += "%EF%BF%BD";
+                }
+            } else if (code < 0x20 || set.includes(char)) {
+                out += "%" + code.toString(16).toUpperCase().padStart(2, "0");
+            } else {
+                out += char;
+            }
+        }
+        return out;
+    }
+
+    function percentDecode(string) {
+        var bytes = [];
+        var encoder = new TextEncoder();
+        for (var i = 0; i < string.length; i++) {
+            if (string[i] === "%" && /^[0-9A-Fa-f]{2}$/.test(string.slice(i + 1, i + 3))) {
+                bytes.push(parseInt(string.slice(i + 1, i + 3), 16));
+                i += 2;
+            } else {
+                var codePoint = string.codePointAt(i);
+                bytes.push(...encoder.encode(String.fromCodePoint(codePoint)));
+                i += codePoint > 0xFFFF ? 1 : 0;
+            }
+        }
+        return new TextDecoder("utf-8", { ignoreBOM: true }).decode(new Uint8Array(bytes));
+    }
+
+    // RFC 3492, for the labels of internationalised domain names
+    function punycodeEncode(input) {
+        var BASE = 36, T_MIN = 1, T_MAX = 26, SKEW = 38, DAMP = 700;
+        var codePoints = Array.from(input, char => char.codePointAt(0));
+        var output = codePoints.filter(c => c < 0x80).map(c => String.fromCharCode(c)).join("");
+        var basicLength = output.length, handled = basicLength;
+        var n = 0x80, delta = 0, bias = 72;
+
+        var digit = d => String.fromCharCode(d < 26 ? d + 97 : d + 22);
+        var adapt = (delta, numPoints, firstTime) => {
+            delta = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+            delta += Math.floor(delta / numPoints);
+            var k = 0;
+            while (delta > ((BASE - T_MIN) * T_MAX) >> 1) {
+                delta = Math.floor(delta / (BASE - T_MIN));
+                k += BASE;
+            }
+            return k + Math.floor((BASE - T_MIN + 1) * delta / (delta + SKEW));
+        };
+
+        if (basicLength > 0) {
+            output += "-";
+        }
+        while (handled < codePoints.length) {
+            var m = Math.min(...codePoints.filter(c => c >= n));
+            delta += (m - n) * (handled + 1);
+            n = m;
+            for (var c of codePoints) {
+                if (c < n) {
+                    delta++;
+                } else if (c === n) {
+                    var q = delta;
+                    for (var k = BASE; ; k += BASE) {
+                        var t = k <= bias ? T_MIN : k >= bias + T_MAX ? T_MAX : k - bias;
+                        if (q < t) {
+                            break;
+                        }
+                        output += digit(t + (q - t) % (BASE - t));
+                        q = Math.floor((q - t) / (BASE - t));
+                    }
+                    output += digit(q);
+                    bias = adapt(delta, handled + 1, handled === basicLength);
+                    delta = 0;
+                    handled++;
+                }
+            }
+            delta++;
+            n++;
+        }
+        return output;
+    }
+
+    // Lowercasing and NFC normalisation stand in for the full UTS #46 mapping, which needs Unicode tables we don't have
+    function domainToASCII(domain) {
+        var labels = domain.normalize("NFC").toLowerCase().split(/[.\u3002\uFF0E\uFF61]/);
+        var ascii = labels.map(label => (/[^\x00-\x7F]/.test(label) ? "xn--" + punycodeEncode(label) : label)).join(".");
+        return /[\u0000-\u0020#%\/:<>?@[\\\]^|\u007F]/.test(ascii) ? null : ascii;
+    }
+
+    function parseIPv4Number(part) {
+        var radix = 10;
+        if (/^0[xX]/.test(part)) {
+            part = part.slice(2);
+            radix = 16;
+            if (part === "") {
+                return 0;
+            }
+        } else if (part.length > 1 && part[0] === "0") {
+            part = part.slice(1);
+            radix = 8;
+        }
+        var digits = radix === 16 ? /^[0-9A-Fa-f]+$/ : radix === 8 ? /^[0-7]+$/ : /^[0-9]+$/;
+        return digits.test(part) ? parseInt(part, radix) : NaN;
+    }
+
+    function ipv4Parts(domain) {
+        var parts = domain.split(".");
+        if (parts.length > 1 && parts[parts.length - 1] === "") {
+            parts.pop();
+        }
+        return parts;
+    }
+
+    // Hosts like "127.1" and "0x7f.0.0.1" are IPv4 addresses, and must then be valid ones
+    function endsInNumber(domain) {
+        var last = ipv4Parts(domain).pop();
+        return last !== "" && !isNaN(parseIPv4Number(last));
+    }
+
+    function parseIPv4(domain) {
+        var numbers = ipv4Parts(domain).map(parseIPv4Number);
+        if (numbers.length > 4 || numbers.some(isNaN)) {
+            return null;
+        }
+        var last = numbers.pop();
+        if (numbers.some(number => number > 255) || last >= Math.pow(256, 4 - numbers.length)) {
+            return null;
+        }
+        return numbers.reduce((address, number, i) => address + number * Math.pow(256, 3 - i), last);
+    }
+
+    function serializeIPv4(address) {
+        var parts = [];
+        for (var i = 3; i >= 0; i--) {
+            parts.push(Math.floor(address / Math.pow(256, i)) % 256);
+        }
+        return parts.join(".");
+    }
+
+    function parseIPv6Pieces(string, allowIPv4) {
+        if (string === "") {
+            return [];
+        }
+        var pieces = [];
+        var parts = string.split(":");
+        for (var i = 0; i < parts.length; i++) {
+            var part = parts[i];
+            if (allowIPv4 && i === parts.length - 1 && part.includes(".")) {
+                var match = /^(0|[1-9][0-9]{0,2})\.(0|[1-9][0-9]{0,2})\.(0|[1-9][0-9]{0,2})\.(0|[1-9][0-9]{0,2})$/.exec(part);
+                var octets = match ? match.slice(1).map(Number) : [];
+                if (octets.length !== 4 || octets.some(octet => octet > 255)) {
+                    return null;
+                }
+                pieces.push(octets[0] << 8 | octets[1], octets[2] << 8 | octets[3]);
+            } else if (/^[0-9A-Fa-f]{1,4}$/.test(part)) {
+                pieces.push(parseInt(part, 16));
+            } else {
+                return null;
+            }
+        }
+        return pieces;
+    }
+
+    function parseIPv6(input) {
+        var halves = input.split("::");
+        if (halves.length > 2) {
+            return null;
+        }
+        var head = parseIPv6Pieces(halves[0], halves.length === 1);
+        var tail = halves.length === 2 ? parseIPv6Pieces(halves[1], true) : [];
+        if (head === null || tail === null) {
+            return null;
+        }
+        var missing = 8 - head.length - tail.length;
+        if (halves.length === 1 ? missing !== 0 : missing < 1) {
+            return null;
+        }
+        return head.concat(new Array(missing).fill(0), tail);
+    }
+
+    // Lowercase hex, with the first longest run of two or more zero pieces compressed to "::"
+    function serializeIPv6(pieces) {
+        var runStart = -1, runLength = 1;
+        for (var i = 0; i < 8; ) {
+            var start = i;
+            while (i < 8 && pieces[i] === 0) {
+                i++;
+            }
+            if (i - start > runLength) {
+                runStart = start;
+                runLength = i - start;
+            }
+            i = Math.max(i, start + 1);
+        }
+        var hex = pieces => pieces.map(piece => piece.toString(16)).join(":");
+        if (runStart === -1) {
+            return hex(pieces);
+        }
+        return hex(pieces.slice(0, runStart)) + "::" + hex(pieces.slice(runStart + runLength));
+    }
+
+    // Returns the serialised host, or null if input is not a valid host
+    function parseHost(input, special) {
+        if (input.startsWith("[")) {
+            var pieces = input.endsWith("]") ? parseIPv6(input.slice(1, -1)) : null;
+            return pieces === null ? null : "[" + serializeIPv6(pieces) + "]";
+        }
+        if (!special) {
+            return /[\u0000\t\n\r #\/:<>?@[\\\]^|]/.test(input) ? null : percentEncode(input, "");
+        }
+        var domain = domainToASCII(percentDecode(input));
+        if (domain === null || domain === "") {
+            return null;
+        }
+        if (endsInNumber(domain)) {
+            var address = parseIPv4(domain);
+            return address === null ? null : serializeIPv4(address);
+        }
+        return domain;
+    }
+
+    // Splits "host:port" or "[v6]:port". The port is null without a colon, and undefined if something else follows the host.
+    function splitHostAndPort(string) {
+        var hostEnd;
+        if (string.startsWith("[")) {
+            hostEnd = string.indexOf("]") + 1 || string.length;
+        } else {
+            hostEnd = string.indexOf(":");
+            if (hostEnd === -1) {
+                hostEnd = string.length;
+            }
+        }
+        var rest = string.slice(hostEnd);
+        return { host: string.slice(0, hostEnd), port: rest === "" ? null : rest.startsWith(":") ? rest.slice(1) : undefined };
+    }
+
+    function parsePort(string, scheme) {
+        if (!/^[0-9]+$/.test(string)) {
+            return undefined;
+        }
+        var port = Number(string);
+        if (port > 65535) {
+            return undefined;
+        }
+        return port === SPECIAL_SCHEMES.get(scheme) ? null : port;
+    }
+
+    function newRecord(scheme) {
+        return { scheme, username: "", password: "", host: null, port: null, path: [], query: null, fragment: null };
+    }
+
+    function copyRecord(url) {
+        return Object.assign({}, url, { path: typeof url.path === "string" ? url.path : url.path.slice() });
+    }
+
+    // Splits off the query and fragment, which the rest of the parser deals with uniformly
+    function splitSuffix(string) {
+        var fragment = null, query = null;
+        var hash = string.indexOf("#");
+        if (hash !== -1) {
+            fragment = string.slice(hash + 1);
+            string = string.slice(0, hash);
+        }
+        var question = string.indexOf("?");
+        if (question !== -1) {
+            query = string.slice(question + 1);
+            string = string.slice(0, question);
+        }
+        return { body: string, query, fragment };
+    }
+
+    function encodeQuery(url, query) {
+        return percentEncode(query, isSpecial(url.scheme) ? SPECIAL_QUERY_SET : QUERY_SET);
+    }
+
+    function setSuffix(url, query, fragment) {
+        url.query = query === null ? null : encodeQuery(url, query);
+        url.fragment = fragment === null ? null : percentEncode(fragment, FRAGMENT_SET);
+    }
+
+    // Appends the segments of a relative path to url.path, resolving "." and ".." segments
+    function appendPath(url, string) {
+        var segments = string.split(isSpecial(url.scheme) ? /[\/\\]/ : "/");
+        segments.forEach((segment, i) => {
+            var last = i === segments.length - 1;
+            if (DOUBLE_DOT.test(segment)) {
+                // A file URL's drive letter is never removed
+                if (!(url.scheme === "file" && url.path.length === 1 && /^[A-Za-z]:$/.test(url.path[0]))) {
+                    url.path.pop();
+                }
+                if (last) {
+                    url.path.push("");
+                }
+            } else if (SINGLE_DOT.test(segment)) {
+                if (last) {
+                    url.path.push("");
+                }
+            } else {
+                if (url.scheme === "file" && url.path.length === 0 && WINDOWS_DRIVE_LETTER.test(segment)) {
+                    segment = segment[0] + ":";
+                    if (url.host !== null && url.host !== "") {
+                        url.host = "";
+                    }
+                }
+                url.path.push(percentEncode(segment, PATH_SET));
+            }
+        });
+    }
+
+    // The path after an authority, or of a path-absolute URL: empty, or starting with a slash
+    function setAbsolutePath(url, string) {
+        url.path = [];
+        if (string === "" && !isSpecial(url.scheme)) {
+            return;
+        }
+        appendPath(url, string.replace(isSpecial(url.scheme) ? /^[\/\\]/ : /^\//, ""));
+    }
+
+    function parseAuthority(url, string) {
+        var end = string.search(isSpecial(url.scheme) ? /[\/\\]/ : /\//);
+        if (end === -1) {
+            end = string.length;
+        }
+        var authority = string.slice(0, end);
+        var at = authority.lastIndexOf("@");
+        if (at !== -1) {
+            var userinfo = authority.slice(0, at);
+            var colon = userinfo.indexOf(":");
+            url.username = percentEncode(colon === -1 ? userinfo : userinfo.slice(0, colon), USERINFO_SET);
+            url.password = colon === -1 ? "" : percentEncode(userinfo.slice(colon + 1), USERINFO_SET);
+            authority = authority.slice(at + 1);
+        }
+
+        var parts = splitHostAndPort(authority);
+        if (parts.port === undefined || (parts.host === "" && (at !== -1 || parts.port !== null || isSpecial(url.scheme)))) {
+            return false;
+        }
+        url.host = parts.host === "" ? "" : parseHost(parts.host, isSpecial(url.scheme));
+        if (url.host === null) {
+            return false;
+        }
+        if (parts.port !== null && parts.port !== "") {
+            url.port = parsePort(parts.port, url.scheme);
+            if (url.port === undefined) {
+                return false;
+            }
+        }
+        setAbsolutePath(url, string.slice(end));
+        return true;
+    }
+
+    function startsWithDriveLetter(string) {
+        return /^[A-Za-z][:|]([\/\\?#]|$)/.test(string);
+    }
+
+    function parseFile(parts, base) {
+        var url = newRecord("file");
+        var body = parts.body;
+        var baseIsFile = base !== undefined && base.scheme === "file";
+        url.host = "";
+
+        if (/^[\/\\]{2}/.test(body)) {
+            body = body.slice(2);
+            var end = body.search(/[\/\\]/);
+            var host = body.slice(0, end === -1 ? body.length : end);
+            if (WINDOWS_DRIVE_LETTER.test(host)) {
+                // file://C:/ is a path, not a host
+                appendPath(url, body);
+            } else {
+                url.host = host === "" ? "" : parseHost(host, true);
+                if (url.host === null) {
+                    return null;
+                }
+                if (url.host === "localhost") {
+                    url.host = "";
+                }
+                setAbsolutePath(url, body.slice(host.length));
+            }
+        } else if (/^[\/\\]/.test(body)) {
+            if (baseIsFile) {
+                url.host = base.host;
+                if (!startsWithDriveLetter(body.slice(1)) && /^[A-Za-z]:$/.test(base.path[0])) {
+                    url.path.push(base.path[0]);
+                }
+            }
+            appendPath(url, body.slice(1));
+        } else if (baseIsFile) {
+            url.host = base.host;
+            url.path = base.path.slice();
+            if (body === "") {
+                setSuffix(url, parts.query, parts.fragment);
+                if (parts.query === null) {
+                    url.query = base.query;
+                }
+                return url;
+            }
+            if (startsWithDriveLetter(body)) {
+                url.path = [];
+            } else {
+                url.path.pop();
+            }
+            appendPath(url, body);
+        } else {
+            appendPath(url, body);
+        }
+        setSuffix(url, parts.query, parts.fragment);
+        return url;
+    }
+
+    function parseRelative(input, base) {
+        if (base.scheme === "file") {
+            return parseFile(splitSuffix(input), base);
+        }
+        if (typeof base.path === "string") {
+            // A base like mailto:someone has nothing to resolve against, other than a new fragment
+            if (!input.startsWith("#")) {
+                return null;
+            }
+            var opaque = copyRecord(base);
+            opaque.fragment = percentEncode(input.slice(1), FRAGMENT_SET);
+            return opaque;
+        }
+
+        var url = newRecord(base.scheme);
+        var parts = splitSuffix(input);
+        var body = parts.body;
+        var slash = isSpecial(url.scheme) ? /^[\/\\]/ : /^\//;
+
+        if (isSpecial(url.scheme) ? /^[\/\\]{2}/.test(body) : body.startsWith("//")) {
+            if (!parseAuthority(url, body.replace(isSpecial(url.scheme) ? /^[\/\\]*/ : /^\/\//, ""))) {
+                return null;
+            }
+        } else {
+            url.username = base.username;
+            url.password = base.password;
+            url.host = base.host;
+            url.port = base.port;
+            if (slash.test(body)) {
+                appendPath(url, body.slice(1));
+            } else if (body === "") {
+                url.path = base.path.slice();
+            } else {
+                url.path = base.path.slice(0, -1);
+                appendPath(url, body);
+            }
+        }
+        setSuffix(url, parts.query, parts.fragment);
+        if (body === "" && parts.query === null) {
+            url.query = base.query;
+        }
+        return url;
+    }
+
+    // The WHATWG basic URL parser, minus state overrides (the setters below do their own parsing). Returns null on failure.
+    function parseURL(input, base) {
+        input = input.replace(/^[\u0000-\u0020]+|[\u0000-\u0020]+$/g, "").replace(/[\t\n\r]/g, "");
+        var match = /^([A-Za-z][A-Za-z0-9+\-.]*):/.exec(input);
+        if (!match) {
+            return base === undefined ? null : parseRelative(input, base);
+        }
+
+        var scheme = match[1].toLowerCase();
+        var rest = input.slice(match[0].length);
+        if (scheme === "file") {
+            return parseFile(splitSuffix(rest), base);
+        }
+        // "http:page.html" relative to an http: base is relative, whatever its scheme says
+        if (isSpecial(scheme) && base !== undefined && base.scheme === scheme && !/^[\/\\]{2}/.test(rest)) {
+            return parseRelative(rest, base);
+        }
+
+        var url = newRecord(scheme);
+        var parts = splitSuffix(rest);
+        if (isSpecial(scheme)) {
+            if (!parseAuthority(url, parts.body.replace(/^[\/\\]*/, ""))) {
+                return null;
+            }
+        } else if (parts.body.startsWith("//")) {
+            if (!parseAuthority(url, parts.body.slice(2))) {
+                return null;
+            }
+        } else if (parts.body.startsWith("/")) {
+            appendPath(url, parts.body.slice(1));
+        } else {
+            url.path = percentEncode(parts.body, "");
+        }
+        setSuffix(url, parts.query, parts.fragment);
+        return url;
+    }
+
+    function serializePath(url) {
+        return typeof url.path === "string" ? url.path : url.path.map(segment => "/" + segment).join("");
+    }
+
+    function serializeURL(url) {
+        var out = url.scheme + ":";
+        if (url.host !== null) {
+            out += "//";
+            if (url.username !== "" || url.password !== "") {
+                out += url.username + (url.password !== "" ? ":" + url.password : "") + "@";
+            }
+            out += url.host + (url.port !== null ? ":" + url.port : "");
+        } else if (typeof url.path !== "string" && url.path.length > 1 && url.path[0] === "") {
+            // Without this, a path starting "//" would read back as an authority
+            out += "/.";
+        }
+        out += serializePath(url);
+        if (url.query !== null) {
+            out += "?" + url.query;
+        }
+        if (url.fragment !== null) {
+            out += "#" + url.fragment;
+        }
+        return out;
+    }
+
+    class URL {
+        #url
+        #searchParams
+
+        constructor(url, base) {
+            var baseRecord;
+            if (base !== undefined) {
+                baseRecord = parseURL(String(base));
+                if (baseRecord === null) {
+                    throw new TypeError("URL: '" + base + "' is not a valid base URL");
+                }
+            }
+            this.#url = parseURL(String(url), baseRecord);
+            if (this.#url === null) {
+                throw new TypeError("URL: '" + url + "' is not a valid URL");
+            }
+            this.#searchParams = new URLSearchParams(this.#url.query || "");
+            attachToURL(this.#searchParams, query => {
+                this.#url.query = query === "" ? null : query;
+            });
+        }
+
+        static canParse(url, base) {
+            return URL.parse(url, base) !== null;
+        }
+
+        static parse(url, base) {
+            try {
+                return new URL(url, base);
+            } catch (e) {
+                return null;
+            }
+        }
+
+        get href() {
+            return serializeURL(this.#url);
+        }
+
+        set href(value) {
+            var url = parseURL(String(value));
+            if (url === null) {
+                throw new TypeError("URL: '" + value + "' is not a valid URL");
+            }
+            this.#url = url;
+            resetFromURL(this.#searchParams, url.query || "");
+        }
+
+        get origin() {
+            var url = this.#url;
+            if (!isSpecial(url.scheme) || url.scheme === "file") {
+                return "null";
+            }
+            return url.scheme + "://" + url.host + (url.port !== null ? ":" + url.port : "");
+        }
+
+        get protocol() {
+            return this.#url.scheme + ":";
+        }
+
+        set protocol(value) {
+            var url = this.#url;
+            var match = /^([A-Za-z][A-Za-z0-9+\-.]*)(:|$)/.exec(String(value));
+            if (!match) {
+                return;
+            }
+            var scheme = match[1].toLowerCase();
+            // Special and non-special URLs are parsed too differently to convert between
+            if (isSpecial(scheme) !== isSpecial(url.scheme)) {
+                return;
+            }
+            if (scheme === "file" && (this.#hasCredentials() || url.port !== null)) {
+                return;
+            }
+            if (url.scheme === "file" && url.host === "") {
+                return;
+            }
+            url.scheme = scheme;
+            if (url.port === SPECIAL_SCHEMES.get(scheme)) {
+                url.port = null;
+            }
+        }
+
+        get username() {
+            return this.#url.username;
+        }
+
+        set username(value) {
+            if (!this.#cannotHaveCredentialsOrPort()) {
+                this.#url.username = percentEncode(String(value), USERINFO_SET);
+            }
+        }
+
+        get password() {
+            return this.#url.password;
+        }
+
+        set password(value) {
+            if (!this.#cannotHaveCredentialsOrPort()) {
+                this.#url.password = percentEncode(String(value), USERINFO_SET);
+            }
+        }
+
+        get host() {
+            var url = this.#url;
+            if (url.host === null) {
+                return "";
+            }
+            return url.host + (url.port !== null ? ":" + url.port : "");
+        }
+
+        set host(value) {
+            this.#setHost(String(value), true);
+        }
+
+        get hostname() {
+            return this.#url.host === null ? "" : this.#url.host;
+        }
+
+        set hostname(value) {
+            this.#setHost(String(value), false);
+        }
+
+        get port() {
+            return this.#url.port === null ? "" : String(this.#url.port);
+        }
+
+        set port(value) {
+            if (this.#cannotHaveCredentialsOrPort()) {
+                return;
+            }
+            value = String(value);
+            if (value === "") {
+                this.#url.port = null;
+                return;
+            }
+            // As in browsers, "8080abc" sets the port to 8080
+            var port = parsePort(/^[0-9]*/.exec(value)[0], this.#url.scheme);
+            if (port !== undefined) {
+                this.#url.port = port;
+            }
+        }
+
+        get pathname() {
+            return serializePath(this.#url);
+        }
+
+        set pathname(value) {
+            if (typeof this.#url.path !== "string") {
+                setAbsolutePath(this.#url, String(value));
+            }
+        }
+
+        get search() {
+            var query = this.#url.query;
+            return query === null || query === "" ? "" : "?" + query;
+        }
+
+        set search(value) {
+            value = String(value);
+            if (value === "") {
+                this.#url.query = null;
+                resetFromURL(this.#searchParams, "");
+                return;
+            }
+            this.#url.query = encodeQuery(this.#url, value.replace(/^\?/, ""));
+            resetFromURL(this.#searchParams, this.#url.query);
+        }
+
+        get searchParams() {
+            return this.#searchParams;
+        }
+
+        get hash() {
+            var fragment = this.#url.fragment;
+            return fragment === null || fragment === "" ? "" : "#" + fragment;
+        }
+
+        set hash(value) {
+            value = String(value);
+            this.#url.fragment = value === "" ? null : percentEncode(value.replace(/^#/, ""), FRAGMENT_SET);
+        }
+
+        toString() {
+            return this.href;
+        }
+
+        toJSON() {
+            return this.href;
+        }
+
+        #hasCredentials() {
+            return this.#url.username !== "" || this.#url.password !== "";
+        }
+
+        #cannotHaveCredentialsOrPort() {
+            var url = this.#url;
+            return url.host === null || url.host === "" || url.scheme === "file";
+        }
+
+        // The host and hostname setters leave the URL unchanged if value isn't a valid host
+        #setHost(value, withPort) {
+            var url = this.#url;
+            if (typeof url.path === "string") {
+                return;
+            }
+            value = value.split(isSpecial(url.scheme) ? /[\/\\?#]/ : /[\/?#]/)[0];
+            var parts = url.scheme === "file" ? { host: value, port: null } : splitHostAndPort(value);
+            if (parts.port === undefined || (parts.port !== null && !withPort)) {
+                return;
+            }
+            if (parts.host === "" && (url.scheme !== "file" && (isSpecial(url.scheme) || this.#hasCredentials() || url.port !== null))) {
+                return;
+            }
+            var host = parts.host === "" ? "" : parseHost(parts.host, isSpecial(url.scheme));
+            if (host === null) {
+                return;
+            }
+            url.host = url.scheme === "file" && host === "localhost" ? "" : host;
+            if (parts.port !== null && parts.port !== "") {
+                var port = parsePort(/^[0-9]*/.exec(parts.port)[0], url.scheme);
+                if (port !== undefined) {
+                    url.port = port;
+                }
+            }
+        }
+    }
+
+    global.URL = URL;
+    global.URLSearchParams = URLSearchParams;
+})(globalThis);
+
+// MARK: - fetch()
+// WHATWG fetch() with Headers, Request and Response, implemented on top of hs.http._fetch(). As with the timers above,
+// hs.http is only touched when a request is made. Two non-standard init options are supported: `timeout` (milliseconds,
+// rejecting with a TimeoutError) and `searchParams` (an object or URLSearchParams appended to the URL's query).
+// Plain object and array bodies are sent as JSON. Responses to redirects that are not followed (redirect: "manual")
+// are returned as-is with their 3xx status, rather than as the opaque responses a browser would give.
+(function (global) {
+    var encoder = new TextEncoder();
+    var decoder = new TextDecoder();
+    var BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+    function bytesToBase64(bytes) {
+        var out = "";
+        for (var i = 0; i < bytes.length; i += 3) {
+            var n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            out += BASE64[(n >> 18) & 63] + BASE64[(n >> 12) & 63] +
+                   (i + 1 < bytes.length ? BASE64[(n >> 6) & 63] : "=") +
+                   (i + 2 < bytes.length ? BASE64[n & 63] : "=");
+        }
+        return out;
+    }
+
+    function base64ToBytes(base64) {
+        base64 = base64.replace(/=+$/, "");
+        var bytes = new Uint8Array(Math.floor(base64.length * 3 / 4));
+        var n = 0, bits = 0, j = 0;
+        for (var i = 0; i < base64.length; i++) {
+            n = (n << 6) | BASE64.indexOf(base64[i]);
+            bits += 6;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes[j++] = (n >> bits) & 255;
+            }
+        }
+        return bytes;
+    }
+
+    function toBytes(value) {
+        if (value instanceof ArrayBuffer) {
+            return new Uint8Array(value);
+        }
+        return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    }
+
+    function isPlainData(value) {
+        var proto = Object.getPrototypeOf(value);
+        return Array.isArray(value) || proto === Object.prototype || proto === null;
+    }
+
+    // Turns a body init value into { text } or { bytes }, plus the Content-Type it implies
+    function extractBody(body) {
+        if (body === undefined || body === null) {
+            return { content: null, type: null };
+        }
+        if (typeof body === 'string') {
+            return { content: { text: body }, type: "text/plain;charset=UTF-8" };
+        }
+        if (body instanceof URLSearchParams) {
+            return { content: { text: body.toString() }, type: "application/x-www-form-urlencoded;charset=UTF-8" };
+        }
+        if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+            return { content: { bytes: toBytes(body).slice() }, type: null };
+        }
+        if (typeof body === 'object' && isPlainData(body)) {
+            return { content: { text: JSON.stringify(body) }, type: "application/json" };
+        }
+        return { content: { text: String(body) }, type: "text/plain;charset=UTF-8" };
+    }
+
+    // MARK: Headers
+
+    var TOKEN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+    class Headers {
+        #map = new Map()
+
+        constructor(init) {
+            if (init === undefined || init === null) {
+                return;
+            }
+            if (init instanceof Headers) {
+                init.#map.forEach((values, name) => this.#map.set(name, values.slice()));
+            } else if (typeof init === 'object' && typeof init[Symbol.iterator] === 'function') {
+                for (var pair of init) {
+                    pair = Array.from(pair);
+                    if (pair.length !== 2) {
+                        throw new TypeError("Headers: Each header must be a [name, value] pair");
+                    }
+                    this.append(pair[0], pair[1]);
+                }
+            } else if (typeof init === 'object') {
+                for (var name of Object.keys(init)) {
+                    this.append(name, init[name]);
+                }
+            } else {
+                throw new TypeError("Headers: The init argument must be an object or an iterable of pairs");
+            }
+        }
+
+        static #normalize(name, value) {
+            name = String(name);
+            if (!TOKEN.test(name)) {
+                throw new TypeError("Headers: '" + name + "' is not a valid header name");
+            }
+            return [name.toLowerCase(), value === undefined ? undefined : String(value).trim()];
+        }
+
+        append(name, value) {
+            [name, value] = Headers.#normalize(name, value);
+            var values = this.#map.get(name);
+            if (values) {
+                values.push(value);
+            } else {
+                this.#map.set(name, [value]);
+            }
+        }
+
+        delete(name) {
+            this.#map.delete(Headers.#normalize(name)[0]);
+        }
+
+        get(name) {
+            var values = this.#map.get(Headers.#normalize(name)[0]);
+            return values ? values.join(", ") : null;
+        }
+
+        getSetCookie() {
+            return (this.#map.get("set-cookie") || []).slice();
+        }
+
+        has(name) {
+            return this.#map.has(Headers.#normalize(name)[0]);
+        }
+
+        set(name, value) {
+            [name, value] = Headers.#normalize(name, value);
+            this.#map.set(name, [value]);
+        }
+
+        forEach(callback, thisArg) {
+            for (var [name, value] of this) {
+                callback.call(thisArg, value, name, this);
+            }
+        }
+
+        // Sorted by name, with each Set-Cookie header kept separate, as the spec requires
+        *entries() {
+            for (var name of Array.from(this.#map.keys()).sort()) {
+                var values = this.#map.get(name);
+                if (name === "set-cookie") {
+                    for (var value of values) {
+                        yield [name, value];
+                    }
+                } else {
+                    yield [name, values.join(", ")];
+                }
+            }
+        }
+
+        *keys() {
+            for (var [name] of this) {
+                yield name;
+            }
+        }
+
+        *values() {
+            for (var [, value] of this) {
+                yield value;
+            }
+        }
+
+        [Symbol.iterator]() {
+            return this.entries();
+        }
+    }
+
+    // MARK: Body
+
+    var setContent;
+
+    // The body-reading half shared by Request and Response. Bodies are held in memory, as text or bytes.
+    class Body {
+        #content
+        #used = false
+
+        static {
+            setContent = (body, content) => {
+                body.#content = content;
+            };
+        }
+
+        constructor(content) {
+            this.#content = content;
+        }
+
+        get bodyUsed() {
+            return this.#used;
+        }
+
+        _peekContent() {
+            return this.#content;
+        }
+
+        #consume() {
+            if (this.#used) {
+                return Promise.reject(new TypeError("Body has already been consumed"));
+            }
+            this.#used = true;
+            return Promise.resolve(this.#content);
+        }
+
+        text() {
+            return this.#consume().then(content => {
+                if (!content) {
+                    return "";
+                }
+                return content.text !== undefined ? content.text : decoder.decode(content.bytes);
+            });
+        }
+
+        json() {
+            return this.text().then(text => JSON.parse(text));
+        }
+
+        bytes() {
+            return this.#consume().then(content => {
+                if (!content) {
+                    return new Uint8Array(0);
+                }
+                if (content.bytes) {
+                    return content.bytes.slice();
+                }
+                if (content.base64 !== undefined) {
+                    return base64ToBytes(content.base64);
+                }
+                return encoder.encode(content.text);
+            });
+        }
+
+        arrayBuffer() {
+            return this.bytes().then(bytes => bytes.buffer);
+        }
+    }
+
+    // MARK: Request
+
+    var METHODS = ["DELETE", "GET", "HEAD", "OPTIONS", "POST", "PUT", "PATCH"];
+
+    class Request extends Body {
+        #url
+        #method
+        #headers
+        #redirect
+        #signal
+
+        constructor(input, init) {
+            init = init || {};
+            var source = input instanceof Request ? input : null;
+            var extracted = extractBody(init.body !== undefined ? init.body : null);
+            var content = init.body !== undefined ? extracted.content : (source ? source._peekContent() : null);
+            super(content);
+
+            this.#url = source ? source.url : String(input);
+            if (init.searchParams !== undefined && init.searchParams !== null) {
+                var query = new URLSearchParams(init.searchParams).toString();
+                if (query) {
+                    this.#url += (this.#url.includes("?") ? "&" : "?") + query;
+                }
+            }
+
+            var method = String(init.method || (source ? source.method : "GET"));
+            this.#method = METHODS.includes(method.toUpperCase()) ? method.toUpperCase() : method;
+            if (content && (this.#method === "GET" || this.#method === "HEAD")) {
+                throw new TypeError("Request: A " + this.#method + " request cannot have a body");
+            }
+
+            this.#headers = new Headers(init.headers !== undefined ? init.headers : (source ? source.headers : undefined));
+            if (extracted.type && !this.#headers.has("Content-Type")) {
+                this.#headers.set("Content-Type", extracted.type);
+            }
+
+            this.#redirect = init.redirect || (source ? source.redirect : "follow");
+            if (!["follow", "error", "manual"].includes(this.#redirect)) {
+                throw new TypeError("Request: redirect must be 'follow', 'error' or 'manual'");
+            }
+
+            this.#signal = init.signal || (source ? source.signal : new AbortController().signal);
+        }
+
+        get url() {
+            return this.#url;
+        }
+
+        get method() {
+            return this.#method;
+        }
+
+        get headers() {
+            return this.#headers;
+        }
+
+        get redirect() {
+            return this.#redirect;
+        }
+
+        get signal() {
+            return this.#signal;
+        }
+
+        clone() {
+            if (this.bodyUsed) {
+                throw new TypeError("Request: Cannot clone a request whose body has been consumed");
+            }
+            return new Request(this);
+        }
+    }
+
+    // MARK: Response
+
+    var makeResponse;
+
+    class Response extends Body {
+        #status
+        #statusText
+        #headers
+        #url = ""
+        #redirected = false
+        #type = "default"
+
+        static {
+            // Lets fetch() fill in the properties that only a real network response has
+            makeResponse = (content, init, url, redirected) => {
+                var response = new Response(null, init);
+                setContent(response, content);
+                response.#url = url;
+                response.#redirected = redirected;
+                response.#type = "basic";
+                return response;
+            };
+        }
+
+        constructor(body, init) {
+            init = init || {};
+            var extracted = extractBody(body);
+            super(extracted.content);
+
+            this.#status = init.status === undefined ? 200 : Number(init.status);
+            if (!(this.#status >= 200 && this.#status <= 599) && this.#status !== 0) {
+                throw new RangeError("Response: status must be between 200 and 599, got " + init.status);
+            }
+            this.#statusText = init.statusText === undefined ? "" : String(init.statusText);
+            this.#headers = new Headers(init.headers);
+            if (extracted.type && !this.#headers.has("Content-Type")) {
+                this.#headers.set("Content-Type", extracted.type);
+            }
+        }
+
+        get status() {
+            return this.#status;
+        }
+
+        get statusText() {
+            return this.#statusText;
+        }
+
+        get ok() {
+            return this.#status >= 200 && this.#status <= 299;
+        }
+
+        get headers() {
+            return this.#headers;
+        }
+
+        get url() {
+            return this.#url;
+        }
+
+        get redirected() {
+            return this.#redirected;
+        }
+
+        get type() {
+            return this.#type;
+        }
+
+        clone() {
+            if (this.bodyUsed) {
+                throw new TypeError("Response: Cannot clone a response whose body has been consumed");
+            }
+            var init = { status: this.#status, statusText: this.#statusText, headers: this.#headers };
+            return makeResponse(this._peekContent(), init, this.#url, this.#redirected);
+        }
+
+        static json(data, init) {
+            init = Object.assign({}, init);
+            var headers = new Headers(init.headers);
+            if (!headers.has("Content-Type")) {
+                headers.set("Content-Type", "application/json");
+            }
+            init.headers = headers;
+            return new Response(JSON.stringify(data), init);
+        }
+
+        static redirect(url, status) {
+            status = status === undefined ? 302 : status;
+            if (![301, 302, 303, 307, 308].includes(status)) {
+                throw new RangeError("Response.redirect: Invalid redirect status " + status);
+            }
+            return new Response(null, { status: status, headers: { Location: String(url) } });
+        }
+
+        static error() {
+            return new Response(null, { status: 0 });
+        }
+    }
+
+    // MARK: fetch
+
+    global.fetch = function (input, init) {
+        return new Promise((resolve, reject) => {
+            var request = new Request(input, init);
+            var signal = request.signal;
+            var timer = null;
+            var follow = null;
+            if (init && init.timeout !== undefined && init.timeout !== null) {
+                // Like AbortSignal.any(), but the listener on the request's signal is removed when the request settles,
+                // so a signal shared by many requests doesn't collect one for each of them
+                var combined = new AbortController();
+                timer = setTimeout(() => combined.abort(new TimeoutError()), init.timeout);
+                if (signal.aborted) {
+                    combined.abort(signal.reason);
+                } else {
+                    follow = () => combined.abort(request.signal.reason);
+                    signal.addEventListener('abort', follow);
+                }
+                signal = combined.signal;
+            }
+
+            var content = request._peekContent();
+            var options = {
+                method: request.method,
+                headers: Array.from(request.headers),
+                redirect: request.redirect,
+                signal: signal,
+            };
+            if (content && content.bytes) {
+                options.bodyBase64 = bytesToBase64(content.bytes);
+            } else if (content) {
+                options.body = content.text;
+            }
+
+            hs.http._fetch(request.url, options).then(raw => {
+                if (request.redirect === "error" && raw.status >= 300 && raw.status <= 399) {
+                    throw new TypeError("fetch(): Redirected to a new location, and redirect is 'error'");
+                }
+                var init = { status: raw.status, headers: raw.headers };
+                var content = request.method === "HEAD" ? null : { text: raw.body, base64: raw.bodyBase64 };
+                resolve(makeResponse(content, init, raw.url, raw.redirected));
+            }).catch(error => {
+                // Native failures arrive as message strings; aborts arrive as the signal's reason and pass through as-is
+                reject(typeof error === 'string' ? new TypeError("fetch(): " + error) : error);
+            }).finally(() => {
+                clearTimeout(timer);
+                if (follow) {
+                    request.signal.removeEventListener('abort', follow);
+                }
+            });
+        });
+    };
+
+    global.Headers = Headers;
+    global.Request = Request;
+    global.Response = Response;
+})(globalThis);
+
+// MARK: - require()
+// A CommonJS module system. The native ModuleLoader (installed as __hs_moduleLoader by RequireInstaller) finds, reads
+// and compiles files; the module wrapper, the cache and cycle handling live here.
+// Each module gets its own require(), which resolves "./" and "../" relative to the module's own directory. The global
+// require() resolves them relative to the config directory. Bare names are always resolved relative to the config directory.
+var require = (function (loader) {
+    var cache = {};
+
+    function dirname(filename) {
+        var idx = filename.lastIndexOf('/');
+        return idx > 0 ? filename.substring(0, idx) : '/';
+    }
+
+    function load(filename) {
+        // A module that is still loading is returned as-is, so cyclic requires see its partially populated exports
+        if (cache[filename]) {
+            return cache[filename];
+        }
+
+        var module = {
+            id: filename,
+            filename: filename,
+            exports: {},
+            loaded: false
+        };
+        cache[filename] = module;
+
+        try {
+            var source = loader.read(filename);
+            if (typeof source !== 'string') {
+                throw new Error("require(): Unable to read " + filename);
+            }
+
+            if (/\.json$/i.test(filename)) {
+                try {
+                    module.exports = JSON.parse(source);
+                } catch (e) {
+                    throw new SyntaxError("require(): " + filename + ": " + e.message);
+                }
+            } else {
+                var moduleDirectory = dirname(filename);
+                var wrapper = loader.compile(source, filename);
+                wrapper.call(module.exports, module.exports, makeRequire(moduleDirectory), module, filename, moduleDirectory);
+            }
+        } catch (e) {
+            // Don't leave a half-loaded module in the cache, so a fixed file can be required again
+            delete cache[filename];
+            throw e;
+        }
+
+        module.loaded = true;
+        return module;
+    }
+
+    function makeRequire(baseDirectory) {
+        var localRequire = function (request) {
+            return load(localRequire.resolve(request)).exports;
+        };
+
+        localRequire.resolve = function (request) {
+            if (typeof request !== 'string' || request.length === 0) {
+                throw new TypeError("require(): The module path must be a non-empty string");
+            }
+
+            var filename = loader.resolve(request, baseDirectory);
+            if (!filename) {
+                throw new Error("require(): Cannot find module '" + request + "' from " + baseDirectory);
+            }
+            return filename;
+        };
+
+        // Shared by every require() function, keyed by resolved path
+        localRequire.cache = cache;
+
+        return localRequire;
+    }
+
+    return makeRequire(loader.baseDirectory);
+})(__hs_moduleLoader);
+
+delete globalThis.__hs_moduleLoader;
@@ -145,7 +145,7 @@ import UniformTypeIdentifiers
     /// SKIP_DOCS
     @objc func _removeWatcher()
 
-    /// Swift-retained storage for the JS ApplicationModuleWatcherEmitter instance
+    /// Swift-retained storage for the JS WatcherEmitter instance
     /// SKIP_DOCS
     @objc var _watcherEmitter: JSFunction? { get set }
 }
@@ -186,7 +186,7 @@ class HSApplicationWatcherObject {
     let engineID: UUID
     private var watcher: HSApplicationWatcherObject? = nil
 
-    // Swift-retained storage for the JS-defined ApplicationModuleWatcherEmitter instance
+    // Swift-retained storage for the JS-defined WatcherEmitter instance
     @objc var _watcherEmitter: JSFunction? = nil
 
     // MARK: - Module lifecycle
@@ -439,13 +439,16 @@ private func caDataSourceName(_ objectID: AudioObjectID,
     /// - `"dsout"` — output data source changed
     /// - `"dsin"` — input data source changed
     ///
-    /// - Parameter listener: {(event: string) => void} A JavaScript function that receives an event name string
+    /// - Parameters:
+    ///   - listener: {(event: string) => void} A JavaScript function that receives an event name string
+    ///   - options?: { {coalesce?: number} } An object with `coalesce`, a number of seconds. Events are collected for that long after the first one, then the listener is called once with an array of them, each an array of the event's arguments
     /// - Example:
     /// ```js
     /// const dev = hs.audiodevice.defaultOutputDevice()
     /// dev.addWatcher((event) => console.log("Event:", event))
     /// ```
-    @objc func addWatcher(_ listener: JSFunction)
+    @objc(addWatcher::)
+    func addWatcher(_ listener: JSFunction, _ options: JSValue?)
 
     /// Remove a previously registered per-device listener.
     ///
@@ -463,7 +466,7 @@ private func caDataSourceName(_ objectID: AudioObjectID,
     /// SKIP_DOCS
     @objc(_removeWatcher) func _removeWatcher()
 
-    /// Swift-retained storage for the JS AudioDeviceWatcherEmitter instance
+    /// Swift-retained storage for the JS WatcherEmitter instance
     /// SKIP_DOCS
     @objc var _watcherEmitter: JSFunction? { get set }
 }
@@ -693,13 +696,13 @@ private func caDataSourceName(_ objectID: AudioObjectID,
     // Strong self-reference to keep the device alive while any watcher is active.
     private var selfRetain: HSAudioDevice? = nil
 
-    @objc func addWatcher(_ listener: JSFunction) {
+    @objc func addWatcher(_ listener: JSFunction, _ options: JSValue?) {
         if _watcherEmitter == nil {
             guard let ctx = JSContext.current() else { return }
             let audiodevice = ctx.objectForKeyedSubscript("hs")?.objectForKeyedSubscript("audiodevice")
             _watcherEmitter = audiodevice?.invokeMethod("_makeDeviceEmitter", withArguments: [self])
         }
-        _watcherEmitter?.invokeMethod("on", withArguments: [listener])
+        _watcherEmitter?.invokeMethod("on", withArguments: [listener] + [options].compactMap { $0 })
     }
 
     @objc func removeWatcher(_ listener: JSFunction) {
@@ -115,14 +115,17 @@ import JavaScriptCore
     /// - `"dev+"` — an audio device was added
     /// - `"dev-"` — an audio device was removed
     ///
-    /// - Parameter listener: {(event: string) => void} A JavaScript function that receives the event name string
+    /// - Parameters:
+    ///   - listener: {(event: string) => void} A JavaScript function that receives the event name string
+    ///   - options?: { {coalesce?: number} } An object with `coalesce`, a number of seconds. Events are collected for that long after the first one, then the listener is called once with an array of them, each an array of the event's arguments
     /// - Example:
     /// ```js
     /// hs.audiodevice.addWatcher((event) => {
     ///     if (event === "dOut") console.log("Default output changed")
     /// })
     /// ```
-    @objc func addWatcher(_ listener: JSFunction)
+    @objc(addWatcher::)
+    func addWatcher(_ listener: JSFunction, _ options: JSValue?)
 
     /// Remove a previously registered system-level listener.
     ///
@@ -139,7 +142,7 @@ import JavaScriptCore
     /// SKIP_DOCS
     @objc(_removeWatcher) func _removeWatcher()
 
-    /// Swift-retained storage for the JS AudioDeviceModuleWatcherEmitter instance
+    /// Swift-retained storage for the JS WatcherEmitter instance
     /// SKIP_DOCS
     @objc var _watcherEmitter: JSFunction? { get set }
 }
@@ -207,8 +210,8 @@ import JavaScriptCore
     private var moduleRegistrations: [String: (address: AudioObjectPropertyAddress, block: AudioObjectPropertyListenerBlock)] = unsafe [:]
     private var previousDeviceIDs: Set<AudioObjectID> = []
 
-    @objc func addWatcher(_ listener: JSFunction) {
-        _watcherEmitter?.invokeMethod("on", withArguments: [listener])
+    @objc func addWatcher(_ listener: JSFunction, _ options: JSValue?) {
+        _watcherEmitter?.invokeMethod("on", withArguments: [listener] + [options].compactMap { $0 })
     }
 
     @objc func removeWatcher(_ listener: JSFunction) {
@@ -86,14 +86,21 @@ import AXSwift
     ///   - application: An HSApplication object
     ///   - notification: An event name
     ///   - listener: {(notification: string, element: HSAXElement) => void} A function called with the notification name and the accessibility element it applies to
+    ///   - options?: { {coalesce?: number} } An object with `coalesce`, a number of seconds. Events are collected for that long after the first one, then the listener is called once with an array of them, each an array of the event's arguments
     /// - Example:
     /// ```js
     /// const app = hs.application.frontmost()
     /// hs.ax.addWatcher(app, "AXWindowCreated", (notification, element) => {
     ///     console.log("New window:", element.title)
     /// })
+    ///
+    /// // Handle a burst of moves once, after they settle
+    /// hs.ax.addWatcher(app, "AXWindowMoved", (events) => {
+    ///     console.log(events.length + " moves")
+    /// }, { coalesce: 0.5 })
     /// ```
-    @objc func addWatcher(_ application: HSApplication, _ notification: String, _ listener: JSFunction)
+    @objc(addWatcher::::)
+    func addWatcher(_ application: HSApplication, _ notification: String, _ listener: JSFunction, _ options: JSValue?)
 
     /// Remove a watcher for application AX events
     /// - Parameters:
@@ -157,7 +164,7 @@ import AXSwift
     /// SKIP_DOCS
     @objc(_removeWatcher::) func _removeWatcher(_ application: HSApplication, notification: String)
 
-    /// Swift-retained storage for the JS AXModuleWatcherEmitter instance
+    /// Swift-retained storage for the JS WatcherEmitter instance
     /// SKIP_DOCS
     @objc var _watcherEmitter: JSFunction? { get set }
 }
@@ -288,8 +295,8 @@ import AXSwift
         return "\(pid):\(notification)"
     }
 
-    @objc func addWatcher(_ application: HSApplication, _ notification: String, _ listener: JSFunction) {
-        _watcherEmitter?.invokeMethod("on", withArguments: [application, notification, listener])
+    @objc func addWatcher(_ application: HSApplication, _ notification: String, _ listener: JSFunction, _ options: JSValue?) {
+        _watcherEmitter?.invokeMethod("on", withArguments: [application, notification, listener] + [options].compactMap { $0 })
     }
 
     @objc func removeWatcher(_ application: HSApplication, _ notification: String, _ listener: JSFunction) {
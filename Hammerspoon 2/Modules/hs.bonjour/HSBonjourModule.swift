@@ -127,6 +127,7 @@ import dnssd
     /// results for up to `timeout` seconds (or until the browser signals no more
     /// results), then resolves.
     /// - Parameter timeout: maximum seconds to wait (pass `0` to use the default 5 s)
+    /// - Parameter options?: { {signal?: AbortSignal} } Optional object. `signal`: an `AbortSignal` that stops the search early and rejects with the signal's reason
     /// - Returns: {Promise<string[]>} a Promise resolving to an array of service-type strings such as `"_http._tcp."`
     /// - Example:
     /// ```js
@@ -134,7 +135,7 @@ import dnssd
     ///     console.log('Active service types: ' + types.join(', '))
     /// })
     /// ```
-    @objc func networkServices(_ timeout: Double) -> JSPromise?
+    @objc func networkServices(_ timeout: Double, _ options: JSValue?) -> JSPromise?
 }
 
 // MARK: - Module implementation
@@ -200,6 +201,7 @@ import dnssd
     @objc func createSearch() -> HSBonjourSearch {
         let search = HSBonjourSearch()
         searches.add(search)
+        HSScope.track(search)
         AKDebug("HSBonjourModule: Created search \(search.identifier)")
         return search
     }
@@ -237,11 +239,11 @@ import dnssd
         AKTrace("hs.bonjour.stopAdvertising: Stopped advertising '\(name)' (\(type))")
     }
 
-    @objc func networkServices(_ timeout: Double) -> JSPromise? {
+    @objc func networkServices(_ timeout: Double, _ options: JSValue?) -> JSPromise? {
         guard let context = JSContext.current() else { return nil }
         let waitSeconds = timeout > 0 ? timeout : 5.0
-        return wrapAsyncInJSPromise(in: context) { holder in
-            Task { @MainActor in
+        return wrapAsyncInJSPromise(in: context, signal: abortSignal(in: options)) { holder in
+            let task = Task { @MainActor in
                 // NSMutableSet is an ObjC reference type that can be passed through the
                 // @convention(c) callback's context pointer without a custom wrapper class.
                 // The meta-query splits the service type across two callback parameters:
@@ -273,6 +275,7 @@ import dnssd
                 }
                 unsafe DNSServiceSetDispatchQueue(sdRef, .main)
 
+                // Aborting cancels this task, which ends the sleep early so the browse is torn down below
                 try? await Task.sleep(for: .seconds(waitSeconds))
 
                 unsafe DNSServiceRefDeallocate(sdRef)
@@ -280,6 +283,7 @@ import dnssd
                 let result = unsafe Unmanaged<NSMutableSet>.fromOpaque(ctxPtr).takeRetainedValue()
                 holder.resolveWith(result.allObjects as! [String])
             }
+            holder.onAbort { task.cancel() }
         }
     }
 }
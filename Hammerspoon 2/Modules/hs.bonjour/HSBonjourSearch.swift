@@ -275,3 +275,11 @@ import JavaScriptCore
         AKTrace("HSBonjourSearch(\(identifier)): Search stopped")
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSBonjourSearch: HSDisposable {
+    func dispose() {
+        destroy()
+    }
+}
@@ -264,3 +264,11 @@ import CoreGraphics
         return unsafe Unmanaged.passRetained(wrapper.cgEvent)
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSEventTap: HSDisposable {
+    func dispose() {
+        destroy()
+    }
+}
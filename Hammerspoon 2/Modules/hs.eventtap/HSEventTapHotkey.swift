@@ -191,3 +191,11 @@ protocol EventTapHotkeyCoordinator: AnyObject {
         }
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSEventTapHotkey: HSDisposable {
+    func dispose() {
+        destroy()
+    }
+}
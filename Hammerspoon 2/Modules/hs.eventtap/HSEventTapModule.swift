@@ -509,6 +509,7 @@ import AppKit
         let tap = HSEventTap(eventMask: mask, listenOnly: listenOnly)
         _ = tap.setCallback(callback)
         taps.append(tap)
+        HSScope.track(tap)
         return tap
     }
 
@@ -768,6 +769,7 @@ import AppKit
         }
 
         allTapHotkeys.add(hotkey)
+        HSScope.track(hotkey)
         return hotkey
     }
 
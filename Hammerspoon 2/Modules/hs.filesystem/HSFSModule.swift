@@ -1211,6 +1211,7 @@ import UniformTypeIdentifiers
     @objc func addVolumeWatcher() -> HSVolumeWatcher {
         let watcher = HSVolumeWatcher()
         volumeWatchers.add(watcher)
+        HSScope.track(watcher)
         return watcher
     }
 
@@ -1224,6 +1225,7 @@ import UniformTypeIdentifiers
     @objc func createPathWatcher(_ path: String) -> HSPathWatcher {
         let watcher = HSPathWatcher(path: expand(path))
         pathWatchers.add(watcher)
+        HSScope.track(watcher)
         return watcher
     }
 
@@ -118,6 +118,9 @@ import CoreServices
     private var selfRetain: HSPathWatcher?
     private let latency: CFTimeInterval = 1.0
 
+    /// Called alongside the JavaScript callback, for native code that builds on path watchers (e.g. hs.autoReload())
+    var handler: (([String], [[String]]) -> Void)?
+
     init(path: String) {
         self.watchedPath = path
         super.init()
@@ -199,10 +202,12 @@ import CoreServices
         _ = stop()
         callback?.detach(from: self)
         callback = nil
+        handler = nil
     }
 
     // Called from the C callback — always on DispatchQueue.main.
     func fire(paths: [String], flagsPerPath: [[String]]) {
+        handler?(paths, flagsPerPath)
         _ = callback?.value?.call(withArguments: [paths, flagsPerPath])
     }
 }
@@ -263,3 +268,11 @@ private func parseFSEventFlags(_ flags: FSEventStreamEventFlags) -> [String] {
     if has(kFSEventStreamEventFlagItemCloned)         { result.append("itemCloned") }
     return result
 }
+
+// MARK: - HSDisposable
+
+extension HSPathWatcher: HSDisposable {
+    func dispose() {
+        destroy()
+    }
+}
@@ -200,3 +200,11 @@ import AppKit
         return info
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSVolumeWatcher: HSDisposable {
+    func dispose() {
+        destroy()
+    }
+}
@@ -267,3 +267,11 @@ private extension NSString {
         return result
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSHotkey: HSDisposable {
+    func dispose() {
+        destroy()
+    }
+}
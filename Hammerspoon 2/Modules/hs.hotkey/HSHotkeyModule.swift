@@ -155,6 +155,7 @@ import Carbon
         }
 
         activeHotkeys.add(hotkey)
+        HSScope.track(hotkey)
         return hotkey
     }
 
@@ -186,6 +187,7 @@ import Carbon
         )
 
         activeHotkeys.add(hotkey)
+        HSScope.track(hotkey)
         return hotkey
     }
 
@@ -1,6 +1,7 @@
 "use strict";
 
 /// Create a new modal hotkey group, optionally entered via a trigger key combination
+/// Modals log through `hs.logger` as "hs.hotkey". Use `hs.logger.setLevel("hs.hotkey", "verbose")` to trace what they are doing
 /// Parameters:
 ///  - mods: Modifier keys for the trigger hotkey (e.g. ["cmd", "shift"]), or an empty array for no trigger
 ///  - key: Key name for the trigger hotkey (e.g. "h"), or an empty string for no trigger
@@ -14,6 +15,9 @@
 /// m.bind([], 'escape', () => m.exit(), null)
 /// ```
 hs.hotkey.createModal = function(mods, key) {
+    const log = hs.logger.create("hs.hotkey");
+    const describe = (mods, key) => [].concat(mods, key).join("+");
+
     const modal = {
         _hotkeys: [],
         _trigger: null,
@@ -24,6 +28,7 @@ hs.hotkey.createModal = function(mods, key) {
         bind(mods, key, callbackPressed, callbackReleased) {
             const hk = hs.hotkey.create(mods, key, callbackPressed, callbackReleased);
             if (!hk) return this;
+            log.verbose("modal bound " + describe(mods, key));
             this._hotkeys.push(hk);
             if (this.isActive) hk.enable();
             return this;
@@ -35,9 +40,9 @@ hs.hotkey.createModal = function(mods, key) {
             if (this._trigger) this._trigger.disable();
             for (const hk of this._hotkeys) hk.enable();
             if (typeof this.enterFn === 'function') {
-                try { this.enterFn(); } catch(e) { console.error("hs.hotkey modal enterFn error: " + e); }
+                try { this.enterFn(); } catch(e) { log.error("modal enterFn error: " + e); }
             }
-            console.debug("hs.hotkey: modal entered")
+            log.debug("modal entered");
             return this;
         },
 
@@ -47,13 +52,14 @@ hs.hotkey.createModal = function(mods, key) {
             for (const hk of this._hotkeys) hk.disable();
             if (this._trigger) this._trigger.enable();
             if (typeof this.exitFn === 'function') {
-                try { this.exitFn(); } catch(e) { console.error("hs.hotkey modal exitFn error: " + e); }
+                try { this.exitFn(); } catch(e) { log.error("modal exitFn error: " + e); }
             }
-            console.debug("hs.hotkey: modal exited")
+            log.debug("modal exited");
             return this;
         },
 
         destroy() {
+            log.verbose("modal destroyed");
             this.isActive = false;
             for (const hk of this._hotkeys) hk.destroy();
             this._hotkeys = [];
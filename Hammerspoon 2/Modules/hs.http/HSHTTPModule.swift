@@ -11,6 +11,10 @@ import JavaScriptCore
 /// `status` (number), `body` (string), and `headers` (object). On network failure,
 /// `status` is -1 and `body` is an empty string.
 ///
+/// Every request method takes an optional final `options` object. Its `signal` property may be an
+/// `AbortSignal`: aborting it cancels the request and rejects the Promise with the signal's reason
+/// (an `AbortError` by default).
+///
 /// ## Quick start
 ///
 /// ```js
@@ -25,34 +29,44 @@ import JavaScriptCore
     /// Perform an HTTP GET request.
     /// - Parameter url: The URL to request.
     /// - Parameter headers?: Optional dictionary of request headers.
-    /// - Returns: {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response.
+    /// - Parameter options?: { {signal?: AbortSignal} } Optional object. `signal`: an `AbortSignal` that cancels the request.
+    /// - Returns: {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response, or rejects with the signal's reason if aborted.
     /// - Example:
     /// ```js
     /// hs.http.get("https://httpbin.org/get").then(r => console.log(r.status))
     /// ```
-    @objc func get(_ url: String, _ headers: [String: String]?) -> JSPromise?
+    /// - Example:
+    /// ```js
+    /// const controller = new AbortController()
+    /// hs.http.get("https://httpbin.org/delay/10", null, { signal: controller.signal })
+    ///     .catch(err => console.log(err.name))  // "AbortError"
+    /// controller.abort()
+    /// ```
+    @objc func get(_ url: String, _ headers: [String: String]?, _ options: JSValue?) -> JSPromise?
 
     /// Perform an HTTP POST request.
     /// - Parameter url: The URL to request.
     /// - Parameter body?: Optional request body string.
     /// - Parameter headers?: Optional dictionary of request headers.
-    /// - Returns: {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response.
+    /// - Parameter options?: { {signal?: AbortSignal} } Optional object. `signal`: an `AbortSignal` that cancels the request.
+    /// - Returns: {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response, or rejects with the signal's reason if aborted.
     /// - Example:
     /// ```js
     /// hs.http.post("https://httpbin.org/post", '{"key":"val"}', {"Content-Type": "application/json"}).then(r => console.log(r.status))
     /// ```
-    @objc func post(_ url: String, _ body: String?, _ headers: [String: String]?) -> JSPromise?
+    @objc func post(_ url: String, _ body: String?, _ headers: [String: String]?, _ options: JSValue?) -> JSPromise?
 
     /// Perform an HTTP PUT request.
     /// - Parameter url: The URL to request.
     /// - Parameter body?: Optional request body string.
     /// - Parameter headers?: Optional dictionary of request headers.
-    /// - Returns: {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response.
+    /// - Parameter options?: { {signal?: AbortSignal} } Optional object. `signal`: an `AbortSignal` that cancels the request.
+    /// - Returns: {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response, or rejects with the signal's reason if aborted.
     /// - Example:
     /// ```js
     /// hs.http.put("https://httpbin.org/put", "updated data", null).then(r => console.log(r.status))
     /// ```
-    @objc func put(_ url: String, _ body: String?, _ headers: [String: String]?) -> JSPromise?
+    @objc func put(_ url: String, _ body: String?, _ headers: [String: String]?, _ options: JSValue?) -> JSPromise?
 
     /// Perform an HTTP request with any method (GET, POST, PUT, DELETE, PATCH, etc.).
     ///
@@ -62,12 +76,13 @@ import JavaScriptCore
     /// - Parameter method: The HTTP method string (e.g. "DELETE", "PATCH", "HEAD").
     /// - Parameter body?: Optional request body string.
     /// - Parameter headers?: Optional dictionary of request headers.
-    /// - Returns: {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response.
+    /// - Parameter options?: { {signal?: AbortSignal} } Optional object. `signal`: an `AbortSignal` that cancels the request.
+    /// - Returns: {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response, or rejects with the signal's reason if aborted.
     /// - Example:
     /// ```js
     /// hs.http.doRequest("https://httpbin.org/delete", "DELETE", null, null).then(r => console.log(r.status))
     /// ```
-    @objc func doRequest(_ url: String, _ method: String, _ body: String?, _ headers: [String: String]?) -> JSPromise?
+    @objc func doRequest(_ url: String, _ method: String, _ body: String?, _ headers: [String: String]?, _ options: JSValue?) -> JSPromise?
 
     /// URL-encode a string for use as a query parameter value.
     ///
@@ -88,6 +103,8 @@ import JavaScriptCore
     /// Returns an object containing only the fields present in the URL. The `queryItems` field
     /// is an array of `{name, value}` objects from the query string.
     ///
+    /// To modify a URL, or resolve one relative to another, use the global `URL` class.
+    ///
     /// - Parameter url: The URL string to parse.
     /// - Returns: An object with any of the fields: `scheme`, `host`, `port`, `user`, `password`, `path`, `query`, `fragment`, `queryItems`. Returns `null` if the URL is unparseable.
     /// - Example:
@@ -128,6 +145,40 @@ import JavaScriptCore
     ///     .setCloseCallback((code, reason) => console.log("Closed: " + code))
     /// ```
     @objc func openWebSocket(_ url: String) -> HSWebSocket?
+
+    // NOTE: Private API consumed only by fetch() in engine.js
+    /// SKIP_DOCS
+    @objc func _fetch(_ url: String, _ options: JSValue?) -> JSPromise?
+}
+
+// MARK: - Redirect policy
+
+// Used as the per-request delegate for fetch(), whose redirect option can ask for redirects not to be followed.
+// Returning nil from the redirect callback completes the request with the 3xx response itself.
+private final class RedirectPolicyDelegate: NSObject, URLSessionTaskDelegate {
+    let followRedirects: Bool
+
+    // nonisolated(unsafe): written only from the task's own delegate callbacks, which URLSession serialises,
+    // and read only after the request has completed.
+    nonisolated(unsafe) var redirected = false
+
+    init(followRedirects: Bool) {
+        self.followRedirects = followRedirects
+        super.init()
+    }
+
+    func urlSession(
+        _ session: URLSession,
+        task: URLSessionTask,
+        willPerformHTTPRedirection response: HTTPURLResponse,
+        newRequest request: URLRequest,
+        completionHandler: @escaping (URLRequest?) -> Void
+    ) {
+        if followRedirects {
+            unsafe redirected = true
+        }
+        completionHandler(followRedirects ? request : nil)
+    }
 }
 
 // MARK: - Implementation
@@ -161,14 +212,15 @@ import JavaScriptCore
         method: String,
         body: String?,
         headers: [String: String]?,
+        signal: JSValue?,
         context: JSContext
     ) -> JSPromise? {
         guard let url = URL(string: urlString) else {
             return context.createRejectedPromise(with: "Invalid URL: \(urlString)")
         }
 
-        return wrapAsyncInJSPromise(in: context) { holder in
-            Task { @MainActor in
+        return wrapAsyncInJSPromise(in: context, signal: signal) { holder in
+            let task = Task { @MainActor in
                 var request = URLRequest(url: url)
                 request.httpMethod = method
                 if let body {
@@ -193,6 +245,8 @@ import JavaScriptCore
                         "headers": responseHeaders
                     ] as [String: Any])
                 } catch {
+                    // Cancelled by an AbortSignal; the promise has already been rejected
+                    guard !holder.isAborted else { return }
                     AKWarning("hs.http: \(method) \(urlString) failed: \(error.localizedDescription)")
                     holder.resolveWith([
                         "status": -1,
@@ -201,29 +255,85 @@ import JavaScriptCore
                     ] as [String: Any])
                 }
             }
+            holder.onAbort { task.cancel() }
         }
     }
 
     // MARK: - HSHTTPModuleAPI
 
-    @objc func get(_ url: String, _ headers: [String: String]?) -> JSPromise? {
+    @objc func get(_ url: String, _ headers: [String: String]?, _ options: JSValue?) -> JSPromise? {
         guard let context = JSContext.current() else { return nil }
-        return performRequest(urlString: url, method: "GET", body: nil, headers: headers, context: context)
+        return performRequest(urlString: url, method: "GET", body: nil, headers: headers, signal: abortSignal(in: options), context: context)
     }
 
-    @objc func post(_ url: String, _ body: String?, _ headers: [String: String]?) -> JSPromise? {
+    @objc func post(_ url: String, _ body: String?, _ headers: [String: String]?, _ options: JSValue?) -> JSPromise? {
         guard let context = JSContext.current() else { return nil }
-        return performRequest(urlString: url, method: "POST", body: body, headers: headers, context: context)
+        return performRequest(urlString: url, method: "POST", body: body, headers: headers, signal: abortSignal(in: options), context: context)
     }
 
-    @objc func put(_ url: String, _ body: String?, _ headers: [String: String]?) -> JSPromise? {
+    @objc func put(_ url: String, _ body: String?, _ headers: [String: String]?, _ options: JSValue?) -> JSPromise? {
         guard let context = JSContext.current() else { return nil }
-        return performRequest(urlString: url, method: "PUT", body: body, headers: headers, context: context)
+        return performRequest(urlString: url, method: "PUT", body: body, headers: headers, signal: abortSignal(in: options), context: context)
     }
 
-    @objc func doRequest(_ url: String, _ method: String, _ body: String?, _ headers: [String: String]?) -> JSPromise? {
+    @objc func doRequest(_ url: String, _ method: String, _ body: String?, _ headers: [String: String]?, _ options: JSValue?) -> JSPromise? {
         guard let context = JSContext.current() else { return nil }
-        return performRequest(urlString: url, method: method, body: body, headers: headers, context: context)
+        return performRequest(urlString: url, method: method, body: body, headers: headers, signal: abortSignal(in: options), context: context)
+    }
+
+    @objc func _fetch(_ urlString: String, _ options: JSValue?) -> JSPromise? {
+        guard let context = JSContext.current() else { return nil }
+        guard let url = URL(string: urlString), url.scheme != nil else {
+            return context.createRejectedPromise(with: "Invalid URL: \(urlString)")
+        }
+
+        func option(_ name: String) -> JSValue? {
+            guard let options, options.isObject, let value = options.forProperty(name),
+                  !value.isUndefined, !value.isNull else { return nil }
+            return value
+        }
+
+        var request = URLRequest(url: url)
+        request.httpMethod = option("method")?.toString() ?? "GET"
+        // Headers arrive as [name, value] pairs so that repeated headers survive the bridge
+        for pair in option("headers")?.toArray() as? [[String]] ?? [] where pair.count == 2 {
+            request.addValue(pair[1], forHTTPHeaderField: pair[0])
+        }
+        if let base64 = option("bodyBase64")?.toString() {
+            request.httpBody = Data(base64Encoded: base64)
+        } else if let body = option("body")?.toString() {
+            request.httpBody = Data(body.utf8)
+        }
+        let delegate = RedirectPolicyDelegate(followRedirects: (option("redirect")?.toString() ?? "follow") == "follow")
+
+        return wrapAsyncInJSPromise(in: context, signal: abortSignal(in: options)) { holder in
+            let task = Task { @MainActor in
+                do {
+                    let (data, response) = try await URLSession.shared.data(for: request, delegate: delegate)
+                    let httpResponse = response as? HTTPURLResponse
+                    let status = httpResponse?.statusCode ?? 200
+                    var headers: [[String]] = []
+                    httpResponse?.allHeaderFields.forEach { k, v in
+                        if let key = k as? String, let val = v as? String {
+                            headers.append([key, val])
+                        }
+                    }
+                    holder.resolveWith([
+                        "status": status,
+                        "url": response.url?.absoluteString ?? urlString,
+                        "redirected": unsafe delegate.redirected,
+                        "headers": headers,
+                        "body": String(decoding: data, as: UTF8.self),
+                        "bodyBase64": data.base64EncodedString(),
+                    ] as [String: Any])
+                } catch {
+                    // Cancelled by an AbortSignal; the promise has already been rejected
+                    guard !holder.isAborted else { return }
+                    holder.rejectWithMessage(error.localizedDescription)
+                }
+            }
+            holder.onAbort { task.cancel() }
+        }
     }
 
     @objc func openWebSocket(_ url: String) -> HSWebSocket? {
@@ -235,6 +345,7 @@ import JavaScriptCore
         }
         let ws = HSWebSocket(url: parsedURL)
         webSockets.add(ws)
+        HSScope.track(ws)
         ws.connect()
         return ws
     }
@@ -297,3 +297,11 @@ private final class WebSocketSessionDelegate: NSObject, URLSessionWebSocketDeleg
         _errorCallback = nil
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSWebSocket: HSDisposable {
+    func dispose() {
+        destroy()
+    }
+}
@@ -951,3 +951,11 @@ struct ParsedHTTPRequest {
         }
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSHTTPServer: HSDisposable {
+    func dispose() {
+        destroy()
+    }
+}
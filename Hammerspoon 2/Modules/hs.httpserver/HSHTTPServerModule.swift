@@ -106,6 +106,7 @@ import JavaScriptCore
     @objc func create() -> HSHTTPServer {
         let server = HSHTTPServer()
         servers.add(server)
+        HSScope.track(server)
         return server
     }
 }
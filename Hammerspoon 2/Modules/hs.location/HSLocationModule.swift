@@ -224,6 +224,7 @@ import CoreLocation
     func addWatcher() -> HSLocationWatcher {
         let w = HSLocationWatcher()
         watchers.add(w)
+        HSScope.track(w)
         return w
     }
 
@@ -174,3 +174,11 @@ import CoreLocation
         }
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSLocationWatcher: HSDisposable {
+    func dispose() {
+        destroy()
+    }
+}
@@ -0,0 +1,146 @@
+//
+//  HSLogger.swift
+//  Hammerspoon 2
+//
+
+import Foundation
+import JavaScriptCore
+
+/// Log levels, from least to most verbose. A logger shows messages at its level and below.
+@_documentation(visibility: private)
+enum HSLogLevel: Int, CaseIterable {
+    case nothing = 0
+    case error
+    case warning
+    case info
+    case debug
+    case verbose
+
+    var name: String {
+        switch self {
+        case .nothing: return "nothing"
+        case .error: return "error"
+        case .warning: return "warning"
+        case .info: return "info"
+        case .debug: return "debug"
+        case .verbose: return "verbose"
+        }
+    }
+
+    /// Accepts a level name ("warn" is an alias of "warning"), or a number from 0 (nothing) to 5 (verbose)
+    init?(_ string: String) {
+        let string = string.lowercased()
+        if let number = Int(string) {
+            self.init(rawValue: number)
+        } else if string == "warn" {
+            self = .warning
+        } else if let level = HSLogLevel.allCases.first(where: { $0.name == string }) {
+            self = level
+        } else {
+            return nil
+        }
+    }
+}
+
+/// A named logger. Create one with `hs.logger.create()`.
+///
+/// Messages are written to the Console as `name: message`, and only if the logger's level allows them. If a level has
+/// been set for this logger's name with `hs.logger.setLevel()`, that takes precedence over the logger's own level.
+@objc protocol HSLoggerAPI: HSTypeAPI, JSExport {
+    /// The name given to `hs.logger.create()`
+    @objc var name: String { get }
+
+    /// The logger's own level: `"nothing"`, `"error"`, `"warning"`, `"info"`, `"debug"` or `"verbose"`. Invalid values are ignored.
+    /// - Example:
+    /// ```js
+    /// const log = hs.logger.create("myconfig")
+    /// log.level = "debug"
+    /// ```
+    @objc var level: String { get set }
+
+    /// The level actually in effect, taking any `hs.logger.setLevel()` override for this name into account
+    @objc var effectiveLevel: String { get }
+
+    /// Log an error
+    /// - Parameter message: The message to log
+    @objc func error(_ message: String)
+
+    /// Log a warning
+    /// - Parameter message: The message to log
+    @objc func warn(_ message: String)
+
+    /// Log an informational message
+    /// - Parameter message: The message to log
+    @objc func info(_ message: String)
+
+    /// Log a debugging message
+    /// - Parameter message: The message to log
+    @objc func debug(_ message: String)
+
+    /// Log a detailed tracing message
+    /// - Parameter message: The message to log
+    /// - Example:
+    /// ```js
+    /// const log = hs.logger.create("myconfig", "verbose")
+    /// log.verbose("Entering layout code")
+    /// ```
+    @objc func verbose(_ message: String)
+}
+
+@_documentation(visibility: private)
+@MainActor
+@objc class HSLogger: NSObject, HSLoggerAPI {
+    @objc var typeName = "HSLogger"
+    @objc let name: String
+    private var ownLevel: HSLogLevel
+    private weak var module: HSLoggerModule?
+
+    init(name: String, level: HSLogLevel, module: HSLoggerModule) {
+        self.name = name
+        self.ownLevel = level
+        self.module = module
+        super.init()
+    }
+
+    @objc var level: String {
+        get { ownLevel.name }
+        set {
+            guard let level = HSLogLevel(newValue) else {
+                AKWarning("hs.logger: '\(newValue)' is not a valid log level")
+                return
+            }
+            ownLevel = level
+        }
+    }
+
+    @objc var effectiveLevel: String {
+        currentLevel.name
+    }
+
+    private var currentLevel: HSLogLevel {
+        module?.levelOverride(for: name) ?? ownLevel
+    }
+
+    @objc func error(_ message: String) { log(.error, message) }
+    @objc func warn(_ message: String) { log(.warning, message) }
+    @objc func info(_ message: String) { log(.info, message) }
+    @objc func debug(_ message: String) { log(.debug, message) }
+    @objc func verbose(_ message: String) { log(.verbose, message) }
+
+    private func log(_ level: HSLogLevel, _ message: String) {
+        guard level.rawValue <= currentLevel.rawValue else { return }
+
+        let line = "\(name): \(message)"
+        switch level {
+        case .error:
+            AKError(line)
+        case .warning:
+            AKWarning(line)
+        case .info:
+            AKInfo(line)
+        case .debug, .verbose, .nothing:
+            AKTrace(line)
+        }
+        module?.record(HSLogEntry(name: name, level: level, message: message, date: Date()))
+    }
+}
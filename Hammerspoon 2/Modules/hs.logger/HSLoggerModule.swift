@@ -0,0 +1,220 @@
+//
+//  HSLoggerModule.swift
+//  Hammerspoon 2
+//
+
+import Foundation
+import JavaScriptCore
+
+// MARK: - Declare our JavaScript API
+
+/// Named, leveled loggers.
+///
+/// Each logger has a name, usually that of the module or script using it, and a level that decides which of its
+/// messages reach the Console: `"nothing"`, `"error"`, `"warning"`, `"info"`, `"debug"` or `"verbose"`. Levels can be
+/// overridden by name at runtime, so you can turn on tracing for one module without drowning in everything else's.
+///
+/// Every message that is logged is also kept, with a timestamp, in an in-memory ring buffer that you can query with
+/// `hs.logger.history()`.
+///
+/// Hammerspoon's own JavaScript modules log through loggers named after themselves, e.g. `hs.hotkey`.
+///
+/// ```js
+/// const log = hs.logger.create("myconfig", "info")
+/// log.info("Config loaded")
+/// log.debug("Not shown, the level is info")
+///
+/// // Trace what hs.hotkey's modals are doing
+/// hs.logger.setLevel("hs.hotkey", "verbose")
+/// ```
+@objc protocol HSLoggerModuleAPI: JSExport {
+    /// Create a logger
+    /// - Parameters:
+    ///   - name: The name shown in front of each message, and used by `setLevel()` and `history()`
+    ///   - level?: The logger's level, as a name or a number from 0 (nothing) to 5 (verbose). Defaults to `hs.logger.defaultLevel`
+    /// - Returns: {HSLogger} A new logger
+    /// - Example:
+    /// ```js
+    /// const log = hs.logger.create("myconfig", "debug")
+    /// log.debug("Starting up")
+    /// ```
+    @objc func create(_ name: String, _ level: String?) -> HSLogger
+
+    /// Override the level of every logger with a given name, including loggers created later
+    /// - Parameters:
+    ///   - name: The logger name
+    ///   - level: The level to use, or null to go back to each logger's own level
+    /// - Example:
+    /// ```js
+    /// hs.logger.setLevel("hs.hotkey", "verbose")
+    /// // ...and later
+    /// hs.logger.setLevel("hs.hotkey", null)
+    /// ```
+    @objc func setLevel(_ name: String, _ level: String?)
+
+    /// Get the level override for a logger name
+    /// - Parameter name: The logger name
+    /// - Returns: The level set with `setLevel()`, or null if there is none
+    @objc func getLevel(_ name: String) -> String?
+
+    /// The level given to loggers created without one. Defaults to `"warning"`
+    /// - Example:
+    /// ```js
+    /// hs.logger.defaultLevel = "info"
+    /// ```
+    @objc var defaultLevel: String { get set }
+
+    /// The number of messages kept by `history()`. Defaults to 500
+    @objc var historySize: Int { get set }
+
+    /// Get recently logged messages, oldest first
+    /// - Parameters:
+    ///   - name?: Only return messages from loggers with this name. Pass null for all loggers
+    ///   - count?: The maximum number of messages to return. Defaults to all of them
+    /// - Returns: {Array<{name: string, level: string, message: string, timestamp: number}>} The messages, with `timestamp` in milliseconds since the epoch, as used by `Date`
+    /// - Example:
+    /// ```js
+    /// for (const entry of hs.logger.history("hs.hotkey", 10)) {
+    ///     console.log(new Date(entry.timestamp).toISOString() + " " + entry.level + " " + entry.message)
+    /// }
+    /// ```
+    @objc func history(_ name: String?, _ count: Int) -> [[String: Any]]
+
+    /// Discard all messages kept for `history()`
+    @objc func clearHistory()
+}
+
+// MARK: - Implementation
+
+@_documentation(visibility: private)
+struct HSLogEntry {
+    let name: String
+    let level: HSLogLevel
+    let message: String
+    let date: Date
+}
+
+@_documentation(visibility: private)
+@MainActor
+@objc class HSLoggerModule: NSObject, HSModuleAPI, HSLoggerModuleAPI {
+    var name = "hs.logger"
+    let engineID: UUID
+
+    private var overrides: [String: HSLogLevel] = [:]
+    private var defaultLogLevel: HSLogLevel = .warning
+
+    // A fixed-size ring buffer: once full, each new entry replaces the oldest, at `nextEntry`
+    private var entries: [HSLogEntry] = []
+    private var nextEntry = 0
+
+    // MARK: - Module lifecycle
+    required init(engineID: UUID) {
+        self.engineID = engineID
+        super.init()
+        AKDebug("Init of \(name): \(engineID)")
+    }
+
+    func shutdown() {
+        overrides.removeAll()
+        clearHistory()
+    }
+
+    isolated deinit {
+        AKDebug("Deinit of \(name): \(engineID)")
+    }
+
+    // MARK: - Loggers
+
+    @objc func create(_ name: String, _ level: String?) -> HSLogger {
+        var logLevel = defaultLogLevel
+        if let level {
+            if let parsed = HSLogLevel(level) {
+                logLevel = parsed
+            } else {
+                AKWarning("hs.logger.create(): '\(level)' is not a valid log level, using '\(defaultLogLevel.name)'")
+            }
+        }
+        return HSLogger(name: name, level: logLevel, module: self)
+    }
+
+    @objc func setLevel(_ name: String, _ level: String?) {
+        guard let level else {
+            overrides.removeValue(forKey: name)
+            return
+        }
+        guard let parsed = HSLogLevel(level) else {
+            AKWarning("hs.logger.setLevel(): '\(level)' is not a valid log level")
+            return
+        }
+        overrides[name] = parsed
+    }
+
+    @objc func getLevel(_ name: String) -> String? {
+        overrides[name]?.name
+    }
+
+    @objc var defaultLevel: String {
+        get { defaultLogLevel.name }
+        set {
+            guard let level = HSLogLevel(newValue) else {
+                AKWarning("hs.logger.defaultLevel: '\(newValue)' is not a valid log level")
+                return
+            }
+            defaultLogLevel = level
+        }
+    }
+
+    func levelOverride(for name: String) -> HSLogLevel? {
+        overrides[name]
+    }
+
+    // MARK: - History
+
+    @objc var historySize: Int = 500 {
+        didSet {
+            historySize = max(historySize, 0)
+            // Unroll the ring into chronological order, keeping the newest entries that still fit
+            let ordered = orderedEntries()
+            entries = Array(ordered.suffix(historySize))
+            nextEntry = 0
+        }
+    }
+
+    func record(_ entry: HSLogEntry) {
+        guard historySize > 0 else { return }
+
+        if entries.count < historySize {
+            entries.append(entry)
+        } else {
+            entries[nextEntry] = entry
+            nextEntry = (nextEntry + 1) % historySize
+        }
+    }
+
+    @objc func history(_ name: String?, _ count: Int) -> [[String: Any]] {
+        var matching = orderedEntries()
+        if let name {
+            matching = matching.filter { $0.name == name }
+        }
+        if count > 0 {
+            matching = Array(matching.suffix(count))
+        }
+        return matching.map { entry in
+            [
+                "name": entry.name,
+                "level": entry.level.name,
+                "message": entry.message,
+                "timestamp": (entry.date.timeIntervalSince1970 * 1000).rounded(),
+            ]
+        }
+    }
+
+    @objc func clearHistory() {
+        entries.removeAll()
+        nextEntry = 0
+    }
+
+    private func orderedEntries() -> [HSLogEntry] {
+        Array(entries[nextEntry...] + entries[..<nextEntry])
+    }
+}
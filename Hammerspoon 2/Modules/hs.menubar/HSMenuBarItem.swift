@@ -419,3 +419,11 @@ private class MenuItemHandler: NSObject {
         }
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSMenuBarItem: HSDisposable {
+    func dispose() {
+        destroy()
+    }
+}
@@ -89,6 +89,7 @@ import JavaScriptCore
     @objc func create(_ hidden: Bool) -> HSMenuBarItem {
         let item = HSMenuBarItem(inMenuBar: !hidden)
         items.add(item)
+        HSScope.track(item)
         return item
     }
 }
@@ -186,3 +186,11 @@ private nonisolated func scConfigWatcherCallback(
         AKTrace("HSNetworkConfigurationWatcher.stop()")
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSNetworkConfigurationWatcher: HSDisposable {
+    func dispose() {
+        destroy()
+    }
+}
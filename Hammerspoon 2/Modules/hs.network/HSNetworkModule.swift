@@ -430,6 +430,7 @@ private func queryPrimaryInterface() -> String? {
     private func makeReachability() -> HSNetworkReachability {
         let obj = HSNetworkReachability()
         reachabilityObjects.add(obj)
+        HSScope.track(obj)
         return obj
     }
 
@@ -479,6 +480,7 @@ private func queryPrimaryInterface() -> String? {
     @objc func configurationWatcher() -> HSNetworkConfigurationWatcher {
         let watcher = HSNetworkConfigurationWatcher()
         configurationWatchers.add(watcher)
+        HSScope.track(watcher)
         return watcher
     }
 
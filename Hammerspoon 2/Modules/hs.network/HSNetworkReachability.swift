@@ -221,3 +221,11 @@ private func pathToString(_ path: NWPath) -> String {
         AKTrace("HSNetworkReachability.stop()")
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSNetworkReachability: HSDisposable {
+    func dispose() {
+        destroy()
+    }
+}
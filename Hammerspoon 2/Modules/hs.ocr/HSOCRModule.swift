@@ -61,9 +61,11 @@ import Vision
     /// - `automaticallyDetectsLanguage` (boolean, default `false`):
     ///   When `true`, Vision selects recognition languages automatically.
     ///   Overrides `languages` when set.
+    /// - `signal` (`AbortSignal`): Aborting it cancels the recognition and
+    ///   rejects the Promise with the signal's reason.
     ///
     /// - Parameter path: Absolute path to the image file.
-    /// - Parameter options: Optional configuration object (see description).
+    /// - Parameter options?: { {recognitionLevel?: "accurate" | "fast", minimumConfidence?: number, languages?: string[], automaticallyDetectsLanguage?: boolean, signal?: AbortSignal} } Optional configuration object (see description).
     /// - Returns: {Promise<HSOCRResult>} Resolves with the recognition result.
     ///
     /// - Example:
@@ -82,7 +84,7 @@ import Vision
     ///     .then(result => console.log('Found ' + result.observations.length + ' regions'))
     ///     .catch(err => console.log('Error: ' + err))
     /// ```
-    @objc func recognizeText(_ path: String, _ options: [String: Any]?) -> JSPromise?
+    @objc func recognizeText(_ path: String, _ options: JSValue?) -> JSPromise?
 
     /// Returns the BCP-47 language codes supported by the Vision text recognizer
     /// on this device.
@@ -127,6 +129,12 @@ private struct OCRConfig: Sendable {
     }
 }
 
+/// Holds the Vision request so an aborted recognition can cancel it from the
+/// task's cancellation handler. `VNRequest.cancel()` may be called from any thread.
+private final class CancellableTextRequest: @unchecked Sendable {
+    let request = VNRecognizeTextRequest()
+}
+
 /// Raw observation data bridged across actor boundaries.
 private struct RawObservation: Sendable {
     let text: String
@@ -156,15 +164,20 @@ private struct RawObservation: Sendable {
 
     // MARK: - HSOCRModuleAPI
 
-    @objc func recognizeText(_ path: String, _ options: [String: Any]?) -> JSPromise? {
+    @objc func recognizeText(_ path: String, _ options: JSValue?) -> JSPromise? {
         guard let context = JSContext.current() else { return nil }
-        let config = OCRConfig(from: options)
+        let config = OCRConfig(from: options?.isObject == true ? options?.toDictionary() as? [String: Any] : nil)
         let fileURL = URL(fileURLWithPath: path)
 
-        return wrapAsyncInJSPromise(in: context) { holder in
-            Task.detached(priority: .userInitiated) {
+        return wrapAsyncInJSPromise(in: context, signal: abortSignal(in: options)) { holder in
+            let task = Task.detached(priority: .userInitiated) {
                 do {
-                    let raw = try Self.runRecognition(fileURL: fileURL, config: config)
+                    let textRequest = CancellableTextRequest()
+                    let raw = try await withTaskCancellationHandler {
+                        try Self.runRecognition(request: textRequest.request, fileURL: fileURL, config: config)
+                    } onCancel: {
+                        textRequest.request.cancel()
+                    }
                     await MainActor.run {
                         let observations = raw.map {
                             HSOCRObservation(text: $0.text, confidence: $0.confidence, boundingBox: $0.boundingBox)
@@ -177,6 +190,7 @@ private struct RawObservation: Sendable {
                     }
                 }
             }
+            holder.onAbort { task.cancel() }
         }
     }
 
@@ -188,8 +202,7 @@ private struct RawObservation: Sendable {
 
     // MARK: - Private Vision work (nonisolated — runs on background Task)
 
-    private nonisolated static func runRecognition(fileURL: URL, config: OCRConfig) throws -> [RawObservation] {
-        let request = VNRecognizeTextRequest()
+    private nonisolated static func runRecognition(request: VNRecognizeTextRequest, fileURL: URL, config: OCRConfig) throws -> [RawObservation] {
         request.recognitionLevel = config.recognitionLevel
         request.minimumTextHeight = 0
         if !config.languages.isEmpty {
@@ -296,14 +296,17 @@ import AppKit
     /// Multiple watchers may be registered; they are each called independently.
     /// Because macOS provides no pasteboard change notification API, this is implemented
     /// by polling `changeCount` at the interval specified by `watcherInterval`.
-    /// - Parameter listener: {(changeCount: number) => void} A function called with the new `changeCount` integer whenever the pasteboard changes
+    /// - Parameters:
+    ///   - listener: {(changeCount: number) => void} A function called with the new `changeCount` integer whenever the pasteboard changes
+    ///   - options?: { {coalesce?: number} } An object with `coalesce`, a number of seconds. Events are collected for that long after the first one, then the listener is called once with an array of them, each an array of the event's arguments
     /// - Example:
     /// ```js
     /// hs.pasteboard.addWatcher((count) => {
     ///     console.log("Pasteboard changed:", count)
     /// })
     /// ```
-    @objc func addWatcher(_ listener: JSFunction)
+    @objc(addWatcher::)
+    func addWatcher(_ listener: JSFunction, _ options: JSValue?)
 
     /// Remove a previously registered pasteboard watcher
     /// - Parameter listener: The function previously passed to `addWatcher`
@@ -468,8 +471,8 @@ import AppKit
 
     // MARK: - Watcher
 
-    @objc func addWatcher(_ listener: JSFunction) {
-        _watcherEmitter?.invokeMethod("on", withArguments: [listener])
+    @objc func addWatcher(_ listener: JSFunction, _ options: JSValue?) {
+        _watcherEmitter?.invokeMethod("on", withArguments: [listener] + [options].compactMap { $0 })
     }
 
     @objc func removeWatcher(_ listener: JSFunction) {
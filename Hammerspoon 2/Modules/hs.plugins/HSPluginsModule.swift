@@ -0,0 +1,296 @@
+//
+//  HSPluginsModule.swift
+//  Hammerspoon 2
+//
+
+import Foundation
+import JavaScriptCore
+
+// MARK: - Declare our JavaScript API
+
+/// Load reusable packages of automation, called plugins.
+///
+/// A plugin is a directory containing a `plugin.json` manifest and a JavaScript entry point. Plugins are found in the
+/// directories listed in `hs.plugins.paths`, which defaults to the `plugins` directory next to your config file:
+///
+/// ```
+/// ~/.config/Hammerspoon2/
+/// ├── init.js
+/// └── plugins/
+///     └── ClipboardHistory/
+///         ├── plugin.json
+///         └── init.js
+/// ```
+///
+/// The manifest describes the plugin:
+///
+/// ```json
+/// {
+///     "name": "ClipboardHistory",
+///     "version": "1.2.0",
+///     "description": "Remember and paste recent clipboard entries",
+///     "entry": "init.js",
+///     "dependencies": { "Overlay": "1.0" },
+///     "hotkeys": { "show": [["cmd", "shift"], "v"] }
+/// }
+/// ```
+///
+/// Only `name` and `version` are required. `entry` defaults to `init.js`. `dependencies` maps plugin names to the minimum
+/// version needed, and may also be an array of names. `hotkeys` gives the default hotkey for each of the plugin's actions,
+/// as `[mods, key]`.
+///
+/// The entry point exports the plugin object, or a function that is passed the manifest and returns it. Every part of the
+/// object is optional:
+///
+/// ```js
+/// module.exports = {
+///     init(manifest) { },              // Called once, when the plugin is loaded
+///     start() { },                     // Called by hs.plugins.start()
+///     stop() { },                      // Called by hs.plugins.stop(), and before the config is reloaded
+///     actions: {                       // Functions that hotkeys can be bound to
+///         show() { }
+///     }
+/// }
+/// ```
+///
+/// Everything a plugin creates while its hooks and hotkeys run is recorded in an `hs.scope()`, so stopping a plugin
+/// also removes the hotkeys, timers and watchers that `start()` created.
+///
+/// ```js
+/// const clipboard = hs.plugins.load("ClipboardHistory")
+/// clipboard.bindHotkeys({ show: [["cmd", "alt"], "v"] })
+/// hs.plugins.start("ClipboardHistory")
+/// ```
+@objc protocol HSPluginsModuleAPI: JSExport {
+    /// The directories that plugins are looked for in, in order. Defaults to the `plugins` directory next to the config file
+    /// - Example:
+    /// ```js
+    /// hs.plugins.paths = [...hs.plugins.paths, "~/Code/team-plugins"]
+    /// ```
+    @objc var paths: [String] { get set }
+
+    /// Find every plugin in `hs.plugins.paths`
+    ///
+    /// Directories whose manifest is missing or invalid are skipped, with an error logged to the Console. If two directories hold plugins with the same name, the one found first is used.
+    /// - Returns: {Array<{name: string, version: string, description: string, path: string, entry: string, dependencies: Object<string, string>, hotkeys: Object<string, Array>}>} The plugins' manifests, with `path` set to the plugin's directory and `entry` resolved to a full path
+    /// - Example:
+    /// ```js
+    /// for (const plugin of hs.plugins.discover()) {
+    ///     console.log(`${plugin.name} ${plugin.version}: ${plugin.description}`)
+    /// }
+    /// ```
+    @objc func discover() -> [[String: Any]]
+
+    /// Get the manifest of a plugin
+    /// - Parameter name: The plugin's name
+    /// - Returns: The manifest, as returned by `discover()`, or null if no plugin has that name
+    @objc func manifest(_ name: String) -> [String: Any]?
+
+    /// SKIP_DOCS
+    @objc var load: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var start: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var stop: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var isRunning: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var loaded: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var bindHotkeys: JSFunction? { get set }
+}
+
+// MARK: - Implementation
+
+@_documentation(visibility: private)
+struct HSPluginManifest {
+    static let fileName = "plugin.json"
+
+    let name: String
+    let version: String
+    let description: String
+    let path: String
+    let entry: String
+    let dependencies: [String: String]
+    let hotkeys: [String: [Any]]
+
+    /// Read and validate the manifest of the plugin in a directory
+    init(directory: String) throws(HSPluginManifestError) {
+        let manifestPath = (directory as NSString).appendingPathComponent(HSPluginManifest.fileName)
+        guard let data = FileManager.default.contents(atPath: manifestPath) else {
+            throw .unreadable(manifestPath)
+        }
+        guard let json = try? JSONSerialization.jsonObject(with: data) as? [String: Any] else {
+            throw .invalid(manifestPath, "it is not a JSON object")
+        }
+
+        guard let name = json["name"] as? String, !name.isEmpty else {
+            throw .invalid(manifestPath, "'name' must be a non-empty string")
+        }
+        guard let version = json["version"] as? String, HSPluginManifest.versionComponents(version) != nil else {
+            throw .invalid(manifestPath, "'version' must be a version string, e.g. \"1.2.0\"")
+        }
+
+        let entryName = json["entry"] as? String ?? "init.js"
+        let entry = ((directory as NSString).appendingPathComponent(entryName) as NSString).standardizingPath
+        guard FileManager.default.fileExists(atPath: entry) else {
+            throw .invalid(manifestPath, "the entry point '\(entryName)' does not exist")
+        }
+
+        var dependencies: [String: String] = [:]
+        switch json["dependencies"] {
+        case nil:
+            break
+        case let names as [String]:
+            for dependency in names {
+                dependencies[dependency] = ""
+            }
+        case let versions as [String: String]:
+            for (dependency, minimum) in versions {
+                guard minimum.isEmpty || minimum == "*" || HSPluginManifest.versionComponents(minimum) != nil else {
+                    throw .invalid(manifestPath, "the version required of '\(dependency)' is not a version string")
+                }
+                dependencies[dependency] = minimum == "*" ? "" : minimum
+            }
+        default:
+            throw .invalid(manifestPath, "'dependencies' must be an array of plugin names, or an object of names and versions")
+        }
+
+        var hotkeys: [String: [Any]] = [:]
+        if let specs = json["hotkeys"] {
+            guard let specs = specs as? [String: Any] else {
+                throw .invalid(manifestPath, "'hotkeys' must be an object of action names and [mods, key] pairs")
+            }
+            for (action, spec) in specs {
+                guard let pair = spec as? [Any], pair.count == 2, pair[0] is [String], pair[1] is String else {
+                    throw .invalid(manifestPath, "the hotkey for '\(action)' must be a [mods, key] pair")
+                }
+                hotkeys[action] = pair
+            }
+        }
+
+        self.name = name
+        self.version = version
+        self.description = json["description"] as? String ?? ""
+        self.path = directory
+        self.entry = entry
+        self.dependencies = dependencies
+        self.hotkeys = hotkeys
+    }
+
+    var dictionary: [String: Any] {
+        [
+            "name": name,
+            "version": version,
+            "description": description,
+            "path": path,
+            "entry": entry,
+            "dependencies": dependencies,
+            "hotkeys": hotkeys,
+        ]
+    }
+
+    /// The numeric parts of a dotted version string, e.g. [1, 2, 0] for "1.2.0", or nil if it isn't one
+    static func versionComponents(_ version: String) -> [Int]? {
+        let parts = version.split(separator: ".", omittingEmptySubsequences: false).map { Int($0) }
+        guard !parts.isEmpty, parts.allSatisfy({ $0 != nil && $0! >= 0 }) else { return nil }
+        return parts.compactMap { $0 }
+    }
+}
+
+@_documentation(visibility: private)
+enum HSPluginManifestError: LocalizedError {
+    case unreadable(String)
+    case invalid(String, String)
+
+    var errorDescription: String? {
+        switch self {
+        case .unreadable(let path): return "\(path) could not be read"
+        case .invalid(let path, let reason): return "\(path) is invalid: \(reason)"
+        }
+    }
+}
+
+@_documentation(visibility: private)
+@MainActor
+@objc class HSPluginsModule: NSObject, HSModuleAPI, HSPluginsModuleAPI {
+    var name = "hs.plugins"
+    let engineID: UUID
+
+    @objc var paths: [String] = [
+        SettingsManager.shared.configLocation.deletingLastPathComponent().appendingPathComponent("plugins").path
+    ]
+
+    // Swift-retained storage for JS-defined functions
+    @objc var load: JSFunction? = nil
+    @objc var start: JSFunction? = nil
+    @objc var stop: JSFunction? = nil
+    @objc var isRunning: JSFunction? = nil
+    @objc var loaded: JSFunction? = nil
+    @objc var bindHotkeys: JSFunction? = nil
+
+    // MARK: - Module lifecycle
+    required init(engineID: UUID) {
+        self.engineID = engineID
+        super.init()
+        AKDebug("Init of \(name): \(engineID)")
+    }
+
+    func shutdown() {
+        // Running plugins are stopped by the root hs.scope(), which is disposed before modules shut down
+        load = nil
+        start = nil
+        stop = nil
+        isRunning = nil
+        loaded = nil
+        bindHotkeys = nil
+    }
+
+    isolated deinit {
+        AKDebug("Deinit of \(name): \(engineID)")
+    }
+
+    // MARK: - Discovery
+
+    @objc func discover() -> [[String: Any]] {
+        manifests().map(\.dictionary)
+    }
+
+    @objc func manifest(_ name: String) -> [String: Any]? {
+        manifests().first { $0.name == name }?.dictionary
+    }
+
+    private func manifests() -> [HSPluginManifest] {
+        var found: [HSPluginManifest] = []
+        var names: Set<String> = []
+
+        for searchPath in paths {
+            let searchPath = NSString(string: searchPath).expandingTildeInPath
+            guard let items = try? FileManager.default.contentsOfDirectory(atPath: searchPath) else { continue }
+
+            for item in items.sorted() where !item.hasPrefix(".") {
+                let directory = (searchPath as NSString).appendingPathComponent(item)
+                let manifestPath = (directory as NSString).appendingPathComponent(HSPluginManifest.fileName)
+                guard FileManager.default.fileExists(atPath: manifestPath) else { continue }
+
+                do {
+                    let manifest = try HSPluginManifest(directory: directory)
+                    guard !names.contains(manifest.name) else {
+                        AKWarning("hs.plugins: Ignoring \(directory), a plugin named '\(manifest.name)' was already found")
+                        continue
+                    }
+                    names.insert(manifest.name)
+                    found.append(manifest)
+                } catch {
+                    AKError("hs.plugins: Skipping plugin, \(error.localizedDescription)")
+                }
+            }
+        }
+        return found
+    }
+}
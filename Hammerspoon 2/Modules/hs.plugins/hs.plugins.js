@@ -0,0 +1,242 @@
+// hs.plugins.js
+// Loading plugins and running their lifecycle hooks, using the manifests found by hs.plugins.discover()
+
+"use strict";
+
+(function () {
+    const log = hs.logger.create("hs.plugins");
+
+    // Loaded plugins by name: { manifest, plugin, scope, hotkeys, running }. Each plugin's scope holds what init()
+    // created, with nested scopes for its hotkeys and for what start() created.
+    const plugins = new Map();
+    // Names of the plugins being loaded, outermost first, to catch circular dependencies
+    const loading = [];
+
+    function compareVersions(a, b) {
+        const left = a.split(".").map(Number);
+        const right = b.split(".").map(Number);
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const difference = (left[i] || 0) - (right[i] || 0);
+            if (difference !== 0) {
+                return difference;
+            }
+        }
+        return 0;
+    }
+
+    function loadedState(caller, name) {
+        const state = plugins.get(name);
+        if (!state) {
+            throw new Error(`${caller}: The plugin '${name}' has not been loaded`);
+        }
+        return state;
+    }
+
+    function actionFunction(plugin, action) {
+        if (plugin.actions && typeof plugin.actions[action] === "function") {
+            return plugin.actions[action];
+        }
+        return typeof plugin[action] === "function" ? plugin[action] : null;
+    }
+
+    /// Load a plugin, and the plugins it depends on, calling its `init()` hook
+    ///
+    /// Loading a plugin that is already loaded returns the same object, so plugins can use this to get hold of their dependencies.
+    /// - Parameter name: The plugin's name, from its manifest
+    /// - Returns: The plugin object exported by the plugin's entry point. If it has no `bindHotkeys()` method, one is added that calls `hs.plugins.bindHotkeys()`
+    /// - Note: Throws an error if the plugin can't be found, a dependency is missing or too old, dependencies are circular, or loading the plugin throws
+    /// - Example:
+    /// ```js
+    /// const clipboard = hs.plugins.load("ClipboardHistory")
+    /// clipboard.maxEntries = 50
+    /// ```
+    hs.plugins.load = function(name) {
+        const existing = plugins.get(name);
+        if (existing) {
+            return existing.plugin;
+        }
+        if (loading.includes(name)) {
+            throw new Error(`hs.plugins.load(): Circular dependency: ${loading.concat(name).join(" -> ")}`);
+        }
+
+        const manifest = hs.plugins.manifest(name);
+        if (!manifest) {
+            throw new Error(`hs.plugins.load(): No plugin named '${name}' was found in ${hs.plugins.paths.join(", ")}`);
+        }
+
+        loading.push(name);
+        try {
+            for (const [dependency, minimum] of Object.entries(manifest.dependencies)) {
+                hs.plugins.load(dependency);
+                const version = plugins.get(dependency).manifest.version;
+                if (minimum && compareVersions(version, minimum) < 0) {
+                    throw new Error(`hs.plugins.load(): ${name} needs ${dependency} ${minimum} or later, but ${version} is installed`);
+                }
+            }
+
+            const scope = hs.scope(name);
+            let plugin;
+            try {
+                scope.run(() => {
+                    const exported = require(manifest.entry);
+                    plugin = typeof exported === "function" ? exported(manifest) : exported;
+                    if (!plugin || typeof plugin !== "object") {
+                        throw new Error(`hs.plugins.load(): ${manifest.entry} must export an object, or a function that returns one`);
+                    }
+                    if (typeof plugin.init === "function") {
+                        plugin.init(manifest);
+                    }
+                });
+            } catch (e) {
+                scope.dispose();
+                throw e;
+            }
+
+            if (typeof plugin.bindHotkeys !== "function") {
+                plugin.bindHotkeys = (mapping) => hs.plugins.bindHotkeys(name, mapping);
+            }
+
+            const state = { manifest: manifest, plugin: plugin, scope: scope, hotkeys: null, running: null };
+            plugins.set(name, state);
+            // If something disposes of the plugin's scope, e.g. a scope it was loaded in, it has to be loaded again
+            scope.add(() => {
+                if (plugins.get(name) === state) {
+                    plugins.delete(name);
+                }
+            });
+
+            log.info(`Loaded ${name} ${manifest.version}`);
+            return plugin;
+        } finally {
+            loading.pop();
+        }
+    };
+
+    /// Start a plugin, loading it first if need be, by calling its `start()` hook
+    ///
+    /// Everything the hook creates is recorded, and torn down again by `hs.plugins.stop()`. Starting a plugin that is running does nothing. The plugins it depends on are loaded, but not started.
+    /// - Parameter name: The plugin's name
+    /// - Returns: The plugin object
+    /// - Example:
+    /// ```js
+    /// hs.plugins.start("ClipboardHistory")
+    /// ```
+    hs.plugins.start = function(name) {
+        const plugin = hs.plugins.load(name);
+        const state = plugins.get(name);
+        if (state.running) {
+            return plugin;
+        }
+
+        const running = state.scope.scope(name + " (running)");
+        running.add(() => {
+            if (state.running === running) {
+                state.running = null;
+            }
+        });
+        try {
+            running.run(() => {
+                if (typeof plugin.start === "function") {
+                    plugin.start();
+                }
+            });
+        } catch (e) {
+            running.dispose();
+            throw e;
+        }
+        // Recorded last, so it is disposed of first: the plugin stops itself before what it left behind is torn down
+        running.add(() => {
+            if (typeof plugin.stop === "function") {
+                plugin.stop();
+            }
+        });
+
+        state.running = running;
+        log.info(`Started ${name}`);
+        return plugin;
+    };
+
+    /// Stop a running plugin by calling its `stop()` hook, then tearing down the hotkeys, timers, watchers and anything else its `start()` hook created
+    ///
+    /// Running plugins are also stopped before the config is reloaded.
+    /// - Parameter name: The plugin's name
+    /// - Returns: true if the plugin was running
+    /// - Example:
+    /// ```js
+    /// hs.plugins.stop("ClipboardHistory")
+    /// ```
+    hs.plugins.stop = function(name) {
+        const state = plugins.get(name);
+        if (!state || !state.running) {
+            return false;
+        }
+
+        state.running.dispose();
+        log.info(`Stopped ${name}`);
+        return true;
+    };
+
+    /// Check whether a plugin has been started
+    /// - Parameter name: The plugin's name
+    /// - Returns: true if the plugin is running
+    hs.plugins.isRunning = function(name) {
+        const state = plugins.get(name);
+        return Boolean(state && state.running);
+    };
+
+    /// Get the names of the loaded plugins
+    /// - Returns: An array of plugin names, in the order they were loaded
+    hs.plugins.loaded = function() {
+        return Array.from(plugins.keys());
+    };
+
+    /// Bind hotkeys to a plugin's actions, replacing any bound before
+    ///
+    /// Actions are the functions in the plugin's `actions` object, or failing that, its own methods. The hotkeys in the plugin's manifest are used for any action the mapping doesn't mention. This is what a plugin's `bindHotkeys()` method calls, unless the plugin provides its own.
+    /// - Parameter name: The plugin's name
+    /// - Parameter mapping?: An object of action names and `[mods, key]` pairs. Map an action to null to leave it unbound
+    /// - Returns: The plugin object
+    /// - Note: Throws an error if the plugin isn't loaded, or the mapping names an action the plugin doesn't have
+    /// - Example:
+    /// ```js
+    /// hs.plugins.bindHotkeys("ClipboardHistory", {
+    ///     show: [["cmd", "alt"], "v"],
+    ///     clear: null
+    /// })
+    /// ```
+    hs.plugins.bindHotkeys = function(name, mapping) {
+        const state = loadedState("hs.plugins.bindHotkeys()", name);
+        const specs = Object.assign({}, state.manifest.hotkeys, mapping || {});
+
+        // Check the whole mapping before replacing anything
+        const bindings = [];
+        for (const [action, spec] of Object.entries(specs)) {
+            if (!spec) {
+                continue;
+            }
+            const fn = actionFunction(state.plugin, action);
+            if (!fn) {
+                throw new Error(`hs.plugins.bindHotkeys(): ${name} has no action named '${action}'`);
+            }
+            if (!Array.isArray(spec) || spec.length !== 2 || !Array.isArray(spec[0]) || typeof spec[1] !== "string") {
+                throw new Error(`hs.plugins.bindHotkeys(): The hotkey for '${action}' must be a [mods, key] pair`);
+            }
+            bindings.push({ action: action, mods: spec[0], key: spec[1], fn: fn });
+        }
+
+        if (state.hotkeys) {
+            state.hotkeys.dispose();
+        }
+        state.hotkeys = state.scope.scope(name + " (hotkeys)");
+        state.hotkeys.run(() => {
+            for (const binding of bindings) {
+                const hotkey = hs.hotkey.bind(binding.mods, binding.key, () => binding.fn.call(state.plugin), null);
+                if (!hotkey) {
+                    log.error(`Could not bind ${binding.mods.concat(binding.key).join("+")} to ${name}'s ${binding.action} action`);
+                }
+            }
+        });
+
+        return state.plugin;
+    };
+})();
@@ -42,6 +42,12 @@ import JavaScriptCore
 /// const img = await hs.screen.main().snapshot();
 /// img.saveToFile("/tmp/screen.png");
 /// ```
+///
+/// ## Watching for changes
+///
+/// ```javascript
+/// hs.screen.addWatcher((screens) => console.log(screens.length + " screens attached"));
+/// ```
 @objc protocol HSScreenModuleAPI: JSExport {
     /// All connected screens.
     /// - Returns: An array of HSScreen objects
@@ -72,6 +78,49 @@ import JavaScriptCore
     /// console.log(s && s.frame)
     /// ```
     @objc func primary() -> HSScreen?
+
+    // MARK: - Watcher (Pattern A)
+
+    /// Register a listener for changes to the screens: screens being attached or detached, and changes to their
+    /// arrangement, resolution or usable area (such as the Dock being moved).
+    ///
+    /// The listener is called with an array of the screens attached after the change. macOS often reports one change
+    /// as several, so listeners that rearrange windows may want to coalesce them.
+    /// - Parameters:
+    ///   - listener: {(screens: HSScreen[]) => void} The function to call when the screens change
+    ///   - options?: { {coalesce?: number} } An object with `coalesce`, a number of seconds. Events are collected for that long after the first one, then the listener is called once with an array of them, each an array of the event's arguments
+    /// - Example:
+    /// ```js
+    /// hs.screen.addWatcher((screens) => {
+    ///     console.log("Screens: " + screens.map(s => s.name).join(", "))
+    /// })
+    ///
+    /// // Only hear about the last change once docking has settled down
+    /// hs.screen.addWatcher((events) => {
+    ///     const screens = events[events.length - 1][0]
+    ///     console.log(screens.length + " screens attached")
+    /// }, { coalesce: 2 })
+    /// ```
+    @objc(addWatcher::)
+    func addWatcher(_ listener: JSValue, _ options: JSValue?)
+
+    /// Remove a previously registered screen change listener.
+    ///
+    /// - Parameter listener: {(screens: HSScreen[]) => void} The function originally passed to `addWatcher`
+    /// - Example:
+    /// ```js
+    /// const handler = (screens) => console.log(screens.length)
+    /// hs.screen.addWatcher(handler)
+    /// hs.screen.removeWatcher(handler)
+    /// ```
+    @objc func removeWatcher(_ listener: JSValue)
+
+    /// SKIP_DOCS
+    @objc(_addWatcher:) func _addWatcher(_ callback: JSValue) -> Bool
+    /// SKIP_DOCS
+    @objc func _removeWatcher()
+    /// SKIP_DOCS
+    @objc var _watcherEmitter: JSValue? { get set }
 }
 
 // MARK: - Implementation
@@ -82,13 +131,21 @@ import JavaScriptCore
     var name = "hs.screen"
     let engineID: UUID
 
+    // MARK: - Watcher (Pattern A)
+    @objc var _watcherEmitter: JSValue? = nil
+    private var watcherCallback: JSCallback?
+    private var screenChangeObserver: NSObjectProtocol?
+
     required init(engineID: UUID) {
         self.engineID = engineID
         super.init()
         AKDebug("Init of \(name): \(engineID)")
     }
 
-    func shutdown() {}
+    func shutdown() {
+        _removeWatcher()
+        _watcherEmitter = nil
+    }
 
     isolated deinit {
         AKDebug("Deinit of \(name): \(engineID)")
@@ -108,4 +165,48 @@ import JavaScriptCore
         guard let primary = NSScreen.screens.first else { return nil }
         return HSScreen(screen: primary)
     }
+
+    // MARK: - Watcher (Pattern A)
+
+    @objc func addWatcher(_ listener: JSValue, _ options: JSValue?) {
+        _watcherEmitter?.invokeMethod("on", withArguments: [listener] + [options].compactMap { $0 })
+    }
+
+    @objc func removeWatcher(_ listener: JSValue) {
+        _watcherEmitter?.invokeMethod("removeListener", withArguments: [listener])
+    }
+
+    @objc(_addWatcher:) func _addWatcher(_ callback: JSValue) -> Bool {
+        guard watcherCallback == nil else {
+            AKWarning("hs.screen._addWatcher(): Already watching. Refusing to create a second.")
+            return false
+        }
+
+        watcherCallback = JSCallback(value: callback, owner: self)
+        screenChangeObserver = NotificationCenter.default.addObserver(
+            forName: NSApplication.didChangeScreenParametersNotification,
+            object: nil,
+            queue: .main
+        ) { [weak self] _ in
+            MainActor.assumeIsolated { self?.screensDidChange() }
+        }
+        AKTrace("hs.screen._addWatcher(): Started")
+        return true
+    }
+
+    @objc func _removeWatcher() {
+        guard watcherCallback != nil else { return }
+
+        if let observer = screenChangeObserver {
+            NotificationCenter.default.removeObserver(observer)
+            screenChangeObserver = nil
+        }
+        watcherCallback?.detach(from: self)
+        watcherCallback = nil
+        AKTrace("hs.screen._removeWatcher(): Stopped")
+    }
+
+    private func screensDidChange() {
+        _ = watcherCallback?.call(withArguments: [all()])
+    }
 }
@@ -0,0 +1,14 @@
+//
+//  hs.screen.js
+//  Hammerspoon 2
+//
+
+"use strict";
+
+// One-to-many event emitter for screen changes (see WatcherEmitter in engine.js).
+// Store it in a Swift-retained property so it is not garbage collected.
+hs.screen._watcherEmitter = new WatcherEmitter({
+    name: "hs.screen.addWatcher()",
+    start: (dispatch) => hs.screen._addWatcher(dispatch),
+    stop: () => hs.screen._removeWatcher(),
+});
@@ -0,0 +1,123 @@
+//
+//  HSSettingsModule.swift
+//  Hammerspoon 2
+//
+
+import Foundation
+import JavaScriptCore
+
+// MARK: - Declare our JavaScript API
+
+/// Namespaced settings, checked against a schema, with defaults and versioned migrations.
+///
+/// Each namespace keeps its settings together, so different scripts can use the same setting names without colliding.
+/// Settings are stored as JSON in `hs.userdefaults`, one key per namespace, so they persist across restarts.
+///
+/// A schema describes each setting as a type name, or as an object:
+/// - `type`: `"string"`, `"number"`, `"integer"`, `"boolean"`, `"array"`, `"object"` or `"any"`
+/// - `enum`: An array of the values allowed
+/// - `min`, `max`: Bounds for numbers, or for the length of strings and arrays
+/// - `items`: The schema of each element of an array
+/// - `nullable`: Whether null is allowed as well
+///
+/// When a namespace has a schema, only the settings it describes can be set. Without one, any value that can be
+/// represented as JSON is allowed.
+///
+/// A namespace's `version` is stored with its settings. When a namespace is opened with a higher version than the one
+/// stored, its `migrate` steps are run on the stored settings, and the result is saved.
+///
+/// ```js
+/// const clipboard = hs.settings.namespace("clipboard", {
+///     version: 2,
+///     schema: {
+///         maxEntries: { type: "integer", min: 1, max: 1000 },
+///         ignoredApps: { type: "array", items: "string" },
+///         position: { type: "string", enum: ["mouse", "center"] }
+///     },
+///     defaults: { maxEntries: 100, ignoredApps: [], position: "mouse" },
+///     migrate: {
+///         // Version 1 stored the limit as "size"
+///         2: ({ size, ...settings }) => ({ ...settings, maxEntries: size })
+///     }
+/// })
+///
+/// clipboard.set("maxEntries", 50)
+/// clipboard.get("position")           // "mouse"
+/// clipboard.set("position", "left")   // Throws a TypeError
+/// ```
+///
+/// - Note: Like `hs.userdefaults`, settings are **not encrypted on disk**. Do not use them to store passwords, API
+///   keys or tokens.
+@objc protocol HSSettingsModuleAPI: JSExport {
+    /// Get the names of every namespace that has settings stored
+    /// - Returns: An array of namespace names, sorted alphabetically
+    /// - Example:
+    /// ```js
+    /// console.log(hs.settings.namespaces())
+    /// ```
+    @objc func namespaces() -> [String]
+
+    /// SKIP_DOCS
+    @objc var namespace: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var exportTo: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var importFrom: JSFunction? { get set }
+
+    // NOTE: Private API for the companion JS file only
+    /// SKIP_DOCS
+    @objc var _keyPrefix: String { get }
+}
+
+// MARK: - Implementation
+
+@_documentation(visibility: private)
+@MainActor
+@objc class HSSettingsModule: NSObject, HSModuleAPI, HSSettingsModuleAPI {
+    var name = "hs.settings"
+    let engineID: UUID
+
+    /// The prefix of the hs.userdefaults keys that namespaces are stored under. Dots would make the key unusable with
+    /// the key-value observing that hs.userdefaults watchers rely on
+    static let keyPrefix = "hs_settings_"
+
+    @objc var _keyPrefix: String { HSSettingsModule.keyPrefix }
+
+    // Swift-retained storage for JS-defined functions
+    @objc var namespace: JSFunction? = nil
+    @objc var exportTo: JSFunction? = nil
+    @objc var importFrom: JSFunction? = nil
+
+    // MARK: - Module lifecycle
+    required init(engineID: UUID) {
+        self.engineID = engineID
+        super.init()
+        AKDebug("Init of \(name): \(engineID)")
+    }
+
+    func shutdown() {
+        // Change listeners are hs.userdefaults watchers, which that module removes
+        namespace = nil
+        exportTo = nil
+        importFrom = nil
+    }
+
+    isolated deinit {
+        AKDebug("Deinit of \(name): \(engineID)")
+    }
+
+    // MARK: - Namespaces
+
+    @objc func namespaces() -> [String] {
+        guard let suite = UserDefaults(suiteName: hsUserDefaultsSuiteName) else {
+            AKError("hs.settings.namespaces(): No UserDefaults suite available")
+            return []
+        }
+        return suite.dictionaryRepresentation().keys
+            .filter { $0.hasPrefix(HSSettingsModule.keyPrefix) }
+            .map { String($0.dropFirst(HSSettingsModule.keyPrefix.count)) }
+            .sorted()
+    }
+}
@@ -0,0 +1,442 @@
+// hs.settings.js
+// Namespaced settings, stored as JSON in hs.userdefaults
+
+"use strict";
+
+(function () {
+    const log = hs.logger.create("hs.settings");
+    const types = ["string", "number", "integer", "boolean", "array", "object", "any"];
+
+    // The options each namespace was most recently opened with, so importFrom() can migrate and check imported
+    // settings the same way namespace() does
+    const opened = new Map();
+
+    function storageKey(name) {
+        return hs.settings._keyPrefix + name;
+    }
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    function sameValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    function typeOf(value) {
+        if (value === null) {
+            return "null";
+        }
+        return Array.isArray(value) ? "array" : typeof value;
+    }
+
+    function isPlainObject(value) {
+        if (typeOf(value) !== "object") {
+            return false;
+        }
+        const prototype = Object.getPrototypeOf(value);
+        return prototype === Object.prototype || prototype === null;
+    }
+
+    // Whether a value survives a round trip through JSON unchanged
+    function isJSONValue(value) {
+        switch (typeOf(value)) {
+        case "null":
+        case "string":
+        case "boolean":
+            return true;
+        case "number":
+            return Number.isFinite(value);
+        case "array":
+            return value.every(isJSONValue);
+        case "object":
+            return isPlainObject(value) && Object.values(value).every(isJSONValue);
+        default:
+            return false;
+        }
+    }
+
+    function normalizeSpec(spec, path) {
+        if (typeof spec === "string") {
+            spec = { type: spec };
+        }
+        if (!isPlainObject(spec) || !types.includes(spec.type)) {
+            throw new TypeError(`hs.settings.namespace(): The schema of ${path} must be a type name, or an object with a type of ${types.join(", ")}`);
+        }
+        const normalized = Object.assign({}, spec);
+        if (spec.items !== undefined) {
+            normalized.items = normalizeSpec(spec.items, path + "[]");
+        }
+        return normalized;
+    }
+
+    // Describe why a value doesn't fit a setting's schema, or return null if it does
+    function problem(spec, value, path) {
+        if (!isJSONValue(value)) {
+            return `${path} must be a string, number, boolean, null, array or plain object`;
+        }
+        if (spec.type === "any") {
+            return null;
+        }
+        if (value === null) {
+            return spec.nullable ? null : `${path} must not be null`;
+        }
+
+        const actual = typeOf(value);
+        const fits = spec.type === "integer" ? Number.isInteger(value) : actual === spec.type;
+        if (!fits) {
+            return `${path} must be of type ${spec.type}, not ${actual}`;
+        }
+        if (Array.isArray(spec.enum) && !spec.enum.some(allowed => sameValue(allowed, value))) {
+            return `${path} must be one of ${JSON.stringify(spec.enum)}`;
+        }
+
+        const size = typeof value === "number" ? value : (typeof value === "string" || Array.isArray(value) ? value.length : undefined);
+        const measure = typeof value === "number" ? "" : " long";
+        if (size !== undefined && spec.min !== undefined && size < spec.min) {
+            return `${path} must be at least ${spec.min}${measure}`;
+        }
+        if (size !== undefined && spec.max !== undefined && size > spec.max) {
+            return `${path} must be at most ${spec.max}${measure}`;
+        }
+
+        if (spec.items && Array.isArray(value)) {
+            for (let i = 0; i < value.length; i++) {
+                const itemProblem = problem(spec.items, value[i], `${path}[${i}]`);
+                if (itemProblem) {
+                    return itemProblem;
+                }
+            }
+        }
+        return null;
+    }
+
+    // The stored record of a namespace: { version, values }, with a null version if nothing is stored
+    function readRecord(name) {
+        const raw = hs.userdefaults.get(storageKey(name));
+        if (typeof raw !== "string") {
+            return { version: null, values: {} };
+        }
+        try {
+            const record = JSON.parse(raw);
+            if (Number.isInteger(record.version) && isPlainObject(record.values)) {
+                return record;
+            }
+        } catch (e) {
+            // Reported below
+        }
+        log.error(`Ignoring the stored settings of '${name}', they are not in the expected format`);
+        return { version: null, values: {} };
+    }
+
+    function writeRecord(name, version, values) {
+        hs.userdefaults.set(storageKey(name), JSON.stringify({ version: version, values: values }));
+    }
+
+    // Bring settings stored by an older version of a namespace up to date, and drop any that its schema doesn't allow
+    function prepare(ns, values, fromVersion) {
+        if (fromVersion < ns.version && ns.migrate) {
+            if (typeof ns.migrate === "function") {
+                values = ns.migrate(clone(values), fromVersion, ns.version);
+            } else {
+                for (let version = fromVersion + 1; version <= ns.version; version++) {
+                    if (typeof ns.migrate[version] === "function") {
+                        values = ns.migrate[version](clone(values));
+                    }
+                }
+            }
+            if (!isPlainObject(values)) {
+                throw new TypeError(`hs.settings: Migrating '${ns.name}' to version ${ns.version} must produce an object of settings`);
+            }
+        }
+
+        const prepared = {};
+        for (const [key, value] of Object.entries(values)) {
+            if (value === undefined) {
+                continue;
+            }
+            const reason = ns.schema ? (ns.schema[key] ? problem(ns.schema[key], value, `'${key}'`) : `'${key}' is not in the schema`)
+                                     : problem({ type: "any" }, value, `'${key}'`);
+            if (reason) {
+                log.warn(`Dropping a setting of '${ns.name}': ${reason}`);
+                continue;
+            }
+            prepared[key] = value;
+        }
+        return prepared;
+    }
+
+    class SettingsNamespace {
+        #ns
+        // addWatcher() listeners, by setting name ("" for the whole namespace), each mapped to its hs.userdefaults watcher
+        #watchers = new Map()
+
+        constructor(ns) {
+            this.#ns = ns;
+        }
+
+        get name() {
+            return this.#ns.name;
+        }
+
+        get version() {
+            return this.#ns.version;
+        }
+
+        #checkKey(caller, key) {
+            if (typeof key !== "string") {
+                throw new TypeError(`${caller}: The setting name must be a string`);
+            }
+            if (this.#ns.schema && !this.#ns.schema[key]) {
+                throw new TypeError(`${caller}: '${key}' is not in the schema of '${this.#ns.name}'`);
+            }
+        }
+
+        #value(values, key) {
+            if (Object.hasOwn(values, key)) {
+                const spec = this.#ns.schema ? this.#ns.schema[key] : { type: "any" };
+                if (!problem(spec, values[key], `'${key}'`)) {
+                    return clone(values[key]);
+                }
+                log.warn(`Ignoring the stored value of '${key}' in '${this.#ns.name}', it does not fit the schema`);
+            }
+            return clone(this.#ns.defaults[key]);
+        }
+
+        get(key) {
+            this.#checkKey("get()", key);
+            return this.#value(readRecord(this.#ns.name).values, key);
+        }
+
+        set(key, value) {
+            this.#checkKey("set()", key);
+            const spec = this.#ns.schema ? this.#ns.schema[key] : { type: "any" };
+            const reason = problem(spec, value, `'${key}'`);
+            if (reason) {
+                throw new TypeError(`set(): ${reason}`);
+            }
+
+            const values = readRecord(this.#ns.name).values;
+            values[key] = clone(value);
+            writeRecord(this.#ns.name, this.#ns.version, values);
+        }
+
+        reset(key) {
+            if (key === undefined) {
+                hs.userdefaults.clear(storageKey(this.#ns.name));
+                return;
+            }
+            this.#checkKey("reset()", key);
+            const values = readRecord(this.#ns.name).values;
+            if (Object.hasOwn(values, key)) {
+                delete values[key];
+                writeRecord(this.#ns.name, this.#ns.version, values);
+            }
+        }
+
+        all() {
+            const values = readRecord(this.#ns.name).values;
+            const keys = new Set(Object.keys(this.#ns.schema || values).concat(Object.keys(this.#ns.defaults)));
+            const result = {};
+            for (const key of keys) {
+                const value = this.#value(values, key);
+                if (value !== undefined) {
+                    result[key] = value;
+                }
+            }
+            return result;
+        }
+
+        addWatcher(...args) {
+            const listener = args.pop();
+            const key = args.length > 0 ? args[0] : undefined;
+            if (typeof listener !== "function") {
+                throw new TypeError("addWatcher(): The listener must be a function");
+            }
+            if (key !== undefined) {
+                this.#checkKey("addWatcher()", key);
+            }
+
+            const listeners = this.#watchers.get(key || "") || new Map();
+            if (listeners.has(listener)) {
+                return;
+            }
+
+            // hs.userdefaults reports the namespace as a whole changing, so compare against what this listener last saw
+            let previous = this.all();
+            const watcher = () => {
+                const current = this.all();
+                const keys = key !== undefined ? [key] : new Set(Object.keys(previous).concat(Object.keys(current)));
+                const before = previous;
+                previous = current;
+                for (const changed of keys) {
+                    if (!sameValue(before[changed], current[changed])) {
+                        listener(changed, clone(current[changed]), before[changed]);
+                    }
+                }
+            };
+            listeners.set(listener, watcher);
+            this.#watchers.set(key || "", listeners);
+            hs.userdefaults.addWatcher(storageKey(this.#ns.name), watcher);
+        }
+
+        removeWatcher(...args) {
+            const listener = args.pop();
+            const key = args.length > 0 ? args[0] : undefined;
+            const listeners = this.#watchers.get(key || "");
+            const watcher = listeners && listeners.get(listener);
+            if (!watcher) {
+                return;
+            }
+            listeners.delete(listener);
+            hs.userdefaults.removeWatcher(storageKey(this.#ns.name), watcher);
+        }
+    }
+
+    /// Open a namespace of settings, migrating what is stored if it was stored by an older version
+    ///
+    /// The returned store has these methods:
+    /// - `get(key)`: The setting's value, or its default if it has not been set
+    /// - `set(key, value)`: Store a value, throwing a TypeError if the schema doesn't allow it
+    /// - `reset(key)`: Go back to the setting's default. Without a key, every setting in the namespace is reset
+    /// - `all()`: An object of every setting, with defaults filled in
+    /// - `addWatcher(key, listener)`: Call `listener(key, newValue, oldValue)` when the setting changes, whether through this store, another one, an import or the `defaults` tool. Leave out the key to hear about every setting in the namespace
+    /// - `removeWatcher(key, listener)`: Remove a listener added with `addWatcher()`
+    ///
+    /// It also has `name` and `version` properties.
+    /// - Parameter name: The namespace's name, made of letters, digits, `_` and `-`
+    /// - Parameter options?: `schema`: an object describing each setting, as in the hs.settings overview. `defaults`: an object of the value each setting has until it is set. `version`: a positive integer, defaulting to 1. `migrate`: either an object of functions keyed by version number, each taking the settings as they were at the version before and returning them as they should be at that version, or a single function taking the settings, the stored version and the new version
+    /// - Returns: A settings store
+    /// - Note: Throws a TypeError if the schema or defaults are invalid, or a migration fails. Stored settings that don't fit the schema after migrating are dropped, with a warning logged
+    /// - Example:
+    /// ```js
+    /// const layout = hs.settings.namespace("layout", {
+    ///     schema: { gap: { type: "integer", min: 0 }, focusFollowsMouse: "boolean" },
+    ///     defaults: { gap: 8, focusFollowsMouse: false }
+    /// })
+    /// layout.addWatcher("gap", (key, gap) => retile(gap))
+    /// layout.set("gap", 12)
+    /// ```
+    hs.settings.namespace = function(name, options) {
+        if (typeof name !== "string" || !/^[A-Za-z0-9_-]+$/.test(name)) {
+            throw new TypeError("hs.settings.namespace(): The name must be a non-empty string of letters, digits, '_' and '-'");
+        }
+        options = options || {};
+
+        const version = options.version === undefined ? 1 : options.version;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new TypeError("hs.settings.namespace(): The version must be a positive integer");
+        }
+
+        let schema = null;
+        if (options.schema !== undefined) {
+            if (!isPlainObject(options.schema)) {
+                throw new TypeError("hs.settings.namespace(): The schema must be an object");
+            }
+            schema = Object.create(null);
+            for (const [key, spec] of Object.entries(options.schema)) {
+                schema[key] = normalizeSpec(spec, `'${key}'`);
+            }
+        }
+
+        const defaults = options.defaults === undefined ? {} : options.defaults;
+        if (!isPlainObject(defaults)) {
+            throw new TypeError("hs.settings.namespace(): The defaults must be an object");
+        }
+        for (const [key, value] of Object.entries(defaults)) {
+            const reason = schema ? (schema[key] ? problem(schema[key], value, `The default of '${key}'`) : `'${key}' has a default, but is not in the schema`)
+                                  : problem({ type: "any" }, value, `The default of '${key}'`);
+            if (reason) {
+                throw new TypeError(`hs.settings.namespace(): ${reason}`);
+            }
+        }
+
+        const migrate = options.migrate;
+        if (migrate !== undefined && typeof migrate !== "function" && !isPlainObject(migrate)) {
+            throw new TypeError("hs.settings.namespace(): migrate must be a function, or an object of functions keyed by version");
+        }
+
+        const ns = { name: name, schema: schema, defaults: clone(defaults), version: version, migrate: migrate };
+
+        const record = readRecord(name);
+        if (record.version !== null && record.version < version) {
+            writeRecord(name, version, prepare(ns, record.values, record.version));
+            log.info(`Migrated '${name}' from version ${record.version} to ${version}`);
+        } else if (record.version !== null && record.version > version) {
+            log.warn(`'${name}' was stored by version ${record.version}, which is newer than version ${version}`);
+        }
+
+        opened.set(name, ns);
+        return new SettingsNamespace(ns);
+    };
+
+    /// Write every namespace's settings to a JSON file
+    /// - Parameter path: The file to write
+    /// - Returns: The names of the namespaces written
+    /// - Note: Throws an error if the file can't be written
+    /// - Example:
+    /// ```js
+    /// hs.settings.exportTo("~/Dropbox/hammerspoon-settings.json")
+    /// ```
+    hs.settings.exportTo = function(path) {
+        const data = {};
+        for (const name of hs.settings.namespaces()) {
+            const record = readRecord(name);
+            if (record.version !== null) {
+                data[name] = record;
+            }
+        }
+        if (!hs.fs.write(path, JSON.stringify(data, null, 2) + "\n")) {
+            throw new Error(`hs.settings.exportTo(): Could not write ${path}`);
+        }
+        return Object.keys(data);
+    };
+
+    /// Read settings written by `exportTo()`, replacing the settings of each namespace in the file
+    ///
+    /// Namespaces that have been opened with `namespace()` are migrated and checked against their schema, as they would be when opened. Others are stored as they are, and migrated when they are next opened. Watchers are told about every setting that changes.
+    /// - Parameter path: The file to read
+    /// - Returns: The names of the namespaces imported
+    /// - Note: Throws an error if the file can't be read or isn't an export. Nothing is imported in that case
+    /// - Example:
+    /// ```js
+    /// hs.settings.importFrom("~/Dropbox/hammerspoon-settings.json")
+    /// ```
+    hs.settings.importFrom = function(path) {
+        const text = hs.fs.exists(path) ? hs.fs.read(path) : null;
+        if (text === null || text === undefined) {
+            throw new Error(`hs.settings.importFrom(): Could not read ${path}`);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`hs.settings.importFrom(): ${path} is not valid JSON: ${e.message}`);
+        }
+        if (!isPlainObject(data)) {
+            throw new Error(`hs.settings.importFrom(): ${path} is not a settings export`);
+        }
+
+        // Check and migrate everything before storing anything
+        const records = [];
+        for (const [name, record] of Object.entries(data)) {
+            if (!/^[A-Za-z0-9_-]+$/.test(name) || !isPlainObject(record) || !Number.isInteger(record.version) ||
+                record.version < 1 || !isPlainObject(record.values)) {
+                throw new Error(`hs.settings.importFrom(): '${name}' in ${path} is not a settings export`);
+            }
+            const ns = opened.get(name);
+            if (ns && record.version <= ns.version) {
+                records.push({ name: name, version: ns.version, values: prepare(ns, record.values, record.version) });
+            } else {
+                records.push({ name: name, version: record.version, values: record.values });
+            }
+        }
+
+        for (const record of records) {
+            writeRecord(record.name, record.version, record.values);
+        }
+        log.info(`Imported ${records.map(record => record.name).join(", ")} from ${path}`);
+        return records.map(record => record.name);
+    };
+})();
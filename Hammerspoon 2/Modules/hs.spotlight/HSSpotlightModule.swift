@@ -213,6 +213,7 @@ import JavaScriptCore
     @objc func create() -> HSSpotlightQuery {
         let q = HSSpotlightQuery()
         queries.add(q)
+        HSScope.track(q)
         return q
     }
 
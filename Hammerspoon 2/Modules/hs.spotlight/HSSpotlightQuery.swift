@@ -433,3 +433,11 @@ import JavaScriptCore
         callback = nil
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSSpotlightQuery: HSDisposable {
+    func dispose() {
+        destroy()
+    }
+}
@@ -469,3 +469,13 @@ import JavaScriptCoreExtras
         }
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSTask: HSDisposable {
+    func dispose() {
+        if isRunning {
+            terminate()
+        }
+    }
+}
@@ -171,6 +171,7 @@ struct TaskTracker {
         )
 
         tasks.add(task)
+        HSScope.track(task)
         return task
     }
 }
@@ -14,9 +14,14 @@
      * @param {Object} options.environment - Environment variables (optional)
      * @param {string} options.workingDirectory - Working directory (optional)
      * @param {Function} options.onOutput - Callback for streaming output: (stream, data) => {} (optional)
+     * @param {AbortSignal} options.signal - Terminates the task and rejects with the signal's reason when aborted (optional)
      * @param {Function} legacyStreamCallback - Legacy streaming callback (optional)
      * @example
      * hs.task.runAsync("/bin/echo", ["hi"]).then(r => console.log(r.stdout))
+     * @example
+     * const controller = new AbortController()
+     * hs.task.runAsync("/bin/sleep", ["60"], { signal: controller.signal }).catch(e => console.log(e.name))
+     * controller.abort() // logs "AbortError"
      * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>}
      */
     hs.task.runAsync = function(launchPath, args, options, legacyStreamCallback) {
@@ -26,6 +31,7 @@
             let environment = null;
             let workingDirectory = null;
             let onOutput = null;
+            let signal = null;
             let streamCallback = null;
 
             // Handle legacy API: hs.task.runAsync(path, args, callback, streamCallback)
@@ -43,6 +49,12 @@
                 environment = options.environment || null;
                 workingDirectory = options.workingDirectory || null;
                 onOutput = options.onOutput || null;
+                signal = options.signal || null;
+            }
+
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
             }
 
             // Create streaming callback that accumulates output
@@ -60,8 +72,18 @@
                 }
             };
 
+            // Terminating the task still runs the termination callback below, but the promise is already rejected
+            const onAbort = function() {
+                task.terminate();
+                reject(signal.reason);
+            };
+
             // Create termination callback
             const terminationCallback = function(exitCode, reason) {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+
                 const result = {
                     exitCode: exitCode,
                     stdout: stdout,
@@ -85,13 +107,17 @@
             }
 
             task.start();
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
         });
     };
 
     /**
      * Run a shell command asynchronously
      * @param {string} command - Shell command to execute
-     * @param {Object} options - Options (same as run)
+     * @param {Object} options - Options (same as run), including an AbortSignal as options.signal
      * @example
      * hs.task.shell("ls -la /tmp").then(r => console.log(r.stdout))
      * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>}
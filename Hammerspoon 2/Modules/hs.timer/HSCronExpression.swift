@@ -0,0 +1,233 @@
+//
+//  HSCronExpression.swift
+//  Hammerspoon 2
+//
+
+import Foundation
+
+/// A parsed five-field cron expression: minute, hour, day of month, month and day of week.
+///
+/// Fields accept `*`, numbers, names (`jan`-`dec`, `sun`-`sat`), lists (`1,15`), ranges (`mon-fri`) and steps (`*/15`,
+/// `8-18/2`). The day of month may be `L`, the last day of the month. A day of week may be `mon#1`, the first Monday of
+/// the month, or `friL`, the last Friday. As in other crons, when both the day of month and day of week are restricted,
+/// a day matching either one matches.
+@_documentation(visibility: private)
+struct HSCronExpression {
+    struct NthWeekday: Hashable {
+        /// 0 is Sunday
+        let weekday: Int
+        /// 1 to 5, or -1 for the last one in the month
+        let nth: Int
+    }
+
+    static let macros = [
+        "@yearly": "0 0 1 1 *",
+        "@annually": "0 0 1 1 *",
+        "@monthly": "0 0 1 * *",
+        "@weekly": "0 0 * * 0",
+        "@daily": "0 0 * * *",
+        "@midnight": "0 0 * * *",
+        "@hourly": "0 * * * *",
+    ]
+
+    private static let monthNames = ["jan": 1, "feb": 2, "mar": 3, "apr": 4, "may": 5, "jun": 6,
+                                     "jul": 7, "aug": 8, "sep": 9, "oct": 10, "nov": 11, "dec": 12]
+    private static let weekdayNames = ["sun": 0, "mon": 1, "tue": 2, "wed": 3, "thu": 4, "fri": 5, "sat": 6]
+
+    /// The expression, with any macro expanded
+    let expression: String
+
+    let minutes: Set<Int>
+    let hours: Set<Int>
+    let daysOfMonth: Set<Int>
+    let lastDayOfMonth: Bool
+    let months: Set<Int>
+    let weekdays: Set<Int>
+    let nthWeekdays: Set<NthWeekday>
+
+    private let isDayOfMonthRestricted: Bool
+    private let isWeekdayRestricted: Bool
+
+    init(_ text: String) throws(HSCronError) {
+        let trimmed = text.trimmingCharacters(in: .whitespaces).lowercased()
+        let expanded = HSCronExpression.macros[trimmed] ?? trimmed
+        let fields = expanded.split(whereSeparator: { $0 == " " || $0 == "\t" }).map(String.init)
+        guard fields.count == 5 else {
+            throw .invalid(text, "expected 5 fields (minute hour day month weekday), found \(fields.count)")
+        }
+        try self.init(minute: fields[0], hour: fields[1], day: fields[2], month: fields[3], weekday: fields[4])
+    }
+
+    init(minute: String, hour: String, day: String, month: String, weekday: String) throws(HSCronError) {
+        expression = [minute, hour, day, month, weekday].joined(separator: " ")
+
+        minutes = try HSCronExpression.parse(minute, name: "minute", range: 0...59, in: expression)
+        hours = try HSCronExpression.parse(hour, name: "hour", range: 0...23, in: expression)
+        months = try HSCronExpression.parse(month, name: "month", range: 1...12, names: HSCronExpression.monthNames, in: expression)
+
+        var lastDay = false
+        var days: [String] = []
+        for part in day.split(separator: ",", omittingEmptySubsequences: false).map(String.init) {
+            if part == "l" {
+                lastDay = true
+            } else {
+                days.append(part)
+            }
+        }
+        daysOfMonth = days.isEmpty ? [] : try HSCronExpression.parse(days.joined(separator: ","), name: "day", range: 1...31, in: expression)
+        lastDayOfMonth = lastDay
+
+        var nth: Set<NthWeekday> = []
+        var plain: [String] = []
+        for part in weekday.split(separator: ",", omittingEmptySubsequences: false).map(String.init) {
+            if let hash = part.firstIndex(of: "#") {
+                let day = try HSCronExpression.value(String(part[..<hash]), name: "weekday", range: 0...7, names: HSCronExpression.weekdayNames, in: expression)
+                guard let n = Int(part[part.index(after: hash)...]), (1...5).contains(n) else {
+                    throw .invalid(expression, "'\(part)' must be a weekday followed by #1 to #5")
+                }
+                nth.insert(NthWeekday(weekday: day % 7, nth: n))
+            } else if part.count > 1, part.hasSuffix("l") {
+                let day = try HSCronExpression.value(String(part.dropLast()), name: "weekday", range: 0...7, names: HSCronExpression.weekdayNames, in: expression)
+                nth.insert(NthWeekday(weekday: day % 7, nth: -1))
+            } else {
+                plain.append(part)
+            }
+        }
+        weekdays = plain.isEmpty ? [] : Set(try HSCronExpression.parse(plain.joined(separator: ","), name: "weekday", range: 0...7, names: HSCronExpression.weekdayNames, in: expression).map { $0 % 7 })
+        nthWeekdays = nth
+
+        isDayOfMonthRestricted = !day.hasPrefix("*")
+        isWeekdayRestricted = !weekday.hasPrefix("*")
+    }
+
+    // MARK: - Matching
+
+    /// Whether the expression allows a day
+    /// - Parameters:
+    ///   - weekday: 0 for Sunday to 6 for Saturday
+    func matches(year: Int, month: Int, day: Int, weekday: Int, daysInMonth: Int) -> Bool {
+        guard months.contains(month) else { return false }
+
+        let dayOfMonthMatches = daysOfMonth.contains(day) || (lastDayOfMonth && day == daysInMonth)
+        let weekdayMatches = weekdays.contains(weekday) || nthWeekdays.contains { nth in
+            nth.weekday == weekday && (nth.nth == -1 ? day + 7 > daysInMonth : (day - 1) / 7 + 1 == nth.nth)
+        }
+
+        switch (isDayOfMonthRestricted, isWeekdayRestricted) {
+        case (true, true): return dayOfMonthMatches || weekdayMatches
+        case (true, false): return dayOfMonthMatches
+        case (false, true): return weekdayMatches
+        case (false, false): return true
+        }
+    }
+
+    /// The first time after a date that the expression matches, in the calendar's time zone
+    ///
+    /// Times that are skipped when the clocks go forward are moved to the end of the gap. Times that happen twice when
+    /// the clocks go back only match the first time.
+    /// - Returns: The next matching time, or nil if there isn't one in the next five years
+    func nextDate(after date: Date, in calendar: Calendar) -> Date? {
+        let sortedHours = hours.sorted()
+        let sortedMinutes = minutes.sorted()
+        let start = calendar.dateComponents([.hour, .minute], from: date)
+        var dayStart = calendar.startOfDay(for: date)
+        var isFirstDay = true
+
+        for _ in 0..<(366 * 5) {
+            guard let nextDayStart = calendar.date(byAdding: .day, value: 1, to: dayStart) else { return nil }
+            defer {
+                dayStart = nextDayStart
+                isFirstDay = false
+            }
+
+            let components = calendar.dateComponents([.year, .month, .day, .weekday], from: dayStart)
+            guard let year = components.year, let month = components.month, let day = components.day,
+                  let weekday = components.weekday,
+                  let daysInMonth = calendar.range(of: .day, in: .month, for: dayStart)?.count,
+                  matches(year: year, month: month, day: day, weekday: weekday - 1, daysInMonth: daysInMonth) else {
+                continue
+            }
+
+            for hour in sortedHours {
+                for minute in sortedMinutes {
+                    // Wall-clock times before the start can't be after it. Skipping them saves a calendar search each
+                    if isFirstDay, let startHour = start.hour, let startMinute = start.minute,
+                       (hour, minute) < (startHour, startMinute) {
+                        continue
+                    }
+                    guard let candidate = calendar.nextDate(after: dayStart.addingTimeInterval(-1),
+                                                            matching: DateComponents(hour: hour, minute: minute, second: 0),
+                                                            matchingPolicy: .nextTime,
+                                                            repeatedTimePolicy: .first,
+                                                            direction: .forward) else {
+                        continue
+                    }
+                    if candidate > date && candidate < nextDayStart {
+                        return candidate
+                    }
+                }
+            }
+        }
+        return nil
+    }
+
+    // MARK: - Parsing
+
+    private static func parse(_ field: String, name: String, range: ClosedRange<Int>, names: [String: Int] = [:],
+                              in expression: String) throws(HSCronError) -> Set<Int> {
+        var result: Set<Int> = []
+        for part in field.split(separator: ",", omittingEmptySubsequences: false).map(String.init) {
+            var rangePart = part
+            var step = 1
+            if let slash = part.firstIndex(of: "/") {
+                guard let parsed = Int(part[part.index(after: slash)...]), parsed > 0 else {
+                    throw .invalid(expression, "the step in '\(part)' must be a positive number")
+                }
+                step = parsed
+                rangePart = String(part[..<slash])
+            }
+
+            let lower: Int
+            var upper: Int
+            if rangePart == "*" {
+                lower = range.lowerBound
+                upper = range.upperBound
+            } else if let dash = rangePart.firstIndex(of: "-") {
+                lower = try value(String(rangePart[..<dash]), name: name, range: range, names: names, in: expression)
+                upper = try value(String(rangePart[rangePart.index(after: dash)...]), name: name, range: range, names: names, in: expression)
+                guard lower <= upper else {
+                    throw .invalid(expression, "the \(name) range '\(rangePart)' is backwards")
+                }
+            } else {
+                lower = try value(rangePart, name: name, range: range, names: names, in: expression)
+                // As in other crons, "5/15" means every 15 starting from 5
+                upper = step > 1 ? range.upperBound : lower
+            }
+
+            result.formUnion(stride(from: lower, through: upper, by: step))
+        }
+        return result
+    }
+
+    private static func value(_ text: String, name: String, range: ClosedRange<Int>, names: [String: Int] = [:],
+                              in expression: String) throws(HSCronError) -> Int {
+        if let named = names[text] {
+            return named
+        }
+        guard let number = Int(text), range.contains(number) else {
+            throw .invalid(expression, "'\(text)' is not a valid \(name), expected \(range.lowerBound)-\(range.upperBound)")
+        }
+        return number
+    }
+}
+
+@_documentation(visibility: private)
+enum HSCronError: LocalizedError {
+    case invalid(String, String)
+
+    var errorDescription: String? {
+        switch self {
+        case .invalid(let expression, let reason): return "Invalid schedule '\(expression)': \(reason)"
+        }
+    }
+}
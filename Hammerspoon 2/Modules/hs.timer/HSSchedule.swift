@@ -0,0 +1,247 @@
+//
+//  HSSchedule.swift
+//  Hammerspoon 2
+//
+
+import Foundation
+import AppKit
+import JavaScriptCore
+
+/// Object representing a calendar schedule. You should not instantiate these yourself, but rather, use hs.timer.schedule() to create them for you.
+@objc protocol HSScheduleAPI: HSTypeAPI, JSExport {
+    /// The schedule as a five-field cron expression, with any macro or object form expanded
+    /// - Example:
+    /// ```js
+    /// const s = hs.timer.schedule({ weekdays: [1, 2, 3, 4, 5], hour: 9 }, () => {})
+    /// console.log(s.expression)  // "0 9 * * 1,2,3,4,5"
+    /// ```
+    @objc var expression: String { get }
+
+    /// The identifier of the time zone the schedule follows, or null if it follows the system's time zone
+    /// - Example:
+    /// ```js
+    /// const s = hs.timer.schedule("0 9 * * *", () => {}, { timeZone: "Europe/London" })
+    /// console.log(s.timeZone)
+    /// ```
+    @objc var timeZone: String? { get }
+
+    /// What happens to runs that were missed while the Mac was asleep: `"once"` or `"skip"`
+    /// - Example:
+    /// ```js
+    /// const s = hs.timer.schedule("@daily", () => {})
+    /// console.log(s.catchUp)  // "once"
+    /// ```
+    @objc var catchUp: String { get }
+
+    /// When the callback was last run, or null if it hasn't been
+    /// - Example:
+    /// ```js
+    /// const s = hs.timer.schedule("*/5 * * * *", () => {})
+    /// console.log(s.lastRun)
+    /// ```
+    @objc var lastRun: Date? { get }
+
+    /// Start the schedule
+    /// - Example:
+    /// ```js
+    /// const s = hs.timer.schedule("@hourly", () => {})
+    /// s.stop()
+    /// s.start()
+    /// ```
+    @objc func start()
+
+    /// Stop the schedule
+    /// - Example:
+    /// ```js
+    /// const s = hs.timer.schedule("@hourly", () => {})
+    /// s.stop()
+    /// ```
+    @objc func stop()
+
+    /// Check if the schedule is currently running
+    /// - Returns: true if the schedule is running, false otherwise
+    /// - Example:
+    /// ```js
+    /// const s = hs.timer.schedule("@hourly", () => {})
+    /// console.log(s.running())
+    /// ```
+    @objc func running() -> Bool
+
+    /// Get the next times the schedule will run
+    /// - Parameter count: How many times to get
+    /// - Returns: An array of Dates, in order. It is shorter than `count` if the schedule has no more runs in the next
+    ///   five years.
+    /// - Example:
+    /// ```js
+    /// const s = hs.timer.schedule("30 8 * * mon-fri", () => {})
+    /// s.nextRuns(5).forEach(d => console.log(d.toString()))
+    /// ```
+    @objc func nextRuns(_ count: Int) -> [Date]
+}
+
+@_documentation(visibility: private)
+@objc class HSSchedule: NSObject, HSScheduleAPI {
+    enum CatchUp: String {
+        case once
+        case skip
+    }
+
+    /// A run that is later than this, because the Mac was asleep, is missed rather than late
+    static let missedAfter: TimeInterval = 60
+
+    @objc var typeName = "HSSchedule"
+    @objc var expression: String { cron.expression }
+    @objc var timeZone: String? { pinnedTimeZone?.identifier }
+    @objc var catchUp: String { catchUpPolicy.rawValue }
+    @objc private(set) var lastRun: Date?
+
+    private let cron: HSCronExpression
+    private let pinnedTimeZone: TimeZone?
+    private let catchUpPolicy: CatchUp
+    private var callback: JSCallback?
+    private var timer: Timer?
+    private var pendingRun: Date?
+    private var observers: [(NotificationCenter, NSObjectProtocol)] = []
+
+    init(cron: HSCronExpression, timeZone: TimeZone?, catchUp: CatchUp, callback: JSFunction) {
+        self.cron = cron
+        self.pinnedTimeZone = timeZone
+        self.catchUpPolicy = catchUp
+        super.init()
+        self.callback = JSCallback(value: callback, owner: self)
+    }
+
+    isolated deinit {
+        destroy()
+        AKDebug("HSSchedule deinit")
+    }
+
+    func destroy() {
+        stop()
+        callback?.detach(from: self)
+        callback = nil
+    }
+
+    /// The calendar that runs are worked out in. The system's time zone is looked up each time, so a change to it
+    /// is followed
+    private var calendar: Calendar {
+        var calendar = Calendar(identifier: .gregorian)
+        calendar.timeZone = pinnedTimeZone ?? .current
+        return calendar
+    }
+
+    @objc func start() {
+        guard timer == nil else { return }
+
+        let workspaceCenter = NSWorkspace.shared.notificationCenter
+        let wake = workspaceCenter.addObserver(forName: NSWorkspace.didWakeNotification, object: nil, queue: .main) { [weak self] _ in
+            MainActor.assumeIsolated { self?.resync() }
+        }
+        observers.append((workspaceCenter, wake))
+
+        // Timers count down in time the Mac is awake, so anything that moves the wall clock means working the run out again
+        for name in [Notification.Name.NSSystemClockDidChange, .NSSystemTimeZoneDidChange] {
+            let observer = NotificationCenter.default.addObserver(forName: name, object: nil, queue: .main) { [weak self] _ in
+                MainActor.assumeIsolated { self?.resync() }
+            }
+            observers.append((NotificationCenter.default, observer))
+        }
+
+        scheduleRun(after: Date())
+    }
+
+    @objc func stop() {
+        timer?.invalidate()
+        timer = nil
+        pendingRun = nil
+        for (center, observer) in observers {
+            center.removeObserver(observer)
+        }
+        observers.removeAll()
+    }
+
+    @objc func running() -> Bool {
+        return timer != nil
+    }
+
+    @objc func nextRuns(_ count: Int) -> [Date] {
+        let calendar = calendar
+        var runs: [Date] = []
+        var after = Date()
+        while runs.count < count, let next = cron.nextDate(after: after, in: calendar) {
+            runs.append(next)
+            after = next
+        }
+        return runs
+    }
+
+    // MARK: - Running
+
+    private func scheduleRun(after date: Date) {
+        timer?.invalidate()
+        timer = nil
+        pendingRun = cron.nextDate(after: date, in: calendar)
+        guard let pendingRun else {
+            AKWarning("hs.timer.schedule(): '\(expression)' has no runs in the next five years")
+            stop()
+            return
+        }
+
+        // The timer holds on to the schedule while it runs, as HSTimer's do
+        let timer = Timer(fireAt: pendingRun, interval: 0, target: self, selector: #selector(timerDidFire), userInfo: nil, repeats: false)
+        RunLoop.main.add(timer, forMode: .common)
+        self.timer = timer
+    }
+
+    @objc private func timerDidFire() {
+        resync()
+    }
+
+    /// Run the pending run if it is due, then schedule the next one
+    private func resync() {
+        guard running(), let pendingRun else { return }
+
+        let now = Date()
+        // Timers may fire a little early
+        guard pendingRun.timeIntervalSince(now) <= 0.5 else {
+            scheduleRun(after: now)
+            return
+        }
+
+        if catchUpPolicy == .skip && now.timeIntervalSince(pendingRun) > HSSchedule.missedAfter {
+            AKInfo("hs.timer.schedule(): Skipping the run of '\(expression)' that was missed at \(pendingRun)")
+        } else {
+            run(scheduledFor: pendingRun)
+        }
+
+        // The callback may have stopped the schedule
+        if running() {
+            scheduleRun(after: max(now, pendingRun))
+        }
+    }
+
+    private func run(scheduledFor date: Date) {
+        lastRun = Date()
+        guard let callbackValue = callback?.value, callbackValue.isObject else {
+            AKError("hs.timer.schedule(): callback is not a function")
+            return
+        }
+
+        callbackValue.call(withArguments: [date])
+
+        if let context = callbackValue.context,
+           let exception = context.exception,
+           !exception.isUndefined {
+            AKError("hs.timer.schedule(): Error in callback: \(exception.toString() ?? "unknown error")")
+            context.exception = nil
+        }
+    }
+}
+
+// MARK: - HSDisposable
+
+extension HSSchedule: HSDisposable {
+    func dispose() {
+        stop()
+    }
+}
@@ -187,3 +187,11 @@ import JavaScriptCore
         }
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSTimer: HSDisposable {
+    func dispose() {
+        stop()
+    }
+}
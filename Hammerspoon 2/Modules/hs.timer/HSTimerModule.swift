@@ -62,6 +62,31 @@ import JavaScriptCore
     @objc(doAt::::)
     func doAt(_ time: TimeInterval, _ repeatInterval: TimeInterval, _ callback: JSFunction, _ continueOnError: Bool) -> HSTimer
 
+    /// Create and start a schedule that runs a callback at calendar times, like cron
+    /// - Parameters:
+    ///   - spec: {string | {minute?: number | number[] | string, hour?: number | number[] | string, day?: number | number[] | string, month?: number | number[] | string, weekdays?: number | number[] | string}} Either a cron expression, or an object of calendar fields. See the notes below.
+    ///   - callback: {(scheduled: Date) => void} A JavaScript function to call at each run. It is passed the time the run was scheduled for
+    ///   - options?: { {timeZone?: string, catchUp?: "once" | "skip"} } An object with any of: `timeZone`, a time zone identifier, such as `"America/New_York"`, to follow instead of the system's time zone; and `catchUp`, what to do about runs missed while the Mac was asleep. `"once"` (the default) runs the callback once on wake, however many runs were missed. `"skip"` doesn't run it until the next scheduled time.
+    /// - Returns: A schedule object (already started)
+    /// - Note: A cron expression has five fields: minute, hour, day of month, month and day of week. Each accepts `*`, numbers, lists (`1,15`), ranges (`1-5`) and steps (`*/15`). Months and days of the week may be given by name (`jan`, `mon`), and Sunday is 0 or 7. The day of month may be `L` for the last day of the month, and a day of the week may be `fri#2` for the second Friday of the month, or `friL` for the last one. When both the day of month and day of week are restricted, a day matching either runs. `@yearly`, `@monthly`, `@weekly`, `@daily` and `@hourly` are also accepted.
+    /// - Note: The object form takes `minute`, `hour`, `day`, `month` and `weekdays`, each a number, an array of numbers or a cron field. Fields that are left out match every value, except `minute`, which defaults to 0.
+    /// - Note: Runs follow the wall clock. A time that is skipped when the clocks go forward runs when they do, and a time that happens twice when they go back runs only the first time.
+    /// - Note: Throws an error if the spec or options are invalid
+    /// - Example:
+    /// ```js
+    /// // 9am on weekdays
+    /// hs.timer.schedule("0 9 * * mon-fri", () => console.log("morning"))
+    ///
+    /// // Every 15 minutes during the working day, on New York time
+    /// hs.timer.schedule({ weekdays: [1, 2, 3, 4, 5], hour: "9-17", minute: "*/15" }, () => {}, { timeZone: "America/New_York" })
+    ///
+    /// // The last day of each month, without catching up after sleep
+    /// const s = hs.timer.schedule("0 18 L * *", () => {}, { catchUp: "skip" })
+    /// console.log(s.nextRuns(3))
+    /// ```
+    @objc(schedule:::)
+    func schedule(_ spec: JSValue, _ callback: JSFunction, _ options: JSValue?) -> HSSchedule?
+
     /// Block execution for a specified number of microseconds (strongly discouraged)
     /// - Parameter microseconds: Number of microseconds to sleep
     /// - Note: This blocks the entire application and should be avoided. Use timers instead.
@@ -142,6 +167,21 @@ import JavaScriptCore
 
     /// SKIP_DOCS
     @objc var waitWhile: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var sleep: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var waitFor: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var interval: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var debounce: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var throttle: JSFunction? { get set }
 }
 
 // MARK: - Implementation
@@ -155,6 +195,7 @@ import JavaScriptCore
     // Weak refs: running timers stay alive via the Foundation run loop (Timer target);
     // stopped/GC'd timers are automatically zeroed. allObjects only returns live timers.
     private var timers = HSWeakObjectSet<HSTimer>()
+    private var schedules = HSWeakObjectSet<HSSchedule>()
 
     // MARK: - Module lifecycle
     required init(engineID: UUID) {
@@ -168,10 +209,19 @@ import JavaScriptCore
             timer.destroy()
         }
         timers.removeAllObjects()
+        for schedule in schedules.allObjects {
+            schedule.destroy()
+        }
+        schedules.removeAllObjects()
         doUntil = nil
         doWhile = nil
         waitUntil = nil
         waitWhile = nil
+        sleep = nil
+        waitFor = nil
+        interval = nil
+        debounce = nil
+        throttle = nil
     }
 
     isolated deinit {
@@ -183,18 +233,25 @@ import JavaScriptCore
     @objc var doWhile: JSFunction? = nil
     @objc var waitUntil: JSFunction? = nil
     @objc var waitWhile: JSFunction? = nil
+    @objc var sleep: JSFunction? = nil
+    @objc var waitFor: JSFunction? = nil
+    @objc var interval: JSFunction? = nil
+    @objc var debounce: JSFunction? = nil
+    @objc var throttle: JSFunction? = nil
 
     // MARK: - Timer constructors
 
     @objc func create(_ interval: TimeInterval, _ callback: JSFunction, _ continueOnError: Bool = false) -> HSTimer {
         let timer = HSTimer(interval: interval, repeats: true, callback: callback, continueOnError: continueOnError)
         timers.add(timer)
+        HSScope.track(timer)
         return timer
     }
 
     @objc func doAfter(_ seconds: TimeInterval, _ callback: JSFunction) -> HSTimer {
         let timer = HSTimer(interval: seconds, repeats: false, callback: callback)
         timers.add(timer)
+        HSScope.track(timer)
         timer.start()
         return timer
     }
@@ -202,6 +259,7 @@ import JavaScriptCore
     @objc func doEvery(_ interval: TimeInterval, _ callback: JSFunction) -> HSTimer {
         let timer = HSTimer(interval: interval, repeats: true, callback: callback)
         timers.add(timer)
+        HSScope.track(timer)
         timer.start()
         return timer
     }
@@ -218,10 +276,95 @@ import JavaScriptCore
 
         let timer = HSTimer(interval: secondsUntilTarget, repeats: false, callback: callback, continueOnError: continueOnError)
         timers.add(timer)
+        HSScope.track(timer)
         timer.start()
         return timer
     }
 
+    // MARK: - Calendar schedules
+
+    @objc func schedule(_ spec: JSValue, _ callback: JSFunction, _ options: JSValue?) -> HSSchedule? {
+        guard let context = JSContext.current() else { return nil }
+        func fail(_ message: String) -> HSSchedule? {
+            context.exception = JSValue(newErrorFromMessage: "hs.timer.schedule(): \(message)", in: context)
+            return nil
+        }
+
+        guard callback.isFunction else {
+            return fail("The callback must be a function")
+        }
+
+        let cron: HSCronExpression
+        do {
+            cron = try cronExpression(from: spec)
+        } catch {
+            return fail(error.localizedDescription)
+        }
+
+        var timeZone: TimeZone?
+        var catchUp = HSSchedule.CatchUp.once
+        if let options, options.isObject {
+            if let value = options.objectForKeyedSubscript("timeZone"), !value.isUndefined, !value.isNull {
+                guard value.isString, let identifier = value.toString(), let zone = TimeZone(identifier: identifier) else {
+                    return fail("'\(value)' is not a known time zone")
+                }
+                timeZone = zone
+            }
+            if let value = options.objectForKeyedSubscript("catchUp"), !value.isUndefined, !value.isNull {
+                guard value.isString, let policy = HSSchedule.CatchUp(rawValue: value.toString()) else {
+                    return fail("catchUp must be \"once\" or \"skip\"")
+                }
+                catchUp = policy
+            }
+        } else if let options, !options.isUndefined, !options.isNull {
+            return fail("The options must be an object")
+        }
+
+        let schedule = HSSchedule(cron: cron, timeZone: timeZone, catchUp: catchUp, callback: callback)
+        schedules.add(schedule)
+        HSScope.track(schedule)
+        schedule.start()
+        return schedule
+    }
+
+    /// Parse a cron expression, or build one from an object of calendar fields
+    private func cronExpression(from spec: JSValue) throws(HSCronError) -> HSCronExpression {
+        if spec.isString {
+            return try HSCronExpression(spec.toString())
+        }
+        let description = spec.context.objectForKeyedSubscript("JSON")?
+            .invokeMethod("stringify", withArguments: [spec])?.toString() ?? "\(spec)"
+        guard spec.isObject, !spec.isArray, let object = spec.toDictionary() as? [String: Any] else {
+            throw .invalid(description, "expected a cron expression or an object of calendar fields")
+        }
+
+        let known = ["minute", "hour", "day", "month", "weekdays"]
+        if let unknown = object.keys.sorted().first(where: { !known.contains($0) }) {
+            throw .invalid(description, "unknown field '\(unknown)', expected \(known.joined(separator: ", "))")
+        }
+
+        func field(_ key: String, default defaultValue: String) throws(HSCronError) -> String {
+            switch object[key] {
+            case nil, is NSNull:
+                return defaultValue
+            case let string as String:
+                return string.lowercased()
+            case let number as NSNumber:
+                return number.stringValue
+            case let array as [Any] where !array.isEmpty:
+                return array.map { "\($0)".lowercased() }.joined(separator: ",")
+            default:
+                throw .invalid(description, "'\(key)' must be a number, an array or a cron field")
+            }
+        }
+
+        return try HSCronExpression(minute: field("minute", default: "0"),
+                                    hour: field("hour", default: "*"),
+                                    day: field("day", default: "*"),
+                                    month: field("month", default: "*"),
+                                    weekday: field("weekdays", default: "*"))
+    }
+
     // MARK: - Time conversion utilities
 
     @objc func minutes(_ n: Double) -> Double { return n * 60 }
@@ -15,6 +15,7 @@
 ///  - predicateFn: A function/lambda to test if the timer should continue. Return True to end the timer, False to continue it
 ///  - actionFn: A function/lambda to call until the predicateFn returns true
 ///  - checkInterval: How often, in seconds, to call actionFn
+/// Returns: The timer. Call stop() on it to cancel
 /// Example:
 /// ```js
 /// let count = 0
@@ -40,6 +41,7 @@ hs.timer.doUntil = function(predicateFn, actionFn, checkInterval) {
     });
 
     timer.start();
+    return timer;
 };
 
 /// Repeat a function/lambda while a given predicate function/lambda returns true
@@ -47,6 +49,7 @@ hs.timer.doUntil = function(predicateFn, actionFn, checkInterval) {
 ///  - predicateFn: A function/lambda to test if the timer should continue. Return True to continue the timer, False to end it
 ///  - actionFn: A function/lambda to call while the predicateFn returns true
 ///  - checkInterval: How often, in seconds, to call actionFn
+/// Returns: The timer. Call stop() on it to cancel
 /// Example:
 /// ```js
 /// let count = 0
@@ -71,6 +74,7 @@ hs.timer.doWhile = function(predicateFn, actionFn, checkInterval) {
     });
 
     timer.start();
+    return timer;
 };
 
 /// Wait to call a function/lambda until a given predicate function/lambda returns true
@@ -78,6 +82,7 @@ hs.timer.doWhile = function(predicateFn, actionFn, checkInterval) {
 ///  - predicateFn: A function/lambda to test if the actionFn should be called. Return True to call the actionFn, False to continue waiting
 ///  - actionFn: A function/lambda to call when the predicateFn returns true. This will only be called once and then the timer will stop.
 ///  - checkInterval: How often, in seconds, to call predicateFn
+/// Returns: The timer. Call stop() on it to cancel
 hs.timer.waitUntil = function(predicateFn, actionFn, checkInterval) {
     if (typeof predicateFn !== 'function') {
         throw new Error("hs.timer.waitUntil(): predicate must be a function");
@@ -95,7 +100,8 @@ hs.timer.waitUntil = function(predicateFn, actionFn, checkInterval) {
         }
     });
 
-    return timer.start();
+    timer.start();
+    return timer;
 };
 
 /// Wait to call a function/lambda until a given predicate function/lambda returns false
@@ -103,6 +109,7 @@ hs.timer.waitUntil = function(predicateFn, actionFn, checkInterval) {
 ///  - predicateFn: A function/lambda to test if the actionFn should be called. Return False to call the actionFn, True to continue waiting
 ///  - actionFn: A function/lambda to call when the predicateFn returns False. This will only be called once and then the timer will stop.
 ///  - checkInterval: How often, in seconds, to call predicateFn
+/// Returns: The timer. Call stop() on it to cancel
 hs.timer.waitWhile = function(predicateFn, actionFn, checkInterval) {
     if (typeof predicateFn !== 'function') {
         throw new Error("hs.timer.waitWhile(): predicate must be a function");
@@ -120,5 +127,426 @@ hs.timer.waitWhile = function(predicateFn, actionFn, checkInterval) {
         }
     });
 
-    return timer.start();
+    timer.start();
+    return timer;
 };
+
+// Promise-based timing
+// Each of these can be cancelled with an AbortSignal passed as options.signal, or through the handle it returns.
+(function() {
+    // Wrap work in a promise with a cancel() method, that also rejects when options.signal aborts.
+    // The executor is passed resolve and reject, and returns a function that stops its work, which is called however
+    // the promise settles.
+    function cancellable(caller, options, executor) {
+        const signal = (options && options.signal) || null;
+        if (signal !== null && !(signal instanceof AbortSignal)) {
+            throw new TypeError(`${caller}: options.signal must be an AbortSignal`);
+        }
+
+        let settled = false;
+        let stopWork = null;
+        let settle = null;
+        let cancel = null;
+
+        const promise = new Promise((resolve, reject) => {
+            settle = function(fn, value) {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                if (stopWork) {
+                    stopWork();
+                }
+                fn(value);
+            };
+
+            cancel = (reason) => settle(reject, reason === undefined ? new AbortError() : reason);
+            const onAbort = () => settle(reject, signal.reason);
+            if (signal && signal.aborted) {
+                settle(reject, signal.reason);
+                return;
+            }
+
+            const stop = executor(value => settle(resolve, value), error => settle(reject, error));
+            if (settled) {
+                stop();
+            } else {
+                stopWork = stop;
+                if (signal) {
+                    signal.addEventListener('abort', onAbort);
+                }
+            }
+        });
+
+        promise.cancel = cancel;
+        return promise;
+    }
+
+    function checkSeconds(caller, name, seconds) {
+        if (typeof seconds !== 'number' || !(seconds >= 0)) {
+            throw new TypeError(`${caller}: ${name} must be a non-negative number, not ${seconds}`);
+        }
+    }
+
+    /// Wait for a number of seconds
+    /// Parameters:
+    ///  - seconds: How long to wait, in seconds
+    ///  - options: An optional object with `signal`, an AbortSignal that cancels the wait
+    /// Returns: {Promise<void>} A promise that resolves after the given time. It has a `cancel(reason)` method, which
+    ///   rejects it with the reason, or an AbortError
+    /// - Note: Only the promise returned by sleep() has cancel(), not the promises made from it by then()
+    /// Example:
+    /// ```js
+    /// await hs.timer.sleep(0.5)
+    ///
+    /// const wait = hs.timer.sleep(60)
+    /// hs.hotkey.bind(["cmd"], "escape", () => wait.cancel())
+    /// ```
+    hs.timer.sleep = function(seconds, options) {
+        checkSeconds("hs.timer.sleep()", "seconds", seconds);
+
+        return cancellable("hs.timer.sleep()", options, (resolve) => {
+            const timer = hs.timer.doAfter(seconds, () => resolve());
+            return () => timer.stop();
+        });
+    };
+
+    /// Wait for a predicate to return a truthy value
+    /// Parameters:
+    ///  - predicate: {() => any} A function that is called immediately, then every `interval` seconds until it returns a truthy value. It may return a promise
+    ///  - options: An optional object with any of:
+    ///    - `interval`: How often, in seconds, to call the predicate. Defaults to 0.1
+    ///    - `timeout`: How long, in seconds, to wait before giving up. Defaults to waiting forever
+    ///    - `signal`: An AbortSignal that cancels the wait
+    /// Returns: {Promise<any>} A promise that resolves with the predicate's value. It rejects with a TimeoutError if the
+    ///   timeout passes first, or with the predicate's error if it throws. It has a `cancel(reason)` method, which rejects
+    ///   it with the reason, or an AbortError
+    /// Example:
+    /// ```js
+    /// hs.application.launchOrFocus("Safari")
+    /// const win = await hs.timer.waitFor(() => hs.window.focusedWindow(), { timeout: 5 })
+    /// ```
+    hs.timer.waitFor = function(predicate, options) {
+        if (typeof predicate !== 'function') {
+            throw new TypeError("hs.timer.waitFor(): predicate must be a function");
+        }
+        const interval = (options && options.interval !== undefined) ? options.interval : 0.1;
+        const timeout = (options && options.timeout !== undefined && options.timeout !== null) ? options.timeout : null;
+        if (typeof interval !== 'number' || !(interval > 0)) {
+            throw new TypeError(`hs.timer.waitFor(): interval must be a number greater than 0, not ${interval}`);
+        }
+        if (timeout !== null) {
+            checkSeconds("hs.timer.waitFor()", "timeout", timeout);
+        }
+
+        return cancellable("hs.timer.waitFor()", options, (resolve, reject) => {
+            let checking = false;
+            const check = function() {
+                // An async predicate that is still running isn't called again
+                if (checking) {
+                    return;
+                }
+                checking = true;
+                let result;
+                try {
+                    result = predicate();
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+                Promise.resolve(result).then(value => {
+                    checking = false;
+                    if (value) {
+                        resolve(value);
+                    }
+                }, reject);
+            };
+
+            const poller = hs.timer.doEvery(interval, check);
+            const deadline = timeout === null ? null : hs.timer.doAfter(timeout, () => {
+                reject(new TimeoutError(`hs.timer.waitFor(): Timed out after ${timeout} seconds`));
+            });
+            check();
+
+            return () => {
+                poller.stop();
+                if (deadline) {
+                    deadline.stop();
+                }
+            };
+        });
+    };
+
+    class TimerInterval {
+        #timer = null
+        #signal = null
+        #onAbort = null
+        #ticks = 0
+        #pending = false
+        #waiting = null
+        #error = null
+        #done = false
+
+        constructor(seconds, signal) {
+            this.#signal = signal;
+            if (signal && signal.aborted) {
+                this.#error = { reason: signal.reason };
+                this.#done = true;
+                return;
+            }
+
+            this.#timer = hs.timer.doEvery(seconds, () => this.#tick());
+            if (signal) {
+                this.#onAbort = () => this.#finish({ reason: signal.reason });
+                signal.addEventListener('abort', this.#onAbort);
+            }
+        }
+
+        #tick() {
+            this.#ticks++;
+            if (this.#waiting) {
+                const waiting = this.#waiting;
+                this.#waiting = null;
+                waiting.resolve({ value: this.#ticks, done: false });
+            } else {
+                this.#pending = true;
+            }
+        }
+
+        #finish(error) {
+            if (this.#done) {
+                return;
+            }
+            this.#done = true;
+            this.#timer.stop();
+            if (this.#signal) {
+                this.#signal.removeEventListener('abort', this.#onAbort);
+            }
+
+            const waiting = this.#waiting;
+            this.#waiting = null;
+            if (waiting && error) {
+                waiting.reject(error.reason);
+            } else if (waiting) {
+                waiting.resolve({ value: undefined, done: true });
+            } else {
+                this.#error = error;
+            }
+        }
+
+        next() {
+            if (this.#error) {
+                // An abort is only thrown once, after which the iterator is simply finished
+                const reason = this.#error.reason;
+                this.#error = null;
+                return Promise.reject(reason);
+            }
+            if (this.#done) {
+                return Promise.resolve({ value: undefined, done: true });
+            }
+            if (this.#pending) {
+                this.#pending = false;
+                return Promise.resolve({ value: this.#ticks, done: false });
+            }
+            if (this.#waiting) {
+                return this.#waiting.promise;
+            }
+
+            const waiting = {};
+            waiting.promise = new Promise((resolve, reject) => {
+                waiting.resolve = resolve;
+                waiting.reject = reject;
+            });
+            this.#waiting = waiting;
+            return waiting.promise;
+        }
+
+        return() {
+            this.stop();
+            return Promise.resolve({ value: undefined, done: true });
+        }
+
+        stop() {
+            this.#finish(null);
+            this.#error = null;
+        }
+
+        [Symbol.asyncIterator]() {
+            return this;
+        }
+    }
+
+    /// Tick every few seconds, as an async iterator
+    /// Parameters:
+    ///  - seconds: The interval between ticks, in seconds
+    ///  - options: An optional object with `signal`, an AbortSignal that ends the iteration by throwing its reason
+    /// Returns: {AsyncIterableIterator<number>} An async iterator of tick numbers, starting at 1. Ticks that happen while
+    ///   the loop body is still running are merged into one, so the numbers show how many ticks there have been. Call
+    ///   `stop()` on it to end the iteration, which `break` also does
+    /// Example:
+    /// ```js
+    /// for await (const tick of hs.timer.interval(1)) {
+    ///     console.log(`Tick ${tick}`)
+    ///     if (tick === 5) break
+    /// }
+    ///
+    /// const controller = new AbortController()
+    /// hs.timer.doAfter(10, () => controller.abort())
+    /// try {
+    ///     for await (const tick of hs.timer.interval(1, { signal: controller.signal })) {
+    ///         console.log("still going")
+    ///     }
+    /// } catch (e) {
+    ///     console.log(e.name)  // "AbortError"
+    /// }
+    /// ```
+    hs.timer.interval = function(seconds, options) {
+        if (typeof seconds !== 'number' || !(seconds > 0)) {
+            throw new TypeError(`hs.timer.interval(): seconds must be a number greater than 0, not ${seconds}`);
+        }
+        const signal = (options && options.signal) || null;
+        if (signal !== null && !(signal instanceof AbortSignal)) {
+            throw new TypeError("hs.timer.interval(): options.signal must be an AbortSignal");
+        }
+
+        return new TimerInterval(seconds, signal);
+    };
+})();
+
+// Rate limiting
+// The returned functions each own one HSTimer, created when they are, so a pending call is cancelled when the scope
+// that created them is disposed, or the config is reloaded.
+(function() {
+    function checkArguments(caller, fn, seconds) {
+        if (typeof fn !== 'function') {
+            throw new TypeError(`${caller}: fn must be a function`);
+        }
+        if (typeof seconds !== 'number' || !(seconds > 0)) {
+            throw new TypeError(`${caller}: seconds must be a number greater than 0, not ${seconds}`);
+        }
+    }
+
+    // Made on first use, so loading hs.timer doesn't load hs.logger
+    let log = null;
+
+    function invoke(caller, fn, self, args) {
+        try {
+            fn.apply(self, args);
+        } catch (e) {
+            log = log ?? hs.logger.create("hs.timer");
+            log.error(`The function given to ${caller} threw an error`);
+            reportError(e);
+        }
+    }
+
+    /// Make a function that only calls another once calls to it have stopped for a while
+    /// Parameters:
+    ///  - fn: The function to call
+    ///  - seconds: How long, in seconds, calls must stop for before `fn` is called
+    /// Returns: A function that takes the same arguments as `fn`. `fn` is called with the arguments of the last call. It
+    ///   has `cancel()` to drop a pending call, `flush()` to make a pending call immediately, and `pending()` to check
+    ///   whether there is one
+    /// Example:
+    /// ```js
+    /// // Plugging in a dock adds and removes several audio devices; only react once it has settled
+    /// const refresh = hs.timer.debounce(() => console.log(hs.audiodevice.defaultOutputDevice().name), 1)
+    /// hs.audiodevice.addWatcher(refresh)
+    /// ```
+    hs.timer.debounce = function(fn, seconds) {
+        checkArguments("hs.timer.debounce()", fn, seconds);
+
+        let pendingCall = null;
+        const timer = hs.timer.create(seconds, () => flush(), false);
+
+        function flush() {
+            timer.stop();
+            if (pendingCall) {
+                const call = pendingCall;
+                pendingCall = null;
+                invoke("hs.timer.debounce()", fn, call.self, call.args);
+            }
+        }
+
+        const debounced = function(...args) {
+            pendingCall = { self: this, args: args };
+            if (timer.running()) {
+                timer.setNextTrigger(seconds);
+            } else {
+                timer.start();
+            }
+        };
+        debounced.cancel = function() {
+            timer.stop();
+            pendingCall = null;
+        };
+        debounced.flush = flush;
+        debounced.pending = () => pendingCall !== null;
+        return debounced;
+    };
+
+    /// Make a function that calls another at most once every few seconds
+    /// Parameters:
+    ///  - fn: The function to call
+    ///  - seconds: The shortest time, in seconds, between calls to `fn`
+    ///  - options: An optional object with any of:
+    ///    - `leading`: Whether the first call is passed straight to `fn`. Defaults to true
+    ///    - `trailing`: Whether a call made while waiting is passed to `fn` when the wait is over, with the arguments of the last one. Defaults to true
+    /// Returns: A function that takes the same arguments as `fn`. It has `cancel()` to drop a pending call and end the
+    ///   wait, `flush()` to make a pending call immediately, and `pending()` to check whether there is one
+    /// Example:
+    /// ```js
+    /// // Update the menu bar at most twice a second, however often the pasteboard changes
+    /// const update = hs.timer.throttle((count) => menu.setTitle(`${count}`), 0.5)
+    /// hs.pasteboard.addWatcher(update)
+    /// ```
+    hs.timer.throttle = function(fn, seconds, options) {
+        checkArguments("hs.timer.throttle()", fn, seconds);
+        const leading = !(options && options.leading === false);
+        const trailing = !(options && options.trailing === false);
+
+        let pendingCall = null;
+        // The timer runs for as long as calls must wait. Each tick passes on the call that waited, if there is one,
+        // and keeps waiting; a tick with nothing to pass on ends the wait
+        const timer = hs.timer.create(seconds, () => {
+            if (pendingCall) {
+                flush();
+            } else {
+                timer.stop();
+            }
+        }, false);
+
+        function flush() {
+            if (pendingCall) {
+                const call = pendingCall;
+                pendingCall = null;
+                invoke("hs.timer.throttle()", fn, call.self, call.args);
+            }
+        }
+
+        const throttled = function(...args) {
+            if (timer.running()) {
+                if (trailing) {
+                    pendingCall = { self: this, args: args };
+                }
+                return;
+            }
+
+            timer.start();
+            if (leading) {
+                invoke("hs.timer.throttle()", fn, this, args);
+            } else if (trailing) {
+                pendingCall = { self: this, args: args };
+            }
+        };
+        throttled.cancel = function() {
+            timer.stop();
+            pendingCall = null;
+        };
+        throttled.flush = flush;
+        throttled.pending = () => pendingCall !== null;
+        return throttled;
+    };
+})();
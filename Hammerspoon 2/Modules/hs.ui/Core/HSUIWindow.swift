@@ -785,3 +785,11 @@ import SwiftUI
         }
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSUIWindow: HSDisposable {
+    func dispose() {
+        close()
+    }
+}
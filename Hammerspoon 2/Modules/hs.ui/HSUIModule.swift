@@ -513,6 +513,7 @@ import SwiftUI
         // Use assumeIsolated since JSContext evaluates on main thread
         return MainActor.assumeIsolated {
             let window = HSUIWindow(dict: dict, module: self)
+            HSScope.track(window)
             return window
         }
     }
@@ -64,6 +64,9 @@ import JavaScriptCoreExtras
     /// The URL format is `hammerspoon2://eventName?key=value`. The host
     /// component (`eventName`) selects the callback to invoke.
     ///
+    /// `params` holds one value per key. For repeated keys, the path or the fragment,
+    /// parse `fullURL` with the global `URL` class instead.
+    ///
     /// - Parameters:
     ///   - eventName: The URL host component identifying the event.
     ///   - callback: {((eventName: string, params: Record<string, string>, senderPID: number, fullURL: string) => void) | null} A function receiving `(eventName, params, senderPID, fullURL)`, or `null` to remove any existing binding.
@@ -74,6 +77,12 @@ import JavaScriptCoreExtras
     /// })
     /// // Remove:
     /// hs.urlevent.bind("myEvent", null)
+    ///
+    /// // hammerspoon2://open/some/path?tag=a&tag=b
+    /// hs.urlevent.bind("open", (name, params, pid, url) => {
+    ///     const parsed = new URL(url)
+    ///     console.log(parsed.pathname + " " + parsed.searchParams.getAll("tag").join(", "))
+    /// })
     /// ```
     @objc func bind(_ eventName: String, _ callback: JSFunction)
 
@@ -70,15 +70,21 @@ private func drainUSBIterator(_ iterator: io_iterator_t) -> [[String: Any]] {
     /// Register a listener for USB device connection and disconnection events.
     ///
     /// The listener is called with two arguments: the event type string (`"added"` or `"removed"`) and a device-info object with the same fields as `attachedDevices()`.
-    /// - Parameter listener: {(event: string, device: {productName: string, vendorName: string, productID: number, vendorID: number, serialNumber?: string, locationID?: number}) => void} The function to call when a USB device is added or removed
+    /// - Parameters:
+    ///   - listener: {(event: string, device: {productName: string, vendorName: string, productID: number, vendorID: number, serialNumber?: string, locationID?: number}) => void} The function to call when a USB device is added or removed
+    ///   - options?: { {coalesce?: number} } An object with `coalesce`, a number of seconds. Events are collected for that long after the first one, then the listener is called once with an array of them, each an array of the event's arguments
     /// - Example:
     /// ```js
     /// const handler = (event, device) => {
     ///   console.log(event + ": " + device.productName + " by " + device.vendorName)
     /// }
     /// hs.usb.addWatcher(handler)
+    ///
+    /// // Plugging in a dock adds many devices at once
+    /// hs.usb.addWatcher((events) => console.log(events.length + " USB changes"), { coalesce: 1 })
     /// ```
-    @objc func addWatcher(_ listener: JSValue)
+    @objc(addWatcher::)
+    func addWatcher(_ listener: JSValue, _ options: JSValue?)
 
     /// Remove a previously registered USB event listener.
     ///
@@ -147,8 +153,8 @@ private func drainUSBIterator(_ iterator: io_iterator_t) -> [[String: Any]] {
         return drainUSBIterator(iterator)
     }
 
-    @objc func addWatcher(_ listener: JSValue) {
-        _watcherEmitter?.invokeMethod("on", withArguments: [listener])
+    @objc func addWatcher(_ listener: JSValue, _ options: JSValue?) {
+        _watcherEmitter?.invokeMethod("on", withArguments: [listener] + [options].compactMap { $0 })
     }
 
     @objc func removeWatcher(_ listener: JSValue) {
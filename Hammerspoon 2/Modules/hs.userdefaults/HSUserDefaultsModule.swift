@@ -8,7 +8,7 @@ import JavaScriptCore
 
 // MARK: - Declare our JavaScript API
 
-private let hsUserDefaultsSuiteName = "hs.userdefaults"
+let hsUserDefaultsSuiteName = "hs.userdefaults"
 
 /// Module for storing small amounts of data that persists across Hammerspoon restarts.
 ///
@@ -258,6 +258,7 @@ private enum HSWifiError: LocalizedError {
     ///
     /// This can take a few seconds; it runs off the main thread so it does not block the app.
     /// - Parameter interface?: the interface name as returned by `interfaces()`; omit for the system's default Wi-Fi interface
+    /// - Parameter options?: { {signal?: AbortSignal} } Optional object. `signal`: an `AbortSignal` that rejects the Promise with the signal's reason. CoreWLAN scans cannot be interrupted, so a scan already in progress finishes in the background and its results are discarded
     /// - Returns: {Promise<object[]>} A Promise that resolves to an array of network tables, each with keys `ssid, bssid, rssi, noise, ibss, countryCode, beaconInterval, security, phyModes, wlanChannel, informationElementData`; or rejects if the interface doesn't exist or the scan fails. `bssid`/`countryCode` may be absent without Location Services authorization. `informationElementData` is raw beacon/probe-response data returned as an array of byte values (0-255) rather than a string, since it can contain sequences that are unsafe to render as text.
     /// - Example:
     /// ```js
@@ -265,7 +266,12 @@ private enum HSWifiError: LocalizedError {
     ///     networks.forEach(n => console.log(n.ssid + " (" + n.rssi + " dBm)"))
     /// })
     /// ```
-    @objc func scanNetworks(_ interface: String?) -> JSPromise?
+    /// - Example:
+    /// ```js
+    /// hs.wifi.scanNetworks(null, { signal: AbortSignal.timeout(3000) })
+    ///     .catch(err => console.log(err.name))  // "TimeoutError" if the scan took too long
+    /// ```
+    @objc func scanNetworks(_ interface: String?, _ options: JSValue?) -> JSPromise?
 
     /// The Wi-Fi event types that can be passed to `HSWifiWatcher.events`.
     /// - Example:
@@ -389,11 +395,12 @@ private enum HSWifiError: LocalizedError {
         }
     }
 
-    @objc func scanNetworks(_ interfaceName: String?) -> JSPromise? {
+    @objc func scanNetworks(_ interfaceName: String?, _ options: JSValue?) -> JSPromise? {
         guard let context = JSContext.current() else { return nil }
         let sanitizedInterfaceName = sanitizedOptionalString(interfaceName)
-        return wrapAsyncInJSPromise(in: context) { holder in
-            Task.detached(priority: .userInitiated) {
+        return wrapAsyncInJSPromise(in: context, signal: abortSignal(in: options)) { holder in
+            let task = Task.detached(priority: .userInitiated) {
+                guard !Task.isCancelled else { return }
                 do {
                     let infos = try Self.performScan(interfaceName: sanitizedInterfaceName)
                     await MainActor.run { holder.resolveWith(infos.map { $0.dictionary }) }
@@ -401,6 +408,7 @@ private enum HSWifiError: LocalizedError {
                     await MainActor.run { holder.rejectWithMessage(error.localizedDescription) }
                 }
             }
+            holder.onAbort { task.cancel() }
         }
     }
 
@@ -412,6 +420,7 @@ private enum HSWifiError: LocalizedError {
         let watcher = HSWifiWatcher()
         watcher.module = self
         watchers.add(watcher)
+        HSScope.track(watcher)
         return watcher
     }
 
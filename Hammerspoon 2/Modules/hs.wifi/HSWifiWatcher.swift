@@ -205,3 +205,11 @@ let wifiWatcherValidEvents: Set<String> = [
         _ = callback?.value?.call(withArguments: [event, info])
     }
 }
+
+// MARK: - HSDisposable
+
+extension HSWifiWatcher: HSDisposable {
+    func dispose() {
+        destroy()
+    }
+}
@@ -183,7 +183,7 @@ let _AXUIElementGetWindow = unsafe unsafeBitCast(dlsym(dlopen(nil, RTLD_LAZY), "
     /// ```
     @objc func close() -> Bool
 
-    /// Center the window on the screen
+    /// Center the window on the screen it is on
     /// - Returns: true if successful
     /// - Example:
     /// ```js
@@ -192,6 +192,21 @@ let _AXUIElementGetWindow = unsafe unsafeBitCast(dlsym(dlopen(nil, RTLD_LAZY), "
     /// ```
     @objc func centerOnScreen()
 
+    /// Move the window to another screen
+    ///
+    /// Screens can have different resolutions, so the window's position and size are kept relative to the usable
+    /// frames of the screens. A window against an edge of one screen ends up against the same edge of the other.
+    /// - Parameters:
+    ///   - screen: The HSScreen to move the window to
+    ///   - options?: { {keepRelative?: boolean, resize?: boolean} } An object with `keepRelative`, false to center the window on the new screen instead of keeping its relative position, and `resize`, false to keep the window's size instead of scaling it with the screen. Both default to true. A window too big for the new screen is shrunk to fit either way
+    /// - Returns: true if the window was moved, false if its frame or screen couldn't be read
+    /// - Example:
+    /// ```js
+    /// const win = hs.window.focusedWindow()
+    /// win.moveToScreen(hs.screen.primary(), { resize: false })
+    /// ```
+    @objc func moveToScreen(_ screen: HSScreen, _ options: JSValue?) -> Bool
+
     // MARK: - Advanced
 
     /// Get the underlying AXElement
@@ -445,19 +460,57 @@ let _AXUIElementGetWindow = unsafe unsafeBitCast(dlsym(dlopen(nil, RTLD_LAZY), "
     }
 
     @objc func centerOnScreen() {
-        guard let screen = NSScreen.main else {
+        // HSScreen frames are in the same top-left origin coordinates as window positions
+        guard let screenFrame = screen?.frame, let sz = size else {
             return
         }
 
-        guard let sz = size else {
-            return
+        let centerX = Int(screenFrame.x + screenFrame.w / 2) - Int(sz.w) / 2
+        let centerY = Int(screenFrame.y + screenFrame.h / 2) - Int(sz.h) / 2
+
+        position = HSPoint(x: Double(centerX), y: Double(centerY))
+    }
+
+    @objc func moveToScreen(_ screen: HSScreen, _ options: JSValue?) -> Bool {
+        guard let current = frame?.rect, let source = self.screen?.frame.rect else {
+            return false
         }
 
-        let screenFrame = screen.visibleFrame
-        let centerX = Int(screenFrame.midX) - Int(sz.w) / 2
-        let centerY = Int(screenFrame.midY) - Int(sz.h) / 2
+        func option(_ name: String) -> Bool {
+            guard let value = options?.objectForKeyedSubscript(name), value.isBoolean else { return true }
+            return value.toBool()
+        }
 
-        position = HSPoint(x: Double(centerX), y: Double(centerY))
+        frame = HSWindow.frame(moving: current, from: source, to: screen.frame.rect,
+                               keepRelative: option("keepRelative"), resize: option("resize")).toBridge()
+        return true
+    }
+
+    /// Where a window frame goes when it is moved from one screen frame to another
+    static func frame(moving window: CGRect, from source: CGRect, to target: CGRect, keepRelative: Bool, resize: Bool) -> CGRect {
+        var width = window.width
+        var height = window.height
+        if resize && source.width > 0 && source.height > 0 {
+            width *= target.width / source.width
+            height *= target.height / source.height
+        }
+        width = min(width, target.width)
+        height = min(height, target.height)
+
+        // Place the window by how far along the space beside it it was, so windows against an edge stay there
+        func place(_ start: CGFloat, _ length: CGFloat, _ sourceStart: CGFloat, _ sourceLength: CGFloat,
+                   _ targetStart: CGFloat, _ targetLength: CGFloat, _ newLength: CGFloat) -> CGFloat {
+            guard keepRelative else {
+                return targetStart + (targetLength - newLength) / 2
+            }
+            let free = sourceLength - length
+            let fraction = free > 0 ? min(max((start - sourceStart) / free, 0), 1) : 0
+            return targetStart + fraction * (targetLength - newLength)
+        }
+
+        let x = place(window.minX, window.width, source.minX, source.width, target.minX, target.width, width)
+        let y = place(window.minY, window.height, source.minY, source.height, target.minY, target.height, height)
+        return CGRect(x: x.rounded(), y: y.rounded(), width: width.rounded(), height: height.rounded())
     }
 
     // MARK: - Advanced
@@ -76,6 +76,111 @@ import AXSwift
     /// const wins = hs.window.orderedWindows()
     /// ```
     @objc func orderedWindows() -> [HSWindow]
+
+    // MARK: - Tiling
+
+    /// The space, in points, that tiling leaves between windows and the edges of the screen. Defaults to 0
+    /// - Example:
+    /// ```js
+    /// hs.window.margin = 10
+    /// hs.window.maximize()
+    /// ```
+    @objc var margin: Double { get set }
+
+    /// The space, in points, that tiling leaves between neighbouring windows. Defaults to 0
+    /// - Example:
+    /// ```js
+    /// hs.window.gap = 8
+    /// hs.window.moveToLeftHalf()
+    /// ```
+    @objc var gap: Double { get set }
+
+    /// SKIP_DOCS
+    @objc var focused: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var findByTitle: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var currentWindows: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var frameForUnit: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var moveToUnit: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var moveToLeftHalf: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var moveToRightHalf: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var maximize: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var focusWindowEast: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var focusWindowWest: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var focusWindowNorth: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var focusWindowSouth: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var moveOneScreenEast: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var moveOneScreenWest: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var moveOneScreenNorth: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var moveOneScreenSouth: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var grid: JSValue? { get set }
+
+    /// SKIP_DOCS
+    @objc var tiling: JSValue? { get set }
+
+    /// SKIP_DOCS
+    @objc var layout: JSValue? { get set }
+
+    /// SKIP_DOCS
+    @objc var filter: JSValue? { get set }
+
+    /// SKIP_DOCS
+    @objc var _log: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var _addToScope: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var _findScreen: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var _uiFrame: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var focusHistory: JSFunction? { get set }
+
+    /// SKIP_DOCS
+    @objc var switcher: JSValue? { get set }
+
+    /// SKIP_DOCS
+    @objc var hints: JSValue? { get set }
+
+    /// SKIP_DOCS
+    @objc var tiler: JSValue? { get set }
+
+    /// SKIP_DOCS
+    @objc var snapshot: JSValue? { get set }
 }
 
 // MARK: - Implementation
@@ -86,6 +191,40 @@ import AXSwift
     var name = "hs.window"
     let engineID: UUID
 
+    @objc var margin: Double = 0
+    @objc var gap: Double = 0
+
+    // Swift-retained storage for JS-defined functions
+    @objc var focused: JSFunction? = nil
+    @objc var findByTitle: JSFunction? = nil
+    @objc var currentWindows: JSFunction? = nil
+    @objc var frameForUnit: JSFunction? = nil
+    @objc var moveToUnit: JSFunction? = nil
+    @objc var moveToLeftHalf: JSFunction? = nil
+    @objc var moveToRightHalf: JSFunction? = nil
+    @objc var maximize: JSFunction? = nil
+    @objc var focusWindowEast: JSFunction? = nil
+    @objc var focusWindowWest: JSFunction? = nil
+    @objc var focusWindowNorth: JSFunction? = nil
+    @objc var focusWindowSouth: JSFunction? = nil
+    @objc var moveOneScreenEast: JSFunction? = nil
+    @objc var moveOneScreenWest: JSFunction? = nil
+    @objc var moveOneScreenNorth: JSFunction? = nil
+    @objc var moveOneScreenSouth: JSFunction? = nil
+    @objc var grid: JSValue? = nil
+    @objc var tiling: JSValue? = nil
+    @objc var layout: JSValue? = nil
+    @objc var filter: JSValue? = nil
+    @objc var _log: JSFunction? = nil
+    @objc var _addToScope: JSFunction? = nil
+    @objc var _findScreen: JSFunction? = nil
+    @objc var _uiFrame: JSFunction? = nil
+    @objc var focusHistory: JSFunction? = nil
+    @objc var switcher: JSValue? = nil
+    @objc var hints: JSValue? = nil
+    @objc var tiler: JSValue? = nil
+    @objc var snapshot: JSValue? = nil
+
     // MARK: - Module lifecycle
     required init(engineID: UUID) {
         self.engineID = engineID
@@ -94,7 +233,35 @@ import AXSwift
     }
 
     func shutdown() {
-        // No cleanup needed for this module
+        focused = nil
+        findByTitle = nil
+        currentWindows = nil
+        frameForUnit = nil
+        moveToUnit = nil
+        moveToLeftHalf = nil
+        moveToRightHalf = nil
+        maximize = nil
+        focusWindowEast = nil
+        focusWindowWest = nil
+        focusWindowNorth = nil
+        focusWindowSouth = nil
+        moveOneScreenEast = nil
+        moveOneScreenWest = nil
+        moveOneScreenNorth = nil
+        moveOneScreenSouth = nil
+        grid = nil
+        tiling = nil
+        layout = nil
+        filter = nil
+        _log = nil
+        _addToScope = nil
+        _findScreen = nil
+        _uiFrame = nil
+        focusHistory = nil
+        switcher = nil
+        hints = nil
+        tiler = nil
+        snapshot = nil
     }
 
     isolated deinit {
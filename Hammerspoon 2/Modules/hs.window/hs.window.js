@@ -26,192 +26,2422 @@ hs.window.currentWindows = function() {
     return hs.window.windowsForApp(app.pid);
 };
 
-/// Move a window to left half of screen
-/// Parameter win: An HSWindow object
-/// Returns: True if the operation was successful, otherwise False
-hs.window.moveToLeftHalf = function(win) {
-    win = win || hs.window.focusedWindow();
-    if (!win) {
-        return false;
+// Screen-aware geometry. A unit rect describes part of a screen as fractions of its usable frame, so
+// {x: 0.5, y: 0, w: 0.5, h: 1} is the right half of whichever screen the window is on.
+
+/// Work out the frame that a unit rect covers on a screen
+/// Parameter unit: The part of the screen, as fractions of its usable frame. Either an object with x, y, w and h, or an array of [x, y, w, h]
+/// Parameter screen: An HSScreen object
+/// Parameter options: An optional object with `margin` (the space between the windows and the edges of the screen) and `gap` (the space between neighbouring windows), in points. They default to hs.window.margin and hs.window.gap
+/// Returns: An HSRect in the same coordinates as HSWindow frames
+/// Example: hs.window.frameForUnit({x: 0, y: 0, w: 0.5, h: 1}, hs.screen.main())
+hs.window.frameForUnit = function(unit, screen, options = {}) {
+    // The smallest difference between fractions that isn't floating point error
+    const UNIT_EPSILON = 1e-9;
+    const u = Array.isArray(unit) ? { x: unit[0], y: unit[1], w: unit[2], h: unit[3] } : unit;
+    if (!u || typeof u !== "object" || !["x", "y", "w", "h"].every(key => Number.isFinite(u[key]))) {
+        throw new TypeError(`hs.window.frameForUnit(): The unit rect must have numeric x, y, w and h, not ${JSON.stringify(unit)}`);
+    }
+    if (u.x < 0 || u.y < 0 || u.w <= 0 || u.h <= 0 || u.x + u.w > 1 + UNIT_EPSILON || u.y + u.h > 1 + UNIT_EPSILON) {
+        throw new RangeError(`hs.window.frameForUnit(): The unit rect ${JSON.stringify(unit)} must fit between 0 and 1`);
+    }
+    if (!screen || !screen.frame) {
+        throw new TypeError("hs.window.frameForUnit(): A screen is required");
     }
 
-    const frame = win.frame;
-    if (!frame) {
-        return false;
+    const margin = options.margin ?? hs.window.margin;
+    const gap = options.gap ?? hs.window.gap;
+    for (const [name, value] of [["margin", margin], ["gap", gap]]) {
+        if (!Number.isFinite(value) || value < 0) {
+            throw new RangeError(`hs.window.frameForUnit(): The ${name} must be a non-negative number`);
+        }
     }
 
-    // Get screen dimensions (simplified - assumes main screen)
-    const screenWidth = 1920; // TODO: Get actual screen width
-    const screenHeight = 1080; // TODO: Get actual screen height
+    const area = screen.frame;
+    const left = area.x + margin;
+    const top = area.y + margin;
+    const width = Math.max(0, area.w - 2 * margin);
+    const height = Math.max(0, area.h - 2 * margin);
 
-    return win.setFrame(0, 0, Math.floor(screenWidth / 2), screenHeight);
+    // Edges that touch another tile give up half the gap each, edges at the margin don't
+    let x1 = left + u.x * width;
+    let x2 = left + (u.x + u.w) * width;
+    let y1 = top + u.y * height;
+    let y2 = top + (u.y + u.h) * height;
+    if (u.x > UNIT_EPSILON) x1 += gap / 2;
+    if (u.x + u.w < 1 - UNIT_EPSILON) x2 -= gap / 2;
+    if (u.y > UNIT_EPSILON) y1 += gap / 2;
+    if (u.y + u.h < 1 - UNIT_EPSILON) y2 -= gap / 2;
+
+    // Round the edges rather than the sizes, so neighbouring tiles line up
+    x1 = Math.round(x1);
+    x2 = Math.round(x2);
+    y1 = Math.round(y1);
+    y2 = Math.round(y2);
+    return new HSRect(x1, y1, Math.max(0, x2 - x1), Math.max(0, y2 - y1));
 };
 
-/// Move a window to right half of screen
-/// Parameter win: An HSWindow object
+/// Move a window to part of its screen
+/// Parameter win: An HSWindow object, or null for the focused window
+/// Parameter unit: The part of the screen, as fractions of its usable frame. Either an object with x, y, w and h, or an array of [x, y, w, h]
+/// Parameter options: An optional object with `screen` (the HSScreen to move the window to, instead of the one it is on), `margin` and `gap`, as for hs.window.frameForUnit()
 /// Returns: True if the operation was successful, otherwise False
-hs.window.moveToRightHalf = function(win) {
+/// Example: hs.window.moveToUnit(null, {x: 0.5, y: 0, w: 0.5, h: 1}, {gap: 8})
+hs.window.moveToUnit = function(win, unit, options = {}) {
     win = win || hs.window.focusedWindow();
     if (!win) {
         return false;
     }
 
-    const frame = win.frame;
-    if (!frame) {
+    const screen = options.screen || win.screen;
+    if (!screen) {
         return false;
     }
 
-    // Get screen dimensions (simplified - assumes main screen)
-    const screenWidth = 1920; // TODO: Get actual screen width
-    const screenHeight = 1080; // TODO: Get actual screen height
-
-    const halfWidth = Math.floor(screenWidth / 2);
-    return win.setFrame(halfWidth, 0, halfWidth, screenHeight);
+    win.frame = hs.window.frameForUnit(unit, screen, options);
+    return true;
 };
 
-/// Maximize a window
-/// Parameter win: An HSWindow object
-/// Returns: True if the operation was successful, otherwise false
-hs.window.maximize = function(win) {
-    win = win || hs.window.focusedWindow();
-    if (!win) {
-        return false;
-    }
+/// Move a window to left half of its screen
+/// Parameter win: An HSWindow object, or null for the focused window
+/// Parameter options: An optional object with `screen`, `margin` and `gap`, as for hs.window.moveToUnit()
+/// Returns: True if the operation was successful, otherwise False
+hs.window.moveToLeftHalf = function(win, options) {
+    return hs.window.moveToUnit(win, { x: 0, y: 0, w: 0.5, h: 1 }, options);
+};
 
-    // Get screen dimensions (simplified - assumes main screen)
-    const screenWidth = 1920; // TODO: Get actual screen width
-    const screenHeight = 1080; // TODO: Get actual screen height
+/// Move a window to right half of its screen
+/// Parameter win: An HSWindow object, or null for the focused window
+/// Parameter options: An optional object with `screen`, `margin` and `gap`, as for hs.window.moveToUnit()
+/// Returns: True if the operation was successful, otherwise False
+hs.window.moveToRightHalf = function(win, options) {
+    return hs.window.moveToUnit(win, { x: 0.5, y: 0, w: 0.5, h: 1 }, options);
+};
 
-    return win.setFrame(0, 0, screenWidth, screenHeight);
+/// Maximize a window to fill its screen
+/// Parameter win: An HSWindow object, or null for the focused window
+/// Parameter options: An optional object with `screen` and `margin`, as for hs.window.moveToUnit()
+/// Returns: True if the operation was successful, otherwise false
+hs.window.maximize = function(win, options) {
+    return hs.window.moveToUnit(win, { x: 0, y: 0, w: 1, h: 1 }, options);
 };
 
-// Cycle through windows
-hs.window._cycleIndex = 0;
+// Directions
+// Windows are compared by their centers, in Hammerspoon's coordinates, where y increases downwards. Screens are found
+// with HSScreen's toEast(), toWest(), toNorth() and toSouth().
+(function() {
+    const DIRECTIONS = {
+        east: { along: (dx, dy) => dx, across: (dx, dy) => dy, screen: (s) => s.toEast() },
+        west: { along: (dx, dy) => -dx, across: (dx, dy) => dy, screen: (s) => s.toWest() },
+        north: { along: (dx, dy) => -dy, across: (dx, dy) => dx, screen: (s) => s.toNorth() },
+        south: { along: (dx, dy) => dy, across: (dx, dy) => dx, screen: (s) => s.toSouth() }
+    };
+    const FOCUS_OPTIONS = ["sameScreen", "strict"];
+    // How much further along a window being off to the side counts as, when picking the nearest one
+    const ACROSS_WEIGHT = 2;
 
-// FIXME: This seems kinda lame, and can only be called by one function at a time. Decide if we want this, most likely remove it.
-/// SKIP_DOCS
-hs.window.cycleWindows = function() {
-    const windows = hs.window.orderedWindows().filter(w => w.isVisible);
-    if (windows.length === 0) {
-        return;
+    function center(frame) {
+        return { x: frame.x + frame.w / 2, y: frame.y + frame.h / 2 };
     }
 
-    hs.window._cycleIndex = (hs.window._cycleIndex + 1) % windows.length;
-    windows[hs.window._cycleIndex].focus();
-};
+    // The windows in a direction from a window, nearest first, with the frontmost first when two are as near
+    function windowsInDirection(caller, direction, win, options) {
+        if (options === null || typeof options !== "object") {
+            throw new TypeError(`${caller}: The options must be an object`);
+        }
+        for (const key of Object.keys(options)) {
+            if (!FOCUS_OPTIONS.includes(key)) {
+                throw new TypeError(`${caller}: Unknown option '${key}', expected one of ${FOCUS_OPTIONS.join(", ")}`);
+            }
+        }
+
+        const frame = win.frame;
+        if (!frame) {
+            return [];
+        }
+        const from = center(frame);
+        const screen = options.sameScreen ? win.screen : null;
+        const { along, across } = DIRECTIONS[direction];
 
-// FIXME: Everything below this seems dumb and out of place. Figure out what to do about submodules, since that isn't a concept we've introduced so far.
-// Window grid functionality
-hs.window.grid = {
-    // Set window to occupy a grid position
-    // grid is {rows: N, cols: M}
-    // cell is {row: Y, col: X, rowSpan: H, colSpan: W}
-    setGrid: function(win, grid, cell) {
+        return hs.window.orderedWindows()
+            .map((candidate, z) => ({ candidate, z, frame: candidate.frame }))
+            .filter(({ candidate, frame }) => frame && candidate.id !== win.id && candidate.isVisible && candidate.isStandard &&
+                (!screen || (candidate.screen && candidate.screen.uuid === screen.uuid)))
+            .map(entry => {
+                const to = center(entry.frame);
+                const dx = to.x - from.x;
+                const dy = to.y - from.y;
+                return { ...entry, along: along(dx, dy), across: Math.abs(across(dx, dy)) };
+            })
+            // Strictly, a window has to be within 45 degrees of the direction
+            .filter(entry => entry.along > 0 && (!options.strict || entry.across <= entry.along))
+            .sort((a, b) => (a.along + ACROSS_WEIGHT * a.across) - (b.along + ACROSS_WEIGHT * b.across) || a.z - b.z)
+            .map(entry => entry.candidate);
+    }
+
+    function focusInDirection(caller, direction, win, options = {}) {
         win = win || hs.window.focusedWindow();
         if (!win) {
+            return null;
+        }
+        const target = windowsInDirection(caller, direction, win, options)[0];
+        if (!target) {
+            return null;
+        }
+        target.focus();
+        return target;
+    }
+
+    function moveOneScreen(direction, win, options) {
+        win = win || hs.window.focusedWindow();
+        const screen = win ? win.screen : null;
+        const target = screen ? DIRECTIONS[direction].screen(screen) : null;
+        if (!target) {
             return false;
         }
+        return win.moveToScreen(target, options);
+    }
+
+    /// Focus the nearest window to the east of a window
+    ///
+    /// Windows are compared by their centers. One that is off to the side counts as further away than one straight ahead, and when two are as near, the one in front wins. Only visible, standard windows are considered.
+    /// Parameter win: An HSWindow object, or null for the focused window
+    /// Parameter options: An optional object with `sameScreen`, true to only consider windows on the same screen, and `strict`, true to only consider windows within 45 degrees of the direction
+    /// Returns: The window that was focused, or null if there is no window in that direction
+    /// - Note: Throws a TypeError if an option is unknown
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["cmd", "alt"], "right", () => hs.window.focusWindowEast(null, { sameScreen: true }))
+    /// ```
+    hs.window.focusWindowEast = function(win, options) {
+        return focusInDirection("hs.window.focusWindowEast()", "east", win, options);
+    };
+
+    /// Focus the nearest window to the west of a window
+    /// Parameter win: An HSWindow object, or null for the focused window
+    /// Parameter options: An optional object with `sameScreen` and `strict`, as for hs.window.focusWindowEast()
+    /// Returns: The window that was focused, or null if there is no window in that direction
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["cmd", "alt"], "left", () => hs.window.focusWindowWest())
+    /// ```
+    hs.window.focusWindowWest = function(win, options) {
+        return focusInDirection("hs.window.focusWindowWest()", "west", win, options);
+    };
+
+    /// Focus the nearest window to the north of a window
+    /// Parameter win: An HSWindow object, or null for the focused window
+    /// Parameter options: An optional object with `sameScreen` and `strict`, as for hs.window.focusWindowEast()
+    /// Returns: The window that was focused, or null if there is no window in that direction
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["cmd", "alt"], "up", () => hs.window.focusWindowNorth())
+    /// ```
+    hs.window.focusWindowNorth = function(win, options) {
+        return focusInDirection("hs.window.focusWindowNorth()", "north", win, options);
+    };
+
+    /// Focus the nearest window to the south of a window
+    /// Parameter win: An HSWindow object, or null for the focused window
+    /// Parameter options: An optional object with `sameScreen` and `strict`, as for hs.window.focusWindowEast()
+    /// Returns: The window that was focused, or null if there is no window in that direction
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["cmd", "alt"], "down", () => hs.window.focusWindowSouth())
+    /// ```
+    hs.window.focusWindowSouth = function(win, options) {
+        return focusInDirection("hs.window.focusWindowSouth()", "south", win, options);
+    };
+
+    /// Move a window to the screen to the east of the one it is on, keeping its relative position and size
+    /// Parameter win: An HSWindow object, or null for the focused window
+    /// Parameter options: An optional object with `keepRelative` and `resize`, as for HSWindow's moveToScreen()
+    /// Returns: True if the window was moved, false if there is no screen to the east
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["ctrl", "alt", "cmd"], "right", () => hs.window.moveOneScreenEast())
+    /// ```
+    hs.window.moveOneScreenEast = function(win, options) {
+        return moveOneScreen("east", win, options);
+    };
 
-        // Get screen dimensions (simplified - assumes main screen)
-        const screenWidth = 1920; // TODO: Get actual screen width
-        const screenHeight = 1080; // TODO: Get actual screen height
+    /// Move a window to the screen to the west of the one it is on, keeping its relative position and size
+    /// Parameter win: An HSWindow object, or null for the focused window
+    /// Parameter options: An optional object with `keepRelative` and `resize`, as for HSWindow's moveToScreen()
+    /// Returns: True if the window was moved, false if there is no screen to the west
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["ctrl", "alt", "cmd"], "left", () => hs.window.moveOneScreenWest())
+    /// ```
+    hs.window.moveOneScreenWest = function(win, options) {
+        return moveOneScreen("west", win, options);
+    };
 
-        const cellWidth = Math.floor(screenWidth / grid.cols);
-        const cellHeight = Math.floor(screenHeight / grid.rows);
+    /// Move a window to the screen to the north of the one it is on, keeping its relative position and size
+    /// Parameter win: An HSWindow object, or null for the focused window
+    /// Parameter options: An optional object with `keepRelative` and `resize`, as for HSWindow's moveToScreen()
+    /// Returns: True if the window was moved, false if there is no screen to the north
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["ctrl", "alt", "cmd"], "up", () => hs.window.moveOneScreenNorth())
+    /// ```
+    hs.window.moveOneScreenNorth = function(win, options) {
+        return moveOneScreen("north", win, options);
+    };
 
-        const x = cell.col * cellWidth;
-        const y = cell.row * cellHeight;
-        const w = cell.colSpan * cellWidth;
-        const h = cell.rowSpan * cellHeight;
+    /// Move a window to the screen to the south of the one it is on, keeping its relative position and size
+    /// Parameter win: An HSWindow object, or null for the focused window
+    /// Parameter options: An optional object with `keepRelative` and `resize`, as for HSWindow's moveToScreen()
+    /// Returns: True if the window was moved, false if there is no screen to the south
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["ctrl", "alt", "cmd"], "down", () => hs.window.moveOneScreenSouth(null, { resize: false }))
+    /// ```
+    hs.window.moveOneScreenSouth = function(win, options) {
+        return moveOneScreen("south", win, options);
+    };
+})();
 
-        return win.setFrame(x, y, w, h);
+// Grids
+// A grid divides a screen's usable frame into rows and columns. Each screen can have its own grid, margin and gap, and
+// the functions that move windows by cells use the grid of the window's screen.
+hs.window.grid = {};
+
+(function() {
+    const GRID_KEYS = ["rows", "cols", "margin", "gap"];
+    // Each cell of the overlay is picked with one of these keys, in order from the top left
+    const HINT_KEYS = "1234567890qwertyuiopasdfghjklzxcvbnm";
+    const OVERLAY_PADDING = 8;
+    const CELL_SPACING = 8;
+    const CELL_COLOUR = "#3A7BD540";
+    const PICKED_COLOUR = "#3A7BD5C0";
+
+    let defaultGrid = { rows: 3, cols: 3 };
+    // Grids of screens named as in hs.window.layout.apply() rules, with the most recently configured first
+    let screenGrids = [];
+    let overlay = null;
+
+    function checkGrid(caller, grid) {
+        if (grid === null || typeof grid !== "object") {
+            throw new TypeError(`${caller}: The grid must be an object`);
+        }
+        for (const key of Object.keys(grid)) {
+            if (!GRID_KEYS.includes(key)) {
+                throw new TypeError(`${caller}: Unknown grid setting '${key}', expected one of ${GRID_KEYS.join(", ")}`);
+            }
+        }
+        for (const key of ["rows", "cols"]) {
+            if (grid[key] !== undefined && (!Number.isInteger(grid[key]) || grid[key] < 1)) {
+                throw new TypeError(`${caller}: The grid must have whole numbers of rows and cols, not ${JSON.stringify(grid)}`);
+            }
+        }
+        for (const key of ["margin", "gap"]) {
+            if (grid[key] !== undefined && (!Number.isFinite(grid[key]) || grid[key] < 0)) {
+                throw new RangeError(`${caller}: The ${key} must be a non-negative number`);
+            }
+        }
     }
-};
 
-// Window tiling presets
-hs.window.tiling = {
-    left: function(win) {
-        return hs.window.moveToLeftHalf(win);
-    },
+    function sameSpec(a, b) {
+        return typeof a === "object" && typeof b === "object" ? a.uuid === b.uuid : a === b;
+    }
 
-    right: function(win) {
-        return hs.window.moveToRightHalf(win);
-    },
+    function moveToCell(win, grid, cell, options) {
+        const unit = {
+            x: cell.col / grid.cols,
+            y: cell.row / grid.rows,
+            w: (cell.colSpan ?? 1) / grid.cols,
+            h: (cell.rowSpan ?? 1) / grid.rows
+        };
+        return hs.window.moveToUnit(win, unit, { margin: grid.margin, gap: grid.gap, ...options });
+    }
 
-    top: function(win) {
-        win = win || hs.window.focusedWindow();
-        if (!win) {
-            return false;
+    /// Set the grid used on a screen, or on every screen without one of its own
+    /// Parameter grid: An object with any of: `rows` and `cols`, whole numbers of rows and columns; and `margin` and `gap`, as for hs.window.frameForUnit(). Settings that are left out come from the default grid, and the default grid's from 3 rows, 3 columns, hs.window.margin and hs.window.gap
+    /// Parameter screen?: An optional screen, named as in hs.window.layout.apply() rules. Leave it out to set the default grid. The screen doesn't need to be attached
+    /// - Note: Throws a TypeError or a RangeError if a setting is invalid
+    /// Example:
+    /// ```js
+    /// hs.window.grid.configure({ rows: 2, cols: 4, gap: 8 })
+    /// hs.window.grid.configure({ rows: 3, cols: 6, margin: 16 }, "DELL")
+    /// ```
+    hs.window.grid.configure = function(grid, screen) {
+        checkGrid("hs.window.grid.configure()", grid);
+        if (screen === undefined || screen === null) {
+            defaultGrid = { rows: 3, cols: 3, ...grid };
+            return;
         }
+        screenGrids = [{ screen, grid: { ...grid } }, ...screenGrids.filter(entry => !sameSpec(entry.screen, screen))];
+    };
 
-        const screenWidth = 1920;
-        const screenHeight = 1080;
+    /// Get the grid used on a screen
+    /// Parameter screen: An HSScreen object
+    /// Returns: An object with `rows`, `cols`, `margin` and `gap`. The margin and gap are undefined when they come from hs.window.margin and hs.window.gap
+    /// Example:
+    /// ```js
+    /// const grid = hs.window.grid.getGrid(hs.screen.main())
+    /// console.log(grid.rows + " by " + grid.cols)
+    /// ```
+    hs.window.grid.getGrid = function(screen) {
+        let screens = null;
+        const entry = screenGrids.find(({ screen: spec }) => {
+            if (typeof spec !== "object") {
+                screens = screens ?? hs.screen.all();
+            }
+            const found = hs.window._findScreen(spec, screens);
+            return found && found.uuid === screen.uuid;
+        });
+        return { margin: undefined, gap: undefined, ...defaultGrid, ...(entry ? entry.grid : {}) };
+    };
 
-        return win.setFrame(0, 0, screenWidth, Math.floor(screenHeight / 2));
-    },
+    /// Move a window to a cell of a grid laid over its screen
+    /// Parameter win: An HSWindow object, or null for the focused window
+    /// Parameter grid: An object with the number of `rows` and `cols` in the grid, and optionally its `margin` and `gap`, or null for the grid of the window's screen
+    /// Parameter cell: An object with the `row` and `col` of the cell, counting from 0, and optionally how many rows and columns it covers, as `rowSpan` and `colSpan`
+    /// Parameter options?: An optional object with `screen`, `margin` and `gap`, as for hs.window.moveToUnit()
+    /// Returns: True if the operation was successful, otherwise False
+    /// Example: hs.window.grid.setGrid(null, {rows: 2, cols: 3}, {row: 0, col: 1, colSpan: 2})
+    hs.window.grid.setGrid = function(win, grid, cell, options = {}) {
+        if (grid === null || grid === undefined) {
+            win = win || hs.window.focusedWindow();
+            const screen = options.screen || (win ? win.screen : null);
+            if (!screen) {
+                return false;
+            }
+            grid = hs.window.grid.getGrid(screen);
+        }
+        if (!Number.isInteger(grid.rows) || !Number.isInteger(grid.cols) || grid.rows < 1 || grid.cols < 1) {
+            throw new TypeError(`hs.window.grid.setGrid(): The grid must have whole numbers of rows and cols, not ${JSON.stringify(grid)}`);
+        }
+        if (!cell || !Number.isInteger(cell.row) || !Number.isInteger(cell.col)) {
+            throw new TypeError(`hs.window.grid.setGrid(): The cell must have a whole row and col, not ${JSON.stringify(cell)}`);
+        }
+        return moveToCell(win, grid, cell, options);
+    };
 
-    bottom: function(win) {
+    /// Get the cells of its screen's grid that a window covers, to the nearest cell
+    /// Parameter win?: An HSWindow object, or null for the focused window
+    /// Returns: An object with `row`, `col`, `rowSpan` and `colSpan`, as for hs.window.grid.setGrid(), or null if the window or its screen can't be found
+    /// Example:
+    /// ```js
+    /// const cell = hs.window.grid.get()
+    /// if (cell) console.log("Row " + cell.row + ", column " + cell.col)
+    /// ```
+    hs.window.grid.get = function(win) {
         win = win || hs.window.focusedWindow();
-        if (!win) {
+        const screen = win ? win.screen : null;
+        const frame = win ? win.frame : null;
+        if (!screen || !frame) {
+            return null;
+        }
+
+        const grid = hs.window.grid.getGrid(screen);
+        const area = screen.frame;
+        const cellW = area.w / grid.cols;
+        const cellH = area.h / grid.rows;
+        const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+        const col = clamp(Math.round((frame.x - area.x) / cellW), 0, grid.cols - 1);
+        const row = clamp(Math.round((frame.y - area.y) / cellH), 0, grid.rows - 1);
+        return {
+            row,
+            col,
+            rowSpan: clamp(Math.round((frame.y + frame.h - area.y) / cellH) - row, 1, grid.rows - row),
+            colSpan: clamp(Math.round((frame.x + frame.w - area.x) / cellW) - col, 1, grid.cols - col)
+        };
+    };
+
+    // Change the cells a window covers, keeping them on the grid
+    function adjust(win, change) {
+        win = win || hs.window.focusedWindow();
+        const cell = hs.window.grid.get(win);
+        if (!cell) {
             return false;
         }
+        const grid = hs.window.grid.getGrid(win.screen);
+        change(cell, grid);
+        cell.rowSpan = Math.min(Math.max(cell.rowSpan, 1), grid.rows);
+        cell.colSpan = Math.min(Math.max(cell.colSpan, 1), grid.cols);
+        cell.row = Math.min(Math.max(cell.row, 0), grid.rows - cell.rowSpan);
+        cell.col = Math.min(Math.max(cell.col, 0), grid.cols - cell.colSpan);
+        return moveToCell(win, grid, cell, {});
+    }
+
+    // Grow a span by one cell, towards the start if it already reaches the end
+    function grow(cell, position, span, count) {
+        if (cell[position] + cell[span] < count) {
+            cell[span] += 1;
+        } else if (cell[position] > 0) {
+            cell[position] -= 1;
+            cell[span] += 1;
+        }
+    }
+
+    /// Move a window to the cells of its screen's grid it is nearest to
+    /// Parameter win?: An HSWindow object, or null for the focused window
+    /// Returns: True if the window was moved, otherwise false
+    hs.window.grid.snap = function(win) {
+        return adjust(win, () => {});
+    };
 
-        const screenWidth = 1920;
-        const screenHeight = 1080;
-        const halfHeight = Math.floor(screenHeight / 2);
+    /// Move a window one cell to the left on its screen's grid
+    /// Parameter win?: An HSWindow object, or null for the focused window
+    /// Returns: True if the window was moved, otherwise false
+    hs.window.grid.pushWindowLeft = function(win) {
+        return adjust(win, cell => { cell.col -= 1; });
+    };
 
-        return win.setFrame(0, halfHeight, screenWidth, halfHeight);
-    },
+    /// Move a window one cell to the right on its screen's grid
+    /// Parameter win?: An HSWindow object, or null for the focused window
+    /// Returns: True if the window was moved, otherwise false
+    hs.window.grid.pushWindowRight = function(win) {
+        return adjust(win, cell => { cell.col += 1; });
+    };
 
-    topLeft: function(win) {
+    /// Move a window one cell up on its screen's grid
+    /// Parameter win?: An HSWindow object, or null for the focused window
+    /// Returns: True if the window was moved, otherwise false
+    hs.window.grid.pushWindowUp = function(win) {
+        return adjust(win, cell => { cell.row -= 1; });
+    };
+
+    /// Move a window one cell down on its screen's grid
+    /// Parameter win?: An HSWindow object, or null for the focused window
+    /// Returns: True if the window was moved, otherwise false
+    hs.window.grid.pushWindowDown = function(win) {
+        return adjust(win, cell => { cell.row += 1; });
+    };
+
+    /// Make a window one cell wider on its screen's grid, growing to the left when it reaches the right edge
+    /// Parameter win?: An HSWindow object, or null for the focused window
+    /// Returns: True if the window was moved, otherwise false
+    hs.window.grid.resizeWindowWider = function(win) {
+        return adjust(win, (cell, grid) => grow(cell, "col", "colSpan", grid.cols));
+    };
+
+    /// Make a window one cell narrower on its screen's grid, down to one cell
+    /// Parameter win?: An HSWindow object, or null for the focused window
+    /// Returns: True if the window was moved, otherwise false
+    hs.window.grid.resizeWindowThinner = function(win) {
+        return adjust(win, cell => { cell.colSpan -= 1; });
+    };
+
+    /// Make a window one cell taller on its screen's grid, growing upwards when it reaches the bottom edge
+    /// Parameter win?: An HSWindow object, or null for the focused window
+    /// Returns: True if the window was moved, otherwise false
+    hs.window.grid.resizeWindowTaller = function(win) {
+        return adjust(win, (cell, grid) => grow(cell, "row", "rowSpan", grid.rows));
+    };
+
+    /// Make a window one cell shorter on its screen's grid, down to one cell
+    /// Parameter win?: An HSWindow object, or null for the focused window
+    /// Returns: True if the window was moved, otherwise false
+    hs.window.grid.resizeWindowShorter = function(win) {
+        return adjust(win, cell => { cell.rowSpan -= 1; });
+    };
+
+    function pick(cell) {
+        if (!overlay.first) {
+            overlay.first = cell;
+            cell.colour.set(PICKED_COLOUR);
+            return;
+        }
+
+        const { win, grid, first } = overlay;
+        hs.window.grid.hide();
+        moveToCell(win, grid, {
+            row: Math.min(first.row, cell.row),
+            col: Math.min(first.col, cell.col),
+            rowSpan: Math.abs(first.row - cell.row) + 1,
+            colSpan: Math.abs(first.col - cell.col) + 1
+        }, {});
+    }
+
+    /// Show the grid over a window's screen, and move the window to the cells picked with the keyboard
+    ///
+    /// Each cell shows the key that picks it. Pick one corner of the area to move the window to, then the opposite corner, or the same cell again for a single cell. Escape hides the grid without moving the window.
+    /// Parameter win?: An HSWindow object, or null for the focused window
+    /// Returns: True if the grid was shown, false if the window or its screen can't be found
+    /// - Note: Throws a RangeError if the screen's grid has more cells than there are keys to pick them with (36)
+    /// Example:
+    /// ```js
+    /// hs.window.grid.configure({ rows: 3, cols: 4 })
+    /// hs.hotkey.bind(["cmd", "alt"], "g", () => hs.window.grid.show())
+    /// ```
+    hs.window.grid.show = function(win) {
         win = win || hs.window.focusedWindow();
-        if (!win) {
+        const screen = win ? win.screen : null;
+        if (!screen) {
             return false;
         }
+        const grid = hs.window.grid.getGrid(screen);
+        if (grid.rows * grid.cols > HINT_KEYS.length) {
+            throw new RangeError(`hs.window.grid.show(): The ${grid.rows} by ${grid.cols} grid has more cells than the ${HINT_KEYS.length} keys that pick them`);
+        }
+        hs.window.grid.hide();
 
-        const screenWidth = 1920;
-        const screenHeight = 1080;
+        const area = screen.frame;
+        const cellW = (area.w - 2 * OVERLAY_PADDING - (grid.cols - 1) * CELL_SPACING) / grid.cols;
+        const cellH = (area.h - 2 * OVERLAY_PADDING - (grid.rows - 1) * CELL_SPACING) / grid.rows;
+        const ui = hs.ui.window(hs.window._uiFrame(area))
+            .titled(false).level("floating").backgroundColor("#00000066");
+        const modal = hs.hotkey.createModal([], "");
+        overlay = { win, grid, ui, modal, first: null };
 
-        return win.setFrame(0, 0, Math.floor(screenWidth / 2), Math.floor(screenHeight / 2));
-    },
+        ui.vstack().spacing(CELL_SPACING).padding(OVERLAY_PADDING);
+        for (let row = 0; row < grid.rows; row++) {
+            ui.hstack().spacing(CELL_SPACING);
+            for (let col = 0; col < grid.cols; col++) {
+                const cell = { row, col, key: HINT_KEYS[row * grid.cols + col], colour: HSColor.hex(CELL_COLOUR) };
+                ui.zstack()
+                    .rectangle().fill(cell.colour).stroke("#FFFFFF99").strokeWidth(2).cornerRadius(8).frame({ w: cellW, h: cellH })
+                    .text(cell.key.toUpperCase()).font(HSFont.largeTitle()).foregroundColor("#FFFFFF")
+                .end();
+                modal.bind([], cell.key, () => pick(cell), null);
+            }
+            ui.end();
+        }
+        ui.end();
 
-    topRight: function(win) {
-        win = win || hs.window.focusedWindow();
-        if (!win) {
+        modal.bind([], "escape", () => hs.window.grid.hide(), null);
+        modal.enter();
+        ui.show();
+        return true;
+    };
+
+    /// Hide the grid shown by hs.window.grid.show(), without moving the window
+    /// Example:
+    /// ```js
+    /// hs.window.grid.hide()
+    /// ```
+    hs.window.grid.hide = function() {
+        if (!overlay) {
+            return;
+        }
+        const { ui, modal } = overlay;
+        overlay = null;
+        modal.exit();
+        modal.destroy();
+        ui.close();
+    };
+})();
+
+// Window tiling presets. Each takes a window (or null for the focused window) and the options of hs.window.moveToUnit()
+hs.window.tiling = {
+    left: (win, options) => hs.window.moveToUnit(win, { x: 0, y: 0, w: 0.5, h: 1 }, options),
+    right: (win, options) => hs.window.moveToUnit(win, { x: 0.5, y: 0, w: 0.5, h: 1 }, options),
+    top: (win, options) => hs.window.moveToUnit(win, { x: 0, y: 0, w: 1, h: 0.5 }, options),
+    bottom: (win, options) => hs.window.moveToUnit(win, { x: 0, y: 0.5, w: 1, h: 0.5 }, options),
+    topLeft: (win, options) => hs.window.moveToUnit(win, { x: 0, y: 0, w: 0.5, h: 0.5 }, options),
+    topRight: (win, options) => hs.window.moveToUnit(win, { x: 0.5, y: 0, w: 0.5, h: 0.5 }, options),
+    bottomLeft: (win, options) => hs.window.moveToUnit(win, { x: 0, y: 0.5, w: 0.5, h: 0.5 }, options),
+    bottomRight: (win, options) => hs.window.moveToUnit(win, { x: 0.5, y: 0.5, w: 0.5, h: 0.5 }, options),
+    leftThird: (win, options) => hs.window.moveToUnit(win, { x: 0, y: 0, w: 1 / 3, h: 1 }, options),
+    centerThird: (win, options) => hs.window.moveToUnit(win, { x: 1 / 3, y: 0, w: 1 / 3, h: 1 }, options),
+    rightThird: (win, options) => hs.window.moveToUnit(win, { x: 2 / 3, y: 0, w: 1 / 3, h: 1 }, options)
+};
+
+(function() {
+    let log = null;
+
+    // The module's logger, made on first use so that loading hs.window doesn't load hs.logger
+    /// SKIP_DOCS
+    hs.window._log = function() {
+        log = log ?? hs.logger.create("hs.window");
+        return log;
+    };
+})();
+
+// Watchers are recorded in the scope that is active when they are added, and disposing of the scope removes them. The
+// watchers hs.window keeps for the whole module record a cleanup there too, so they know when they have been removed.
+// Returns a function that forgets the cleanup again, for when they are stopped some other way.
+/// SKIP_DOCS
+hs.window._addToScope = function(cleanup) {
+    if (typeof hs.currentScope !== "function") {
+        return () => {};
+    }
+    const scope = hs.currentScope();
+    scope.add(cleanup);
+    return () => scope.remove(cleanup);
+};
+
+// Find a screen named in a layout or a filter: an HSScreen, "primary", "main", a number counting screens from the left
+// (and top down, for screens in a column), or a uuid or name. Names are matched exactly, then as a case-insensitive part.
+/// SKIP_DOCS
+hs.window._findScreen = function(spec, screens) {
+    if (typeof spec === "object") {
+        return spec;
+    }
+    if (spec === "primary") {
+        return hs.screen.primary();
+    }
+    if (spec === "main") {
+        return hs.screen.main();
+    }
+    if (typeof spec === "number") {
+        const ordered = [...screens].sort((a, b) => a.position.x - b.position.x || a.position.y - b.position.y);
+        return ordered[spec] ?? null;
+    }
+    const lower = spec.toLowerCase();
+    return screens.find(s => s.uuid === spec) ??
+        screens.find(s => s.name === spec) ??
+        screens.find(s => s.name.toLowerCase().includes(lower)) ??
+        null;
+};
+
+// hs.ui windows are placed in macOS's coordinates, where y increases upwards from the bottom of the primary screen, so
+// overlays flip frames from Hammerspoon's coordinates, where y increases downwards from its top.
+/// SKIP_DOCS
+hs.window._uiFrame = function(rect) {
+    const primary = hs.screen.primary().fullFrame;
+    return { x: rect.x, y: primary.y + primary.h - rect.y - rect.h, w: rect.w, h: rect.h };
+};
+
+// Declarative layouts
+// Named layouts last as long as the config that saves them, and are re-applied whenever the set of attached screens
+// changes, so a config that saves them on every load always has them.
+hs.window.layout = {};
+
+(function() {
+    const layouts = new Map();
+    let watching = false;
+    let forgetCleanup = null;
+    let attachedScreens = null;
+
+    function screenSetKey(screens) {
+        return screens.map(s => s.uuid).sort().join(",");
+    }
+
+    // An app named by a rule: an HSApplication, a bundle ID or a name
+    function findApp(spec) {
+        if (typeof spec === "object") {
+            return spec;
+        }
+        return hs.application.matchingBundleID(spec) ?? hs.application.matchingName(spec);
+    }
+
+    function titleMatches(pattern, title) {
+        if (pattern === undefined) {
+            return true;
+        }
+        if (pattern instanceof RegExp) {
+            // Global and sticky patterns remember where they last matched
+            pattern.lastIndex = 0;
+            return pattern.test(title ?? "");
+        }
+        return (title ?? "").includes(pattern);
+    }
+
+    function checkRules(caller, rules) {
+        if (!Array.isArray(rules)) {
+            throw new TypeError(`${caller}: The layout must be an array of rules`);
+        }
+        rules.forEach((rule, i) => {
+            if (!rule || typeof rule !== "object") {
+                throw new TypeError(`${caller}: Rule ${i} must be an object`);
+            }
+            if (rule.app !== undefined && typeof rule.app !== "string" && (typeof rule.app !== "object" || rule.app === null)) {
+                throw new TypeError(`${caller}: The app of rule ${i} must be a bundle ID, a name or an HSApplication`);
+            }
+            if (rule.title !== undefined && typeof rule.title !== "string" && !(rule.title instanceof RegExp)) {
+                throw new TypeError(`${caller}: The title of rule ${i} must be a string or a RegExp`);
+            }
+            if (rule.screen !== undefined && !["string", "number"].includes(typeof rule.screen) && (typeof rule.screen !== "object" || rule.screen === null)) {
+                throw new TypeError(`${caller}: The screen of rule ${i} must be a name, a uuid, a number or an HSScreen`);
+            }
+            // Work the unit rect out on a made-up screen, which throws if it is invalid
+            try {
+                hs.window.frameForUnit(rule.unitRect, { frame: new HSRect(0, 0, 1000, 1000) }, { margin: rule.margin ?? 0, gap: rule.gap ?? 0 });
+            } catch (e) {
+                throw new e.constructor(`${caller}: Rule ${i} is invalid. ${e.message}`);
+            }
+        });
+    }
+
+    /// Move windows into place
+    /// Parameter layout: An array of rules, or the name of a layout saved with hs.window.layout.save(). Each rule is an object with a `unitRect`, the part of the screen to move windows to as for hs.window.moveToUnit(), and optionally: `app`, the bundle ID or name of the app whose windows to move, or an HSApplication (without it, windows of every app are moved); `title`, a string the windows' titles must include, or a RegExp they must match; `screen`, the screen to move the windows to instead of the ones they are on, which is an HSScreen, `"primary"`, `"main"`, a screen's uuid or name (or part of its name), or a number counting screens from the left, starting at 0; and `margin` and `gap`, to override hs.window.margin and hs.window.gap
+    /// Parameter options?: An optional object with `margin` and `gap`, for rules that don't have their own
+    /// Returns: An object with `moved`, an array of the HSWindows that were moved, and `skipped`, an array of `{rule, reason}` objects for the rules that didn't move any windows
+    /// Example: hs.window.layout.apply([{app: "com.apple.Safari", title: /Docs/, screen: "DELL U2720Q", unitRect: [0, 0, 0.5, 1]}])
+    hs.window.layout.apply = function(layout, options = {}) {
+        const caller = "hs.window.layout.apply()";
+        let rules = layout;
+        if (typeof layout === "string") {
+            if (!layouts.has(layout)) {
+                throw new Error(`${caller}: There is no layout named '${layout}'`);
+            }
+            const saved = layouts.get(layout);
+            rules = saved.rules;
+            options = { ...saved.options, ...options };
+        }
+        checkRules(caller, rules);
+
+        let screens = null;
+        const result = { moved: [], skipped: [] };
+        for (const rule of rules) {
+            let screen;
+            if (rule.screen !== undefined) {
+                if (typeof rule.screen !== "object") {
+                    screens = screens ?? hs.screen.all();
+                }
+                screen = hs.window._findScreen(rule.screen, screens);
+                if (!screen) {
+                    result.skipped.push({ rule, reason: `The screen ${JSON.stringify(rule.screen)} is not attached` });
+                    continue;
+                }
+            }
+
+            let app;
+            if (rule.app !== undefined) {
+                app = findApp(rule.app);
+                if (!app) {
+                    result.skipped.push({ rule, reason: `The app ${JSON.stringify(rule.app)} is not running` });
+                    continue;
+                }
+            }
+
+            const windows = (app ? app.allWindows : hs.window.allWindows()).filter(win => titleMatches(rule.title, win.title));
+            if (windows.length === 0) {
+                result.skipped.push({ rule, reason: "No windows matched" });
+                continue;
+            }
+
+            const moveOptions = { screen, margin: rule.margin ?? options.margin, gap: rule.gap ?? options.gap };
+            for (const win of windows) {
+                if (hs.window.moveToUnit(win, rule.unitRect, moveOptions)) {
+                    result.moved.push(win);
+                }
+            }
+        }
+        return result;
+    };
+
+    /// Save a layout under a name, so it can be applied by name and re-applied when the screens change
+    /// Parameter name: The name of the layout. Saving another layout with the same name replaces it
+    /// Parameter rules: An array of rules, as for hs.window.layout.apply()
+    /// Parameter options?: An optional object with `auto`, whether to re-apply the layout whenever a screen is attached or detached (defaults to true); `when`, an array of screens, named as in rules, that must all be attached for the layout to be re-applied (defaults to the screens its rules name); and `margin` and `gap`, as for hs.window.layout.apply()
+    /// - Note: Layouts are kept until the config is reloaded, so save them from your config
+    /// Example: hs.window.layout.save("docked", [{app: "Safari", screen: "DELL", unitRect: [0, 0, 0.5, 1]}, {app: "Mail", screen: "DELL", unitRect: [0.5, 0, 0.5, 1]}])
+    hs.window.layout.save = function(name, rules, options = {}) {
+        const caller = "hs.window.layout.save()";
+        if (typeof name !== "string" || name === "") {
+            throw new TypeError(`${caller}: The name must be a non-empty string`);
+        }
+        checkRules(caller, rules);
+        const when = options.when ?? rules.map(rule => rule.screen).filter(spec => spec !== undefined && typeof spec !== "object");
+        if (!Array.isArray(when)) {
+            throw new TypeError(`${caller}: when must be an array of screens`);
+        }
+
+        layouts.set(name, {
+            rules: [...rules],
+            auto: options.auto ?? true,
+            when: [...when],
+            options: { margin: options.margin, gap: options.gap }
+        });
+        updateWatcher();
+    };
+
+    /// Remove a saved layout
+    /// Parameter name: The name of the layout
+    /// Returns: True if there was a layout with that name, otherwise false
+    hs.window.layout.remove = function(name) {
+        const removed = layouts.delete(name);
+        updateWatcher();
+        return removed;
+    };
+
+    /// Get the names of the saved layouts
+    /// Returns: An array of strings
+    hs.window.layout.names = function() {
+        return [...layouts.keys()];
+    };
+
+    function updateWatcher() {
+        const needed = [...layouts.values()].some(layout => layout.auto);
+        if (needed && !watching) {
+            attachedScreens = screenSetKey(hs.screen.all());
+            // Docking reports several changes, and windows are still moving between them
+            hs.screen.addWatcher(screensChanged, { coalesce: 1 });
+            watching = true;
+            forgetCleanup = hs.window._addToScope(stopWatching);
+        } else if (!needed && watching) {
+            forgetCleanup();
+            stopWatching();
+        }
+    }
+
+    // Also called when the scope the watcher was added in is disposed, so the next save() adds it again
+    function stopWatching() {
+        if (watching) {
+            hs.screen.removeWatcher(screensChanged);
+            watching = false;
+            forgetCleanup = null;
+        }
+    }
+
+    function screensChanged(events) {
+        const screens = events[events.length - 1][0];
+        const key = screenSetKey(screens);
+        // Resolution and Dock changes don't change which screens are attached
+        if (key === attachedScreens) {
+            return;
+        }
+        attachedScreens = key;
+
+        for (const [name, layout] of layouts) {
+            if (!layout.auto || !layout.when.every(spec => hs.window._findScreen(spec, screens))) {
+                continue;
+            }
+            try {
+                hs.window.layout.apply(layout.rules, layout.options);
+            } catch (e) {
+                hs.window._log().error(`Re-applying the layout '${name}' threw an error`);
+                reportError(e);
+            }
+        }
+    }
+})();
+
+// Window filters
+// A filter watches every app it could match for window notifications. macOS doesn't send every notification for every
+// window (some windows close without AXUIElementDestroyed), so after any of them the app's windows are read again and
+// compared with what the filter knew, and the events come from the differences.
+hs.window.filter = {};
+
+(function() {
+    // AXWindowMoved and AXWindowResized are the forms of AXMoved and AXResized that apps send for all of their windows
+    const NOTIFICATIONS = ["AXWindowCreated", "AXUIElementDestroyed", "AXFocusedWindowChanged", "AXWindowMoved",
+                           "AXWindowResized", "AXWindowMiniaturized", "AXWindowDeminiaturized", "AXTitleChanged"];
+    const OPTIONS = ["apps", "allowTitles", "rejectTitles", "visible", "screens", "fullscreen", "standard"];
+    // Notifications come in bursts, such as while a window is dragged, so apps are read again after this many seconds
+    const SCAN_DELAY = 0.05;
+
+    function checkOptions(caller, options) {
+        if (options === null || typeof options !== "object") {
+            throw new TypeError(`${caller}: The options must be an object`);
+        }
+        for (const key of Object.keys(options)) {
+            if (!OPTIONS.includes(key)) {
+                throw new TypeError(`${caller}: Unknown option '${key}', expected one of ${OPTIONS.join(", ")}`);
+            }
+        }
+        if (options.apps !== undefined && (!Array.isArray(options.apps) || !options.apps.every(app => typeof app === "string"))) {
+            throw new TypeError(`${caller}: apps must be an array of bundle IDs and names`);
+        }
+        if (options.screens !== undefined && (!Array.isArray(options.screens) || options.screens.length === 0)) {
+            throw new TypeError(`${caller}: screens must be a non-empty array of screens`);
+        }
+        for (const key of ["visible", "fullscreen", "standard"]) {
+            if (options[key] !== undefined && typeof options[key] !== "boolean") {
+                throw new TypeError(`${caller}: ${key} must be true or false`);
+            }
+        }
+
+        const titles = {};
+        for (const key of ["allowTitles", "rejectTitles"]) {
+            const value = options[key];
+            titles[key] = value === undefined ? null : [].concat(value);
+            if (titles[key] && !titles[key].every(pattern => typeof pattern === "string" || pattern instanceof RegExp)) {
+                throw new TypeError(`${caller}: ${key} must be a string, a RegExp or an array of them`);
+            }
+        }
+        return { ...options, ...titles };
+    }
+
+    function titleMatches(patterns, title) {
+        return patterns.some(pattern => {
+            if (pattern instanceof RegExp) {
+                pattern.lastIndex = 0;
+                return pattern.test(title);
+            }
+            return title.includes(pattern);
+        });
+    }
+
+    // What a filter remembers about a window, to tell what changed
+    function readWindow(win) {
+        const frame = win.frame;
+        const screen = win.screen;
+        return {
+            title: win.title ?? "",
+            frame: frame ? { x: frame.x, y: frame.y, w: frame.w, h: frame.h } : null,
+            minimized: win.isMinimized,
+            visible: win.isVisible,
+            fullscreen: win.isFullscreen,
+            standard: win.isStandard,
+            screen: screen ? screen.uuid : null
+        };
+    }
+
+    // The events for a window that matched before and after a change
+    function changes(before, after) {
+        const events = [];
+        if (before.title !== after.title) {
+            events.push("windowTitleChanged");
+        }
+        if (before.minimized !== after.minimized) {
+            events.push(after.minimized ? "windowMinimized" : "windowUnminimized");
+        }
+        if (before.frame && after.frame) {
+            if (before.frame.x !== after.frame.x || before.frame.y !== after.frame.y) {
+                events.push("windowMoved");
+            }
+            if (before.frame.w !== after.frame.w || before.frame.h !== after.frame.h) {
+                events.push("windowResized");
+            }
+        }
+        return events;
+    }
+
+    class WindowFilter extends EventEmitter {
+        #options
+        #running = false
+        // Watched apps by pid, each with its AX listener
+        #apps = new Map()
+        // Windows of watched apps by window id, whether they match or not, so a change can make them match
+        #windows = new Map()
+        #focused = null
+        #pendingScans = new Set()
+        #scanTimer = null
+        #appListener = (event, app) => this.#applicationEvent(event, app)
+
+        constructor(options) {
+            super();
+            this.#options = options;
+        }
+
+        get running() {
+            return this.#running;
+        }
+
+        start() {
+            if (this.#running) {
+                return this;
+            }
+            this.#running = true;
+            hs.application.addWatcher(this.#appListener);
+            for (const app of hs.application.runningApplications()) {
+                this.#watchApp(app);
+            }
+            // The windows that are already open are the starting list, not new windows
+            this.#scan([...this.#apps.keys()], true);
+            return this;
+        }
+
+        stop() {
+            if (!this.#running) {
+                return this;
+            }
+            this.#running = false;
+            hs.application.removeWatcher(this.#appListener);
+            for (const pid of [...this.#apps.keys()]) {
+                this.#unwatchApp(pid);
+            }
+            if (this.#scanTimer) {
+                this.#scanTimer.stop();
+                this.#scanTimer = null;
+            }
+            this.#pendingScans.clear();
+            this.#windows.clear();
+            this.#focused = null;
+            return this;
+        }
+
+        windows() {
+            return [...this.#windows.values()].filter(entry => entry.matches).map(entry => entry.win);
+        }
+
+        matches(win) {
+            const app = win.application;
+            return this.#appAllowed(app) && this.#stateMatches(readWindow(win), this.#screenUUIDs());
+        }
+
+        refresh() {
+            if (this.#running) {
+                this.#scan([...this.#apps.keys()], false);
+            }
+            return this;
+        }
+
+        #appAllowed(app) {
+            if (!app || app.kind === "background") {
+                return false;
+            }
+            const apps = this.#options.apps;
+            return !apps || apps.includes(app.bundleID) || apps.includes(app.title);
+        }
+
+        // The uuids of the screens the filter allows, or null for any screen
+        #screenUUIDs() {
+            if (!this.#options.screens) {
+                return null;
+            }
+            const screens = hs.screen.all();
+            return new Set(this.#options.screens.map(spec => hs.window._findScreen(spec, screens)).filter(Boolean).map(s => s.uuid));
+        }
+
+        #stateMatches(state, screenUUIDs) {
+            const options = this.#options;
+            return (options.visible === undefined || state.visible === options.visible) &&
+                (options.fullscreen === undefined || state.fullscreen === options.fullscreen) &&
+                (options.standard === undefined || state.standard === options.standard) &&
+                (!options.allowTitles || titleMatches(options.allowTitles, state.title)) &&
+                (!options.rejectTitles || !titleMatches(options.rejectTitles, state.title)) &&
+                (!screenUUIDs || screenUUIDs.has(state.screen));
+        }
+
+        #watchApp(app) {
+            if (this.#apps.has(app.pid) || !this.#appAllowed(app)) {
+                return false;
+            }
+            const listener = () => this.#scheduleScan(app.pid);
+            for (const notification of NOTIFICATIONS) {
+                hs.ax.addWatcher(app, notification, listener);
+            }
+            this.#apps.set(app.pid, { app, listener });
+            return true;
+        }
+
+        #unwatchApp(pid) {
+            const watched = this.#apps.get(pid);
+            if (!watched) {
+                return;
+            }
+            for (const notification of NOTIFICATIONS) {
+                hs.ax.removeWatcher(watched.app, notification, watched.listener);
+            }
+            this.#apps.delete(pid);
+        }
+
+        #applicationEvent(event, app) {
+            if (!app) {
+                return;
+            }
+            if (event === "didLaunch") {
+                // Its windows are announced with AXWindowCreated
+                this.#watchApp(app);
+            } else if (event === "didTerminate") {
+                this.#unwatchApp(app.pid);
+                this.#pendingScans.delete(app.pid);
+                this.#forgetWindows(app.pid);
+                this.#updateFocus();
+            } else if (this.#apps.has(app.pid)) {
+                // Hiding, showing, activating and deactivating change visibility and focus
+                this.#scheduleScan(app.pid);
+            }
+        }
+
+        #scheduleScan(pid) {
+            this.#pendingScans.add(pid);
+            if (!this.#scanTimer) {
+                this.#scanTimer = hs.timer.doAfter(SCAN_DELAY, () => {
+                    this.#scanTimer = null;
+                    const pids = [...this.#pendingScans];
+                    this.#pendingScans.clear();
+                    this.#scan(pids, false);
+                });
+            }
+        }
+
+        #scan(pids, quietly) {
+            const screenUUIDs = this.#screenUUIDs();
+            for (const pid of pids) {
+                const watched = this.#apps.get(pid);
+                if (!watched) {
+                    continue;
+                }
+
+                const seen = new Set();
+                for (const win of watched.app.allWindows) {
+                    // Windows are told apart by their window server ID
+                    if (!(win.id > 0)) {
+                        continue;
+                    }
+                    seen.add(win.id);
+                    const state = readWindow(win);
+                    const matches = this.#stateMatches(state, screenUUIDs);
+                    const known = this.#windows.get(win.id);
+                    this.#windows.set(win.id, { win, pid, state, matches });
+
+                    if (quietly) {
+                        continue;
+                    }
+                    if (!known) {
+                        if (matches) {
+                            this.emit("windowCreated", win);
+                        }
+                    } else if (known.matches !== matches) {
+                        this.emit(matches ? "windowAllowed" : "windowRejected", win);
+                    } else if (matches) {
+                        for (const event of changes(known.state, state)) {
+                            this.emit(event, win);
+                        }
+                    }
+                }
+
+                this.#forgetWindows(pid, seen, quietly);
+            }
+            this.#updateFocus(quietly);
+        }
+
+        // Forget an app's windows, apart from those in keep, emitting windowDestroyed for the ones that matched
+        #forgetWindows(pid, keep = new Set(), quietly = false) {
+            for (const [id, entry] of [...this.#windows]) {
+                if (entry.pid !== pid || keep.has(id)) {
+                    continue;
+                }
+                this.#windows.delete(id);
+                if (this.#focused === id) {
+                    this.#focused = null;
+                }
+                if (entry.matches && !quietly) {
+                    this.emit("windowDestroyed", entry.win);
+                }
+            }
+        }
+
+        #updateFocus(quietly = false) {
+            const app = hs.application.frontmost();
+            const focusedWindow = app ? app.focusedWindow : null;
+            const id = focusedWindow && this.#windows.has(focusedWindow.id) ? focusedWindow.id : null;
+            if (id === this.#focused) {
+                return;
+            }
+
+            const previous = this.#windows.get(this.#focused);
+            this.#focused = id;
+            if (quietly) {
+                return;
+            }
+            if (previous && previous.matches) {
+                this.emit("windowUnfocused", previous.win);
+            }
+            const current = this.#windows.get(id);
+            if (current && current.matches) {
+                this.emit("windowFocused", current.win);
+            }
+        }
+    }
+
+    /// Create a filter: a live list of the windows that match some options, which emits events as windows change
+    ///
+    /// The filter is an EventEmitter. Listen to its events with `on(event, listener)`, and stop listening with `off(event, listener)`. Each listener is called with the HSWindow the event is about. The events are:
+    /// - `windowCreated`: A window that matches was opened
+    /// - `windowDestroyed`: A window that matched was closed, or its app quit
+    /// - `windowAllowed`: A window changed so it matches, such as by being moved to an allowed screen
+    /// - `windowRejected`: A window changed so it no longer matches
+    /// - `windowFocused` and `windowUnfocused`: A window that matches gained or lost focus
+    /// - `windowMoved` and `windowResized`: A window that matches was moved or resized
+    /// - `windowMinimized` and `windowUnminimized`: A window that matches was minimized or unminimized
+    /// - `windowTitleChanged`: The title of a window that matches changed
+    ///
+    /// The filter also has these methods:
+    /// - `windows()`: An array of the windows that match
+    /// - `matches(win)`: Whether a window matches the filter
+    /// - `refresh()`: Read every window again now, emitting events for any changes, rather than waiting to hear about them
+    /// - `stop()` and `start()`: Stop and restart watching windows. Stopping forgets the list, and starting reads it again
+    ///
+    /// It also has a `running` property.
+    /// Parameter options?: An optional object with any of: `apps`, an array of the bundle IDs or names of the apps whose windows match (defaults to every app); `allowTitles`, a string, a RegExp or an array of them, one of which a window's title must include or match; `rejectTitles`, the same, none of which a window's title may include or match; `visible`, true to only match windows that are not minimized or hidden, or false to only match those that are; `screens`, an array of the screens whose windows match, named as in hs.window.layout.apply() rules; `fullscreen`, true or false to only match windows that are or aren't full screen; and `standard`, true or false to only match windows that are or aren't standard windows, rather than panels, dialogs and the like
+    /// Returns: A running window filter
+    /// - Note: Throws a TypeError if an option is unknown or invalid
+    /// Example:
+    /// ```js
+    /// const editors = hs.window.filter.create({ apps: ["com.microsoft.VSCode"], standard: true })
+    /// editors.on("windowCreated", (win) => hs.window.moveToLeftHalf(win))
+    /// editors.on("windowFocused", (win) => console.log("Editing " + win.title))
+    /// console.log(editors.windows().length + " editor windows")
+    /// ```
+    hs.window.filter.create = function(options = {}) {
+        return new WindowFilter(checkOptions("hs.window.filter.create()", options)).start();
+    };
+})();
+
+// Focus history and the window switcher
+// The history starts the first time it is used, from the windows' front-to-back order, and then follows the focus
+// events of a window filter. While the modifiers that were held when the switcher started stay held, next() and
+// previous() walk the list the switcher started with, so switching doesn't reorder it.
+hs.window.switcher = {};
+
+(function() {
+    const SCOPES = ["all", "app", "screen"];
+    const SWITCHER_OPTIONS = ["scope", "overlay"];
+    // Modifiers that hold a switch open. Shift is left out, so it can be added to go backwards
+    const HOLDING_MODIFIERS = ["cmd", "alt", "ctrl", "fn"];
+    const OVERLAY_ROWS = 10;
+    const ROW_HEIGHT = 36;
+    const OVERLAY_WIDTH = 520;
+    const OVERLAY_PADDING = 8;
+
+    // Window ids, most recently focused first
+    let history = [];
+    let historyFilter = null;
+    let session = null;
+
+    function startHistory() {
+        if (historyFilter) {
+            return historyFilter;
+        }
+        history = hs.window.orderedWindows().map(win => win.id).filter(id => id > 0);
+        historyFilter = hs.window.filter.create({ standard: true });
+        historyFilter.on("windowFocused", (win) => {
+            history = [win.id, ...history.filter(id => id !== win.id)];
+        });
+        historyFilter.on("windowDestroyed", (win) => {
+            history = history.filter(id => id !== win.id);
+        });
+        // The filter's watchers go with the scope that was active when it started, so forget it then and start again on next use
+        hs.window._addToScope(stopHistory);
+        return historyFilter;
+    }
+
+    function stopHistory() {
+        if (historyFilter) {
+            historyFilter.stop();
+            historyFilter = null;
+        }
+    }
+
+    function checkScope(caller, options) {
+        if (options === null || typeof options !== "object") {
+            throw new TypeError(`${caller}: The options must be an object`);
+        }
+        if (options.scope !== undefined && !SCOPES.includes(options.scope)) {
+            throw new TypeError(`${caller}: The scope must be one of ${SCOPES.join(", ")}, not '${options.scope}'`);
+        }
+        return options.scope ?? "all";
+    }
+
+    function sameApp(a, b) {
+        return Boolean(a.application && b.application) && a.application.pid === b.application.pid;
+    }
+
+    function sameScreen(a, b) {
+        return Boolean(a.screen && b.screen) && a.screen.uuid === b.screen.uuid;
+    }
+
+    /// Get the windows in the order they were focused, most recent first
+    ///
+    /// The history starts the first time this or the switcher is used. Windows that were open then are ordered from front to back, and after that the order follows focus changes. Only standard windows are included.
+    /// Parameter options?: An optional object with `scope`: "all" for every window (the default), "app" for the windows of the same app as the most recently focused window, or "screen" for the windows on the same screen as it
+    /// Returns: An array of HSWindow objects
+    /// - Note: Throws a TypeError if the scope is unknown
+    /// Example:
+    /// ```js
+    /// const previous = hs.window.focusHistory()[1]
+    /// if (previous) previous.focus()
+    /// ```
+    hs.window.focusHistory = function(options = {}) {
+        const scope = checkScope("hs.window.focusHistory()", options);
+        const windows = new Map(startHistory().windows().map(win => [win.id, win]));
+        const ordered = history.filter(id => windows.has(id)).map(id => windows.get(id));
+        for (const win of windows.values()) {
+            if (!history.includes(win.id)) {
+                ordered.push(win);
+            }
+        }
+
+        const current = ordered[0];
+        if (!current || scope === "all") {
+            return ordered;
+        }
+        return ordered.filter(win => scope === "app" ? sameApp(win, current) : sameScreen(win, current));
+    };
+
+    function showOverlay() {
+        const focused = session.windows[0];
+        const screen = (focused && focused.screen) || hs.screen.main();
+        const count = Math.min(session.windows.length, OVERLAY_ROWS);
+        const height = count * ROW_HEIGHT + 2 * OVERLAY_PADDING;
+        const area = screen.frame;
+        const overlay = hs.ui.window(hs.window._uiFrame({
+            x: Math.round(area.x + (area.w - OVERLAY_WIDTH) / 2),
+            y: Math.round(area.y + (area.h - height) / 2),
+            w: OVERLAY_WIDTH,
+            h: height
+        })).titled(false).level("floating").backgroundColor("#1E1E1EE6");
+
+        overlay.vstack().spacing(0).padding(OVERLAY_PADDING);
+        session.rows = [];
+        for (let i = 0; i < count; i++) {
+            const row = { colour: HSColor.hex("#00000000"), title: hs.ui.string(""), icon: HSImage.fromSymbol("macwindow") };
+            overlay.zstack()
+                .rectangle().fill(row.colour).cornerRadius(6).frame({ w: "100%", h: ROW_HEIGHT })
+                .hstack().spacing(10).padding(6)
+                    .image(row.icon).resizable().aspectRatio("fit").frame({ w: 24, h: 24 })
+                    .text(row.title).font(HSFont.body()).foregroundColor("#FFFFFF")
+                    .spacer()
+                .end()
+            .end();
+            session.rows.push(row);
+        }
+        overlay.end();
+        session.overlay = overlay;
+        session.icons = new Map();
+        updateOverlay();
+        overlay.show();
+    }
+
+    function updateOverlay() {
+        const { windows, rows, index, icons } = session;
+        // Keep the selected window in view, in the middle when the list is longer than the overlay
+        const offset = Math.max(0, Math.min(index - Math.floor(rows.length / 2), windows.length - rows.length));
+        rows.forEach((row, i) => {
+            const win = windows[offset + i];
+            const app = win.application;
+            row.title.set(app && app.title ? `${app.title} — ${win.title}` : win.title);
+            row.colour.set(offset + i === index ? "#3A7BD5" : "#00000000");
+
+            // Windows of apps without a bundle show the same symbol the rows start with
+            const bundleID = (app && app.bundleID) || "";
+            if (!icons.has(bundleID)) {
+                icons.set(bundleID, bundleID ? HSImage.fromAppBundle(bundleID, "macwindow") : HSImage.fromSymbol("macwindow"));
+            }
+            const icon = icons.get(bundleID);
+            if (icon) {
+                row.icon.set(icon);
+            }
+        });
+    }
+
+    function endSession() {
+        const ending = session;
+        session = null;
+        if (ending.tap) {
+            ending.tap.stop();
+        }
+        if (ending.overlay) {
+            ending.overlay.close();
+            ending.windows[ending.index].focus();
+        }
+    }
+
+    // Start watching for the held modifiers to be let go, or return null if none are held or they can't be watched
+    function watchModifiers(held) {
+        if (held.length === 0) {
+            return null;
+        }
+        const tap = hs.eventtap.addWatcher([hs.eventtap.eventTypes.flagsChanged], (event) => {
+            if (session && session.tap === tap && !held.every(mod => event.flags.includes(mod))) {
+                try {
+                    endSession();
+                } catch (e) {
+                    hs.window._log().error("Error while finishing a window switch");
+                    reportError(e);
+                }
+            }
+        }, true);
+        if (!tap) {
+            return null;
+        }
+        tap.start();
+        if (!tap.isEnabled()) {
+            tap.stop();
+            return null;
+        }
+        return tap;
+    }
+
+    function step(caller, direction, options) {
+        checkScope(caller, options);
+        for (const key of Object.keys(options)) {
+            if (!SWITCHER_OPTIONS.includes(key)) {
+                throw new TypeError(`${caller}: Unknown option '${key}', expected one of ${SWITCHER_OPTIONS.join(", ")}`);
+            }
+        }
+
+        if (!session) {
+            const windows = hs.window.focusHistory({ scope: options.scope }).filter(win => win.isVisible);
+            if (windows.length < 2) {
+                return windows[0] ?? null;
+            }
+            const held = hs.eventtap.currentModifiers().filter(mod => HOLDING_MODIFIERS.includes(mod));
+            session = { windows, index: 0, tap: null, overlay: null };
+            session.tap = watchModifiers(held);
+            if (session.tap && options.overlay) {
+                showOverlay();
+            }
+        }
+
+        const count = session.windows.length;
+        session.index = (session.index + direction + count) % count;
+        const win = session.windows[session.index];
+        if (session.overlay) {
+            updateOverlay();
+        } else {
+            win.focus();
+        }
+        if (!session.tap) {
+            // Nothing is held, so each call is a switch of its own
+            endSession();
+        }
+        return win;
+    }
+
+    /// Switch to the next window in the focus history, like Command-Tab does for apps
+    ///
+    /// When called from a hotkey, the switch lasts while the hotkey's modifiers are held: calling this again steps further back through the windows as they were ordered when the switch started. Calling it with no modifiers held switches to the most recently focused window that isn't focused now. Minimized windows, and those of hidden apps, are skipped.
+    /// Parameter options?: An optional object with `scope`, as for hs.window.focusHistory(), and `overlay`, true to show the windows' titles and app icons while the modifiers are held and only focus the chosen window when they are let go. Options are read when a switch starts
+    /// Returns: The window that was switched to, or null if there are no windows
+    /// - Note: Holding the switch open needs an event tap, so it needs Accessibility permission. Without it, each call is a switch of its own
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["alt"], "tab", () => hs.window.switcher.next({ overlay: true }))
+    /// hs.hotkey.bind(["alt", "shift"], "tab", () => hs.window.switcher.previous({ overlay: true }))
+    /// hs.hotkey.bind(["alt"], "`", () => hs.window.switcher.next({ scope: "app" }))
+    /// ```
+    hs.window.switcher.next = function(options = {}) {
+        return step("hs.window.switcher.next()", 1, options);
+    };
+
+    /// Switch to the previous window in the focus history, which is the least recently focused one when a switch starts
+    /// Parameter options?: An optional object with `scope` and `overlay`, as for hs.window.switcher.next()
+    /// Returns: The window that was switched to, or null if there are no windows
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["alt", "shift"], "tab", () => hs.window.switcher.previous())
+    /// ```
+    hs.window.switcher.previous = function(options = {}) {
+        return step("hs.window.switcher.previous()", -1, options);
+    };
+})();
+
+// Window hints
+// Every hint has the same number of letters, so no hint is the start of another, and typing a hint's last letter always
+// picks its window. Letters that no hint starts with are ignored.
+hs.window.hints = {};
+
+(function() {
+    // Home row first, so the fewer windows there are, the easier their hints are to type
+    const HINT_CHARS = "asdfghjklqwertyuiopzxcvbnm";
+    const HINTS_OPTIONS = ["windows"];
+    const BADGE_HEIGHT = 56;
+    const BADGE_ICON = 32;
+    const LETTER_WIDTH = 28;
+    const BADGE_SPACING = 8;
+
+    let shown = null;
+
+    function labels(count) {
+        let length = 1;
+        while (Math.pow(HINT_CHARS.length, length) < count) {
+            length++;
+        }
+        return Array.from({ length: count }, (_, i) => {
+            let label = "";
+            for (let n = i, j = 0; j < length; j++, n = Math.floor(n / HINT_CHARS.length)) {
+                label = HINT_CHARS[n % HINT_CHARS.length] + label;
+            }
+            return label;
+        });
+    }
+
+    function overlaps(a, b) {
+        return a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+    }
+
+    // A badge in the center of the window, moved down past the badges already placed, for windows that share a center
+    function badgeFrame(frame, label, placed) {
+        const w = BADGE_ICON + label.length * LETTER_WIDTH + 3 * BADGE_SPACING;
+        const badge = {
+            x: Math.round(frame.x + (frame.w - w) / 2),
+            y: Math.round(frame.y + (frame.h - BADGE_HEIGHT) / 2),
+            w,
+            h: BADGE_HEIGHT
+        };
+        while (placed.some(other => overlaps(badge, other))) {
+            badge.y += BADGE_HEIGHT + BADGE_SPACING;
+        }
+        placed.push(badge);
+        return badge;
+    }
+
+    function showBadge(win, label, frame) {
+        const app = win.application;
+        const bundleID = (app && app.bundleID) || "";
+        const icon = bundleID ? HSImage.fromAppBundle(bundleID, "macwindow") : HSImage.fromSymbol("macwindow");
+        const ui = hs.ui.window(hs.window._uiFrame(frame))
+            .titled(false).level("floating").backgroundColor("#1E1E1EE6");
+        ui.hstack().spacing(BADGE_SPACING).padding(BADGE_SPACING);
+        if (icon) {
+            ui.image(icon).resizable().aspectRatio("fit").frame({ w: BADGE_ICON, h: BADGE_ICON });
+        }
+        ui.text(label.toUpperCase()).font(HSFont.largeTitle()).foregroundColor("#FFFFFF");
+        ui.end();
+        ui.show();
+        return ui;
+    }
+
+    // Show the badges of the hints that start with what has been typed, and hide the others. Showing an hs.ui window
+    // that is already visible would open a second copy of it, so only the badges that change are shown or hidden
+    function narrow(typed) {
+        shown.typed = typed;
+        for (const hint of shown.hints) {
+            const visible = hint.label.startsWith(typed);
+            if (visible && !hint.visible) {
+                hint.ui.show();
+            } else if (!visible && hint.visible) {
+                hint.ui.hide();
+            }
+            hint.visible = visible;
+        }
+    }
+
+    function type(letter) {
+        const typed = shown.typed + letter;
+        const matches = shown.hints.filter(hint => hint.label.startsWith(typed));
+        if (matches.length === 0) {
+            return;
+        }
+        if (matches[0].label === typed) {
+            hs.window.hints.hide();
+            matches[0].win.focus();
+            return;
+        }
+        narrow(typed);
+    }
+
+    /// Show a hint over each visible window, and focus the window whose hint is typed
+    ///
+    /// Each hint is a badge in the center of its window, with the window's app icon and one or more letters. When there are more windows than letters, every hint has two letters (or more), and typing the first letter hides the hints that don't start with it. Delete takes back the last letter typed, and escape hides the hints without focusing a window.
+    /// Parameter options?: An optional object with `windows`, an array of the HSWindow objects to show hints for. By default, hints are shown for every visible standard window
+    /// Returns: True if any hints were shown, false if there are no windows to show them for
+    /// - Note: Throws a TypeError if an option is unknown, or the windows aren't an array
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["cmd", "alt"], "h", () => hs.window.hints.show())
+    /// hs.hotkey.bind(["cmd", "alt", "shift"], "h", () => hs.window.hints.show({ windows: hs.window.focusedWindow().application.allWindows }))
+    /// ```
+    hs.window.hints.show = function(options = {}) {
+        const caller = "hs.window.hints.show()";
+        if (options === null || typeof options !== "object") {
+            throw new TypeError(`${caller}: The options must be an object`);
+        }
+        for (const key of Object.keys(options)) {
+            if (!HINTS_OPTIONS.includes(key)) {
+                throw new TypeError(`${caller}: Unknown option '${key}', expected one of ${HINTS_OPTIONS.join(", ")}`);
+            }
+        }
+        if (options.windows !== undefined && !Array.isArray(options.windows)) {
+            throw new TypeError(`${caller}: The windows must be an array of HSWindow objects`);
+        }
+        hs.window.hints.hide();
+
+        const windows = (options.windows ?? hs.window.orderedWindows().filter(win => win.isVisible && win.isStandard))
+            .map(win => ({ win, frame: win && win.frame }))
+            .filter(entry => entry.frame);
+        if (windows.length === 0) {
             return false;
         }
 
-        const screenWidth = 1920;
-        const screenHeight = 1080;
-        const halfWidth = Math.floor(screenWidth / 2);
+        const placed = [];
+        const hints = labels(windows.length).map((label, i) => {
+            const { win, frame } = windows[i];
+            return { win, label, ui: showBadge(win, label, badgeFrame(frame, label, placed)), visible: true };
+        });
+        const modal = hs.hotkey.createModal([], "");
+        shown = { hints, modal, typed: "" };
+
+        const letters = new Set(hints.flatMap(hint => hint.label.split("")));
+        for (const letter of letters) {
+            modal.bind([], letter, () => type(letter), null);
+        }
+        modal.bind([], "delete", () => narrow(shown.typed.slice(0, -1)), null);
+        modal.bind([], "escape", () => hs.window.hints.hide(), null);
+        modal.enter();
+        return true;
+    };
+
+    /// Hide the hints shown by hs.window.hints.show(), without focusing a window
+    /// Example:
+    /// ```js
+    /// hs.window.hints.hide()
+    /// ```
+    hs.window.hints.hide = function() {
+        if (!shown) {
+            return;
+        }
+        const { hints, modal } = shown;
+        shown = null;
+        modal.exit();
+        modal.destroy();
+        for (const hint of hints) {
+            hint.ui.close();
+        }
+    };
+})();
+
+// Automatic tiling
+// Each screen's tiled windows are the leaves of a binary tree, whose splits divide the screen's usable frame in two,
+// side by side or one above the other. The bsp layout places windows by the tree, and the masterStack layout only
+// uses the order of its leaves, so a screen can switch between them without losing its order.
+hs.window.tiler = {};
+
+(function() {
+    const LAYOUTS = ["bsp", "masterStack"];
+    const TILER_OPTIONS = ["layout", "ratio", "margin", "gap", "floatApps"];
+    const DIRECTIONS = {
+        east: { along: (dx, dy) => dx, across: (dx, dy) => dy },
+        west: { along: (dx, dy) => -dx, across: (dx, dy) => dy },
+        north: { along: (dx, dy) => -dy, across: (dx, dy) => dx },
+        south: { along: (dx, dy) => dy, across: (dx, dy) => dx }
+    };
+    // How much further along a tile being off to the side counts as, when finding a neighbour to swap with
+    const ACROSS_WEIGHT = 2;
+    // How far a split can be moved towards either edge
+    const MIN_RATIO = 0.1;
+    const MAX_RATIO = 0.9;
+
+    // The running tiler: its options, its filter, its screens by uuid, windows floated or tiled against their app's
+    // setting by window id, and a function that forgets its stop() in the scope it was started in
+    let tiler = null;
+
+    function checkOptions(caller, options) {
+        if (options === null || typeof options !== "object") {
+            throw new TypeError(`${caller}: The options must be an object`);
+        }
+        for (const key of Object.keys(options)) {
+            if (!TILER_OPTIONS.includes(key)) {
+                throw new TypeError(`${caller}: Unknown option '${key}', expected one of ${TILER_OPTIONS.join(", ")}`);
+            }
+        }
+        checkLayout(caller, options.layout ?? "bsp");
+        checkRatio(caller, options.ratio ?? 0.5);
+        for (const key of ["margin", "gap"]) {
+            if (options[key] !== undefined && (!Number.isFinite(options[key]) || options[key] < 0)) {
+                throw new RangeError(`${caller}: The ${key} must be a non-negative number`);
+            }
+        }
+        if (options.floatApps !== undefined && (!Array.isArray(options.floatApps) || !options.floatApps.every(app => typeof app === "string"))) {
+            throw new TypeError(`${caller}: floatApps must be an array of bundle IDs and names`);
+        }
+        return { layout: "bsp", ratio: 0.5, floatApps: [], ...options };
+    }
+
+    function checkLayout(caller, layout) {
+        if (!LAYOUTS.includes(layout)) {
+            throw new TypeError(`${caller}: The layout must be one of ${LAYOUTS.join(", ")}, not '${layout}'`);
+        }
+    }
+
+    function checkRatio(caller, ratio) {
+        if (!Number.isFinite(ratio) || ratio < MIN_RATIO || ratio > MAX_RATIO) {
+            throw new RangeError(`${caller}: The ratio must be a number from ${MIN_RATIO} to ${MAX_RATIO}`);
+        }
+    }
+
+    function clampRatio(ratio) {
+        return Math.min(MAX_RATIO, Math.max(MIN_RATIO, ratio));
+    }
+
+    // Trees
+
+    function leaves(node) {
+        if (!node) {
+            return [];
+        }
+        return node.win ? [node] : [...leaves(node.first), ...leaves(node.second)];
+    }
+
+    // The leaf of a window, and the split it is in, or null if the window isn't in the tree
+    function findLeaf(node, id, parent = null) {
+        if (!node) {
+            return null;
+        }
+        if (node.win) {
+            return node.win.id === id ? { leaf: node, parent } : null;
+        }
+        return findLeaf(node.first, id, node) ?? findLeaf(node.second, id, node);
+    }
+
+    function findParent(node, child) {
+        if (!node || node.win) {
+            return null;
+        }
+        if (node.first === child || node.second === child) {
+            return node;
+        }
+        return findParent(node.first, child) ?? findParent(node.second, child);
+    }
+
+    function replaceNode(space, node, replacement) {
+        const parent = findParent(space.root, node);
+        if (!parent) {
+            space.root = replacement;
+        } else if (parent.first === node) {
+            parent.first = replacement;
+        } else {
+            parent.second = replacement;
+        }
+    }
+
+    // The unit rect of each tiled window, by window id
+    function unitRects(space) {
+        const units = new Map();
+        if (space.layout === "masterStack") {
+            const [master, ...stack] = leaves(space.root);
+            if (!master) {
+                return units;
+            }
+            if (stack.length === 0) {
+                units.set(master.win.id, { x: 0, y: 0, w: 1, h: 1 });
+                return units;
+            }
+            units.set(master.win.id, { x: 0, y: 0, w: space.ratio, h: 1 });
+            stack.forEach((leaf, i) => {
+                units.set(leaf.win.id, { x: space.ratio, y: i / stack.length, w: 1 - space.ratio, h: 1 / stack.length });
+            });
+            return units;
+        }
+
+        (function place(node, unit) {
+            if (!node) {
+                return;
+            }
+            if (node.win) {
+                units.set(node.win.id, unit);
+                return;
+            }
+            if (node.sideBySide) {
+                const w = unit.w * node.ratio;
+                place(node.first, { ...unit, w });
+                place(node.second, { ...unit, x: unit.x + w, w: unit.w - w });
+            } else {
+                const h = unit.h * node.ratio;
+                place(node.first, { ...unit, h });
+                place(node.second, { ...unit, y: unit.y + h, h: unit.h - h });
+            }
+        })(space.root, { x: 0, y: 0, w: 1, h: 1 });
+        return units;
+    }
+
+    // Spaces: the tiled windows of one screen
+
+    function spaceFor(screen) {
+        let space = tiler.spaces.get(screen.uuid);
+        if (!space) {
+            space = { screen, layout: tiler.options.layout, ratio: tiler.options.ratio, root: null };
+            tiler.spaces.set(screen.uuid, space);
+        }
+        return space;
+    }
+
+    function spaceOf(win) {
+        for (const space of tiler.spaces.values()) {
+            const found = findLeaf(space.root, win.id);
+            if (found) {
+                return { space, ...found };
+            }
+        }
+        return null;
+    }
+
+    // Split the focused window's tile for a new window, or the last tile if the focused window isn't on the screen
+    function insert(win) {
+        const screen = win.screen;
+        if (!screen || !screen.frame) {
+            return null;
+        }
+        const space = spaceFor(screen);
+        const leaf = { win };
+        if (!space.root) {
+            space.root = leaf;
+            return space;
+        }
 
-        return win.setFrame(halfWidth, 0, halfWidth, Math.floor(screenHeight / 2));
-    },
+        const focused = tiler.focused ? findLeaf(space.root, tiler.focused) : null;
+        const target = focused ? focused.leaf : leaves(space.root).pop();
+        // Split the tile across its longer side
+        const unit = unitRects(space).get(target.win.id);
+        const area = screen.frame;
+        const sideBySide = unit.w * area.w >= unit.h * area.h;
+        replaceNode(space, target, { sideBySide, ratio: 0.5, first: target, second: leaf });
+        return space;
+    }
 
-    bottomLeft: function(win) {
+    function remove(win) {
+        const found = spaceOf(win);
+        if (!found) {
+            return null;
+        }
+        const { space, leaf, parent } = found;
+        if (!parent) {
+            space.root = null;
+        } else {
+            replaceNode(space, parent, parent.first === leaf ? parent.second : parent.first);
+        }
+        return space;
+    }
+
+    function tile(space) {
+        if (!space) {
+            return;
+        }
+        const options = { margin: tiler.options.margin, gap: tiler.options.gap };
+        const units = unitRects(space);
+        for (const leaf of leaves(space.root)) {
+            leaf.win.frame = hs.window.frameForUnit(units.get(leaf.win.id), space.screen, options);
+        }
+    }
+
+    function floats(win) {
+        if (tiler.overrides.has(win.id)) {
+            return tiler.overrides.get(win.id);
+        }
+        const app = win.application;
+        return Boolean(app) && (tiler.options.floatApps.includes(app.bundleID) || tiler.options.floatApps.includes(app.title));
+    }
+
+    function add(win) {
+        if (!(win.id > 0) || floats(win) || spaceOf(win)) {
+            return;
+        }
+        tile(insert(win));
+    }
+
+    // Move a window that is now on another screen into that screen's tree
+    function follow(win) {
+        const found = spaceOf(win);
+        const screen = win.screen;
+        if (!found || !screen || found.space.screen.uuid === screen.uuid) {
+            return;
+        }
+        tile(remove(win));
+        tile(insert(win));
+    }
+
+    function screensChanged(events) {
+        const screens = events[events.length - 1][0];
+        const attached = new Map(screens.map(screen => [screen.uuid, screen]));
+        const moved = [];
+        for (const [uuid, space] of [...tiler.spaces]) {
+            for (const leaf of leaves(space.root)) {
+                const screen = leaf.win.screen;
+                if (!screen || screen.uuid !== uuid || !attached.has(uuid)) {
+                    moved.push(leaf.win);
+                }
+            }
+            if (attached.has(uuid)) {
+                // The screen's frame may have changed with its resolution, or the Dock
+                space.screen = attached.get(uuid);
+            }
+        }
+        for (const win of moved) {
+            remove(win);
+        }
+        for (const [uuid, space] of [...tiler.spaces]) {
+            if (!attached.has(uuid) && !space.root) {
+                tiler.spaces.delete(uuid);
+            }
+        }
+        for (const win of moved) {
+            insert(win);
+        }
+        hs.window.tiler.retile();
+    }
+
+    // Report errors from events rather than throwing them at the filter, which would stop its other listeners
+    function listener(handler) {
+        return (win) => {
+            try {
+                handler(win);
+            } catch (e) {
+                hs.window._log().error("Error while tiling windows");
+                reportError(e);
+            }
+        };
+    }
+
+    /// Start tiling windows automatically
+    ///
+    /// Every visible standard window that isn't full screen is tiled on its screen, and the screens are tiled again whenever windows are opened, closed, minimized, unminimized, hidden or moved to another screen, and when screens are attached, detached or rearranged. Each screen has a layout:
+    /// - `bsp`: Each new window splits the focused window's tile in two, across its longer side. The splits can be rotated and resized
+    /// - `masterStack`: The first window fills the left of the screen, and the others are stacked on the right. The split between them can be resized, and rotating moves each window to the next tile
+    ///
+    /// Starting the tiler again replaces its options and tiles every window again.
+    /// Parameter options?: An optional object with `layout`, "bsp" (the default) or "masterStack", for every screen; `ratio`, the fraction of a screen a new split or the master window gets, from 0.1 to 0.9 (defaults to 0.5); `margin` and `gap`, as for hs.window.moveToUnit(); and `floatApps`, an array of the bundle IDs or names of apps whose windows aren't tiled
+    /// - Note: Throws a TypeError or RangeError if an option is unknown or invalid
+    /// Example:
+    /// ```js
+    /// hs.window.tiler.start({ layout: "masterStack", gap: 8, floatApps: ["com.apple.systempreferences", "Calculator"] })
+    /// hs.hotkey.bind(["ctrl", "alt"], "left", () => hs.window.tiler.swap("west"))
+    /// hs.hotkey.bind(["ctrl", "alt"], "right", () => hs.window.tiler.swap("east"))
+    /// hs.hotkey.bind(["ctrl", "alt"], "r", () => hs.window.tiler.rotate())
+    /// hs.hotkey.bind(["ctrl", "alt"], "=", () => hs.window.tiler.resizeSplit(0.05))
+    /// hs.hotkey.bind(["ctrl", "alt"], "-", () => hs.window.tiler.resizeSplit(-0.05))
+    /// hs.hotkey.bind(["ctrl", "alt"], "f", () => hs.window.tiler.toggleFloat())
+    /// ```
+    hs.window.tiler.start = function(options = {}) {
+        options = checkOptions("hs.window.tiler.start()", options);
+        hs.window.tiler.stop();
+
+        const filter = hs.window.filter.create({ standard: true, visible: true, fullscreen: false });
+        const focused = hs.window.focusedWindow();
+        tiler = { options, filter, spaces: new Map(), overrides: new Map(), focused: focused ? focused.id : null };
+        filter.on("windowCreated", listener(add));
+        filter.on("windowAllowed", listener(add));
+        filter.on("windowDestroyed", listener((win) => {
+            tiler.overrides.delete(win.id);
+            tile(remove(win));
+        }));
+        filter.on("windowRejected", listener(win => tile(remove(win))));
+        filter.on("windowMoved", listener(follow));
+        filter.on("windowFocused", listener((win) => { tiler.focused = win.id; }));
+        // Docking reports several changes, and windows are still moving between them
+        hs.screen.addWatcher(screensChanged, { coalesce: 1 });
+        // The watchers go with the scope that is active now, so the tiler stops with them
+        tiler.forgetStop = hs.window._addToScope(hs.window.tiler.stop);
+
+        // New tiles split the last one, rather than the focused window's
+        tiler.focused = null;
+        for (const win of filter.windows()) {
+            if (!floats(win) && win.id > 0) {
+                insert(win);
+            }
+        }
+        tiler.focused = focused ? focused.id : null;
+        hs.window.tiler.retile();
+    };
+
+    /// Stop tiling windows automatically. Windows are left where they are
+    /// Example:
+    /// ```js
+    /// hs.window.tiler.stop()
+    /// ```
+    hs.window.tiler.stop = function() {
+        if (!tiler) {
+            return;
+        }
+        tiler.forgetStop();
+        tiler.filter.stop();
+        hs.screen.removeWatcher(screensChanged);
+        tiler = null;
+    };
+
+    /// Check whether the tiler is running
+    /// Returns: True if hs.window.tiler.start() has been called, and neither hs.window.tiler.stop() has been called nor the scope it was started in disposed since, otherwise false
+    hs.window.tiler.isRunning = function() {
+        return tiler !== null;
+    };
+
+    /// Move every tiled window back into its tile, such as after moving or resizing one by hand
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["ctrl", "alt"], "t", () => hs.window.tiler.retile())
+    /// ```
+    hs.window.tiler.retile = function() {
+        if (!tiler) {
+            return;
+        }
+        for (const space of tiler.spaces.values()) {
+            tile(space);
+        }
+    };
+
+    /// Change the layout of a screen
+    /// Parameter layout: "bsp" or "masterStack", as for hs.window.tiler.start()
+    /// Parameter screen?: An optional HSScreen, or a screen named as in hs.window.layout.apply() rules. Defaults to the focused window's screen
+    /// Returns: True if the screen's layout was changed, false if the tiler isn't running or the screen has no tiled windows
+    /// - Note: Throws a TypeError if the layout is unknown
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["ctrl", "alt"], "m", () => hs.window.tiler.setLayout("masterStack"))
+    /// hs.hotkey.bind(["ctrl", "alt"], "b", () => hs.window.tiler.setLayout("bsp"))
+    /// ```
+    hs.window.tiler.setLayout = function(layout, screen) {
+        checkLayout("hs.window.tiler.setLayout()", layout);
+        if (!tiler) {
+            return false;
+        }
+        if (screen === undefined || screen === null) {
+            const focused = hs.window.focusedWindow();
+            screen = focused ? focused.screen : null;
+        } else {
+            screen = hs.window._findScreen(screen, hs.screen.all());
+        }
+        const space = screen ? tiler.spaces.get(screen.uuid) : null;
+        if (!space) {
+            return false;
+        }
+        space.layout = layout;
+        tile(space);
+        return true;
+    };
+
+    // Run a command on a tiled window, or do nothing if the window isn't tiled
+    function command(win, run) {
         win = win || hs.window.focusedWindow();
-        if (!win) {
+        const found = tiler && win ? spaceOf(win) : null;
+        if (!found || !run(found)) {
             return false;
         }
+        tile(found.space);
+        return true;
+    }
+
+    /// Swap a tiled window with its neighbour in a direction, on the same screen
+    /// Parameter direction: "east", "west", "north" or "south"
+    /// Parameter win?: An optional HSWindow object. Defaults to the focused window
+    /// Returns: True if the windows were swapped, false if the window isn't tiled or has no neighbour in that direction
+    /// - Note: Throws a TypeError if the direction is unknown
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["ctrl", "alt", "shift"], "up", () => hs.window.tiler.swap("north"))
+    /// ```
+    hs.window.tiler.swap = function(direction, win) {
+        if (!Object.hasOwn(DIRECTIONS, direction)) {
+            throw new TypeError(`hs.window.tiler.swap(): The direction must be one of ${Object.keys(DIRECTIONS).join(", ")}, not '${direction}'`);
+        }
+        const way = DIRECTIONS[direction];
+        return command(win, ({ space, leaf }) => {
+            const units = unitRects(space);
+            const center = (unit) => ({ x: unit.x + unit.w / 2, y: unit.y + unit.h / 2 });
+            const from = center(units.get(leaf.win.id));
+            const neighbour = leaves(space.root)
+                .filter(other => other !== leaf)
+                .map(other => {
+                    const to = center(units.get(other.win.id));
+                    const dx = to.x - from.x;
+                    const dy = to.y - from.y;
+                    return { other, along: way.along(dx, dy), across: Math.abs(way.across(dx, dy)) };
+                })
+                .filter(entry => entry.along > 0)
+                .sort((a, b) => (a.along + ACROSS_WEIGHT * a.across) - (b.along + ACROSS_WEIGHT * b.across))[0];
+            if (!neighbour) {
+                return false;
+            }
+            [leaf.win, neighbour.other.win] = [neighbour.other.win, leaf.win];
+            return true;
+        });
+    };
 
-        const screenWidth = 1920;
-        const screenHeight = 1080;
-        const halfHeight = Math.floor(screenHeight / 2);
+    /// Rotate the tiles of a window's screen. In the bsp layout, the split the window is in turns from side by side to one above the other, or back. In the masterStack layout, every window moves to the next tile, and the last one becomes the master
+    /// Parameter win?: An optional HSWindow object. Defaults to the focused window
+    /// Returns: True if any windows were moved, false if the window isn't tiled or is alone on its screen
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["ctrl", "alt"], "r", () => hs.window.tiler.rotate())
+    /// ```
+    hs.window.tiler.rotate = function(win) {
+        return command(win, ({ space, parent }) => {
+            if (!parent) {
+                return false;
+            }
+            if (space.layout === "bsp") {
+                parent.sideBySide = !parent.sideBySide;
+                return true;
+            }
+            const tiles = leaves(space.root);
+            const windows = tiles.map(leaf => leaf.win);
+            windows.unshift(windows.pop());
+            tiles.forEach((leaf, i) => { leaf.win = windows[i]; });
+            return true;
+        });
+    };
 
-        return win.setFrame(0, halfHeight, Math.floor(screenWidth / 2), halfHeight);
-    },
+    /// Move the split next to a tiled window, to make the window bigger or smaller. In the bsp layout, this is the split the window is in. In the masterStack layout, it is the split between the master and the stack
+    /// Parameter amount: The fraction of the split's area to give the window, such as 0.05, or to take from it when negative. A split can't give either side less than 0.1
+    /// Parameter win?: An optional HSWindow object. Defaults to the focused window
+    /// Returns: True if the split was moved, false if the window isn't tiled or is alone on its screen
+    /// - Note: Throws a TypeError if the amount isn't a number
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["ctrl", "alt"], "=", () => hs.window.tiler.resizeSplit(0.05))
+    /// ```
+    hs.window.tiler.resizeSplit = function(amount, win) {
+        if (!Number.isFinite(amount)) {
+            throw new TypeError(`hs.window.tiler.resizeSplit(): The amount must be a number, not ${amount}`);
+        }
+        return command(win, ({ space, leaf, parent }) => {
+            if (!parent) {
+                return false;
+            }
+            if (space.layout === "bsp") {
+                parent.ratio = clampRatio(parent.ratio + (parent.first === leaf ? amount : -amount));
+            } else {
+                const master = leaves(space.root)[0] === leaf;
+                space.ratio = clampRatio(space.ratio + (master ? amount : -amount));
+            }
+            return true;
+        });
+    };
 
-    bottomRight: function(win) {
+    /// Stop tiling a window, so it can be moved and resized freely, or tile a window that floats again
+    ///
+    /// This overrides the tiler's `floatApps` option for the window until it is closed.
+    /// Parameter win?: An optional HSWindow object. Defaults to the focused window
+    /// Returns: True if the window floats now, false if it is tiled or the tiler isn't running
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["ctrl", "alt"], "f", () => hs.window.tiler.toggleFloat())
+    /// ```
+    hs.window.tiler.toggleFloat = function(win) {
         win = win || hs.window.focusedWindow();
-        if (!win) {
+        if (!tiler || !win) {
             return false;
         }
+        if (spaceOf(win)) {
+            tiler.overrides.set(win.id, true);
+            tile(remove(win));
+            return true;
+        }
+        tiler.overrides.set(win.id, false);
+        if (tiler.filter.matches(win)) {
+            add(win);
+        }
+        return false;
+    };
+
+    /// Check whether a window floats rather than being tiled, because of the tiler's `floatApps` option or hs.window.tiler.toggleFloat()
+    /// Parameter win: An HSWindow object
+    /// Returns: True if the tiler is running and the window floats, otherwise false
+    hs.window.tiler.isFloating = function(win) {
+        return Boolean(tiler && win) && floats(win);
+    };
+})();
+
+// Snapshots
+// A snapshot is a JSON file of where each standard window was. Frames are saved with the usable frame of their screen,
+// so a window can be put back in the same part of its screen after the resolution changes, or of another screen when
+// its own isn't attached.
+hs.window.snapshot = {};
 
-        const screenWidth = 1920;
-        const screenHeight = 1080;
-        const halfWidth = Math.floor(screenWidth / 2);
-        const halfHeight = Math.floor(screenHeight / 2);
+(function() {
+    const SNAPSHOT_VERSION = 1;
+    // How alike two titles must be, from 0 to 1, for a window to be matched to a saved one by its title
+    const TITLE_SIMILARITY = 0.5;
+    // How long to wait for a window to leave full screen before moving it, in seconds
+    const FULLSCREEN_DELAY = 1;
 
-        return win.setFrame(halfWidth, halfHeight, halfWidth, halfHeight);
+    function checkName(caller, name) {
+        if (typeof name !== "string" || !/^[A-Za-z0-9_-]+$/.test(name)) {
+            throw new TypeError(`${caller}: The name must be a non-empty string of letters, digits, _ and -`);
+        }
     }
-};
+
+    function directory() {
+        return `${hs.appinfo.configDir}/window-snapshots`;
+    }
+
+    function plainRect(rect) {
+        return { x: rect.x, y: rect.y, w: rect.w, h: rect.h };
+    }
+
+    // How alike two titles are, from 0 to 1, by the pairs of letters they share
+    function similarity(a, b) {
+        a = (a ?? "").trim().toLowerCase();
+        b = (b ?? "").trim().toLowerCase();
+        if (a === b) {
+            return 1;
+        }
+        if (a.length < 2 || b.length < 2) {
+            return 0;
+        }
+        const pairs = new Map();
+        for (let i = 0; i < a.length - 1; i++) {
+            const pair = a.slice(i, i + 2);
+            pairs.set(pair, (pairs.get(pair) ?? 0) + 1);
+        }
+        let shared = 0;
+        for (let i = 0; i < b.length - 1; i++) {
+            const pair = b.slice(i, i + 2);
+            if (pairs.get(pair) > 0) {
+                pairs.set(pair, pairs.get(pair) - 1);
+                shared++;
+            }
+        }
+        return 2 * shared / (a.length + b.length - 2);
+    }
+
+    // Pair an app's saved windows with its open ones, most alike titles first. When one of each is left over, they are
+    // paired whatever their titles, as apps like browsers change their window's title with what it shows
+    function pairWindows(saved, open) {
+        const candidates = [];
+        saved.forEach((entry, i) => open.forEach((win, j) => {
+            const score = similarity(entry.title, win.title);
+            if (score >= TITLE_SIMILARITY) {
+                candidates.push({ i, j, score });
+            }
+        }));
+        candidates.sort((a, b) => b.score - a.score || a.i - b.i || a.j - b.j);
+
+        const pairs = new Map();
+        const used = new Set();
+        for (const { i, j } of candidates) {
+            if (!pairs.has(i) && !used.has(j)) {
+                pairs.set(i, open[j]);
+                used.add(j);
+            }
+        }
+        const unpairedSaved = saved.map((_, i) => i).filter(i => !pairs.has(i));
+        const unpairedOpen = open.filter((_, j) => !used.has(j));
+        if (unpairedSaved.length === 1 && unpairedOpen.length === 1) {
+            pairs.set(unpairedSaved[0], unpairedOpen[0]);
+        }
+        return pairs;
+    }
+
+    // The saved frame, in the same part of the screen's usable frame as it was of the saved screen's
+    function frameOn(entry, screen) {
+        const from = entry.screenFrame;
+        const to = screen.frame;
+        const x1 = to.x + (entry.frame.x - from.x) / from.w * to.w;
+        const y1 = to.y + (entry.frame.y - from.y) / from.h * to.h;
+        const x2 = to.x + (entry.frame.x + entry.frame.w - from.x) / from.w * to.w;
+        const y2 = to.y + (entry.frame.y + entry.frame.h - from.y) / from.h * to.h;
+        return new HSRect(Math.round(x1), Math.round(y1), Math.round(x2) - Math.round(x1), Math.round(y2) - Math.round(y1));
+    }
+
+    function restoreWindow(win, entry, screen) {
+        const frame = frameOn(entry, screen);
+        if (win.isMinimized && !entry.minimized) {
+            win.isMinimized = false;
+        }
+        if (win.isFullscreen && !entry.fullscreen) {
+            win.isFullscreen = false;
+            // Windows can't be moved while they animate out of full screen
+            hs.timer.doAfter(FULLSCREEN_DELAY, () => { win.frame = frame; });
+        } else if (!win.isFullscreen) {
+            win.frame = frame;
+        }
+        if (entry.minimized && !win.isMinimized) {
+            win.isMinimized = true;
+        }
+        if (entry.fullscreen && !win.isFullscreen) {
+            win.isFullscreen = true;
+        }
+    }
+
+    /// Get the file a snapshot is saved in
+    /// Parameter name: The name of the snapshot
+    /// Returns: The path of the snapshot's JSON file, in the window-snapshots folder of the config's folder
+    /// - Note: Throws a TypeError if the name isn't made of letters, digits, _ and -
+    hs.window.snapshot.path = function(name) {
+        checkName("hs.window.snapshot.path()", name);
+        return `${directory()}/${name}.json`;
+    };
+
+    /// Save where every standard window is, so they can be put back with hs.window.snapshot.restore()
+    ///
+    /// Each window is saved with its app's bundle ID, its title, frame and screen, and whether it is minimized or full screen. Windows of apps without a bundle ID can't be matched again, so they aren't saved.
+    /// Parameter name: The name of the snapshot, made of letters, digits, _ and -. Saving another snapshot with the same name replaces it
+    /// Returns: The number of windows saved
+    /// - Note: Throws a TypeError if the name is invalid, or an Error if the snapshot can't be written
+    /// Example:
+    /// ```js
+    /// hs.hotkey.bind(["cmd", "alt", "shift"], "s", () => hs.window.snapshot.save("desk"))
+    /// ```
+    hs.window.snapshot.save = function(name) {
+        const caller = "hs.window.snapshot.save()";
+        checkName(caller, name);
+
+        const windows = [];
+        for (const win of hs.window.allWindows()) {
+            const app = win.application;
+            const frame = win.frame;
+            const screen = win.screen;
+            if (!win.isStandard || !app || !app.bundleID || !frame || !screen) {
+                continue;
+            }
+            windows.push({
+                bundleID: app.bundleID,
+                app: app.title,
+                title: win.title ?? "",
+                frame: plainRect(frame),
+                screen: screen.uuid,
+                screenName: screen.name,
+                screenFrame: plainRect(screen.frame),
+                minimized: win.isMinimized,
+                fullscreen: win.isFullscreen
+            });
+        }
+
+        const path = hs.window.snapshot.path(name);
+        const snapshot = { version: SNAPSHOT_VERSION, saved: new Date().toISOString(), windows };
+        if (!hs.fs.mkdir(directory()) || !hs.fs.write(path, JSON.stringify(snapshot, null, 2) + "\n")) {
+            throw new Error(`${caller}: Could not write ${path}`);
+        }
+        return windows.length;
+    };
+
+    /// Put windows back where they were when a snapshot was saved
+    ///
+    /// Windows are matched to saved ones of the same app by their titles, which don't need to be exactly the same: the most alike titles are matched first. When an app has one saved window and one open window left that aren't alike, they are matched anyway. Each window is moved to the same part of its saved screen, or of the screen with the same name, or of the primary screen if neither is attached, and minimized, unminimized or made full screen as it was.
+    /// Parameter name: The name of the snapshot
+    /// Returns: An object with `restored`, an array of the HSWindows that were put back, and `skipped`, an array of `{window, reason}` objects for the saved windows that couldn't be, where `window` is the saved window's `bundleID`, `app`, `title`, `frame`, `screen` uuid, `minimized` and `fullscreen`
+    /// - Note: Throws a TypeError if the name is invalid, or an Error if there is no snapshot with that name or it can't be read
+    /// Example:
+    /// ```js
+    /// const result = hs.window.snapshot.restore("desk")
+    /// for (const { window, reason } of result.skipped) {
+    ///     console.log(`${window.app} — ${window.title}: ${reason}`)
+    /// }
+    /// ```
+    hs.window.snapshot.restore = function(name) {
+        const caller = "hs.window.snapshot.restore()";
+        const path = hs.window.snapshot.path(name);
+        const text = hs.fs.exists(path) ? hs.fs.read(path) : null;
+        if (text === null || text === undefined) {
+            throw new Error(`${caller}: There is no snapshot named '${name}'`);
+        }
+        let snapshot;
+        try {
+            snapshot = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`${caller}: ${path} is not valid JSON: ${e.message}`);
+        }
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.windows)) {
+            throw new Error(`${caller}: ${path} is not a window snapshot`);
+        }
+
+        const open = new Map();
+        for (const win of hs.window.allWindows()) {
+            const app = win.application;
+            if (win.isStandard && app && app.bundleID) {
+                open.set(app.bundleID, [...(open.get(app.bundleID) ?? []), win]);
+            }
+        }
+        const saved = new Map();
+        for (const entry of snapshot.windows) {
+            saved.set(entry.bundleID, [...(saved.get(entry.bundleID) ?? []), entry]);
+        }
+
+        const screens = hs.screen.all();
+        const result = { restored: [], skipped: [] };
+        for (const [bundleID, entries] of saved) {
+            const windows = open.get(bundleID) ?? [];
+            const pairs = pairWindows(entries, windows);
+            entries.forEach((entry, i) => {
+                const win = pairs.get(i);
+                if (!win) {
+                    const reason = windows.length === 0 ? `The app ${entry.app ?? bundleID} has no windows open` : "No window's title matched";
+                    result.skipped.push({ window: entry, reason });
+                    return;
+                }
+                const screen = screens.find(s => s.uuid === entry.screen) ??
+                    screens.find(s => s.name === entry.screenName) ??
+                    hs.screen.primary();
+                restoreWindow(win, entry, screen);
+                result.restored.push(win);
+            });
+        }
+        return result;
+    };
+
+    /// Get the names of the saved snapshots
+    /// Returns: An array of strings
+    hs.window.snapshot.names = function() {
+        return (hs.fs.list(directory()) ?? [])
+            .filter(file => /^[A-Za-z0-9_-]+\.json$/.test(file))
+            .map(file => file.slice(0, -".json".length))
+            .sort();
+    };
+
+    /// Delete a saved snapshot
+    /// Parameter name: The name of the snapshot
+    /// Returns: True if there was a snapshot with that name, otherwise false
+    hs.window.snapshot.remove = function(name) {
+        const path = hs.window.snapshot.path(name);
+        return hs.fs.exists(path) && hs.fs.deletePath(path);
+    };
+})();
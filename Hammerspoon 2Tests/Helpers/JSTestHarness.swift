@@ -30,6 +30,10 @@ class JSTestHarness {
     /// Tracks any JavaScript exceptions that occurred
     private(set) var lastException: JSValue?
 
+    /// Every error reported through the engine's error reporting, including unhandled promise rejections and
+    /// errors passed to reportError() (e.g. by a throwing listener), which do not set lastException
+    private(set) var reportedErrors: [UncaughtError] = []
+
     /// Callback storage for async testing
     private var callbacks: [String: () -> Void] = [:]
 
@@ -54,17 +58,21 @@ class JSTestHarness {
         context = JSContext(virtualMachine: vm)!
         context.name = "Test Context"
 
-        // Capture JavaScript exceptions
-        context.exceptionHandler = { [weak self] context, exception in
-            self?.lastException = exception
-            print("❌ JavaScript Exception: \(exception?.toString() ?? "unknown")")
-        }
-
-        // Inject type bridges (for HSRect, HSPoint, etc.)
+        // Capture JavaScript exceptions, unhandled rejections and reportError() calls the same way JSEngine does,
+        // and inject type bridges (for HSRect, HSPoint, etc.)
         do {
-            try context.install([TypeBridgesInstaller()])
+            try context.install([
+                ErrorReportingInstaller { [weak self] error in
+                    self?.reportedErrors.append(error)
+                    if error.kind == .uncaughtException {
+                        self?.lastException = error.error
+                    }
+                    print("❌ \(error.consoleDescription)")
+                },
+                TypeBridgesInstaller(),
+            ])
         } catch {
-            print("⚠️ Failed to install type bridges: \(error)")
+            print("⚠️ Failed to install error reporting and type bridges: \(error)")
         }
 
         // Create the hs namespace object
@@ -73,6 +81,16 @@ class JSTestHarness {
         // Inject basic logging for debugging tests
         setupConsoleLogging()
 
+        // Load engine.js (EventEmitter, require(), etc.) the same way JSEngine does. This needs console to exist.
+        do {
+            try context.install([
+                RequireInstaller(baseDirectory: URL(fileURLWithPath: NSTemporaryDirectory())),
+                .bundled(path: "engine.js", in: .main),
+            ])
+        } catch {
+            print("⚠️ Failed to install engine.js: \(error)")
+        }
+
         // Add test helper functions
         setupTestHelpers()
 
@@ -483,6 +501,12 @@ extension JSTestHarness {
                 loadModule(HSLocationModule.self, as: name)
             case "locale":
                 loadModule(HSLocaleModule.self, as: name)
+            case "plugins":
+                loadModule(HSPluginsModule.self, as: name)
+            case "settings":
+                loadModule(HSSettingsModule.self, as: name)
+            case "logger":
+                loadModule(HSLoggerModule.self, as: name)
             case "audiodevice":
                 loadModule(HSAudioDeviceModule.self, as: name)
             case "translation":
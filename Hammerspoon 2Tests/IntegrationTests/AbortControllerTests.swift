@@ -0,0 +1,96 @@
+//
+//  AbortControllerTests.swift
+//  Hammerspoon 2Tests
+//
+
+import Testing
+import JavaScriptCore
+@testable import Hammerspoon_2
+
+/// Tests for the AbortController and AbortSignal globals provided by engine.js
+@MainActor
+@Suite("AbortController tests")
+struct AbortControllerTests {
+
+    @Test("abort() notifies listeners once with an AbortError reason")
+    func testAbort() {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var c = new AbortController(), out = [];
+            c.signal.onabort = () => out.push('onabort');
+            c.signal.addEventListener('abort', e => out.push(e.type + ':' + (e.target === c.signal)));
+            var before = c.signal.aborted;
+            c.abort();
+            c.abort('ignored');
+        """)
+        #expect(harness.evalBool("before") == false)
+        #expect(harness.evalBool("c.signal.aborted") == true)
+        #expect(harness.evalString("out.join(',')") == "onabort,abort:true")
+        #expect(harness.evalBool("c.signal.reason instanceof AbortError") == true)
+        #expect(harness.evalString("c.signal.reason.name") == "AbortError")
+    }
+
+    @Test("a custom reason is kept and thrown by throwIfAborted()")
+    func testCustomReason() {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var c = new AbortController();
+            c.signal.throwIfAborted();
+        """)
+        #expect(!harness.hasException)
+
+        harness.eval("c.abort('stale'); c.signal.throwIfAborted()")
+        harness.expectException()
+        #expect(harness.exceptionMessage == "stale")
+    }
+
+    @Test("removed listeners and listeners added after abort are not called")
+    func testListenerRemoval() {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var c = new AbortController(), count = 0;
+            var fn = () => count++;
+            c.signal.addEventListener('abort', fn);
+            c.signal.addEventListener('abort', fn);
+            c.signal.removeEventListener('abort', fn);
+            c.abort();
+            c.signal.addEventListener('abort', fn);
+        """)
+        #expect(harness.evalInt("count") == 0)
+    }
+
+    @Test("AbortSignal cannot be constructed directly")
+    func testIllegalConstructor() {
+        let harness = JSTestHarness()
+        harness.eval("new AbortSignal()")
+        harness.expectException()
+    }
+
+    @Test("AbortSignal.abort() and AbortSignal.any()")
+    func testStaticHelpers() {
+        let harness = JSTestHarness()
+        #expect(harness.evalBool("AbortSignal.abort().aborted") == true)
+        #expect(harness.evalString("AbortSignal.abort('why').reason") == "why")
+
+        harness.eval("""
+            var a = new AbortController(), b = new AbortController();
+            var any = AbortSignal.any([a.signal, b.signal]);
+            b.abort('from b');
+        """)
+        #expect(harness.evalBool("any.aborted") == true)
+        #expect(harness.evalString("any.reason") == "from b")
+        #expect(harness.evalString("AbortSignal.any([AbortSignal.abort('early')]).reason") == "early")
+    }
+
+    @Test("AbortSignal.timeout() aborts with a TimeoutError")
+    func testTimeout() {
+        let harness = JSTestHarness()
+        harness.loadModule(HSTimerModule.self, as: "timer")
+        harness.eval("var signal = AbortSignal.timeout(50)")
+        #expect(harness.evalBool("signal.aborted") == false)
+
+        let aborted = harness.waitFor(timeout: 1.0) { harness.evalBool("signal.aborted") == true }
+        #expect(aborted)
+        #expect(harness.evalString("signal.reason.name") == "TimeoutError")
+    }
+}
@@ -0,0 +1,180 @@
+//
+//  AutoReloadTests.swift
+//  Hammerspoon 2Tests
+//
+
+import Testing
+import Foundation
+import JavaScriptCore
+@testable import Hammerspoon_2
+
+// MARK: - Helpers
+
+/// A throwaway config directory holding an init.js, deleted when deallocated.
+private final class ConfigDir {
+    let path: String
+    let configFile: String
+
+    init() throws {
+        path = (NSTemporaryDirectory() as NSString)
+            .appendingPathComponent("hs.autoreload-tests-\(UUID().uuidString)")
+        try FileManager.default.createDirectory(atPath: path, withIntermediateDirectories: true)
+        configFile = (path as NSString).appendingPathComponent("init.js")
+        try "console.log('loaded')".write(toFile: configFile, atomically: true, encoding: .utf8)
+    }
+
+    deinit {
+        try? FileManager.default.removeItem(atPath: path)
+    }
+
+    @discardableResult
+    func write(_ name: String, _ contents: String) throws -> String {
+        let filePath = (path as NSString).appendingPathComponent(name)
+        try FileManager.default.createDirectory(atPath: (filePath as NSString).deletingLastPathComponent,
+                                                withIntermediateDirectories: true)
+        try contents.write(toFile: filePath, atomically: true, encoding: .utf8)
+        return filePath
+    }
+}
+
+// MARK: - Test suite
+
+/// Tests for hs.autoReload(), driving AutoReloader directly with a reload closure that counts instead of reloading
+@MainActor
+@Suite("hs.autoReload tests", .serialized)
+struct AutoReloadTests {
+
+    private func makeReloader(_ dir: ConfigDir, _ harness: JSTestHarness, options: String = "{ debounce: 0.2 }",
+                              onReload: @escaping () -> Void) -> AutoReloader {
+        let reloader = AutoReloader(configFile: dir.configFile,
+                                    options: AutoReloader.Options(harness.evalValue("(\(options))")),
+                                    context: harness.context,
+                                    reload: onReload)
+        reloader.start()
+        return reloader
+    }
+
+    /// FSEvents only reports changes made after a stream has started, so give it a moment first
+    private func settle() async {
+        try? await Task.sleep(for: .milliseconds(300))
+    }
+
+    @Test("hs.autoReload is a function")
+    func testAPIShape() {
+        let harness = JSTestHarness()
+        harness.loadModuleRoot()
+        #expect(harness.evalTypeOf("hs.autoReload") == "function")
+    }
+
+    @Test("options are read from the object, with defaults for anything missing")
+    func testOptions() {
+        let harness = JSTestHarness()
+        let defaults = AutoReloader.Options(nil)
+        #expect(defaults.debounce == 0.5)
+        #expect(defaults.ignore == AutoReloader.Options.defaultIgnore)
+
+        let options = AutoReloader.Options(harness.evalValue("({ paths: ['~/layouts', 42], debounce: 2, ignore: ['*.log'] })"))
+        #expect(options.paths == [NSString(string: "~/layouts").expandingTildeInPath])
+        #expect(options.debounce == 2)
+        #expect(options.ignore == AutoReloader.Options.defaultIgnore + ["*.log"])
+    }
+
+    @Test("changed files are syntax checked as JavaScript or JSON")
+    func testSyntaxCheck() throws {
+        let dir = try ConfigDir()
+        let harness = JSTestHarness()
+        let reloader = makeReloader(dir, harness) {}
+        defer { reloader.stop() }
+
+        let good = try dir.write("good.js", "module.exports = 1;\nreturn;")
+        let bad = try dir.write("bad.js", "const a = 1;\nconst b = {;")
+        let badJSON = try dir.write("bad.json", "{ \"a\": }")
+        let notes = try dir.write("notes.txt", "not { javascript")
+
+        #expect(reloader.syntaxError(in: good, isLoaded: true) == nil)
+        let problem = reloader.syntaxError(in: bad, isLoaded: true)
+        #expect(problem?.hasPrefix("\(bad):2: SyntaxError") == true)
+        #expect(reloader.syntaxError(in: badJSON, isLoaded: true) != nil)
+        #expect(reloader.syntaxError(in: notes, isLoaded: false) == nil, "Files that aren't JavaScript are not checked")
+        #expect(reloader.syntaxError(in: notes, isLoaded: true) != nil, "require()d files are JavaScript whatever their name")
+        #expect(reloader.syntaxError(in: dir.path + "/missing.js", isLoaded: true) == nil)
+        #expect(!harness.hasException)
+    }
+
+    @Test("saving a require()d file reloads once, however many times it is saved")
+    func testReloadsOnRequiredFileChange() async throws {
+        let dir = try ConfigDir()
+        let module = try dir.write("lib/util.js", "module.exports = 1;")
+        let harness = JSTestHarness()
+        harness.eval("require('\(module)')")
+
+        var reloads = 0
+        let reloader = makeReloader(dir, harness) { reloads += 1 }
+        defer { reloader.stop() }
+        await settle()
+
+        for i in 2...4 {
+            try dir.write("lib/util.js", "module.exports = \(i);")
+        }
+
+        #expect(await harness.waitForAsync(timeout: 5.0) { reloads > 0 })
+        try? await Task.sleep(for: .milliseconds(500))
+        #expect(reloads == 1)
+    }
+
+    @Test("files that were never loaded, and ignored files, do not cause a reload")
+    func testUnrelatedAndIgnoredFiles() async throws {
+        let dir = try ConfigDir()
+        let harness = JSTestHarness()
+
+        var reloads = 0
+        let reloader = makeReloader(dir, harness, options: "{ debounce: 0.2, paths: ['\(dir.path)/data'], ignore: ['*.log'] }") {
+            reloads += 1
+        }
+        defer { reloader.stop() }
+        await settle()
+
+        try dir.write("unused.js", "module.exports = 1;")
+        try dir.write(".init.js.swp", "swap")
+        try dir.write(".git/index", "index")
+        try dir.write("data/debug.log", "log")
+
+        _ = await harness.waitForAsync(timeout: 2.5) { reloads > 0 }
+        #expect(reloads == 0)
+
+        try dir.write("data/layout.json", "{}")
+        #expect(await harness.waitForAsync(timeout: 5.0) { reloads > 0 }, "Files under an extra path reload")
+    }
+
+    @Test("a syntax error in the changed file prevents the reload")
+    func testSyntaxErrorPreventsReload() async throws {
+        let dir = try ConfigDir()
+        let harness = JSTestHarness()
+
+        var reloads = 0
+        let reloader = makeReloader(dir, harness) { reloads += 1 }
+        defer { reloader.stop() }
+        await settle()
+
+        try dir.write("init.js", "hs.hotkey.bind(['cmd'], 'r', () => {")
+        _ = await harness.waitForAsync(timeout: 2.5) { reloads > 0 }
+        #expect(reloads == 0)
+
+        try dir.write("init.js", "hs.hotkey.bind(['cmd'], 'r', () => {})")
+        #expect(await harness.waitForAsync(timeout: 5.0) { reloads > 0 }, "Fixing the error reloads")
+    }
+
+    @Test("stop() stops watching")
+    func testStop() async throws {
+        let dir = try ConfigDir()
+        let harness = JSTestHarness()
+
+        var reloads = 0
+        let reloader = makeReloader(dir, harness) { reloads += 1 }
+        reloader.stop()
+
+        try dir.write("init.js", "console.log('changed')")
+        _ = await harness.waitForAsync(timeout: 2.5) { reloads > 0 }
+        #expect(reloads == 0)
+    }
+}
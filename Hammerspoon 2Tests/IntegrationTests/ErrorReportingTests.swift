@@ -0,0 +1,127 @@
+//
+//  ErrorReportingTests.swift
+//  Hammerspoon 2Tests
+//
+
+import Testing
+import Foundation
+import JavaScriptCore
+@testable import Hammerspoon_2
+
+/// Tests for ErrorReportingInstaller and hs.onError()
+@MainActor
+@Suite("Error reporting tests")
+struct ErrorReportingTests {
+
+    @Test("uncaught exceptions are reported with their source location")
+    func testUncaughtException() {
+        let harness = JSTestHarness()
+        harness.context.evaluateScript("""
+            var x = 1;
+            throw new Error('boom');
+            """, withSourceURL: URL(fileURLWithPath: "/tmp/init.js"))
+
+        #expect(harness.reportedErrors.count == 1)
+        let error = harness.reportedErrors.first
+        #expect(error?.kind == .uncaughtException)
+        #expect(error?.message == "Error: boom")
+        #expect(error?.sourceURL == "file:///tmp/init.js")
+        #expect(error?.line == 2)
+        #expect(error?.consoleDescription.contains("(at file:///tmp/init.js:2") == true)
+    }
+
+    @Test("promise rejections without a handler are reported, handled ones are not")
+    func testUnhandledRejection() {
+        let harness = JSTestHarness()
+        harness.eval("Promise.reject(new Error('handled')).catch(() => {})")
+        harness.eval("Promise.reject(new Error('nobody is listening'))")
+
+        let reported = harness.waitFor(timeout: 1.0) {
+            harness.reportedErrors.contains { $0.kind == .unhandledRejection }
+        }
+        #expect(reported)
+        #expect(harness.reportedErrors.count == 1)
+        #expect(harness.reportedErrors.first?.message == "Error: nobody is listening")
+        #expect(!harness.hasException, "A rejection is not an exception")
+    }
+
+    @Test("non-Error values are reported without a location")
+    func testNonErrorValues() {
+        let harness = JSTestHarness()
+        harness.eval("reportError('just a string')")
+
+        let error = harness.reportedErrors.first
+        #expect(error?.kind == .reported)
+        #expect(error?.message == "just a string")
+        #expect(error?.sourceURL == nil)
+        #expect(error?.line == nil)
+        #expect(error?.consoleDescription == "JavaScript Error: just a string")
+    }
+
+    @Test("throwing listeners and timer callbacks are passed to reportError()")
+    func testListenerErrorsAreReported() {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var e = new EventEmitter();
+            e.on('x', () => { throw new Error('from a listener'); });
+            e.emit('x');
+            queueMicrotask(() => { throw new Error('from a microtask'); });
+        """)
+
+        #expect(!harness.hasException)
+        #expect(harness.reportedErrors.map(\.kind) == [.reported, .reported])
+        #expect(harness.reportedErrors.map(\.message) == ["Error: from a listener", "Error: from a microtask"])
+    }
+
+    @Test("hs.onError() handlers receive the error and its details, and can be removed")
+    func testOnError() {
+        let harness = JSTestHarness()
+        let root = ModuleRoot(engineID: UUID())
+        harness.context.setObject(root, forKeyedSubscript: "root" as NSString)
+        harness.eval("""
+            var received = [];
+            root.onError((error, details) => received.push({ error, details }));
+        """)
+
+        harness.context.evaluateScript("""
+            reportError(new Error('routed'));
+            """, withSourceURL: URL(fileURLWithPath: "/tmp/init.js"))
+        for error in harness.reportedErrors {
+            root.dispatchError(error)
+        }
+
+        #expect(harness.evalInt("received.length") == 1)
+        #expect(harness.evalString("received[0].error.message") == "routed")
+        #expect(harness.evalString("received[0].details.kind") == "reported")
+        #expect(harness.evalString("received[0].details.message") == "Error: routed")
+        #expect(harness.evalInt("received[0].details.line") == 1)
+
+        harness.eval("root.onError(null)")
+        root.dispatchError(UncaughtError(error: JSValue(object: "ignored", in: harness.context), kind: .reported))
+        #expect(harness.evalInt("received.length") == 1)
+
+        root.shutdown()
+    }
+
+    @Test("an hs.onError() handler that throws is not called again for its own error")
+    func testThrowingHandler() {
+        let harness = JSTestHarness()
+        let root = ModuleRoot(engineID: UUID())
+        harness.context.setObject(root, forKeyedSubscript: "root" as NSString)
+        harness.eval("""
+            var calls = 0;
+            root.onError(() => { calls++; throw new Error('handler failed'); });
+        """)
+
+        // Route exceptions back into the handler, as JSEngine does
+        harness.context.exceptionHandler = { _, exception in
+            guard let exception else { return }
+            root.dispatchError(UncaughtError(error: exception, kind: .uncaughtException))
+        }
+
+        root.dispatchError(UncaughtError(error: JSValue(object: "original", in: harness.context), kind: .reported))
+        #expect(harness.evalInt("calls") == 1)
+
+        root.shutdown()
+    }
+}
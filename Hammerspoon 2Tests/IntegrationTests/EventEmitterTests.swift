@@ -0,0 +1,163 @@
+//
+//  EventEmitterTests.swift
+//  Hammerspoon 2Tests
+//
+
+import Testing
+import JavaScriptCore
+@testable import Hammerspoon_2
+
+/// Tests for the EventEmitter class provided by engine.js
+@MainActor
+@Suite("EventEmitter tests")
+struct EventEmitterTests {
+
+    @Test("on and emit deliver arguments in registration order")
+    func testOnAndEmit() {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var e = new EventEmitter(), out = [];
+            e.on('x', (a, b) => out.push('first' + a + b));
+            e.addListener('x', (a, b) => out.push('second' + a + b));
+            var delivered = e.emit('x', 1, 2);
+            var undelivered = e.emit('nobody');
+        """)
+        #expect(harness.evalString("out.join(',')") == "first12,second12")
+        #expect(harness.evalBool("delivered") == true)
+        #expect(harness.evalBool("undelivered") == false)
+    }
+
+    @Test("once listeners fire a single time and can be removed by the original function")
+    func testOnce() {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var e = new EventEmitter(), count = 0;
+            e.once('x', () => count++);
+            e.emit('x'); e.emit('x');
+
+            var never = () => count += 100;
+            e.once('y', never);
+            e.off('y', never);
+            e.emit('y');
+        """)
+        #expect(harness.evalInt("count") == 1)
+        #expect(harness.evalInt("e.listenerCount('x')") == 0)
+        #expect(harness.evalInt("e.listenerCount('y')") == 0)
+    }
+
+    @Test("prependListener and prependOnceListener run first")
+    func testPrepend() {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var e = new EventEmitter(), out = [];
+            e.on('x', () => out.push('on'));
+            e.prependListener('x', () => out.push('prepend'));
+            e.prependOnceListener('x', () => out.push('prependOnce'));
+            e.emit('x'); e.emit('x');
+        """)
+        #expect(harness.evalString("out.join(',')") == "prependOnce,prepend,on,prepend,on")
+    }
+
+    @Test("off is an alias for removeListener")
+    func testOff() {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var e = new EventEmitter(), count = 0;
+            var fn = () => count++;
+            e.on('x', fn);
+            e.off('x', fn);
+            e.emit('x');
+        """)
+        #expect(harness.evalInt("count") == 0)
+        #expect(harness.evalBool("EventEmitter.prototype.off === EventEmitter.prototype.removeListener") == true)
+    }
+
+    @Test("removeAllListeners, listenerCount, listeners and eventNames")
+    func testIntrospection() {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var e = new EventEmitter();
+            var fn = () => {};
+            e.on('a', fn);
+            e.once('a', fn);
+            e.on('b', fn);
+        """)
+        #expect(harness.evalInt("e.listenerCount('a')") == 2)
+        #expect(harness.evalBool("e.listeners('a').every(l => l === fn)") == true)
+        #expect(harness.evalString("e.eventNames().join(',')") == "a,b")
+
+        harness.eval("e.removeAllListeners('a')")
+        #expect(harness.evalString("e.eventNames().join(',')") == "b")
+
+        harness.eval("e.removeAllListeners()")
+        #expect(harness.evalInt("e.eventNames().length") == 0)
+    }
+
+    @Test("events can be named like Object.prototype properties")
+    func testPrototypeNames() {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var e = new EventEmitter(), out = [];
+            e.on('__proto__', () => out.push('__proto__'));
+            e.on('constructor', () => out.push('constructor'));
+            var missed = e.emit('hasOwnProperty');
+            e.emit('__proto__');
+            e.emit('constructor');
+        """)
+        #expect(!harness.hasException)
+        #expect(harness.evalString("out.join(',')") == "__proto__,constructor")
+        #expect(harness.evalBool("missed") == false)
+        #expect(harness.evalInt("e.listenerCount('constructor') + e.listenerCount('toString')") == 1)
+        #expect(harness.evalString("e.eventNames().join(',')") == "__proto__,constructor")
+
+        harness.eval("e.removeAllListeners(); e.on('toString', () => {})")
+        #expect(harness.evalInt("e.listenerCount('toString')") == 1)
+    }
+
+    @Test("a throwing listener does not stop delivery to later listeners")
+    func testErrorIsolation() {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var e = new EventEmitter(), reached = false;
+            e.on('x', () => { throw new Error('boom'); });
+            e.on('x', () => { reached = true; });
+            e.emit('x');
+        """)
+        #expect(!harness.hasException)
+        #expect(harness.evalBool("reached") == true)
+    }
+
+    @Test("emitting 'error' with no listeners throws, with listeners it is delivered")
+    func testErrorEvent() {
+        let harness = JSTestHarness()
+        harness.eval("new EventEmitter().emit('error', new Error('unhandled'))")
+        harness.expectException()
+        #expect(harness.exceptionMessage?.contains("unhandled") == true)
+
+        harness.eval("""
+            var e = new EventEmitter(), received = null;
+            e.on('error', err => received = err.message);
+            e.emit('error', new Error('handled'));
+        """)
+        #expect(!harness.hasException)
+        #expect(harness.evalString("received") == "handled")
+    }
+
+    @Test("max listeners can be configured and listeners must be functions")
+    func testMaxListeners() {
+        let harness = JSTestHarness()
+        #expect(harness.evalInt("new EventEmitter().getMaxListeners()") == 10)
+        #expect(harness.evalInt("new EventEmitter().setMaxListeners(2).getMaxListeners()") == 2)
+
+        harness.eval("""
+            var e = new EventEmitter().setMaxListeners(1);
+            e.on('x', () => {});
+            e.on('x', () => {});
+        """)
+        #expect(!harness.hasException, "Exceeding the limit should only warn")
+        #expect(harness.evalInt("e.listenerCount('x')") == 2)
+
+        harness.eval("new EventEmitter().on('x', 'not a function')")
+        harness.expectException()
+    }
+}
@@ -0,0 +1,197 @@
+//
+//  FetchTests.swift
+//  Hammerspoon 2Tests
+//
+
+import Testing
+import JavaScriptCore
+@testable import Hammerspoon_2
+
+/// Tests for the fetch(), Headers, Request, Response and URLSearchParams globals provided by engine.js
+@MainActor
+@Suite("fetch() tests")
+struct FetchTests {
+
+    // MARK: - URLSearchParams
+
+    @Test("URLSearchParams parses and serialises form-urlencoded query strings")
+    func testURLSearchParams() {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var p = new URLSearchParams('?a=1&b=two+words&a=%C3%A9');
+            p.append('c', "x&y=!");
+        """)
+        #expect(harness.evalString("p.get('b')") == "two words")
+        #expect(harness.evalString("p.getAll('a').join(',')") == "1,é")
+        #expect(harness.evalBool("p.has('missing')") == false)
+        #expect(harness.evalString("p.get('missing')") == nil)
+        #expect(harness.evalString("p.toString()") == "a=1&b=two+words&a=%C3%A9&c=x%26y%3D%21")
+
+        harness.eval("p.set('a', 'only'); p.delete('b'); p.sort()")
+        #expect(harness.evalString("p.toString()") == "a=only&c=x%26y%3D%21")
+        #expect(harness.evalString("new URLSearchParams({ q: 'a b', n: 1 }).toString()") == "q=a+b&n=1")
+        #expect(harness.evalString("new URLSearchParams([['k', 'v']]).toString()") == "k=v")
+    }
+
+    // MARK: - Headers
+
+    @Test("Headers are case-insensitive, combine repeated values and iterate sorted")
+    func testHeaders() {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var h = new Headers({ 'X-B': '1', 'Content-Type': 'text/plain' });
+            h.append('x-b', '2');
+        """)
+        #expect(harness.evalString("h.get('X-B')") == "1, 2")
+        #expect(harness.evalBool("h.has('content-type')") == true)
+        #expect(harness.evalString("Array.from(h.keys()).join(',')") == "content-type,x-b")
+
+        harness.eval("h.set('X-B', '3'); h.delete('Content-Type')")
+        #expect(harness.evalString("JSON.stringify(Array.from(h))") == "[[\"x-b\",\"3\"]]")
+
+        harness.eval("new Headers({ 'bad name': 'x' })")
+        harness.expectException()
+    }
+
+    // MARK: - Request and Response
+
+    @Test("Request normalises its method, infers Content-Type and rejects bodies on GET")
+    func testRequest() {
+        let harness = JSTestHarness()
+        harness.eval("var r = new Request('https://example.com/api', { method: 'post', body: { a: 1 }, searchParams: { q: 'x y' } })")
+        #expect(harness.evalString("r.method") == "POST")
+        #expect(harness.evalString("r.url") == "https://example.com/api?q=x+y")
+        #expect(harness.evalString("r.headers.get('content-type')") == "application/json")
+        #expect(harness.evalString("r.redirect") == "follow")
+        #expect(harness.evalBool("r.signal instanceof AbortSignal") == true)
+
+        harness.eval("new Request('https://example.com', { body: 'x' })")
+        harness.expectException()
+    }
+
+    @Test("Response bodies can be read once as text, JSON or bytes")
+    func testResponse() async {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var out = {};
+            var r = Response.json({ hello: 'wörld' }, { status: 201 });
+            out.ok = r.ok;
+            out.status = r.status;
+            out.type = r.headers.get('content-type');
+            r.clone().json().then(j => out.json = j.hello);
+            new Response('é').bytes().then(b => out.bytes = Array.from(b).join(','));
+            r.text().then(() => r.text()).catch(e => out.reused = e.name);
+        """)
+        let done = await harness.waitForAsync(timeout: 1.0) { harness.evalString("out.reused") != nil }
+        #expect(done)
+        #expect(harness.evalBool("out.ok") == true)
+        #expect(harness.evalInt("out.status") == 201)
+        #expect(harness.evalString("out.type") == "application/json")
+        #expect(harness.evalString("out.json") == "wörld")
+        #expect(harness.evalString("out.bytes") == "195,169")
+        #expect(harness.evalString("out.reused") == "TypeError")
+    }
+
+    // MARK: - fetch() against a local server
+
+    @Suite("fetch() + hs.httpserver integration tests", .serialized)
+    struct FetchServerTests {
+
+        init() async {
+            await JSTestHarness.drainMainActorQueue()
+        }
+
+        /// A harness with `server` listening on a random port, echoing each request back as JSON
+        private func makeHarness() async -> JSTestHarness? {
+            let h = JSTestHarness()
+            h.loadModule(HSHTTPServerModule.self, as: "httpserver")
+            h.loadModule(HSHTTPModule.self, as: "http")
+            h.eval("""
+                var server = hs.httpserver.create()
+                    .setPort(0)
+                    .setCallback((method, path, headers, body) => {
+                        if (path === '/redirect') {
+                            return { body: '', status: 302, headers: { Location: '/echo' } };
+                        }
+                        return { body: JSON.stringify({ method, path, body }), status: 200, headers: { 'Content-Type': 'application/json' } };
+                    })
+                    .start();
+                var base = () => 'http://localhost:' + server.getPort();
+            """)
+            let ready = await h.waitForAsync(timeout: 2.0) { (h.eval("server.getPort()") as? Int ?? 0) > 0 }
+            guard ready else {
+                h.eval("server.stop()")
+                return nil
+            }
+            return h
+        }
+
+        @Test("fetch() sends JSON bodies and resolves with a Response")
+        func testFetchJSON() async {
+            guard let h = await makeHarness() else { Issue.record("Server did not start"); return }
+            h.eval("""
+                var result = null;
+                fetch(base() + '/echo', { method: 'POST', body: { name: 'test' } })
+                    .then(r => r.json().then(j => result = { ok: r.ok, status: r.status, method: j.method, body: j.body }));
+            """)
+            let done = await h.waitForAsync(timeout: 3.0) { h.evalBool("result !== null") == true }
+            h.eval("server.stop()")
+            #expect(done)
+            #expect(h.evalBool("result.ok") == true)
+            #expect(h.evalString("result.method") == "POST")
+            #expect(h.evalString("result.body") == "{\"name\":\"test\"}")
+        }
+
+        @Test("redirects are followed by default, returned with 'manual' and rejected with 'error'")
+        func testRedirectPolicy() async {
+            guard let h = await makeHarness() else { Issue.record("Server did not start"); return }
+            h.eval("""
+                var out = {};
+                fetch(base() + '/redirect').then(r => { out.followed = r.redirected && r.url.endsWith('/echo'); });
+                fetch(base() + '/redirect', { redirect: 'manual' }).then(r => { out.manual = r.status; });
+                fetch(base() + '/redirect', { redirect: 'error' }).catch(e => { out.error = e.name; });
+            """)
+            let done = await h.waitForAsync(timeout: 3.0) {
+                h.evalBool("'followed' in out && 'manual' in out && 'error' in out") == true
+            }
+            h.eval("server.stop()")
+            #expect(done)
+            #expect(h.evalBool("out.followed") == true)
+            #expect(h.evalInt("out.manual") == 302)
+            #expect(h.evalString("out.error") == "TypeError")
+        }
+
+        @Test("a signal shared by requests with a timeout isn't left with a listener for each of them")
+        func testSharedSignal() async {
+            guard let h = await makeHarness() else { Issue.record("Server did not start"); return }
+            h.eval("""
+                var signal = new AbortController().signal, listening = 0, settled = 0;
+                var add = signal.addEventListener, remove = signal.removeEventListener;
+                signal.addEventListener = function (...args) { listening++; return add.apply(this, args); };
+                signal.removeEventListener = function (...args) { listening--; return remove.apply(this, args); };
+                for (var i = 0; i < 3; i++) {
+                    fetch(base() + '/echo', { signal: signal, timeout: 5000 }).finally(() => settled++);
+                }
+            """)
+            let done = await h.waitForAsync(timeout: 3.0) { h.evalBool("settled === 3 && listening === 0") == true }
+            h.eval("server.stop()")
+            #expect(done)
+            #expect(h.evalInt("listening") == 0)
+        }
+
+        @Test("network failures reject with a TypeError and aborts with the signal's reason")
+        func testFailures() async {
+            let h = JSTestHarness()
+            h.loadModule(HSHTTPModule.self, as: "http")
+            h.eval("""
+                var out = {};
+                fetch('http://localhost:1/').catch(e => out.network = e.name);
+                fetch('http://10.255.255.1/', { signal: AbortSignal.abort() }).catch(e => out.aborted = e.name);
+            """)
+            let done = await h.waitForAsync(timeout: 3.0) { h.evalBool("'network' in out && 'aborted' in out") == true }
+            #expect(done)
+            #expect(h.evalString("out.network") == "TypeError")
+            #expect(h.evalString("out.aborted") == "AbortError")
+        }
+    }
+}
@@ -80,6 +80,46 @@ struct HSHTTPOtherTests {
         }
     }
 
+    // MARK: - Cancellation
+
+    @Suite("hs.http AbortSignal tests")
+    struct HSHTTPAbortTests {
+
+        private func makeHarness() -> JSTestHarness {
+            let h = JSTestHarness()
+            h.loadModule(HSHTTPModule.self, as: "http")
+            return h
+        }
+
+        @Test("an already aborted signal rejects with its reason")
+        func testPreAborted() async {
+            let h = makeHarness()
+            h.eval("""
+                var rejected = null;
+                hs.http.get('http://localhost:1', null, { signal: AbortSignal.abort('cancelled') })
+                    .catch(reason => rejected = reason);
+            """)
+            let success = await h.waitForAsync(timeout: 1.0) { h.evalString("rejected") == "cancelled" }
+            #expect(success)
+        }
+
+        @Test("aborting an in-flight request rejects with an AbortError")
+        func testAbortInFlight() async {
+            let h = makeHarness()
+            h.eval("""
+                var rejected = null, resolved = false;
+                var controller = new AbortController();
+                // A non-routable address, so the request is still connecting when it is aborted
+                hs.http.doRequest('http://10.255.255.1/', 'GET', null, null, { signal: controller.signal })
+                    .then(() => resolved = true, error => rejected = error.name);
+                controller.abort();
+            """)
+            let success = await h.waitForAsync(timeout: 1.0) { h.evalString("rejected") == "AbortError" }
+            #expect(success)
+            #expect(h.evalBool("resolved") == false)
+        }
+    }
+
     // MARK: - Utility function tests (no network needed)
 
     @Suite("hs.http utility tests")
@@ -300,6 +300,7 @@ struct HSHotkeyTests {
         let tracker = WeakLeakTracker()
         autoreleasepool {
             let harness = JSTestHarness()
+            harness.loadModule(HSLoggerModule.self, as: "logger")
             harness.loadModule(HSHotkeyModule.self, as: "hotkey")
             // Create a modal, bind a hotkey within it, enter the modal so it's active,
             // then verify shutdown() properly destroys the hotkey and releases it.
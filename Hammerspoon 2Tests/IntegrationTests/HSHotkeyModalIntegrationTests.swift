@@ -18,6 +18,7 @@ struct HSHotkeyModalTests {
         private func makeHarness() -> JSTestHarness {
             let harness = JSTestHarness()
             harness.loadModule(HSEventTapModule.self, as: "eventtap")
+            harness.loadModule(HSLoggerModule.self, as: "logger")
             harness.loadModule(HSHotkeyModule.self, as: "hotkey")
             return harness
         }
@@ -91,6 +92,7 @@ struct HSHotkeyModalTests {
         private func makeHarness() -> JSTestHarness {
             let harness = JSTestHarness()
             harness.loadModule(HSEventTapModule.self, as: "eventtap")
+            harness.loadModule(HSLoggerModule.self, as: "logger")
             harness.loadModule(HSHotkeyModule.self, as: "hotkey")
             return harness
         }
@@ -295,6 +297,7 @@ struct HSHotkeyModalTests {
         private func makeHarness() -> JSTestHarness {
             let harness = JSTestHarness()
             harness.loadModule(HSEventTapModule.self, as: "eventtap")
+            harness.loadModule(HSLoggerModule.self, as: "logger")
             harness.loadModule(HSHotkeyModule.self, as: "hotkey")
             return harness
         }
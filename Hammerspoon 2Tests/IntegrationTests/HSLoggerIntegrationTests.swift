@@ -0,0 +1,142 @@
+//
+//  HSLoggerIntegrationTests.swift
+//  Hammerspoon 2Tests
+//
+
+import Testing
+import JavaScriptCore
+@testable import Hammerspoon_2
+
+/// Integration tests for hs.logger
+///
+/// Messages that pass a logger's level are recorded in the module's history, which is how these tests observe them.
+@MainActor
+@Suite("hs.logger tests")
+struct HSLoggerIntegrationTests {
+
+    private func makeHarness() -> JSTestHarness {
+        let harness = JSTestHarness()
+        harness.loadModule(HSLoggerModule.self, as: "logger")
+        return harness
+    }
+
+    @Test("create() returns a logger with a method per level")
+    func testLoggerShape() {
+        let harness = makeHarness()
+        harness.eval("var log = hs.logger.create('test', 'info')")
+        #expect(harness.evalString("log.typeName") == "HSLogger")
+        #expect(harness.evalString("log.name") == "test")
+        #expect(harness.evalString("log.level") == "info")
+        for method in ["error", "warn", "info", "debug", "verbose"] {
+            #expect(harness.evalTypeOf("log.\(method)") == "function")
+        }
+    }
+
+    @Test("only messages at or below the logger's level are logged")
+    func testLevelFiltering() {
+        let harness = makeHarness()
+        harness.eval("""
+            var log = hs.logger.create('test', 'info');
+            log.error('e'); log.warn('w'); log.info('i'); log.debug('d'); log.verbose('v');
+        """)
+        #expect(harness.evalString("hs.logger.history('test').map(e => e.level + ':' + e.message).join(',')") == "error:e,warning:w,info:i")
+
+        harness.eval("log.level = 'nothing'; log.error('silenced')")
+        #expect(harness.evalInt("hs.logger.history('test').length") == 3)
+    }
+
+    @Test("levels can be given as numbers, and invalid levels are ignored")
+    func testLevelParsing() {
+        let harness = makeHarness()
+        #expect(harness.evalString("hs.logger.create('a', 5).level") == "verbose")
+        #expect(harness.evalString("hs.logger.create('b', 'WARN').level") == "warning")
+        #expect(harness.evalString("hs.logger.create('c').level") == "warning")
+        #expect(harness.evalString("hs.logger.create('d', 'loud').level") == "warning")
+
+        harness.eval("var log = hs.logger.create('e', 'debug'); log.level = 'loud'")
+        #expect(harness.evalString("log.level") == "debug")
+    }
+
+    @Test("defaultLevel applies to loggers created without a level")
+    func testDefaultLevel() {
+        let harness = makeHarness()
+        #expect(harness.evalString("hs.logger.defaultLevel") == "warning")
+        harness.eval("hs.logger.defaultLevel = 'debug'")
+        #expect(harness.evalString("hs.logger.create('test').level") == "debug")
+    }
+
+    @Test("setLevel() overrides every logger with that name until cleared")
+    func testLevelOverrides() {
+        let harness = makeHarness()
+        harness.eval("""
+            var before = hs.logger.create('noisy', 'error');
+            hs.logger.setLevel('noisy', 'debug');
+            var after = hs.logger.create('noisy', 'error');
+            var other = hs.logger.create('quiet', 'error');
+            before.debug('one'); after.debug('two'); other.debug('three');
+        """)
+        #expect(harness.evalString("hs.logger.getLevel('noisy')") == "debug")
+        #expect(harness.evalString("before.effectiveLevel") == "debug")
+        #expect(harness.evalString("before.level") == "error")
+        #expect(harness.evalString("hs.logger.history().map(e => e.message).join(',')") == "one,two")
+
+        harness.eval("hs.logger.setLevel('noisy', null); before.debug('four')")
+        #expect(harness.evalBool("hs.logger.getLevel('noisy') == null") == true)
+        #expect(harness.evalString("before.effectiveLevel") == "error")
+        #expect(harness.evalInt("hs.logger.history().length") == 2)
+    }
+
+    @Test("history entries carry the logger name, level and a timestamp")
+    func testHistoryEntries() {
+        let harness = makeHarness()
+        harness.eval("""
+            var start = Date.now();
+            hs.logger.create('test', 'info').info('hello');
+            var entry = hs.logger.history('test')[0];
+        """)
+        #expect(harness.evalString("entry.name") == "test")
+        #expect(harness.evalString("entry.level") == "info")
+        #expect(harness.evalString("entry.message") == "hello")
+        #expect(harness.evalBool("entry.timestamp >= start - 1 && entry.timestamp <= Date.now() + 1") == true)
+    }
+
+    @Test("history is a ring buffer of historySize entries, queryable by name and count")
+    func testRingBuffer() {
+        let harness = makeHarness()
+        harness.eval("""
+            hs.logger.historySize = 4;
+            var a = hs.logger.create('a', 'info'), b = hs.logger.create('b', 'info');
+            for (var i = 1; i <= 3; i++) { a.info('a' + i); b.info('b' + i); }
+        """)
+        #expect(harness.evalString("hs.logger.history().map(e => e.message).join(',')") == "a2,b2,a3,b3")
+        #expect(harness.evalString("hs.logger.history('a').map(e => e.message).join(',')") == "a2,a3")
+        #expect(harness.evalString("hs.logger.history(null, 1).map(e => e.message).join(',')") == "b3")
+
+        harness.eval("hs.logger.historySize = 2")
+        #expect(harness.evalString("hs.logger.history().map(e => e.message).join(',')") == "a3,b3")
+
+        harness.eval("hs.logger.clearHistory()")
+        #expect(harness.evalInt("hs.logger.history().length") == 0)
+    }
+
+    @Test("hs.hotkey modals log through the 'hs.hotkey' logger")
+    func testHotkeyModalLogging() {
+        let harness = makeHarness()
+        harness.loadModule(HSEventTapModule.self, as: "eventtap")
+        harness.loadModule(HSHotkeyModule.self, as: "hotkey")
+        harness.eval("""
+            var m = hs.hotkey.createModal([], '');
+            m.enter();
+            m.exit();
+        """)
+        #expect(harness.evalInt("hs.logger.history('hs.hotkey').length") == 0, "Debug messages are hidden by default")
+
+        harness.eval("""
+            hs.logger.setLevel('hs.hotkey', 'debug');
+            m.enterFn = () => { throw new Error('boom'); };
+            m.enter();
+        """)
+        #expect(harness.evalString("hs.logger.history('hs.hotkey').map(e => e.level + ':' + e.message).join(',')") == "error:modal enterFn error: Error: boom,debug:modal entered")
+        harness.eval("m.destroy()")
+    }
+}
@@ -0,0 +1,216 @@
+//
+//  HSPluginsIntegrationTests.swift
+//  Hammerspoon 2Tests
+//
+
+import Testing
+import Foundation
+import JavaScriptCore
+@testable import Hammerspoon_2
+
+// MARK: - Helpers
+
+/// A throwaway plugins directory, deleted when deallocated.
+private final class PluginsDir {
+    let path: String
+
+    init() throws {
+        path = (NSTemporaryDirectory() as NSString)
+            .appendingPathComponent("hs.plugins-tests-\(UUID().uuidString)")
+        try FileManager.default.createDirectory(atPath: path, withIntermediateDirectories: true)
+    }
+
+    deinit {
+        try? FileManager.default.removeItem(atPath: path)
+    }
+
+    /// Write a plugin's manifest, and its entry point if one is given
+    func add(_ directory: String, manifest: String, entry: String? = nil, entryName: String = "init.js") throws {
+        let pluginPath = (path as NSString).appendingPathComponent(directory)
+        try FileManager.default.createDirectory(atPath: pluginPath, withIntermediateDirectories: true)
+        try manifest.write(toFile: (pluginPath as NSString).appendingPathComponent("plugin.json"), atomically: true, encoding: .utf8)
+        if let entry {
+            try entry.write(toFile: (pluginPath as NSString).appendingPathComponent(entryName), atomically: true, encoding: .utf8)
+        }
+    }
+}
+
+// MARK: - Test suite
+
+/// Integration tests for hs.plugins
+///
+/// Plugins are loaded into the test's own root scope rather than the config's, via a stand-in for hs.scope().
+@MainActor
+@Suite("hs.plugins tests")
+struct HSPluginsIntegrationTests {
+
+    private func makeHarness(_ dir: PluginsDir) -> (JSTestHarness, HSScope) {
+        let harness = JSTestHarness()
+        harness.loadModule(HSLoggerModule.self, as: "logger")
+        harness.loadModule(HSTimerModule.self, as: "timer")
+        harness.loadModule(HSEventTapModule.self, as: "eventtap")
+        harness.loadModule(HSHotkeyModule.self, as: "hotkey")
+        harness.loadModule(HSPluginsModule.self, as: "plugins")
+
+        let root = HSScope(name: "test")
+        harness.context.setObject(root, forKeyedSubscript: "root" as NSString)
+        harness.eval("""
+            hs.scope = (name) => root.scope(name);
+            hs.plugins.paths = ['\(dir.path)'];
+        """)
+        return (harness, root)
+    }
+
+    @Test("discover() reads every valid manifest, skipping invalid and duplicate plugins")
+    func testDiscover() throws {
+        let dir = try PluginsDir()
+        try dir.add("A", manifest: #"{ "name": "Alpha", "version": "1.0", "dependencies": ["Beta"], "hotkeys": { "show": [["cmd"], "a"] } }"#, entry: "module.exports = {}")
+        try dir.add("B", manifest: #"{ "name": "Beta", "version": "2.1.3", "entry": "main.js", "dependencies": { "Alpha": "*" } }"#, entry: "module.exports = {}", entryName: "main.js")
+        try dir.add("C", manifest: #"{ "name": "Alpha", "version": "9.9" }"#, entry: "module.exports = {}")
+        try dir.add("D", manifest: #"{ "name": "NoEntry", "version": "1.0" }"#)
+        try dir.add("E", manifest: #"{ "name": "BadVersion", "version": "one" }"#, entry: "module.exports = {}")
+        try dir.add("F", manifest: #"{ "name": "BadHotkeys", "version": "1.0", "hotkeys": { "show": "cmd-a" } }"#, entry: "module.exports = {}")
+        try dir.add("G", manifest: "not json", entry: "module.exports = {}")
+
+        let (harness, _) = makeHarness(dir)
+        #expect(harness.evalString("hs.plugins.discover().map(p => p.name).join(',')") == "Alpha,Beta")
+
+        harness.eval("var alpha = hs.plugins.manifest('Alpha'), beta = hs.plugins.manifest('Beta')")
+        #expect(harness.evalString("alpha.version") == "1.0")
+        #expect(harness.evalString("alpha.entry") == "\(dir.path)/A/init.js")
+        #expect(harness.evalString("alpha.path") == "\(dir.path)/A")
+        #expect(harness.evalString("JSON.stringify(alpha.dependencies)") == #"{"Beta":""}"#)
+        #expect(harness.evalString("JSON.stringify(alpha.hotkeys)") == #"{"show":[["cmd"],"a"]}"#)
+        #expect(harness.evalString("beta.entry") == "\(dir.path)/B/main.js")
+        #expect(harness.evalString("JSON.stringify(beta.dependencies)") == #"{"Alpha":""}"#)
+        #expect(harness.evalBool("hs.plugins.manifest('Missing') == null") == true)
+    }
+
+    @Test("versions are compared numerically")
+    func testVersionComponents() {
+        #expect(HSPluginManifest.versionComponents("1.10.2") == [1, 10, 2])
+        #expect(HSPluginManifest.versionComponents("3") == [3])
+        #expect(HSPluginManifest.versionComponents("1..2") == nil)
+        #expect(HSPluginManifest.versionComponents("1.2-beta") == nil)
+    }
+
+    @Test("load() calls init() once, and loads dependencies first")
+    func testLoad() throws {
+        let dir = try PluginsDir()
+        try dir.add("Library", manifest: #"{ "name": "Library", "version": "1.2" }"#, entry: """
+            globalThis.order = (globalThis.order || []).concat('Library');
+            module.exports = { init() { order.push('Library.init'); }, add: (a, b) => a + b };
+            """)
+        try dir.add("App", manifest: #"{ "name": "App", "version": "1.0", "dependencies": { "Library": "1.1" } }"#, entry: """
+            module.exports = function (manifest) {
+                order.push('App');
+                return { init(m) { order.push('App.init:' + m.version); this.sum = hs.plugins.load('Library').add(1, 2); } };
+            };
+            """)
+
+        let (harness, _) = makeHarness(dir)
+        harness.eval("var app = hs.plugins.load('App')")
+        #expect(!harness.hasException)
+        #expect(harness.evalString("order.join(',')") == "Library,Library.init,App,App.init:1.0")
+        #expect(harness.evalInt("app.sum") == 3)
+        #expect(harness.evalString("hs.plugins.loaded().join(',')") == "Library,App")
+
+        harness.expectTrue("hs.plugins.load('App') === app")
+        #expect(harness.evalInt("order.length") == 4, "Loading a plugin again doesn't re-run it")
+    }
+
+    @Test("load() fails for missing, outdated and circular dependencies")
+    func testLoadFailures() throws {
+        let dir = try PluginsDir()
+        try dir.add("Old", manifest: #"{ "name": "Old", "version": "1.9" }"#, entry: "module.exports = {}")
+        try dir.add("NeedsNew", manifest: #"{ "name": "NeedsNew", "version": "1.0", "dependencies": { "Old": "1.10" } }"#, entry: "module.exports = {}")
+        try dir.add("NeedsMissing", manifest: #"{ "name": "NeedsMissing", "version": "1.0", "dependencies": ["Missing"] }"#, entry: "module.exports = {}")
+        try dir.add("Ping", manifest: #"{ "name": "Ping", "version": "1.0", "dependencies": ["Pong"] }"#, entry: "module.exports = {}")
+        try dir.add("Pong", manifest: #"{ "name": "Pong", "version": "1.0", "dependencies": ["Ping"] }"#, entry: "module.exports = {}")
+        try dir.add("Broken", manifest: #"{ "name": "Broken", "version": "1.0" }"#, entry: "module.exports = { init() { throw new Error('init failed'); } }")
+        try dir.add("Number", manifest: #"{ "name": "Number", "version": "1.0" }"#, entry: "module.exports = 42")
+
+        let (harness, _) = makeHarness(dir)
+        func loadError(_ name: String) -> String? {
+            harness.evalString("(() => { try { hs.plugins.load('\(name)'); return null; } catch (e) { return e.message; } })()")
+        }
+
+        #expect(loadError("NeedsNew")?.contains("needs Old 1.10 or later, but 1.9 is installed") == true)
+        #expect(loadError("NeedsMissing")?.contains("No plugin named 'Missing'") == true)
+        #expect(loadError("Ping")?.contains("Circular dependency: Ping -> Pong -> Ping") == true)
+        #expect(loadError("Broken") == "init failed")
+        #expect(loadError("Number")?.contains("must export an object") == true)
+        #expect(harness.evalString("hs.plugins.loaded().join(',')") == "Old", "Only the plugins that loaded are recorded")
+    }
+
+    @Test("start() and stop() run the lifecycle hooks, and stop() tears down what start() created")
+    func testStartAndStop() throws {
+        let dir = try PluginsDir()
+        try dir.add("Ticker", manifest: #"{ "name": "Ticker", "version": "1.0" }"#, entry: """
+            module.exports = {
+                events: [],
+                start() { this.events.push('start'); this.timer = hs.timer.doEvery(60, () => {}); },
+                stop() { this.events.push('stop:' + this.timer.running()); }
+            };
+            """)
+
+        let (harness, root) = makeHarness(dir)
+        harness.eval("var ticker = hs.plugins.start('Ticker')")
+        harness.expectTrue("hs.plugins.isRunning('Ticker') && ticker.timer.running()")
+
+        harness.eval("hs.plugins.start('Ticker')")
+        #expect(harness.evalString("ticker.events.join(',')") == "start", "Starting a running plugin does nothing")
+
+        harness.expectTrue("hs.plugins.stop('Ticker')")
+        #expect(harness.evalString("ticker.events.join(',')") == "start,stop:true", "stop() is called before the timer is torn down")
+        harness.expectFalse("ticker.timer.running()")
+        harness.expectFalse("hs.plugins.isRunning('Ticker')")
+        harness.expectFalse("hs.plugins.stop('Ticker')")
+
+        harness.eval("hs.plugins.start('Ticker')")
+        root.dispose()
+        #expect(harness.evalString("ticker.events.join(',')") == "start,stop:true,start,stop:true", "Disposing the root scope stops running plugins")
+        #expect(harness.evalInt("hs.plugins.loaded().length") == 0)
+    }
+
+    @Test("bindHotkeys() binds actions to the mapping, falling back to the manifest's hotkeys")
+    func testBindHotkeys() throws {
+        let dir = try PluginsDir()
+        try dir.add("Keys", manifest: #"{ "name": "Keys", "version": "1.0", "hotkeys": { "show": [["cmd", "alt"], "s"], "hide": [["cmd", "alt"], "h"] } }"#, entry: """
+            module.exports = {
+                calls: [],
+                actions: { show() { this.calls.push('show'); } },
+                hide() { this.calls.push('hide'); }
+            };
+            """)
+
+        let (harness, _) = makeHarness(dir)
+        harness.eval("""
+            var bound = [];
+            var bind = hs.hotkey.bind;
+            hs.hotkey.bind = (mods, key, pressed, released) => {
+                const hotkey = bind(mods, key, pressed, released);
+                bound.push({ key: key, pressed: pressed, hotkey: hotkey });
+                return hotkey;
+            };
+            var keys = hs.plugins.load('Keys');
+            keys.bindHotkeys({ show: [['ctrl'], 'x'], hide: null });
+        """)
+        #expect(!harness.hasException)
+        #expect(harness.evalString("bound.map(b => b.key).join(',')") == "x")
+
+        harness.eval("bound[0].pressed()")
+        #expect(harness.evalString("keys.calls.join(',')") == "show", "Actions are called on the plugin")
+
+        harness.eval("var first = bound[0].hotkey; hs.plugins.bindHotkeys('Keys')")
+        harness.expectFalse("first.isEnabled()")
+        #expect(harness.evalString("bound.slice(1).map(b => b.key).sort().join(',')") == "h,s", "Rebinding replaces the old hotkeys, using the manifest's defaults")
+
+        harness.eval("var caught = null; try { keys.bindHotkeys({ missing: [['cmd'], 'm'] }) } catch (e) { caught = e.message }")
+        #expect(harness.evalString("caught")?.contains("has no action named 'missing'") == true)
+        harness.expectTrue("bound[1].hotkey.isEnabled()")
+
+        harness.eval("hs.plugins.stop('Keys'); root.dispose()")
+        harness.expectFalse("bound[1].hotkey.isEnabled() || bound[2].hotkey.isEnabled()")
+    }
+}
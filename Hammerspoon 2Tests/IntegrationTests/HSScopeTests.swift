@@ -0,0 +1,162 @@
+//
+//  HSScopeTests.swift
+//  Hammerspoon 2Tests
+//
+
+import Testing
+import JavaScriptCore
+@testable import Hammerspoon_2
+
+/// Tests for hs.scope(), the registry of resources created while a scope runs
+@MainActor
+@Suite("hs.scope tests")
+struct HSScopeTests {
+
+    private func makeHarness() -> (JSTestHarness, HSScope) {
+        let harness = JSTestHarness()
+        harness.loadModule(HSTimerModule.self, as: "timer")
+        let scope = HSScope(name: "test")
+        harness.context.setObject(scope, forKeyedSubscript: "scope" as NSString)
+        return (harness, scope)
+    }
+
+    @Test("resources created while a scope runs are recorded, and disposed of with it")
+    func testRunRecordsResources() {
+        let (harness, scope) = makeHarness()
+        harness.eval("""
+            var inside = scope.run(() => hs.timer.doEvery(60, () => {}));
+            var outside = hs.timer.doEvery(60, () => {});
+        """)
+        #expect(scope.count == 1)
+        harness.expectTrue("inside.running() && outside.running()")
+
+        harness.eval("scope.dispose()")
+        #expect(scope.count == 0)
+        harness.expectFalse("inside.running()")
+        harness.expectTrue("outside.running()")
+        harness.eval("outside.stop()")
+    }
+
+    @Test("run() returns the function's result, and rethrows its errors once the scope is no longer active")
+    func testRunResultAndErrors() {
+        let (harness, scope) = makeHarness()
+        #expect(harness.evalInt("scope.run(() => 42)") == 42)
+
+        harness.eval("""
+            var caught = null;
+            try {
+                scope.run(() => { throw new Error('boom'); });
+            } catch (e) {
+                caught = e.message;
+            }
+        """)
+        #expect(harness.evalString("caught") == "boom")
+        #expect(HSScope.current !== scope)
+
+        harness.eval("try { scope.run(42) } catch (e) { caught = e.message }")
+        #expect(harness.evalString("caught")?.contains("must be a function") == true)
+    }
+
+    @Test("dispose() tears resources down newest first, and reports errors without stopping")
+    func testDisposeOrder() {
+        let (harness, scope) = makeHarness()
+        harness.eval("""
+            var order = [];
+            scope.add(() => order.push('a'));
+            scope.add({ destroy() { order.push('b'); } });
+            scope.add(() => { throw new Error('cleanup failed'); });
+            scope.add({ stop() { order.push('c'); } });
+            scope.dispose();
+        """)
+        #expect(harness.evalString("order.join(',')") == "c,b,a")
+        #expect(harness.reportedErrors.count == 1)
+
+        harness.eval("order = []; scope.dispose()")
+        #expect(harness.evalInt("order.length") == 0, "A disposed scope is empty")
+    }
+
+    @Test("add() rejects values that can't be disposed of, and remove() stops recording")
+    func testAddAndRemove() {
+        let (harness, scope) = makeHarness()
+        harness.eval("var caught = null; try { scope.add(42) } catch (e) { caught = e.message }")
+        #expect(harness.evalString("caught")?.contains("must be a function") == true)
+
+        harness.eval("""
+            var called = false;
+            var cleanup = scope.add(() => { called = true; });
+            var timer = scope.add(hs.timer.doEvery(60, () => {}));
+        """)
+        #expect(scope.count == 2)
+        harness.expectTrue("scope.remove(cleanup) && scope.remove(timer)")
+        harness.expectFalse("scope.remove(cleanup)")
+
+        harness.eval("var server = scope.add({ stop() { called = true; } })")
+        harness.expectFalse("scope.remove({ stop() {} })", "Objects are matched by identity")
+        harness.expectTrue("scope.remove(server)")
+        #expect(scope.count == 0)
+
+        harness.eval("scope.dispose()")
+        harness.expectFalse("called")
+        harness.expectTrue("timer.running()")
+        harness.eval("timer.stop()")
+    }
+
+    @Test("nested scopes are disposed with their parent, and leave it when disposed themselves")
+    func testNestedScopes() {
+        let (harness, scope) = makeHarness()
+        harness.eval("""
+            var child = scope.scope('child');
+            var unused = scope.scope('unused');
+            var timer = child.run(() => hs.timer.doEvery(60, () => {}));
+        """)
+        #expect(harness.evalString("child.name") == "child")
+        #expect(scope.count == 1, "Only scopes with something in them are recorded in their parent")
+
+        harness.eval("child.dispose()")
+        #expect(scope.count == 0)
+        harness.expectFalse("timer.running()")
+
+        harness.eval("timer = child.run(() => hs.timer.doEvery(60, () => {})); scope.dispose()")
+        harness.expectFalse("timer.running()")
+    }
+
+    @Test("addWatcher() listeners are recorded in the active scope")
+    func testWatcherListeners() {
+        let (harness, scope) = makeHarness()
+        harness.eval("""
+            hs.currentScope = () => scope;
+            var stopped = 0;
+            var emitter = new WatcherEmitter({ name: 'test', start: () => true, stop: () => { stopped++; } });
+            var first = () => {}, second = () => {};
+            emitter.on(first);
+            emitter.on(second);
+        """)
+        #expect(scope.count == 2)
+
+        harness.eval("emitter.removeListener(first)")
+        #expect(scope.count == 1, "Removing a listener stops recording it")
+
+        harness.eval("scope.dispose()")
+        #expect(harness.evalInt("emitter.listeners().length") == 0)
+        #expect(harness.evalInt("stopped") == 1)
+    }
+
+    @Test("the root scope is active outside run(), and is disposed when the config shuts down")
+    func testRootScope() throws {
+        let harness = JSTestHarness()
+        harness.loadModuleRoot()
+        let moduleRoot = try #require(harness.context.objectForKeyedSubscript("hs")?.toObject() as? ModuleRoot)
+
+        harness.eval("""
+            var disposed = [];
+            hs.currentScope().add(() => disposed.push('root'));
+            var feature = hs.scope('feature');
+            feature.run(() => hs.currentScope().add(() => disposed.push('feature')));
+        """)
+        #expect(harness.evalString("hs.currentScope().name") == "root")
+
+        moduleRoot.shutdown()
+        #expect(harness.evalString("disposed.join(',')") == "feature,root")
+        #expect(HSScope.root == nil)
+    }
+}
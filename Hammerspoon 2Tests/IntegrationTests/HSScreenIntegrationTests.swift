@@ -4,6 +4,7 @@
 //
 
 import Testing
+import AppKit
 import JavaScriptCore
 import CoreGraphics
 @testable import Hammerspoon_2
@@ -45,6 +46,8 @@ struct HSScreenIntegrationTests {
         #expect(harness.evalTypeOf("hs.screen.all") == "function")
         #expect(harness.evalTypeOf("hs.screen.main") == "function")
         #expect(harness.evalTypeOf("hs.screen.primary") == "function")
+        #expect(harness.evalTypeOf("hs.screen.addWatcher") == "function")
+        #expect(harness.evalTypeOf("hs.screen.removeWatcher") == "function")
     }
 
     // MARK: - all / main / primary
@@ -408,4 +411,29 @@ struct HSScreenIntegrationTests {
         harness.eval("hs.screen.primary().desktopImage = '/nonexistent/wallpaper.jpg';")
         #expect(!harness.hasException, "Setting invalid desktopImage path should not throw a JS exception")
     }
+
+    // MARK: - Watcher
+
+    @Test("watchers are called with the attached screens when the screens change, until they are removed")
+    @MainActor
+    func testWatcher() async {
+        let harness = JSTestHarness()
+        harness.loadModule(HSScreenModule.self, as: "screen")
+
+        harness.eval("""
+        var calls = [];
+        var handler = (screens) => calls.push(screens);
+        hs.screen.addWatcher(handler);
+        """)
+        NotificationCenter.default.post(name: NSApplication.didChangeScreenParametersNotification, object: NSApp)
+        let called = await harness.waitForAsync { harness.evalInt("calls.length") == 1 }
+        #expect(called)
+        harness.expectTrue("Array.isArray(calls[0]) && calls[0].length === hs.screen.all().length")
+        harness.expectTrue("calls[0].every(s => s.typeName === 'HSScreen')")
+
+        harness.eval("hs.screen.removeWatcher(handler)")
+        NotificationCenter.default.post(name: NSApplication.didChangeScreenParametersNotification, object: NSApp)
+        await JSTestHarness.drainMainActorQueue()
+        #expect(harness.evalInt("calls.length") == 1)
+    }
 }
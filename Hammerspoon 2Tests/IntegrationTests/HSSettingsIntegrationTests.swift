@@ -0,0 +1,216 @@
+//
+//  HSSettingsIntegrationTests.swift
+//  Hammerspoon 2Tests
+//
+
+import Testing
+import Foundation
+import JavaScriptCore
+@testable import Hammerspoon_2
+
+/// Integration tests for hs.settings
+///
+/// Each test uses namespaces with unique names, and resets them when it finishes, so the real hs.userdefaults suite is
+/// left as it was.
+@MainActor
+@Suite("hs.settings tests")
+struct HSSettingsIntegrationTests {
+
+    private func makeHarness() -> JSTestHarness {
+        let harness = JSTestHarness()
+        harness.loadModule(HSLoggerModule.self, as: "logger")
+        harness.loadModule(HSUserDefaultsModule.self, as: "userdefaults")
+        harness.loadModule(HSFSModule.self, as: "fs")
+        harness.loadModule(HSSettingsModule.self, as: "settings")
+        return harness
+    }
+
+    private func uniqueName() -> String {
+        "hs_settings_test_\(UUID().uuidString)"
+    }
+
+    private func errorMessage(_ harness: JSTestHarness, _ script: String) -> String? {
+        harness.evalString("(() => { try { \(script); return null; } catch (e) { return e.name + ': ' + e.message; } })()")
+    }
+
+    @Test("get() returns defaults until a setting is set, and set() persists across stores")
+    func testGetAndSet() {
+        let name = uniqueName()
+        let harness = makeHarness()
+        defer { harness.eval("hs.userdefaults.clear(hs.settings._keyPrefix + '\(name)')") }
+
+        harness.eval("""
+            var options = { schema: { count: 'integer', tags: { type: 'array', items: 'string' } }, defaults: { count: 1, tags: [] } };
+            var store = hs.settings.namespace('\(name)', options);
+        """)
+        #expect(harness.evalInt("store.get('count')") == 1)
+        harness.expectFalse("hs.settings.namespaces().includes('\(name)')")
+
+        harness.eval("store.set('count', 5); store.get('tags').push('changed')")
+        #expect(harness.evalInt("hs.settings.namespace('\(name)', options).get('count')") == 5)
+        #expect(harness.evalString("JSON.stringify(store.all())") == #"{"count":5,"tags":[]}"#, "Defaults are copied, not shared")
+        harness.expectTrue("hs.settings.namespaces().includes('\(name)')")
+
+        harness.eval("store.reset('count')")
+        #expect(harness.evalInt("store.get('count')") == 1)
+        harness.eval("store.set('tags', ['a']); store.reset()")
+        harness.expectFalse("hs.settings.namespaces().includes('\(name)')")
+    }
+
+    @Test("writes are checked against the schema")
+    func testSchemaValidation() {
+        let name = uniqueName()
+        let harness = makeHarness()
+        defer { harness.eval("hs.userdefaults.clear(hs.settings._keyPrefix + '\(name)')") }
+
+        harness.eval("""
+            var store = hs.settings.namespace('\(name)', { schema: {
+                count: { type: 'integer', min: 1, max: 10 },
+                mode: { type: 'string', enum: ['fast', 'slow'] },
+                tags: { type: 'array', items: { type: 'string', min: 1 } },
+                label: { type: 'string', nullable: true }
+            } });
+        """)
+        #expect(errorMessage(harness, "store.set('count', 1.5)") == "TypeError: set(): 'count' must be of type integer, not number")
+        #expect(errorMessage(harness, "store.set('count', 11)") == "TypeError: set(): 'count' must be at most 10")
+        #expect(errorMessage(harness, "store.set('mode', 'medium')") == #"TypeError: set(): 'mode' must be one of ["fast","slow"]"#)
+        #expect(errorMessage(harness, "store.set('tags', ['a', ''])") == "TypeError: set(): 'tags'[1] must be at least 1 long")
+        #expect(errorMessage(harness, "store.set('mode', null)") == "TypeError: set(): 'mode' must not be null")
+        #expect(errorMessage(harness, "store.set('other', 1)")?.contains("'other' is not in the schema") == true)
+        #expect(errorMessage(harness, "store.get('other')")?.contains("'other' is not in the schema") == true)
+
+        #expect(errorMessage(harness, "store.set('label', null); store.set('count', 10); store.set('tags', ['a'])") == nil)
+        #expect(harness.evalString("JSON.stringify(store.all())") == #"{"count":10,"tags":["a"],"label":null}"#)
+    }
+
+    @Test("namespaces without a schema accept any JSON value")
+    func testWithoutSchema() {
+        let name = uniqueName()
+        let harness = makeHarness()
+        defer { harness.eval("hs.userdefaults.clear(hs.settings._keyPrefix + '\(name)')") }
+
+        harness.eval("var store = hs.settings.namespace('\(name)'); store.set('anything', { nested: [1, 'two', null] })")
+        #expect(harness.evalString("JSON.stringify(store.get('anything'))") == #"{"nested":[1,"two",null]}"#)
+        #expect(errorMessage(harness, "store.set('when', new Date())")?.contains("must be a string, number, boolean, null, array or plain object") == true)
+        #expect(errorMessage(harness, "store.set('fn', () => {})") != nil)
+    }
+
+    @Test("invalid names, schemas and defaults are rejected")
+    func testInvalidOptions() {
+        let harness = makeHarness()
+        #expect(errorMessage(harness, "hs.settings.namespace('has.dots')")?.contains("The name must be") == true)
+        #expect(errorMessage(harness, "hs.settings.namespace('x', { schema: { a: 'text' } })")?.contains("The schema of 'a' must be") == true)
+        #expect(errorMessage(harness, "hs.settings.namespace('x', { schema: { a: 'string' }, defaults: { a: 1 } })")?.contains("The default of 'a' must be of type string") == true)
+        #expect(errorMessage(harness, "hs.settings.namespace('x', { schema: { a: 'string' }, defaults: { b: 1 } })")?.contains("'b' has a default, but is not in the schema") == true)
+        #expect(errorMessage(harness, "hs.settings.namespace('x', { version: 0 })")?.contains("The version must be a positive integer") == true)
+    }
+
+    @Test("opening a namespace with a newer version runs each migration step, and drops what no longer fits")
+    func testMigrationSteps() {
+        let name = uniqueName()
+        let harness = makeHarness()
+        defer { harness.eval("hs.userdefaults.clear(hs.settings._keyPrefix + '\(name)')") }
+
+        harness.eval("""
+            hs.userdefaults.set(hs.settings._keyPrefix + '\(name)', JSON.stringify({ version: 1, values: { size: 20, colour: 'red', stale: true } }));
+            var steps = [];
+            var store = hs.settings.namespace('\(name)', {
+                version: 3,
+                schema: { maxEntries: 'integer', colour: { type: 'string', enum: ['red', 'blue'] } },
+                migrate: {
+                    2: ({ size, ...settings }) => { steps.push(2); return { ...settings, maxEntries: size }; },
+                    3: (settings) => { steps.push(3); return { ...settings, colour: settings.colour.toUpperCase() }; }
+                }
+            });
+        """)
+        #expect(!harness.hasException)
+        #expect(harness.evalString("steps.join(',')") == "2,3")
+        #expect(harness.evalString("JSON.stringify(store.all())") == #"{"maxEntries":20}"#, "'stale' isn't in the schema, and 'RED' isn't allowed")
+        #expect(harness.evalInt("JSON.parse(hs.userdefaults.get(hs.settings._keyPrefix + '\(name)')).version") == 3)
+
+        harness.eval("hs.settings.namespace('\(name)', { version: 3, migrate: { 3: () => { steps.push('again'); return {}; } } })")
+        #expect(harness.evalString("steps.join(',')") == "2,3", "Settings already at the version aren't migrated again")
+    }
+
+    @Test("a migrate function is called once with the stored and new versions, and its errors are thrown")
+    func testMigrationFunction() {
+        let name = uniqueName()
+        let harness = makeHarness()
+        defer { harness.eval("hs.userdefaults.clear(hs.settings._keyPrefix + '\(name)')") }
+
+        harness.eval("""
+            hs.userdefaults.set(hs.settings._keyPrefix + '\(name)', JSON.stringify({ version: 2, values: { a: 1 } }));
+            var calls = [];
+            var migrate = (settings, from, to) => { calls.push(from + '->' + to); return { a: settings.a + 1 }; };
+        """)
+        #expect(errorMessage(harness, "hs.settings.namespace('\(name)', { version: 5, migrate: () => { throw new Error('bad migration'); } })") == "Error: bad migration")
+        #expect(harness.evalInt("JSON.parse(hs.userdefaults.get(hs.settings._keyPrefix + '\(name)')).version") == 2, "A failed migration leaves the stored settings alone")
+
+        #expect(harness.evalInt("hs.settings.namespace('\(name)', { version: 5, migrate: migrate }).get('a')") == 2)
+        #expect(harness.evalString("calls.join(',')") == "2->5")
+    }
+
+    @Test("watchers hear about changed settings, through any store")
+    func testWatchers() {
+        let name = uniqueName()
+        let harness = makeHarness()
+        defer { harness.eval("hs.userdefaults.clear(hs.settings._keyPrefix + '\(name)')") }
+
+        harness.eval("""
+            var options = { schema: { a: 'number', b: 'number' }, defaults: { a: 0, b: 0 } };
+            var store = hs.settings.namespace('\(name)', options);
+            var other = hs.settings.namespace('\(name)', options);
+            var aChanges = [], allChanges = [];
+            var onA = (key, value, old) => aChanges.push(key + ':' + old + '->' + value);
+            var onAll = (key, value, old) => allChanges.push(key + ':' + old + '->' + value);
+            store.addWatcher('a', onA);
+            store.addWatcher(onAll);
+
+            other.set('a', 1);
+            other.set('a', 1);
+            other.set('b', 2);
+            store.reset();
+        """)
+        #expect(harness.evalString("aChanges.join(',')") == "a:0->1,a:1->0")
+        #expect(harness.evalString("allChanges.join(',')") == "a:0->1,b:0->2,a:1->0,b:2->0")
+
+        harness.eval("store.removeWatcher('a', onA); store.removeWatcher(onAll); store.set('a', 5)")
+        #expect(harness.evalInt("aChanges.length + allChanges.length") == 6)
+    }
+
+    @Test("exportTo() and importFrom() round-trip every namespace, migrating into open ones")
+    func testExportAndImport() throws {
+        let first = uniqueName(), second = uniqueName()
+        let path = (NSTemporaryDirectory() as NSString).appendingPathComponent("hs.settings-tests-\(UUID().uuidString).json")
+        let harness = makeHarness()
+        defer {
+            harness.eval("hs.userdefaults.clear(hs.settings._keyPrefix + '\(first)'); hs.userdefaults.clear(hs.settings._keyPrefix + '\(second)')")
+            try? FileManager.default.removeItem(atPath: path)
+        }
+
+        harness.eval("""
+            hs.settings.namespace('\(first)').set('colour', 'red');
+            hs.settings.namespace('\(second)', { version: 2 }).set('size', 3);
+            var exported = hs.settings.exportTo('\(path)');
+            hs.userdefaults.clear(hs.settings._keyPrefix + '\(first)');
+            hs.userdefaults.clear(hs.settings._keyPrefix + '\(second)');
+
+            var changes = [];
+            var second = hs.settings.namespace('\(second)', { version: 3, migrate: { 3: (s) => ({ size: s.size * 10 }) } });
+            second.addWatcher('size', (key, value) => changes.push(value));
+            var imported = hs.settings.importFrom('\(path)');
+        """)
+        #expect(!harness.hasException)
+        harness.expectTrue("exported.includes('\(first)') && exported.includes('\(second)')")
+        harness.expectTrue("imported.includes('\(first)') && imported.includes('\(second)')")
+        #expect(harness.evalString("hs.settings.namespace('\(first)').get('colour')") == "red")
+        #expect(harness.evalInt("second.get('size')") == 30, "Imported settings are migrated to the open namespace's version")
+        #expect(harness.evalString("changes.join(',')") == "30")
+
+        try "{ \"\(first)\": { \"version\": 1, \"values\": {} }, \"broken\": 42 }".write(toFile: path, atomically: true, encoding: .utf8)
+        #expect(errorMessage(harness, "hs.settings.importFrom('\(path)')")?.contains("'broken' in \(path) is not a settings export") == true)
+        #expect(harness.evalString("hs.settings.namespace('\(first)').get('colour')") == "red", "Nothing is imported from an invalid file")
+
+        #expect(errorMessage(harness, "hs.settings.importFrom('\(path).missing')")?.contains("Could not read") == true)
+    }
+}
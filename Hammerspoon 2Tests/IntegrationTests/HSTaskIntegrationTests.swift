@@ -6,6 +6,7 @@
 //
 
 import Testing
+import Foundation
 import JavaScriptCore
 @testable import Hammerspoon_2
 
@@ -1136,6 +1137,53 @@ import JavaScriptCore
         #expect(success, "Timeout should fire and terminate task")
     }
 
+    // MARK: - Cancellation
+
+    @Test("hs.task.runAsync() terminates the task and rejects with an AbortError when its signal aborts")
+    func testRunAsyncAbort() async {
+        let harness = JSTestHarness()
+        harness.loadModule(HSTaskModule.self, as: "task")
+
+        var rejectedWith = ""
+        harness.registerCallback("onReject") { (name: String) in
+            rejectedWith = name
+        }
+
+        harness.eval("""
+        var controller = new AbortController();
+        hs.task.runAsync('/bin/sleep', ['10'], { signal: controller.signal }).catch(function(error) {
+            onReject(error.name);
+        });
+        controller.abort();
+        """)
+
+        let success = await harness.waitForAsync(timeout: 2.0) { !rejectedWith.isEmpty }
+        #expect(success, "Promise should reject when aborted")
+        #expect(rejectedWith == "AbortError")
+    }
+
+    @Test("hs.task.shell() with an already aborted signal rejects without running the command")
+    func testShellPreAborted() async {
+        let harness = JSTestHarness()
+        harness.loadModule(HSTaskModule.self, as: "task")
+
+        var rejectedWith = ""
+        harness.registerCallback("onReject") { (reason: String) in
+            rejectedWith = reason
+        }
+
+        harness.eval("""
+        hs.task.shell('touch /tmp/hs-task-abort-test', { signal: AbortSignal.abort('too late') }).catch(function(reason) {
+            onReject(reason);
+        });
+        """)
+
+        let success = await harness.waitForAsync(timeout: 1.0) { !rejectedWith.isEmpty }
+        #expect(success, "Promise should reject immediately")
+        #expect(rejectedWith == "too late")
+        #expect(!FileManager.default.fileExists(atPath: "/tmp/hs-task-abort-test"))
+    }
+
     // MARK: - Memory Leak Tests
 
     @Test("Running HSTask is released after shutdown")
@@ -295,6 +295,238 @@ struct HSTimerIntegrationTests {
         harness.eval("if (doUntilTimer && doUntilTimer.running()) doUntilTimer.stop()")
     }
 
+    // MARK: - Promise-Based Timing
+
+    @Test("sleep() resolves after the delay, and can be cancelled by its handle or a signal")
+    func testSleep() {
+        let harness = JSTestHarness()
+        harness.loadModule(HSTimerModule.self, as: "timer")
+
+        harness.eval("""
+        var results = [];
+        hs.timer.sleep(0.05).then(() => results.push('slept'));
+        var long = hs.timer.sleep(10);
+        long.catch(e => results.push('cancelled:' + e.name));
+        long.cancel();
+        var controller = new AbortController();
+        hs.timer.sleep(10, { signal: controller.signal }).catch(e => results.push('aborted:' + e));
+        controller.abort('stop');
+        """)
+
+        let success = harness.waitFor(timeout: 0.5) { harness.evalInt("results.length") == 3 }
+        #expect(success, "Every sleep should have settled")
+        #expect(harness.evalString("results.join(',')") == "cancelled:AbortError,aborted:stop,slept")
+    }
+
+    @Test("waitFor() resolves with the predicate's value, and rejects on timeout or error")
+    func testWaitFor() {
+        let harness = JSTestHarness()
+        harness.loadModule(HSTimerModule.self, as: "timer")
+
+        harness.eval("""
+        var results = {};
+        var calls = 0;
+        hs.timer.waitFor(() => ++calls >= 3 && 'ready', { interval: 0.02 }).then(v => results.value = v);
+        hs.timer.waitFor(() => false, { interval: 0.02, timeout: 0.05 }).catch(e => results.timeout = e.name);
+        hs.timer.waitFor(() => { throw new Error('broken'); }).catch(e => results.error = e.message);
+        hs.timer.waitFor(async () => 'async').then(v => results.async = v);
+        """)
+
+        let success = harness.waitFor(timeout: 0.5) { harness.evalInt("Object.keys(results).length") == 4 }
+        #expect(success, "Every waitFor() should have settled")
+        #expect(harness.evalString("results.value") == "ready")
+        #expect(harness.evalInt("calls") == 3, "The predicate isn't called again once it's true")
+        #expect(harness.evalString("results.timeout") == "TimeoutError")
+        #expect(harness.evalString("results.error") == "broken")
+        #expect(harness.evalString("results.async") == "async")
+
+        harness.eval("hs.timer.waitFor('not a function')")
+        harness.expectException()
+    }
+
+    @Test("interval() yields numbered ticks until break, stop() or an abort")
+    func testInterval() {
+        let harness = JSTestHarness()
+        harness.loadModule(HSTimerModule.self, as: "timer")
+
+        harness.eval("""
+        var ticks = [], aborted = null, stopped = false;
+        (async () => {
+            for await (const tick of hs.timer.interval(0.02)) {
+                ticks.push(tick);
+                if (tick === 3) break;
+            }
+        })();
+
+        var controller = new AbortController();
+        (async () => {
+            try {
+                for await (const tick of hs.timer.interval(0.02, { signal: controller.signal })) {
+                    if (tick === 2) controller.abort();
+                }
+            } catch (e) {
+                aborted = e.name;
+            }
+        })();
+
+        var iterator = hs.timer.interval(0.02);
+        (async () => {
+            for await (const tick of iterator) {
+                iterator.stop();
+            }
+            stopped = true;
+        })();
+        """)
+
+        let success = harness.waitFor(timeout: 0.5) {
+            harness.evalInt("ticks.length") == 3 && harness.evalBool("aborted !== null && stopped") == true
+        }
+        #expect(success, "Every loop should have ended")
+        #expect(harness.evalString("ticks.join(',')") == "1,2,3")
+        #expect(harness.evalString("aborted") == "AbortError")
+    }
+
+    // MARK: - Rate Limiting
+
+    @Test("debounce() calls the function once, with the last arguments, after calls stop")
+    func testDebounce() {
+        let harness = JSTestHarness()
+        harness.loadModule(HSTimerModule.self, as: "timer")
+
+        harness.eval("""
+        var calls = [];
+        var debounced = hs.timer.debounce((x) => calls.push(x), 0.05);
+        debounced(1);
+        debounced(2);
+        debounced(3);
+        """)
+        harness.expectTrue("debounced.pending() && calls.length === 0")
+
+        let success = harness.waitFor(timeout: 0.5) { harness.evalInt("calls.length") == 1 }
+        #expect(success, "The debounced function should have been called")
+        #expect(harness.evalString("calls.join(',')") == "3")
+        harness.expectFalse("debounced.pending()")
+
+        harness.eval("debounced(4); debounced.cancel(); debounced(5); debounced.flush()")
+        #expect(harness.evalString("calls.join(',')") == "3,5", "cancel() drops a pending call, and flush() makes it now")
+    }
+
+    @Test("throttle() calls the function at most once per interval, on the leading and trailing edges")
+    func testThrottle() {
+        let harness = JSTestHarness()
+        harness.loadModule(HSTimerModule.self, as: "timer")
+
+        harness.eval("""
+        var calls = [], trailingOnly = [], leadingOnly = [];
+        var throttled = hs.timer.throttle((x) => calls.push(x), 0.05);
+        var noLeading = hs.timer.throttle((x) => trailingOnly.push(x), 0.05, { leading: false });
+        var noTrailing = hs.timer.throttle((x) => leadingOnly.push(x), 0.05, { trailing: false });
+        for (const x of [1, 2, 3]) {
+            throttled(x);
+            noLeading(x);
+            noTrailing(x);
+        }
+        """)
+        #expect(harness.evalString("calls.join(',')") == "1")
+        #expect(harness.evalString("trailingOnly.join(',')") == "")
+        #expect(harness.evalString("leadingOnly.join(',')") == "1")
+
+        let success = harness.waitFor(timeout: 0.5) {
+            harness.evalInt("calls.length") == 2 && harness.evalInt("trailingOnly.length") == 1
+        }
+        #expect(success, "The trailing calls should have been made")
+        #expect(harness.evalString("calls.join(',')") == "1,3")
+        #expect(harness.evalString("trailingOnly.join(',')") == "3")
+        #expect(harness.evalString("leadingOnly.join(',')") == "1")
+
+        harness.eval("hs.timer.throttle(() => {}, 0)")
+        harness.expectException()
+    }
+
+    // MARK: - Web-Standard Timer Globals
+
+    @Test("setTimeout fires once with extra arguments and returns a numeric handle")
+    func testSetTimeout() {
+        let harness = JSTestHarness()
+        harness.loadModule(HSTimerModule.self, as: "timer")
+
+        harness.eval("""
+            var received = [];
+            var handle = setTimeout((a, b) => received.push(a + b), 20, 'x', 'y');
+        """)
+        #expect(harness.evalTypeOf("handle") == "number")
+
+        let success = harness.waitFor(timeout: 0.5) { harness.evalInt("received.length") == 1 }
+        #expect(success, "setTimeout callback should have fired")
+        #expect(harness.evalString("received[0]") == "xy")
+
+        RunLoop.current.run(until: Date(timeIntervalSinceNow: 0.1))
+        #expect(harness.evalInt("received.length") == 1, "setTimeout should only fire once")
+    }
+
+    @Test("clearTimeout cancels a pending timeout")
+    func testClearTimeout() {
+        let harness = JSTestHarness()
+        harness.loadModule(HSTimerModule.self, as: "timer")
+
+        harness.eval("""
+            var fired = false;
+            clearTimeout(setTimeout(() => fired = true, 20));
+        """)
+        RunLoop.current.run(until: Date(timeIntervalSinceNow: 0.1))
+        #expect(harness.evalBool("fired") == false)
+    }
+
+    @Test("setInterval repeats until clearInterval, even if the callback throws")
+    func testSetInterval() {
+        let harness = JSTestHarness()
+        harness.loadModule(HSTimerModule.self, as: "timer")
+
+        harness.eval("""
+            var ticks = 0;
+            var interval = setInterval(() => {
+                ticks++;
+                if (ticks >= 3) clearInterval(interval);
+                throw new Error('keep going');
+            }, 10);
+        """)
+        let success = harness.waitFor(timeout: 0.5) { (harness.evalInt("ticks") ?? 0) >= 3 }
+        #expect(success, "setInterval should keep firing")
+
+        RunLoop.current.run(until: Date(timeIntervalSinceNow: 0.1))
+        #expect(harness.evalInt("ticks") == 3, "clearInterval should stop the interval")
+    }
+
+    @Test("setImmediate and queueMicrotask run their callbacks")
+    func testSetImmediateAndQueueMicrotask() {
+        let harness = JSTestHarness()
+        harness.loadModule(HSTimerModule.self, as: "timer")
+
+        harness.eval("""
+            var order = [];
+            setImmediate((v) => order.push(v), 'immediate');
+            queueMicrotask(() => order.push('microtask'));
+        """)
+        let success = harness.waitFor(timeout: 0.5) { harness.evalInt("order.length") == 2 }
+        #expect(success)
+        #expect(harness.evalString("order.join(',')") == "microtask,immediate")
+    }
+
+    @Test("Outstanding timer globals are cancelled when the timer module shuts down")
+    func testTimerGlobalsCancelledOnShutdown() {
+        let harness = JSTestHarness()
+        harness.loadModule(HSTimerModule.self, as: "timer")
+
+        harness.eval("""
+            var fired = false;
+            setTimeout(() => fired = true, 50);
+            setInterval(() => fired = true, 50);
+        """)
+        harness.shutdownForLeakTest()
+        RunLoop.current.run(until: Date(timeIntervalSinceNow: 0.15))
+        #expect(harness.evalBool("fired") == false)
+    }
+
     // MARK: - Real-World Use Cases
 
     @Test("Polling pattern with waitUntil works")
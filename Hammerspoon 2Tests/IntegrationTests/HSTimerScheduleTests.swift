@@ -0,0 +1,190 @@
+//
+//  HSTimerScheduleTests.swift
+//  Hammerspoon 2Tests
+//
+
+import Testing
+import Foundation
+import JavaScriptCore
+@testable import Hammerspoon_2
+
+/// Tests for hs.timer.schedule() and the cron expressions behind it
+///
+/// Next run times are worked out in fixed time zones, from fixed starting dates, so they don't depend on when or where
+/// the tests run.
+@MainActor
+@Suite("hs.timer.schedule tests")
+struct HSTimerScheduleTests {
+
+    private func date(_ iso: String) -> Date {
+        ISO8601DateFormatter().date(from: iso)!
+    }
+
+    private func calendar(_ identifier: String) -> Calendar {
+        var calendar = Calendar(identifier: .gregorian)
+        calendar.timeZone = TimeZone(identifier: identifier)!
+        return calendar
+    }
+
+    /// The next few runs of an expression, as ISO 8601 strings in UTC
+    private func runs(_ expression: String, after start: String, in zone: String = "UTC", count: Int = 3) throws -> [String] {
+        let cron = try HSCronExpression(expression)
+        let calendar = calendar(zone)
+        var result: [String] = []
+        var after = date(start)
+        while result.count < count, let next = cron.nextDate(after: after, in: calendar) {
+            result.append(ISO8601DateFormatter().string(from: next))
+            after = next
+        }
+        return result
+    }
+
+    private func makeHarness() -> JSTestHarness {
+        let harness = JSTestHarness()
+        harness.loadModule(HSTimerModule.self, as: "timer")
+        return harness
+    }
+
+    // MARK: - Parsing
+
+    @Test("fields accept lists, ranges, steps, names and macros")
+    func testParsing() throws {
+        let cron = try HSCronExpression("*/20 8-10,17 1,15 jan-mar SUN,7")
+        #expect(cron.minutes == [0, 20, 40])
+        #expect(cron.hours == [8, 9, 10, 17])
+        #expect(cron.daysOfMonth == [1, 15])
+        #expect(cron.months == [1, 2, 3])
+        #expect(cron.weekdays == [0], "Sunday is both 0 and 7")
+
+        #expect(try HSCronExpression("5/15 * * * *").minutes == [5, 20, 35, 50])
+        #expect(try HSCronExpression("@daily").expression == "0 0 * * *")
+        #expect(try HSCronExpression(" @Weekly ").expression == "0 0 * * 0")
+
+        let special = try HSCronExpression("0 0 L * mon#1,friL")
+        #expect(special.lastDayOfMonth)
+        #expect(special.nthWeekdays == [.init(weekday: 1, nth: 1), .init(weekday: 5, nth: -1)])
+    }
+
+    @Test("invalid expressions are rejected with a reason")
+    func testInvalidExpressions() {
+        func reason(_ expression: String) -> String? {
+            do {
+                _ = try HSCronExpression(expression)
+                return nil
+            } catch {
+                return error.localizedDescription
+            }
+        }
+
+        #expect(reason("* * * *")?.contains("expected 5 fields") == true)
+        #expect(reason("60 * * * *")?.contains("'60' is not a valid minute, expected 0-59") == true)
+        #expect(reason("* * 0 * *")?.contains("is not a valid day") == true)
+        #expect(reason("* 10-8 * * *")?.contains("the hour range '10-8' is backwards") == true)
+        #expect(reason("*/0 * * * *")?.contains("must be a positive number") == true)
+        #expect(reason("* * * foo *")?.contains("'foo' is not a valid month") == true)
+        #expect(reason("* * * * mon#6")?.contains("#1 to #5") == true)
+        #expect(reason("@fortnightly")?.contains("expected 5 fields") == true)
+    }
+
+    // MARK: - Next runs
+
+    @Test("next runs skip days and times that don't match")
+    func testNextRuns() throws {
+        #expect(try runs("0 9 * * mon-fri", after: "2025-01-03T10:00:00Z") == [
+            "2025-01-06T09:00:00Z", "2025-01-07T09:00:00Z", "2025-01-08T09:00:00Z",
+        ])
+        #expect(try runs("*/30 23 * * *", after: "2025-01-01T23:15:00Z") == [
+            "2025-01-01T23:30:00Z", "2025-01-02T23:00:00Z", "2025-01-02T23:30:00Z",
+        ])
+        #expect(try runs("0 0 1 1 *", after: "2025-01-01T00:00:00Z", count: 1) == ["2026-01-01T00:00:00Z"], "A run exactly at the start isn't included")
+    }
+
+    @Test("a day matching either the day of month or the day of week runs, when both are restricted")
+    func testDayOfMonthOrWeekday() throws {
+        #expect(try runs("0 0 13 * fri", after: "2025-01-01T00:00:00Z") == [
+            "2025-01-03T00:00:00Z", "2025-01-10T00:00:00Z", "2025-01-13T00:00:00Z",
+        ])
+        #expect(try runs("0 0 */10 * *", after: "2025-01-01T00:00:00Z") == [
+            "2025-01-11T00:00:00Z", "2025-01-21T00:00:00Z", "2025-01-31T00:00:00Z",
+        ], "A day of month starting with * doesn't count as restricted")
+    }
+
+    @Test("L, #n and nL pick the last day, and the nth and last weekdays, of the month")
+    func testLastAndNthDays() throws {
+        #expect(try runs("0 0 L 2 *", after: "2024-01-01T00:00:00Z", count: 2) == ["2024-02-29T00:00:00Z", "2025-02-28T00:00:00Z"])
+        #expect(try runs("0 0 * * fri#2", after: "2025-01-01T00:00:00Z", count: 2) == ["2025-01-10T00:00:00Z", "2025-02-14T00:00:00Z"])
+        #expect(try runs("0 0 * * 5L", after: "2025-01-01T00:00:00Z", count: 2) == ["2025-01-31T00:00:00Z", "2025-02-28T00:00:00Z"])
+        #expect(try runs("0 0 30 2 *", after: "2025-01-01T00:00:00Z").isEmpty, "A date that never happens has no runs")
+    }
+
+    @Test("runs follow the wall clock in the schedule's time zone across DST changes")
+    func testDaylightSaving() throws {
+        // New York's clocks went forward from 2am to 3am on 9 March 2025, and back from 2am to 1am on 2 November 2025
+        #expect(try runs("0 9 * * *", after: "2025-03-08T00:00:00Z", in: "America/New_York", count: 2) == [
+            "2025-03-08T14:00:00Z", "2025-03-09T13:00:00Z",
+        ])
+        #expect(try runs("30 2 * * *", after: "2025-03-08T12:00:00Z", in: "America/New_York") == [
+            "2025-03-09T07:00:00Z", "2025-03-10T06:30:00Z", "2025-03-11T06:30:00Z",
+        ], "A skipped time runs when the clocks go forward")
+        #expect(try runs("30 1 * * *", after: "2025-11-01T12:00:00Z", in: "America/New_York") == [
+            "2025-11-02T05:30:00Z", "2025-11-03T06:30:00Z", "2025-11-04T06:30:00Z",
+        ], "A repeated time only runs the first time")
+        #expect(try runs("30 1 * * *", after: "2025-11-02T06:10:00Z", in: "America/New_York", count: 1) == ["2025-11-03T06:30:00Z"])
+    }
+
+    // MARK: - hs.timer.schedule()
+
+    @Test("schedule() accepts cron expressions and objects, and returns a running schedule")
+    func testSchedule() {
+        let harness = makeHarness()
+        harness.eval("""
+            var weekday = hs.timer.schedule({ weekdays: ['mon', 'fri'], hour: [9, 17] }, () => {});
+            var monthly = hs.timer.schedule('@monthly', () => {}, { timeZone: 'Asia/Tokyo', catchUp: 'skip' });
+        """)
+        #expect(!harness.hasException)
+        #expect(harness.evalString("weekday.typeName") == "HSSchedule")
+        #expect(harness.evalString("weekday.expression") == "0 9,17 * * mon,fri")
+        #expect(harness.evalBool("weekday.timeZone == null") == true)
+        #expect(harness.evalString("weekday.catchUp") == "once")
+        #expect(harness.evalString("monthly.timeZone") == "Asia/Tokyo")
+        #expect(harness.evalString("monthly.catchUp") == "skip")
+        harness.expectTrue("weekday.running() && weekday.lastRun == null")
+
+        harness.eval("var next = monthly.nextRuns(3)")
+        #expect(harness.evalInt("next.length") == 3)
+        harness.expectTrue("next.every(d => d instanceof Date) && next[0] > Date.now() && next[0] < next[1] && next[1] < next[2]")
+        harness.expectTrue("next.every(d => new Date(d.getTime() + 9 * 3600000).getUTCDate() === 1)")
+
+        harness.eval("weekday.stop()")
+        harness.expectFalse("weekday.running()")
+        harness.eval("weekday.start()")
+        harness.expectTrue("weekday.running()")
+    }
+
+    @Test("schedule() throws for invalid specs and options")
+    func testScheduleErrors() {
+        let harness = makeHarness()
+        func errorMessage(_ script: String) -> String? {
+            harness.evalString("(() => { try { \(script); return null; } catch (e) { return e.message; } })()")
+        }
+
+        #expect(errorMessage("hs.timer.schedule('61 * * * *', () => {})")?.contains("'61' is not a valid minute") == true)
+        #expect(errorMessage("hs.timer.schedule({ hours: 9 }, () => {})")?.contains("unknown field 'hours'") == true)
+        #expect(errorMessage("hs.timer.schedule({ hour: true }, () => {})") != nil)
+        #expect(errorMessage("hs.timer.schedule(42, () => {})")?.contains("expected a cron expression") == true)
+        #expect(errorMessage("hs.timer.schedule('@daily', () => {}, { timeZone: 'Mars/Olympus' })")?.contains("not a known time zone") == true)
+        #expect(errorMessage("hs.timer.schedule('@daily', () => {}, { catchUp: 'all' })")?.contains("catchUp must be") == true)
+        #expect(errorMessage("hs.timer.schedule('@daily', 'not a function')")?.contains("The callback must be a function") == true)
+    }
+
+    @Test("schedules are stopped when the timer module shuts down")
+    func testShutdown() {
+        let harness = makeHarness()
+        harness.eval("var s = hs.timer.schedule('* * * * *', () => {})")
+        let schedule = harness.evalValue("s")?.toObjectOf(HSSchedule.self) as? HSSchedule
+        #expect(schedule?.running() == true)
+
+        harness.shutdownForLeakTest()
+        #expect(schedule?.running() == false)
+    }
+}
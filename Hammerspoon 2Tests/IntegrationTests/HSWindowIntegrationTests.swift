@@ -0,0 +1,1013 @@
+//
+//  HSWindowIntegrationTests.swift
+//  Hammerspoon 2Tests
+//
+
+import Testing
+import Foundation
+import JavaScriptCore
+@testable import Hammerspoon_2
+
+/// Integration tests for hs.window's screen-aware tiling, directions, layouts, filters, window switcher, hints, tiler and snapshots
+///
+/// Real windows need accessibility permissions, so these tests move stand-in windows: plain objects with a `frame`,
+/// a `screen` and a `title`, which is all the tiling functions use. Layouts are given stand-in apps and screens in
+/// the same way, and filters are given stand-in apps to watch.
+@MainActor
+@Suite("hs.window tiling tests")
+struct HSWindowIntegrationTests {
+
+    private func makeHarness() -> JSTestHarness {
+        let harness = JSTestHarness()
+        harness.loadModule(HSWindowModule.self, as: "window")
+        harness.eval("""
+            function fakeWindow(x, y, w, h) {
+                return { frame: null, screen: { frame: new HSRect(x, y, w, h) } };
+            }
+            function titledWindow(title) {
+                return Object.assign(fakeWindow(0, 0, 1000, 1000), { title: title });
+            }
+            function frameOf(rect) {
+                return rect ? [rect.x, rect.y, rect.w, rect.h].join(',') : 'none';
+            }
+            // A stand-in for an HSScope, which disposes of what was added to it newest first
+            function fakeScope() {
+                var entries = [];
+                return {
+                    entries: entries,
+                    add(resource) { entries.push(resource); return resource; },
+                    remove(resource) { var i = entries.lastIndexOf(resource); if (i >= 0) { entries.splice(i, 1); } return i >= 0; },
+                    dispose() { entries.splice(0).reverse().forEach(resource => resource()); }
+                };
+            }
+        """)
+        return harness
+    }
+
+    /// A harness with stand-in apps, and stand-ins for the hs.application, hs.ax and hs.timer functions filters use.
+    /// Timers only fire when `runTimers()` is called, and `notify(app, notification)` calls the app's AX listeners.
+    /// Focusing a stand-in window records its title in `focused`, and notifies its app as a real focus change would.
+    private func makeFilterHarness() -> JSTestHarness {
+        let harness = makeHarness()
+        harness.eval("""
+            var appListeners = [], axWatchers = [], timers = [], events = [], focused = [];
+            function appWindow(id, title, app, extra) {
+                var win = Object.assign({ id: id, title: title, application: app, frame: new HSRect(0, 0, 800, 600), screen: { uuid: 'main' },
+                                          isMinimized: false, isVisible: true, isFullscreen: false, isStandard: true,
+                                          focus: () => { focused.push(title); frontmost = app; app.focusedWindow = win; notify(app, 'AXFocusedWindowChanged'); return true; } }, extra);
+                app.allWindows.push(win);
+                return win;
+            }
+            var safari = { pid: 1, bundleID: 'com.apple.Safari', title: 'Safari', kind: 'standard', allWindows: [], focusedWindow: null };
+            var mail = { pid: 2, bundleID: 'com.apple.mail', title: 'Mail', kind: 'standard', allWindows: [], focusedWindow: null };
+            var daemon = { pid: 3, bundleID: 'com.example.daemon', title: 'Daemon', kind: 'background', allWindows: [], focusedWindow: null };
+            var frontmost = safari;
+            hs.application = {
+                runningApplications: () => [safari, mail, daemon],
+                frontmost: () => frontmost,
+                addWatcher: (listener) => appListeners.push(listener),
+                removeWatcher: (listener) => appListeners.splice(appListeners.indexOf(listener), 1)
+            };
+            hs.ax = {
+                addWatcher: (app, notification, listener) => axWatchers.push({ app: app, notification: notification, listener: listener }),
+                removeWatcher: (app, notification, listener) => { axWatchers = axWatchers.filter(w => w.app !== app || w.notification !== notification || w.listener !== listener); }
+            };
+            hs.timer = { doAfter: (seconds, fn) => { timers.push(fn); return { stop: () => { timers.splice(timers.indexOf(fn), 1); } }; } };
+            function notify(app, notification) {
+                axWatchers.filter(w => w.app === app && w.notification === notification).forEach(w => w.listener());
+            }
+            function runTimers() {
+                timers.splice(0).forEach(fn => fn());
+            }
+            function record(filter) {
+                ['windowCreated', 'windowDestroyed', 'windowAllowed', 'windowRejected', 'windowFocused', 'windowUnfocused', 'windowMoved',
+                 'windowResized', 'windowMinimized', 'windowUnminimized', 'windowTitleChanged'].forEach(event => {
+                    filter.on(event, (win) => events.push(event + ':' + win.title));
+                });
+                return filter;
+            }
+            function takeEvents() {
+                return events.splice(0).join(',');
+            }
+        """)
+        return harness
+    }
+
+    private func errorMessage(_ harness: JSTestHarness, _ script: String) -> String? {
+        harness.evalString("(() => { try { \(script); return null; } catch (e) { return e.name + ': ' + e.message; } })()")
+    }
+
+    @Test("halves, maximize and presets fill the window's own screen, including screens left of and below the main one")
+    func testScreenFrames() {
+        let harness = makeHarness()
+        harness.eval("""
+            var left = fakeWindow(-1440, 25, 1440, 875);
+            var below = fakeWindow(0, 1080, 1920, 1055);
+            hs.window.moveToLeftHalf(left);
+            hs.window.moveToRightHalf(below);
+        """)
+        #expect(harness.evalString("frameOf(left.frame)") == "-1440,25,720,875")
+        #expect(harness.evalString("frameOf(below.frame)") == "960,1080,960,1055")
+
+        harness.eval("hs.window.maximize(left)")
+        #expect(harness.evalString("frameOf(left.frame)") == "-1440,25,1440,875")
+
+        harness.eval("hs.window.tiling.bottomRight(below)")
+        #expect(harness.evalString("frameOf(below.frame)") == "960,1608,960,527")
+    }
+
+    @Test("unit rects can be objects or arrays, and thirds share out the rounding")
+    func testUnitRects() {
+        let harness = makeHarness()
+        harness.eval("var screen = { frame: new HSRect(100, 0, 1000, 600) }")
+        #expect(harness.evalString("frameOf(hs.window.frameForUnit({ x: 0.25, y: 0.5, w: 0.5, h: 0.5 }, screen))") == "350,300,500,300")
+        #expect(harness.evalString("frameOf(hs.window.frameForUnit([0.25, 0.5, 0.5, 0.5], screen))") == "350,300,500,300")
+
+        harness.eval("""
+            var win = fakeWindow(100, 0, 1000, 600);
+            var thirds = ['leftThird', 'centerThird', 'rightThird'].map(name => {
+                hs.window.tiling[name](win);
+                return frameOf(win.frame);
+            });
+        """)
+        #expect(harness.evalString("thirds.join(' ')") == "100,0,333,600 433,0,334,600 767,0,333,600")
+    }
+
+    @Test("margins inset the screen, and gaps are split between neighbouring windows")
+    func testMarginsAndGaps() {
+        let harness = makeHarness()
+        harness.eval("""
+            hs.window.margin = 10;
+            hs.window.gap = 8;
+            var win = fakeWindow(0, 0, 1000, 800);
+            hs.window.moveToLeftHalf(win);
+            var leftHalf = frameOf(win.frame);
+            hs.window.moveToRightHalf(win);
+            var rightHalf = frameOf(win.frame);
+            hs.window.maximize(win);
+            var maximized = frameOf(win.frame);
+        """)
+        #expect(harness.evalString("leftHalf") == "10,10,486,780")
+        #expect(harness.evalString("rightHalf") == "504,10,486,780")
+        #expect(harness.evalString("maximized") == "10,10,980,780", "A window that touches no other tiles has no gap")
+
+        harness.eval("hs.window.moveToLeftHalf(win, { margin: 0, gap: 0 })")
+        #expect(harness.evalString("frameOf(win.frame)") == "0,0,500,800", "Options override the module's settings")
+    }
+
+    @Test("setGrid() places cells, with spans, on the window's screen")
+    func testGrid() {
+        let harness = makeHarness()
+        harness.eval("""
+            var win = fakeWindow(0, 1080, 1920, 1080);
+            var moved = hs.window.grid.setGrid(win, { rows: 2, cols: 3 }, { row: 1, col: 1, colSpan: 2 });
+        """)
+        harness.expectTrue("moved")
+        #expect(harness.evalString("frameOf(win.frame)") == "640,1620,1280,540")
+
+        #expect(errorMessage(harness, "hs.window.grid.setGrid(win, { rows: 2, cols: 3 }, { row: 0, col: 2, colSpan: 2 })")?.hasPrefix("RangeError:") == true)
+        #expect(errorMessage(harness, "hs.window.grid.setGrid(win, { rows: 0, cols: 3 }, { row: 0, col: 0 })")?.contains("whole numbers of rows and cols") == true)
+        #expect(errorMessage(harness, "hs.window.grid.setGrid(win, { rows: 2, cols: 3 }, { row: 0.5, col: 0 })")?.contains("whole row and col") == true)
+    }
+
+    @Test("grids can be configured for every screen and for named screens, attached or not")
+    func testGridConfiguration() {
+        let harness = makeHarness()
+        harness.eval("""
+            var laptop = { uuid: 'L', name: 'Built-in Retina Display', position: { x: 0, y: 0 }, frame: new HSRect(0, 0, 1200, 900) };
+            var dell = { uuid: 'D', name: 'DELL U2720Q', position: { x: 1200, y: 0 }, frame: new HSRect(1200, 0, 2400, 1200) };
+            hs.screen = { all: () => [laptop, dell] };
+            var before = hs.window.grid.getGrid(laptop);
+            hs.window.grid.configure({ rows: 2, cols: 4, gap: 10 });
+            hs.window.grid.configure({ cols: 6, margin: 20 }, 'dell');
+            hs.window.grid.configure({ rows: 1 }, 'LG UltraFine');
+            function describe(grid) {
+                return [grid.rows, grid.cols, grid.margin, grid.gap].join();
+            }
+        """)
+        #expect(harness.evalString("describe(before)") == "3,3,,")
+        #expect(harness.evalString("describe(hs.window.grid.getGrid(laptop))") == "2,4,,10")
+        #expect(harness.evalString("describe(hs.window.grid.getGrid(dell))") == "2,6,20,10", "Settings left out come from the default grid")
+
+        harness.eval("var win = { frame: null, screen: dell }; var moved = hs.window.grid.setGrid(win, null, { row: 1, col: 5 })")
+        harness.expectTrue("moved")
+        #expect(harness.evalString("frameOf(win.frame)") == "3192,605,388,575", "A null grid is the grid of the window's screen")
+
+        #expect(errorMessage(harness, "hs.window.grid.configure({ rows: 0 })")?.contains("whole numbers of rows and cols") == true)
+        #expect(errorMessage(harness, "hs.window.grid.configure({ row: 2 })")?.contains("Unknown grid setting 'row'") == true)
+        #expect(errorMessage(harness, "hs.window.grid.configure({ gap: -1 })")?.hasPrefix("RangeError:") == true)
+    }
+
+    @Test("windows can be pushed and resized by whole cells, and stay on the grid")
+    func testGridOperations() {
+        let harness = makeHarness()
+        harness.eval("""
+            hs.window.grid.configure({ rows: 2, cols: 4, gap: 10 });
+            var win = fakeWindow(0, 0, 1200, 900);
+            win.frame = new HSRect(0, 0, 400, 300);
+            function step(operation) {
+                hs.window.grid[operation](win);
+                var cell = hs.window.grid.get(win);
+                return [cell.row, cell.col, cell.rowSpan, cell.colSpan].join();
+            }
+        """)
+        #expect(harness.evalString("step('snap')") == "0,0,1,1")
+        #expect(harness.evalString("frameOf(win.frame)") == "0,0,295,445")
+        #expect(harness.evalString("step('pushWindowRight')") == "0,1,1,1")
+        #expect(harness.evalString("step('resizeWindowTaller')") == "0,1,2,1")
+        #expect(harness.evalString("step('resizeWindowTaller')") == "0,1,2,1", "The window is already as tall as the grid")
+        #expect(harness.evalString("step('pushWindowDown')") == "0,1,2,1")
+        #expect(harness.evalString("step('resizeWindowShorter')") == "0,1,1,1")
+        #expect(harness.evalString("step('pushWindowDown')") == "1,1,1,1")
+
+        harness.eval("win.frame = new HSRect(900, 0, 300, 450)")
+        #expect(harness.evalString("step('resizeWindowWider')") == "0,2,1,2", "A window at the right edge grows to the left")
+        #expect(harness.evalString("frameOf(win.frame)") == "605,0,595,445")
+        #expect(harness.evalString("step('resizeWindowThinner')") == "0,2,1,1")
+        #expect(harness.evalString("step('pushWindowLeft')") == "0,1,1,1")
+        #expect(harness.evalString("step('pushWindowUp')") == "0,1,1,1")
+    }
+
+    @Test("the grid overlay moves the window to the area between the two cells picked")
+    func testGridOverlay() {
+        let harness = makeHarness()
+        harness.eval("""
+            var calls = [], keys = {}, modal = [];
+            var builder = new Proxy({}, { get: (target, name) => (...args) => { calls.push(name); return builder; } });
+            hs.ui = { window: (frame) => { calls.push('window ' + frameOf(frame)); return builder; } };
+            hs.hotkey = { createModal: () => ({
+                bind(mods, key, pressed) { keys[key] = pressed; return this; },
+                enter() { modal.push('enter'); }, exit() { modal.push('exit'); }, destroy() { modal.push('destroy'); }
+            }) };
+            hs.screen = { primary: () => ({ fullFrame: new HSRect(0, 0, 1200, 900) }) };
+            hs.window.grid.configure({ rows: 2, cols: 4, gap: 10 });
+            var win = fakeWindow(0, 25, 1200, 875);
+            var shown = hs.window.grid.show(win);
+        """)
+        #expect(!harness.hasException)
+        harness.expectTrue("shown")
+        #expect(harness.evalString("calls[0]") == "window 0,0,1200,875", "hs.ui windows are placed from the bottom of the primary screen")
+        #expect(harness.evalString("Object.keys(keys).join(' ')") == "1 2 3 4 5 6 7 8 escape")
+
+        harness.eval("keys['7'](); keys['2']()")
+        #expect(harness.evalString("frameOf(win.frame)") == "305,25,590,875")
+        #expect(harness.evalString("modal.join()") == "enter,exit,destroy")
+        harness.expectTrue("calls.includes('close')")
+
+        harness.eval("hs.window.grid.show(win); keys['escape']()")
+        #expect(harness.evalString("frameOf(win.frame)") == "305,25,590,875", "Escape doesn't move the window")
+        #expect(harness.evalString("modal.join()") == "enter,exit,destroy,enter,exit,destroy")
+
+        harness.eval("hs.window.grid.configure({ rows: 7, cols: 6 })")
+        #expect(errorMessage(harness, "hs.window.grid.show(win)")?.hasPrefix("RangeError: hs.window.grid.show(): The 7 by 6 grid has more cells") == true)
+    }
+
+    @Test("moveToUnit() can move a window to another screen, and does nothing for a window without one")
+    func testMoveToUnit() {
+        let harness = makeHarness()
+        harness.eval("""
+            var win = fakeWindow(0, 0, 1920, 1080);
+            var other = { frame: new HSRect(1920, -200, 2560, 1415) };
+            var moved = hs.window.moveToUnit(win, { x: 0, y: 0, w: 0.5, h: 1 }, { screen: other });
+            var offscreen = { frame: null, screen: null };
+            var notMoved = hs.window.moveToUnit(offscreen, [0, 0, 1, 1]);
+        """)
+        harness.expectTrue("moved")
+        #expect(harness.evalString("frameOf(win.frame)") == "1920,-200,1280,1415")
+        harness.expectFalse("notMoved")
+        #expect(harness.evalString("frameOf(offscreen.frame)") == "none")
+    }
+
+    @Test("invalid unit rects, screens, margins and gaps are rejected")
+    func testValidation() {
+        let harness = makeHarness()
+        harness.eval("var screen = { frame: new HSRect(0, 0, 1000, 1000) }")
+        #expect(errorMessage(harness, "hs.window.frameForUnit({ x: 0, y: 0, w: 0.5 }, screen)")?.hasPrefix("TypeError: hs.window.frameForUnit(): The unit rect must have numeric x, y, w and h") == true)
+        #expect(errorMessage(harness, "hs.window.frameForUnit([0.75, 0, 0.5, 1], screen)")?.hasPrefix("RangeError:") == true)
+        #expect(errorMessage(harness, "hs.window.frameForUnit([0, 0, 0, 1], screen)")?.hasPrefix("RangeError:") == true)
+        #expect(errorMessage(harness, "hs.window.frameForUnit([0, 0, 1, 1])")?.contains("A screen is required") == true)
+        #expect(errorMessage(harness, "hs.window.frameForUnit([0, 0, 1, 1], screen, { gap: -1 })")?.contains("The gap must be a non-negative number") == true)
+        #expect(errorMessage(harness, "hs.window.frameForUnit([0.7, 0, 0.1, 1], screen)") == nil, "0.7 + 0.1 + floating point error still fits")
+        #expect(errorMessage(harness, "hs.window.frameForUnit([2 / 3, 0, 1 / 3, 1], screen)") == nil)
+    }
+
+    // MARK: - Directions
+
+    @Test("moving a window between screens keeps its place relative to the screens' edges")
+    func testMoveToScreenGeometry() {
+        let laptop = CGRect(x: 0, y: 25, width: 1440, height: 875)
+        let external = CGRect(x: 1440, y: 0, width: 2560, height: 1415)
+
+        let leftHalf = CGRect(x: 0, y: 25, width: 720, height: 875)
+        #expect(HSWindow.frame(moving: leftHalf, from: laptop, to: external, keepRelative: true, resize: true) == CGRect(x: 1440, y: 0, width: 1280, height: 1415))
+
+        let againstRight = CGRect(x: 1040, y: 125, width: 400, height: 300)
+        #expect(HSWindow.frame(moving: againstRight, from: laptop, to: external, keepRelative: true, resize: false) == CGRect(x: 3600, y: 194, width: 400, height: 300),
+                "A window against the right edge stays against it")
+        #expect(HSWindow.frame(moving: againstRight, from: laptop, to: external, keepRelative: false, resize: false) == CGRect(x: 2520, y: 558, width: 400, height: 300))
+
+        let big = CGRect(x: 1500, y: 100, width: 2000, height: 1200)
+        #expect(HSWindow.frame(moving: big, from: external, to: laptop, keepRelative: true, resize: false) == laptop, "A window too big for the screen is shrunk to fit")
+    }
+
+    @Test("focusing in a direction picks the nearest visible, standard window, and the frontmost of equals")
+    func testFocusInDirection() {
+        let harness = makeHarness()
+        harness.eval("""
+            var focused = [];
+            function placedWindow(id, title, x, y, w, h, extra) {
+                return Object.assign({ id: id, title: title, frame: new HSRect(x, y, w, h), screen: { uuid: 'main' }, isVisible: true, isStandard: true,
+                                       focus: () => { focused.push(title); return true; } }, extra);
+            }
+            var current = placedWindow(1, 'Current', 400, 400, 200, 200);
+            var east = placedWindow(2, 'East', 700, 400, 200, 200);
+            var eastBehind = placedWindow(3, 'East behind', 700, 400, 200, 200);
+            var northEast = placedWindow(4, 'North east', 650, 0, 200, 200);
+            var west = placedWindow(5, 'West', 0, 450, 200, 200);
+            var hidden = placedWindow(6, 'Hidden', 400, 800, 200, 200, { isVisible: false });
+            var south = placedWindow(7, 'South', 420, 750, 200, 200);
+            var external = placedWindow(8, 'External', 1100, 400, 200, 200, { screen: { uuid: 'external' } });
+            var panel = placedWindow(9, 'Panel', 100, 0, 100, 100, { isStandard: false });
+            var ordered = [current, east, eastBehind, northEast, west, hidden, south, external, panel];
+            hs.window.orderedWindows = () => ordered;
+            function titleOf(win) {
+                return win ? win.title : 'none';
+            }
+        """)
+        #expect(harness.evalString("titleOf(hs.window.focusWindowEast(current))") == "East")
+        #expect(harness.evalString("titleOf(hs.window.focusWindowWest(current))") == "West")
+        #expect(harness.evalString("titleOf(hs.window.focusWindowNorth(current))") == "North east", "The panel is not a standard window")
+        #expect(harness.evalString("titleOf(hs.window.focusWindowSouth(current))") == "South", "The hidden window is nearer, but not visible")
+        #expect(harness.evalString("focused.join()") == "East,West,North east,South")
+
+        harness.eval("ordered = [current, external, northEast]")
+        #expect(harness.evalString("titleOf(hs.window.focusWindowEast(current))") == "External")
+        #expect(harness.evalString("titleOf(hs.window.focusWindowEast(current, { sameScreen: true }))") == "North east")
+        #expect(harness.evalString("titleOf(hs.window.focusWindowEast(current, { sameScreen: true, strict: true }))") == "none", "North east is more north than east")
+        #expect(errorMessage(harness, "hs.window.focusWindowEast(current, { same: true })")?.hasPrefix("TypeError: hs.window.focusWindowEast(): Unknown option 'same'") == true)
+    }
+
+    @Test("moving one screen over uses the screen in that direction, and does nothing when there isn't one")
+    func testMoveOneScreen() {
+        let harness = makeHarness()
+        harness.eval("""
+            var moves = [];
+            var external = { uuid: 'external' };
+            var laptop = { uuid: 'laptop', toEast: () => external, toWest: () => null, toNorth: () => null, toSouth: () => null };
+            var win = { screen: laptop, moveToScreen: (screen, options) => { moves.push(screen.uuid + ' ' + JSON.stringify(options)); return true; } };
+            var east = hs.window.moveOneScreenEast(win, { resize: false });
+            var west = hs.window.moveOneScreenWest(win);
+        """)
+        harness.expectTrue("east")
+        harness.expectFalse("west")
+        #expect(harness.evalString("moves.join()") == #"external {"resize":false}"#)
+    }
+
+    // MARK: - Layouts
+
+    @Test("layout.apply() moves an app's windows whose titles match, and reports the rules that moved nothing")
+    func testLayoutApply() {
+        let harness = makeHarness()
+        harness.eval("""
+            var docs = titledWindow('Docs - Safari');
+            var news = titledWindow('News - Safari');
+            var safari = { allWindows: [docs, news] };
+            var external = { frame: new HSRect(-2560, 0, 2560, 1415) };
+            var result = hs.window.layout.apply([
+                { app: safari, title: /docs/gi, screen: external, unitRect: [0, 0, 0.5, 1] },
+                { app: safari, title: 'News', unitRect: { x: 0.5, y: 0, w: 0.5, h: 1 }, gap: 20 },
+                { app: safari, title: 'Mail', unitRect: [0, 0, 1, 1] }
+            ]);
+            var docsFrame = frameOf(docs.frame);
+            var again = hs.window.layout.apply([{ app: safari, title: /docs/gi, unitRect: [0, 0, 1, 1] }]);
+        """)
+        #expect(!harness.hasException)
+        #expect(harness.evalString("docsFrame") == "-2560,0,1280,1415")
+        #expect(harness.evalString("frameOf(news.frame)") == "510,0,490,1000")
+        #expect(harness.evalInt("result.moved.length") == 2)
+        #expect(harness.evalString("result.skipped.map(s => s.rule.title + ': ' + s.reason).join()") == "Mail: No windows matched")
+        #expect(harness.evalInt("again.moved.length") == 1, "A global RegExp matches every time it is used")
+    }
+
+    @Test("saved layouts can be applied by name, with their options, and removed")
+    func testSavedLayouts() {
+        let harness = makeHarness()
+        harness.eval("""
+            var win = titledWindow('Editor');
+            var app = { allWindows: [win] };
+            hs.window.layout.save('coding', [{ app: app, unitRect: [0, 0, 0.5, 1] }], { auto: false, margin: 10 });
+            var moved = hs.window.layout.apply('coding').moved.length;
+        """)
+        #expect(harness.evalInt("moved") == 1)
+        #expect(harness.evalString("frameOf(win.frame)") == "10,10,490,980")
+        #expect(harness.evalString("hs.window.layout.names().join()") == "coding")
+
+        harness.expectTrue("hs.window.layout.remove('coding')")
+        harness.expectFalse("hs.window.layout.remove('coding')")
+        #expect(harness.evalInt("hs.window.layout.names().length") == 0)
+        #expect(errorMessage(harness, "hs.window.layout.apply('coding')") == "Error: hs.window.layout.apply(): There is no layout named 'coding'")
+    }
+
+    @Test("the screen watcher of saved layouts is added again after the scope it was added in is disposed")
+    func testLayoutWatcherScope() {
+        let harness = makeHarness()
+        harness.eval("""
+            var screenWatchers = [];
+            var scope = fakeScope();
+            hs.currentScope = () => scope;
+            hs.screen = {
+                all: () => [],
+                // Like WatcherEmitter, each listener records its removal in the active scope, and forgets it when removed
+                addWatcher: (listener, options) => {
+                    var entry = { listener: listener, scope: hs.currentScope(), dispose: () => hs.screen.removeWatcher(listener) };
+                    screenWatchers.push(entry);
+                    entry.scope.add(entry.dispose);
+                },
+                removeWatcher: (listener) => {
+                    var entry = screenWatchers.find(e => e.listener === listener);
+                    if (entry) {
+                        screenWatchers.splice(screenWatchers.indexOf(entry), 1);
+                        entry.scope.remove(entry.dispose);
+                    }
+                }
+            };
+            var app = { allWindows: [] };
+            hs.window.layout.save('docked', [{ app: app, unitRect: [0, 0, 1, 1] }]);
+        """)
+        #expect(harness.evalInt("screenWatchers.length") == 1)
+        #expect(harness.evalInt("scope.entries.length") == 2)
+
+        harness.eval("scope.dispose(); scope = fakeScope(); hs.window.layout.save('home', [{ app: app, unitRect: [0, 0, 1, 1] }])")
+        #expect(harness.evalInt("screenWatchers.length") == 1)
+
+        harness.eval("hs.window.layout.remove('docked'); hs.window.layout.remove('home')")
+        #expect(harness.evalInt("screenWatchers.length + scope.entries.length") == 0, "Removing the last layout forgets its cleanup")
+    }
+
+    @Test("invalid layouts are rejected before any window is moved")
+    func testLayoutValidation() {
+        let harness = makeHarness()
+        harness.eval("var win = titledWindow('Editor'); var app = { allWindows: [win] };")
+        #expect(errorMessage(harness, "hs.window.layout.apply({ app: app })") == "TypeError: hs.window.layout.apply(): The layout must be an array of rules")
+        #expect(errorMessage(harness, "hs.window.layout.apply([{ app: app, unitRect: [0, 0, 1, 1] }, { app: app, unitRect: [0.5, 0, 1, 1] }])")?.hasPrefix("RangeError: hs.window.layout.apply(): Rule 1 is invalid.") == true)
+        #expect(harness.evalString("frameOf(win.frame)") == "none")
+        #expect(errorMessage(harness, "hs.window.layout.apply([{ title: 42, unitRect: [0, 0, 1, 1] }])")?.contains("The title of rule 0 must be a string or a RegExp") == true)
+        #expect(errorMessage(harness, "hs.window.layout.save('', [])")?.contains("The name must be a non-empty string") == true)
+    }
+
+    // MARK: - Filters
+
+    @Test("a filter starts with the windows that match, and only watches apps it could match")
+    func testFilterStart() {
+        let harness = makeFilterHarness()
+        harness.eval("""
+            appWindow(11, 'Docs', safari);
+            appWindow(12, 'Private Browsing', safari);
+            appWindow(13, 'Minimized', safari, { isMinimized: true, isVisible: false });
+            appWindow(21, 'Inbox', mail);
+            appWindow(31, 'Status', daemon);
+            var filter = record(hs.window.filter.create({ apps: ['Safari', 'com.apple.mail'], rejectTitles: /private/i, visible: true }));
+        """)
+        #expect(!harness.hasException)
+        harness.expectTrue("filter.running")
+        #expect(harness.evalString("filter.windows().map(w => w.title).join()") == "Docs,Inbox")
+        #expect(harness.evalString("takeEvents()") == "", "The windows that are already open aren't new")
+        #expect(harness.evalInt("axWatchers.length") == 16)
+        harness.expectFalse("axWatchers.some(w => w.app === daemon)")
+
+        harness.eval("filter.stop()")
+        harness.expectFalse("filter.running")
+        #expect(harness.evalInt("axWatchers.length + appListeners.length + filter.windows().length") == 0)
+    }
+
+    @Test("notifications from an app lead to typed events for what changed")
+    func testFilterEvents() {
+        let harness = makeFilterHarness()
+        harness.eval("""
+            var docs = appWindow(11, 'Docs', safari);
+            var other = appWindow(12, 'Private Browsing', safari);
+            var filter = record(hs.window.filter.create({ rejectTitles: 'Private' }));
+            var news = appWindow(14, 'News', safari);
+            docs.frame = new HSRect(10, 0, 800, 600);
+            other.title = 'Reading List';
+            notify(safari, 'AXWindowCreated');
+            notify(safari, 'AXWindowMoved');
+        """)
+        #expect(harness.evalInt("timers.length") == 1, "A burst of notifications is read once")
+        harness.eval("runTimers()")
+        #expect(harness.evalString("takeEvents()") == "windowMoved:Docs,windowAllowed:Reading List,windowCreated:News")
+
+        harness.eval("""
+            safari.allWindows.splice(safari.allWindows.indexOf(news), 1);
+            safari.focusedWindow = docs;
+            docs.title = 'Docs 2';
+            docs.frame = new HSRect(10, 0, 900, 600);
+            filter.refresh();
+        """)
+        #expect(harness.evalString("takeEvents()") == "windowTitleChanged:Docs 2,windowResized:Docs 2,windowDestroyed:News,windowFocused:Docs 2")
+
+        harness.eval("docs.isMinimized = true; filter.refresh()")
+        #expect(harness.evalString("takeEvents()") == "windowMinimized:Docs 2")
+    }
+
+    @Test("focus follows the frontmost app, and an app quitting destroys its windows")
+    func testFilterApps() {
+        let harness = makeFilterHarness()
+        harness.eval("""
+            var docs = appWindow(11, 'Docs', safari);
+            var inbox = appWindow(21, 'Inbox', mail);
+            safari.focusedWindow = docs;
+            var filter = record(hs.window.filter.create());
+            frontmost = mail;
+            mail.focusedWindow = inbox;
+            appListeners[0]('didActivate', mail);
+            runTimers();
+        """)
+        #expect(harness.evalString("takeEvents()") == "windowUnfocused:Docs,windowFocused:Inbox")
+
+        harness.eval("appListeners[0]('didTerminate', mail)")
+        #expect(harness.evalString("takeEvents()") == "windowDestroyed:Inbox")
+        #expect(harness.evalString("filter.windows().map(w => w.title).join()") == "Docs")
+        harness.expectFalse("axWatchers.some(w => w.app === mail)")
+    }
+
+    @Test("matches() checks a window against every option")
+    func testFilterMatches() {
+        let harness = makeFilterHarness()
+        harness.eval("""
+            var docs = appWindow(11, 'Docs', safari, { isFullscreen: true });
+            var inbox = appWindow(21, 'Inbox', mail);
+            var filter = hs.window.filter.create({ apps: ['Safari'], allowTitles: ['Doc', /^Read/], fullscreen: true, standard: true });
+        """)
+        harness.expectTrue("filter.matches(docs)")
+        harness.expectFalse("filter.matches(inbox)", "Mail isn't one of the apps")
+        harness.expectFalse("filter.matches(Object.assign({}, docs, { title: 'News' }))")
+        harness.expectTrue("filter.matches(Object.assign({}, docs, { title: 'Reading List' }))")
+        harness.expectFalse("filter.matches(Object.assign({}, docs, { isStandard: false }))")
+        harness.expectFalse("filter.matches(Object.assign({}, docs, { isFullscreen: false }))")
+    }
+
+    @Test("invalid filter options are rejected")
+    func testFilterValidation() {
+        let harness = makeFilterHarness()
+        #expect(errorMessage(harness, "hs.window.filter.create({ app: ['Safari'] })")?.hasPrefix("TypeError: hs.window.filter.create(): Unknown option 'app'") == true)
+        #expect(errorMessage(harness, "hs.window.filter.create({ apps: 'Safari' })")?.contains("apps must be an array") == true)
+        #expect(errorMessage(harness, "hs.window.filter.create({ visible: 1 })")?.contains("visible must be true or false") == true)
+        #expect(errorMessage(harness, "hs.window.filter.create({ allowTitles: [42] })")?.contains("allowTitles must be a string, a RegExp or an array of them") == true)
+        #expect(errorMessage(harness, "hs.window.filter.create({ screens: [] })")?.contains("screens must be a non-empty array") == true)
+        #expect(harness.evalInt("appListeners.length") == 0, "Nothing is watched for a filter that wasn't made")
+    }
+
+    // MARK: - Focus history and the switcher
+
+    /// A filter harness with a stand-in hs.eventtap, whose held modifiers are `held`, and whose taps are kept in `taps`
+    private func makeSwitcherHarness() -> JSTestHarness {
+        let harness = makeFilterHarness()
+        harness.eval("""
+            var taps = [], held = [];
+            hs.eventtap = {
+                eventTypes: { flagsChanged: 12 },
+                currentModifiers: () => held,
+                addWatcher: (types, callback, listenOnly) => {
+                    var tap = { types: types, callback: callback, listenOnly: listenOnly, enabled: false,
+                                start() { this.enabled = true; return this; }, stop() { this.enabled = false; return this; },
+                                isEnabled() { return this.enabled; } };
+                    taps.push(tap);
+                    return tap;
+                }
+            };
+            var a = appWindow(11, 'A', safari);
+            var b = appWindow(12, 'B', safari);
+            var c = appWindow(21, 'C', mail);
+            var d = appWindow(22, 'D', mail, { isMinimized: true, isVisible: false });
+            safari.focusedWindow = b;
+            hs.window.orderedWindows = () => [b, a, c];
+            function history(options) {
+                return hs.window.focusHistory(options).map(w => w.title).join();
+            }
+        """)
+        return harness
+    }
+
+    @Test("the focus history starts in front-to-back order, then follows focus changes and closed windows")
+    func testFocusHistory() {
+        let harness = makeSwitcherHarness()
+        #expect(harness.evalString("history()") == "B,A,C,D")
+        #expect(harness.evalString("history({ scope: 'app' })") == "B,A")
+        #expect(harness.evalString("history({ scope: 'screen' })") == "B,A,C,D")
+
+        harness.eval("c.focus(); runTimers()")
+        #expect(harness.evalString("history()") == "C,B,A,D")
+        #expect(harness.evalString("history({ scope: 'app' })") == "C,D")
+
+        harness.eval("mail.allWindows.splice(0, 1); notify(mail, 'AXUIElementDestroyed'); runTimers()")
+        #expect(harness.evalString("history()") == "B,A,D")
+    }
+
+    @Test("disposing the scope the focus history started in stops it, and it starts again when next used")
+    func testFocusHistoryScope() {
+        let harness = makeSwitcherHarness()
+        harness.eval("""
+            var scope = fakeScope();
+            hs.currentScope = () => scope;
+            history();
+            scope.dispose();
+        """)
+        #expect(harness.evalInt("axWatchers.length + appListeners.length") == 0)
+
+        #expect(harness.evalString("history()") == "B,A,C,D")
+        #expect(harness.evalInt("scope.entries.length") == 1)
+        harness.eval("c.focus(); runTimers()")
+        #expect(harness.evalString("history()") == "C,B,A,D", "Focus changes are followed again")
+    }
+
+    @Test("with no modifiers held, each switch goes to the most recent other window")
+    func testSwitcherWithoutModifiers() {
+        let harness = makeSwitcherHarness()
+        #expect(harness.evalString("hs.window.switcher.next().title") == "A")
+        harness.eval("runTimers()")
+        #expect(harness.evalString("hs.window.switcher.next().title") == "B")
+        harness.eval("runTimers()")
+        #expect(harness.evalString("hs.window.switcher.previous().title") == "C", "Going backwards starts from the least recent window")
+        #expect(harness.evalString("focused.join()") == "A,B,C")
+        #expect(harness.evalInt("taps.length") == 0)
+    }
+
+    @Test("while the modifiers are held, switches walk the list as it was when they started")
+    func testSwitcherWhileHeld() {
+        let harness = makeSwitcherHarness()
+        harness.eval("""
+            held = ['cmd', 'shift'];
+            var first = hs.window.switcher.next().title;
+            runTimers();
+            var second = hs.window.switcher.next().title;
+            runTimers();
+            var back = hs.window.switcher.previous().title;
+        """)
+        #expect(harness.evalString("[first, second, back].join()") == "A,C,A", "The minimized window is skipped")
+        #expect(harness.evalInt("taps.length") == 1)
+        harness.expectTrue("taps[0].listenOnly && taps[0].types[0] === hs.eventtap.eventTypes.flagsChanged")
+
+        harness.eval("taps[0].callback({ flags: ['cmd'] })")
+        harness.expectTrue("taps[0].enabled", "Letting go of shift doesn't end the switch")
+        harness.eval("taps[0].callback({ flags: [] }); runTimers()")
+        harness.expectFalse("taps[0].enabled")
+        #expect(harness.evalString("history()") == "A,C,B,D")
+    }
+
+    @Test("invalid switcher options are rejected")
+    func testSwitcherValidation() {
+        let harness = makeSwitcherHarness()
+        #expect(errorMessage(harness, "hs.window.switcher.next({ scope: 'space' })") == "TypeError: hs.window.switcher.next(): The scope must be one of all, app, screen, not 'space'")
+        #expect(errorMessage(harness, "hs.window.switcher.previous({ app: 'Safari' })")?.contains("Unknown option 'app'") == true)
+        #expect(errorMessage(harness, "hs.window.focusHistory(null)")?.contains("The options must be an object") == true)
+        #expect(harness.evalInt("focused.length") == 0)
+    }
+
+    // MARK: - Hints
+
+    /// A harness with a stand-in hs.ui, whose badges record when they're shown, hidden and closed in `events`, and a
+    /// stand-in hs.hotkey, whose modal's keys are kept in `keys`
+    private func makeHintsHarness() -> JSTestHarness {
+        let harness = makeHarness()
+        harness.eval("""
+            var events = [], frames = [], keys = {}, modal = [], focusedIDs = [];
+            hs.ui = { window: (frame) => {
+                frames.push(frameOf(frame));
+                var label;
+                var badge = new Proxy({}, { get: (target, name) => (...args) => {
+                    if (name === 'text') { label = args[0]; }
+                    if (['show', 'hide', 'close'].includes(name)) { events.push(name + ' ' + label); }
+                    return badge;
+                } });
+                return badge;
+            } };
+            hs.hotkey = { createModal: () => ({
+                bind(mods, key, pressed) { keys[key] = pressed; return this; },
+                enter() { modal.push('enter'); }, exit() { modal.push('exit'); }, destroy() { modal.push('destroy'); }
+            }) };
+            hs.screen = { primary: () => ({ fullFrame: new HSRect(0, 0, 1200, 900) }) };
+            function hintWindow(id, x, y, w, h, extra) {
+                return Object.assign({ id: id, frame: new HSRect(x, y, w, h), isVisible: true, isStandard: true,
+                                       application: { bundleID: 'com.example.app' }, focus() { focusedIDs.push(id); } }, extra);
+            }
+            function shown() {
+                return events.filter(e => e.startsWith('show')).map(e => e.slice(5)).join();
+            }
+        """)
+        return harness
+    }
+
+    @Test("hints label each visible window with a badge in its center, and typing a hint focuses its window")
+    func testHints() {
+        let harness = makeHintsHarness()
+        harness.eval("""
+            hs.window.orderedWindows = () => [
+                hintWindow(1, 0, 0, 600, 900),
+                hintWindow(2, 0, 0, 600, 900),
+                hintWindow(3, 600, 0, 600, 900),
+                hintWindow(4, 0, 0, 600, 900, { isVisible: false })
+            ];
+            var result = hs.window.hints.show();
+        """)
+        #expect(!harness.hasException)
+        harness.expectTrue("result")
+        #expect(harness.evalString("shown()") == "A,S,D")
+        #expect(harness.evalString("frames.join(' ')") == "258,422,84,56 258,358,84,56 858,422,84,56", "Badges that would cover each other are moved down")
+        #expect(harness.evalString("Object.keys(keys).join(' ')") == "a s d delete escape")
+
+        harness.eval("events = []; keys['d']()")
+        #expect(harness.evalString("focusedIDs.join()") == "3")
+        #expect(harness.evalString("modal.join()") == "enter,exit,destroy")
+        #expect(harness.evalString("events.join()") == "close A,close S,close D")
+
+        harness.eval("hs.window.hints.show(); keys['escape']()")
+        #expect(harness.evalString("focusedIDs.join()") == "3", "Escape doesn't focus a window")
+        #expect(harness.evalString("modal.join()") == "enter,exit,destroy,enter,exit,destroy")
+
+        harness.eval("hs.window.orderedWindows = () => []")
+        harness.expectFalse("hs.window.hints.show()")
+    }
+
+    @Test("with more windows than letters, every hint has two letters, and the first one narrows the hints shown")
+    func testMultiLetterHints() {
+        let harness = makeHintsHarness()
+        harness.eval("""
+            var windows = Array.from({ length: 30 }, (_, i) => hintWindow(10 + i, i * 10, 0, 100, 100));
+            hs.window.hints.show({ windows: windows });
+        """)
+        #expect(harness.evalInt("Object.keys(keys).length") == 28)
+        harness.expectTrue("shown().startsWith('AA,AS,AD,') && shown().endsWith(',SD,SF')")
+
+        harness.eval("events = []; keys['s']()")
+        #expect(harness.evalInt("events.filter(e => e.startsWith('hide')).length") == 26)
+        #expect(harness.evalString("shown()") == "", "The badges that start with S are already showing")
+
+        harness.eval("events = []; keys['q']()")
+        #expect(harness.evalInt("events.length") == 0, "Letters that no hint continues with are ignored")
+        harness.eval("keys['delete']()")
+        #expect(harness.evalInt("events.length") == 26, "Only the hidden badges are shown again")
+        harness.expectTrue("shown().startsWith('AA,AS,AD,') && !shown().split(',').some(label => label.startsWith('S'))")
+
+        harness.eval("keys['s'](); keys['d']()")
+        #expect(harness.evalString("focusedIDs.join()") == "38")
+    }
+
+    @Test("invalid hints options are rejected")
+    func testHintsValidation() {
+        let harness = makeHintsHarness()
+        #expect(errorMessage(harness, "hs.window.hints.show({ foo: 1 })") == "TypeError: hs.window.hints.show(): Unknown option 'foo', expected one of windows")
+        #expect(errorMessage(harness, "hs.window.hints.show({ windows: 3 })")?.contains("The windows must be an array") == true)
+        #expect(harness.evalInt("modal.length") == 0)
+    }
+
+    // MARK: - Tiler
+
+    /// A filter harness with two stand-in screens, whose watchers are kept in `screenWatchers`, and three windows on
+    /// the first screen, A and B of Safari and C of Mail, with A focused
+    private func makeTilerHarness() -> JSTestHarness {
+        let harness = makeFilterHarness()
+        harness.eval("""
+            var screenWatchers = [];
+            var main = { uuid: 'main', name: 'Built-in', frame: new HSRect(0, 0, 1000, 800), position: { x: 0, y: 0 } };
+            var ext = { uuid: 'ext', name: 'DELL', frame: new HSRect(1000, 0, 1200, 900), position: { x: 1, y: 0 } };
+            hs.screen = {
+                all: () => [main, ext],
+                addWatcher: (listener, options) => screenWatchers.push(listener),
+                removeWatcher: (listener) => screenWatchers.splice(screenWatchers.indexOf(listener), 1)
+            };
+            hs.window.focusedWindow = () => frontmost && frontmost.focusedWindow;
+            var a = appWindow(11, 'A', safari, { screen: main });
+            var b = appWindow(12, 'B', safari, { screen: main });
+            var c = appWindow(21, 'C', mail, { screen: main });
+            safari.focusedWindow = a;
+            var tiled = [a, b, c];
+            function frames() {
+                return tiled.map(w => w.title + ':' + frameOf(w.frame)).join(' ');
+            }
+        """)
+        return harness
+    }
+
+    @Test("the bsp layout splits the focused window's tile for new windows, and its splits can be rotated, resized and swapped")
+    func testTilerBSP() {
+        let harness = makeTilerHarness()
+        harness.eval("hs.window.tiler.start()")
+        #expect(!harness.hasException)
+        harness.expectTrue("hs.window.tiler.isRunning()")
+        #expect(harness.evalString("frames()") == "A:0,0,500,800 B:500,0,500,400 C:500,400,500,400", "Windows that are already open split the last tile")
+
+        harness.eval("""
+            var d = appWindow(22, 'D', mail, { screen: main });
+            tiled.push(d);
+            notify(mail, 'AXWindowCreated');
+            runTimers();
+        """)
+        #expect(harness.evalString("frames()") == "A:0,0,500,400 B:500,0,500,400 C:500,400,500,400 D:0,400,500,400")
+
+        harness.expectTrue("hs.window.tiler.rotate(a)")
+        #expect(harness.evalString("frames()") == "A:0,0,250,800 B:500,0,500,400 C:500,400,500,400 D:250,0,250,800")
+        harness.expectTrue("hs.window.tiler.resizeSplit(0.1, a)")
+        #expect(harness.evalString("frames()") == "A:0,0,300,800 B:500,0,500,400 C:500,400,500,400 D:300,0,200,800")
+        harness.expectTrue("hs.window.tiler.swap('east', a)")
+        #expect(harness.evalString("frames()") == "A:300,0,200,800 B:500,0,500,400 C:500,400,500,400 D:0,0,300,800")
+        harness.expectFalse("hs.window.tiler.swap('west', d)")
+
+        harness.eval("c.isMinimized = true; c.isVisible = false; notify(mail, 'AXWindowMiniaturized'); runTimers()")
+        #expect(harness.evalString("frames()") == "A:300,0,200,800 B:500,0,500,800 C:500,400,500,400 D:0,0,300,800", "Minimized windows give up their tiles")
+
+        harness.eval("hs.window.tiler.stop()")
+        harness.expectFalse("hs.window.tiler.isRunning()")
+        #expect(harness.evalInt("screenWatchers.length + axWatchers.length") == 0)
+    }
+
+    @Test("the masterStack layout stacks windows beside the first, and windows can float")
+    func testTilerMasterStack() {
+        let harness = makeTilerHarness()
+        harness.eval("hs.window.tiler.start({ layout: 'masterStack' })")
+        #expect(harness.evalString("frames()") == "A:0,0,500,800 B:500,0,500,400 C:500,400,500,400")
+
+        harness.expectTrue("hs.window.tiler.rotate(a)")
+        #expect(harness.evalString("frames()") == "A:500,0,500,400 B:500,400,500,400 C:0,0,500,800")
+        harness.expectTrue("hs.window.tiler.resizeSplit(0.1, a)", "Growing a stacked window moves the split towards the master")
+        #expect(harness.evalString("frames()") == "A:400,0,600,400 B:400,400,600,400 C:0,0,400,800")
+
+        harness.expectTrue("hs.window.tiler.toggleFloat(b)")
+        harness.expectTrue("hs.window.tiler.isFloating(b)")
+        #expect(harness.evalString("frames()") == "A:400,0,600,800 B:400,400,600,400 C:0,0,400,800")
+        harness.expectFalse("hs.window.tiler.toggleFloat(b)")
+        #expect(harness.evalString("frames()") == "A:400,0,600,400 B:400,400,600,400 C:0,0,400,800", "A window that is tiled again goes after the focused one")
+
+        harness.expectTrue("hs.window.tiler.setLayout('bsp', 'Built-in')")
+        #expect(harness.evalString("frames()") == "A:500,0,500,400 B:500,400,500,400 C:0,0,500,800")
+        harness.expectFalse("hs.window.tiler.setLayout('bsp', 'DELL')", "The other screen has no tiled windows")
+
+        harness.eval("hs.window.tiler.start({ floatApps: ['Mail'], gap: 10 })")
+        #expect(harness.evalString("frames()") == "A:0,0,495,800 B:505,0,495,800 C:0,0,500,800")
+        harness.expectTrue("hs.window.tiler.isFloating(c)")
+    }
+
+    @Test("windows moved to another screen are tiled there, and come back when their screen is detached")
+    func testTilerScreens() {
+        let harness = makeTilerHarness()
+        harness.eval("""
+            hs.window.tiler.start();
+            c.screen = ext;
+            c.frame = new HSRect(1100, 100, 300, 300);
+            notify(mail, 'AXWindowMoved');
+            runTimers();
+        """)
+        #expect(harness.evalString("frames()") == "A:0,0,500,800 B:500,0,500,800 C:1000,0,1200,900")
+
+        harness.eval("c.screen = main; screenWatchers[0]([[[main]]])")
+        #expect(harness.evalString("frames()") == "A:0,0,500,400 B:500,0,500,800 C:0,400,500,400")
+
+        harness.eval("safari.allWindows.splice(1, 1); notify(safari, 'AXUIElementDestroyed'); runTimers()")
+        #expect(harness.evalString("frames()") == "A:0,0,1000,400 B:500,0,500,800 C:0,400,1000,400")
+    }
+
+    @Test("the tiler stops when the scope it was started in is disposed, and forgets the scope when stopped by hand")
+    func testTilerScope() {
+        let harness = makeTilerHarness()
+        harness.eval("""
+            var scope = fakeScope();
+            hs.currentScope = () => scope;
+            hs.window.tiler.start();
+            scope.dispose();
+        """)
+        harness.expectFalse("hs.window.tiler.isRunning()")
+        #expect(harness.evalInt("axWatchers.length + appListeners.length + screenWatchers.length") == 0)
+
+        harness.eval("hs.window.tiler.start(); hs.window.tiler.stop()")
+        #expect(harness.evalInt("scope.entries.length") == 0)
+    }
+
+    @Test("invalid tiler options and commands are rejected")
+    func testTilerValidation() {
+        let harness = makeTilerHarness()
+        #expect(errorMessage(harness, "hs.window.tiler.start({ layout: 'spiral' })") == "TypeError: hs.window.tiler.start(): The layout must be one of bsp, masterStack, not 'spiral'")
+        #expect(errorMessage(harness, "hs.window.tiler.start({ ratio: 1 })")?.hasPrefix("RangeError") == true)
+        #expect(errorMessage(harness, "hs.window.tiler.start({ floatApps: 'Mail' })")?.contains("floatApps must be an array") == true)
+        #expect(errorMessage(harness, "hs.window.tiler.start({ foo: 1 })")?.contains("Unknown option 'foo'") == true)
+        #expect(errorMessage(harness, "hs.window.tiler.swap('up')")?.contains("The direction must be one of east, west, north, south") == true)
+        #expect(errorMessage(harness, "hs.window.tiler.resizeSplit('a')")?.hasPrefix("TypeError") == true)
+        harness.expectFalse("hs.window.tiler.isRunning()")
+        harness.expectFalse("hs.window.tiler.rotate(a)")
+    }
+
+    // MARK: - Snapshots
+
+    /// A harness with a stand-in hs.fs that keeps files in `files`, two stand-in screens, and four windows of three apps
+    /// that `hs.window.allWindows()` returns from `current`, along with a panel that isn't saved
+    private func makeSnapshotHarness() -> JSTestHarness {
+        let harness = makeHarness()
+        harness.eval("""
+            var files = {}, timers = [];
+            var dir = '/Users/me/.config/hammerspoon2/window-snapshots';
+            hs.appinfo = { configDir: '/Users/me/.config/hammerspoon2' };
+            hs.fs = {
+                mkdir: (path) => true,
+                write: (path, content) => { files[path] = content; return true; },
+                exists: (path) => path in files,
+                read: (path) => files[path] ?? null,
+                list: (path) => Object.keys(files).filter(f => f.startsWith(path + '/')).map(f => f.slice(path.length + 1)),
+                deletePath: (path) => delete files[path]
+            };
+            hs.timer = { doAfter: (seconds, fn) => { timers.push(fn); return { stop() {} }; } };
+            var main = { uuid: 'main', name: 'Built-in', frame: new HSRect(0, 25, 1440, 875) };
+            var dell = { uuid: 'dell', name: 'DELL U2720Q', frame: new HSRect(1440, 0, 2560, 1415) };
+            var screens = [main, dell];
+            hs.screen = { all: () => screens, primary: () => main };
+            var safari = { bundleID: 'com.apple.Safari', title: 'Safari' };
+            var mail = { bundleID: 'com.apple.mail', title: 'Mail' };
+            var terminal = { bundleID: 'com.apple.Terminal', title: 'Terminal' };
+            function snapshotWindow(id, title, app, x, y, w, h, screen, extra) {
+                return Object.assign({ id: id, title: title, application: app, frame: new HSRect(x, y, w, h), screen: screen,
+                                       isStandard: true, isMinimized: false, isFullscreen: false }, extra);
+            }
+            var current = [
+                snapshotWindow(1, 'Hammerspoon docs — Safari', safari, 1440, 0, 1280, 1415, dell),
+                snapshotWindow(2, 'GitHub — Safari', safari, 2720, 0, 1280, 1415, dell),
+                snapshotWindow(3, 'Inbox (3 messages)', mail, 0, 25, 1440, 875, main, { isMinimized: true }),
+                snapshotWindow(4, 'zsh', terminal, 100, 100, 600, 400, main),
+                snapshotWindow(5, 'Inspector', safari, 0, 0, 300, 300, main, { isStandard: false })
+            ];
+            hs.window.allWindows = () => current;
+            function restored(result) {
+                return result.restored.map(w => w.id + ':' + frameOf(w.frame) + (w.isMinimized ? ' minimized' : '') + (w.isFullscreen ? ' fullscreen' : '')).join(' ');
+            }
+            function skipped(result) {
+                return result.skipped.map(s => s.window.title + ': ' + s.reason).join('; ');
+            }
+        """)
+        return harness
+    }
+
+    @Test("a snapshot saves each standard window as JSON, and restoring it matches windows by app and alike titles")
+    func testSnapshotSaveAndRestore() {
+        let harness = makeSnapshotHarness()
+        #expect(harness.evalInt("hs.window.snapshot.save('desk')") == 4)
+        #expect(harness.evalString("hs.window.snapshot.path('desk')") == "/Users/me/.config/hammerspoon2/window-snapshots/desk.json")
+        harness.eval("var saved = JSON.parse(files[dir + '/desk.json'])")
+        #expect(harness.evalInt("saved.version") == 1)
+        #expect(harness.evalString("JSON.stringify(saved.windows[2])") == #"{"bundleID":"com.apple.mail","app":"Mail","title":"Inbox (3 messages)","frame":{"x":0,"y":25,"w":1440,"h":875},"screen":"main","screenName":"Built-in","screenFrame":{"x":0,"y":25,"w":1440,"h":875},"minimized":true,"fullscreen":false}"#)
+
+        harness.eval("""
+            current = [
+                snapshotWindow(11, 'GitHub — Safari', safari, 0, 0, 100, 100, main),
+                snapshotWindow(12, 'Hammerspoon docs: hs.window — Safari', safari, 0, 0, 100, 100, main),
+                snapshotWindow(13, 'Inbox (5 messages)', mail, 0, 0, 100, 100, main)
+            ];
+            var result = hs.window.snapshot.restore('desk');
+        """)
+        #expect(!harness.hasException)
+        #expect(harness.evalString("restored(result)") == "12:1440,0,1280,1415 11:2720,0,1280,1415 13:0,25,1440,875 minimized")
+        #expect(harness.evalString("skipped(result)") == "zsh: The app Terminal has no windows open")
+
+        harness.eval("screens = [main]; result = hs.window.snapshot.restore('desk')")
+        #expect(harness.evalString("restored(result)") == "12:0,25,720,875 11:720,25,720,875 13:0,25,1440,875 minimized", "Windows of a detached screen go in the same part of the primary screen")
+    }
+
+    @Test("unalike titles are only matched when an app has one saved window and one open window left")
+    func testSnapshotMatching() {
+        let harness = makeSnapshotHarness()
+        harness.eval("""
+            hs.window.snapshot.save('desk');
+            current = [snapshotWindow(21, 'New Tab', safari, 0, 0, 100, 100, main), snapshotWindow(22, 'GitHub — Safari', safari, 0, 0, 100, 100, main)];
+            var result = hs.window.snapshot.restore('desk');
+        """)
+        #expect(harness.evalString("restored(result)") == "21:1440,0,1280,1415 22:2720,0,1280,1415", "The new tab is the only Safari window left for the docs window")
+
+        harness.eval("""
+            current = [snapshotWindow(31, 'aaa', safari, 0, 0, 100, 100, main), snapshotWindow(32, 'bbb', safari, 0, 0, 100, 100, main)];
+            result = hs.window.snapshot.restore('desk');
+        """)
+        #expect(harness.evalInt("result.restored.length") == 0)
+        harness.expectTrue("skipped(result).startsWith(\"Hammerspoon docs — Safari: No window's title matched; GitHub — Safari: No window's title matched\")")
+
+        harness.eval("""
+            current = [snapshotWindow(41, 'zsh', terminal, 0, 0, 100, 100, main, { isFullscreen: true })];
+            result = hs.window.snapshot.restore('desk');
+        """)
+        #expect(harness.evalString("restored(result)") == "41:0,0,100,100", "Windows leaving full screen are moved once they have")
+        harness.eval("timers.splice(0).forEach(fn => fn())")
+        #expect(harness.evalString("frameOf(current[0].frame)") == "100,100,600,400")
+    }
+
+    @Test("snapshots can be listed and removed, and bad names and files are rejected")
+    func testSnapshotFiles() {
+        let harness = makeSnapshotHarness()
+        harness.eval("hs.window.snapshot.save('desk'); hs.window.snapshot.save('home')")
+        #expect(harness.evalString("hs.window.snapshot.names().join()") == "desk,home")
+        harness.expectTrue("hs.window.snapshot.remove('desk')")
+        harness.expectFalse("hs.window.snapshot.remove('desk')")
+        #expect(harness.evalString("hs.window.snapshot.names().join()") == "home")
+
+        #expect(errorMessage(harness, "hs.window.snapshot.restore('desk')") == "Error: hs.window.snapshot.restore(): There is no snapshot named 'desk'")
+        #expect(errorMessage(harness, "hs.window.snapshot.save('../desk')")?.hasPrefix("TypeError: hs.window.snapshot.save(): The name must be") == true)
+        harness.eval("files[dir + '/old.json'] = '{\"version\": 2}'")
+        #expect(errorMessage(harness, "hs.window.snapshot.restore('old')")?.hasSuffix("old.json is not a window snapshot") == true)
+        harness.eval("hs.fs.write = () => false")
+        #expect(errorMessage(harness, "hs.window.snapshot.save('desk')")?.hasPrefix("Error: hs.window.snapshot.save(): Could not write") == true)
+    }
+}
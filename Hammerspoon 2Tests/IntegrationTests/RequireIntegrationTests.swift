@@ -0,0 +1,162 @@
+//
+//  RequireIntegrationTests.swift
+//  Hammerspoon 2Tests
+//
+
+import Testing
+import Foundation
+import JavaScriptCore
+@testable import Hammerspoon_2
+
+// MARK: - Helpers
+
+/// Creates a unique temporary directory of module files for one test, deleting it when deallocated.
+private final class ModuleDir {
+    let path: String
+
+    init() throws {
+        path = (NSTemporaryDirectory() as NSString)
+            .appendingPathComponent("hs.require-tests-\(UUID().uuidString)")
+        try FileManager.default.createDirectory(atPath: path, withIntermediateDirectories: true)
+    }
+
+    deinit {
+        try? FileManager.default.removeItem(atPath: path)
+    }
+
+    /// Write a file relative to this directory, creating intermediate directories as needed
+    @discardableResult
+    func write(_ name: String, _ contents: String) throws -> String {
+        let filePath = (path as NSString).appendingPathComponent(name)
+        try FileManager.default.createDirectory(atPath: (filePath as NSString).deletingLastPathComponent,
+                                                withIntermediateDirectories: true)
+        try contents.write(toFile: filePath, atomically: true, encoding: .utf8)
+        return filePath
+    }
+}
+
+// MARK: - Test suite
+
+/// Integration tests for the CommonJS `require()` implemented by ModuleLoader and engine.js
+@MainActor
+@Suite("require() tests")
+struct RequireIntegrationTests {
+
+    @Test("require is a function and the native loader is not left in the global scope")
+    func testRequireInstalled() {
+        let harness = JSTestHarness()
+        #expect(harness.evalTypeOf("require") == "function")
+        #expect(harness.evalTypeOf("require.resolve") == "function")
+        #expect(harness.evalTypeOf("__hs_moduleLoader") == "undefined")
+    }
+
+    @Test("module.exports and exports are returned, and top-level names do not leak")
+    func testExports() throws {
+        let dir = try ModuleDir()
+        try dir.write("a.js", "const secret = 42; exports.answer = secret;")
+        try dir.write("b.js", "module.exports = function() { return 'b'; };")
+
+        let harness = JSTestHarness()
+        #expect(harness.evalInt("require('\(dir.path)/a.js').answer") == 42)
+        #expect(harness.evalString("require('\(dir.path)/b')()") == "b")
+        #expect(harness.evalTypeOf("secret") == "undefined")
+    }
+
+    @Test("__filename and __dirname describe the module file")
+    func testFilenameAndDirname() throws {
+        let dir = try ModuleDir()
+        let file = try dir.write("lib/paths.js", "module.exports = [__filename, __dirname];")
+
+        let harness = JSTestHarness()
+        harness.eval("var paths = require('\(file)')")
+        #expect(harness.evalString("paths[0]") == file)
+        #expect(harness.evalString("paths[1]") == (file as NSString).deletingLastPathComponent)
+    }
+
+    @Test("modules are cached by resolved path and only executed once")
+    func testCaching() throws {
+        let dir = try ModuleDir()
+        try dir.write("counter.js", "globalThis.loadCount = (globalThis.loadCount || 0) + 1; module.exports = {};")
+
+        let harness = JSTestHarness()
+        harness.eval("""
+            var first = require('\(dir.path)/counter');
+            var second = require('\(dir.path)/counter.js');
+        """)
+        #expect(harness.evalInt("loadCount") == 1)
+        #expect(harness.evalBool("first === second") == true)
+        #expect(harness.evalBool("'\(dir.path)/counter.js' in require.cache") == true)
+    }
+
+    @Test("relative requires resolve against the requiring file")
+    func testRelativeResolution() throws {
+        let dir = try ModuleDir()
+        try dir.write("lib/util.js", "exports.name = 'util';")
+        try dir.write("lib/feature/index.js", "module.exports = require('../util').name;")
+        try dir.write("main.js", "module.exports = require('./lib/feature');")
+
+        let harness = JSTestHarness()
+        #expect(harness.evalString("require('\(dir.path)/main')") == "util")
+    }
+
+    @Test("JSON files are parsed")
+    func testJSON() throws {
+        let dir = try ModuleDir()
+        try dir.write("config.json", "{\"name\": \"test\", \"values\": [1, 2, 3]}")
+        try dir.write("broken.json", "{ nope")
+
+        let harness = JSTestHarness()
+        #expect(harness.evalString("require('\(dir.path)/config').name") == "test")
+        #expect(harness.evalInt("require('\(dir.path)/config.json').values.length") == 3)
+
+        harness.eval("require('\(dir.path)/broken.json')")
+        harness.expectException()
+    }
+
+    @Test("cyclic requires see partially populated exports")
+    func testCycles() throws {
+        let dir = try ModuleDir()
+        try dir.write("a.js", """
+            exports.name = 'a';
+            const b = require('./b');
+            exports.bSawA = b.sawA;
+            """)
+        try dir.write("b.js", """
+            const a = require('./a');
+            exports.sawA = a.name;
+            """)
+
+        let harness = JSTestHarness()
+        #expect(harness.evalString("require('\(dir.path)/a').bSawA") == "a")
+    }
+
+    @Test("missing modules and syntax errors throw, and failed modules are not cached")
+    func testErrors() throws {
+        let dir = try ModuleDir()
+        let broken = try dir.write("broken.js", "exports.x = ;")
+
+        let harness = JSTestHarness()
+        harness.eval("require('\(dir.path)/doesNotExist')")
+        harness.expectException()
+
+        harness.eval("require('\(broken)')")
+        harness.expectException()
+        #expect(harness.evalBool("'\(broken)' in require.cache") == false)
+
+        try dir.write("broken.js", "exports.x = 1;")
+        #expect(harness.evalInt("require('\(broken)').x") == 1)
+    }
+
+    @Test("bare names resolve against the base directory")
+    func testBareNameResolution() throws {
+        let dir = try ModuleDir()
+        let util = try dir.write("lib/util.js", "")
+        let index = try dir.write("feature/index.js", "")
+
+        let loader = ModuleLoader(baseDirectory: URL(fileURLWithPath: dir.path))
+        #expect(loader.resolve("lib/util", "/somewhere/else") == util)
+        #expect(loader.resolve("feature", "/somewhere/else") == index)
+        #expect(loader.resolve("./lib/util", dir.path + "/feature") == nil)
+        #expect(loader.resolve("../lib/util", dir.path + "/feature") == util)
+    }
+}
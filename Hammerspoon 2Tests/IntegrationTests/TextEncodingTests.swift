@@ -0,0 +1,65 @@
+//
+//  TextEncodingTests.swift
+//  Hammerspoon 2Tests
+//
+
+import Testing
+import JavaScriptCore
+@testable import Hammerspoon_2
+
+/// Tests for the TextEncoder and TextDecoder globals provided by engine.js
+@MainActor
+@Suite("TextEncoder/TextDecoder tests")
+struct TextEncodingTests {
+
+    @Test("TextEncoder encodes UTF-8, replacing lone surrogates")
+    func testEncode() {
+        let harness = JSTestHarness()
+        #expect(harness.evalString("new TextEncoder().encoding") == "utf-8")
+        #expect(harness.evalString("Array.from(new TextEncoder().encode('aé€😀')).join(',')") == "97,195,169,226,130,172,240,159,152,128")
+        #expect(harness.evalString("Array.from(new TextEncoder().encode('\\ud800')).join(',')") == "239,191,189")
+        #expect(harness.evalInt("new TextEncoder().encode().length") == 0)
+    }
+
+    @Test("encodeInto() stops before a character that doesn't fit")
+    func testEncodeInto() {
+        let harness = JSTestHarness()
+        harness.eval("var result = new TextEncoder().encodeInto('a€😀', new Uint8Array(5))")
+        #expect(harness.evalInt("result.read") == 2)
+        #expect(harness.evalInt("result.written") == 4)
+    }
+
+    @Test("TextDecoder round-trips, strips a BOM and replaces malformed bytes")
+    func testDecode() {
+        let harness = JSTestHarness()
+        #expect(harness.evalString("new TextDecoder().decode(new TextEncoder().encode('wörld 😀'))") == "wörld 😀")
+        #expect(harness.evalString("new TextDecoder().decode(new Uint8Array([0xEF, 0xBB, 0xBF, 0x41]))") == "A")
+        #expect(harness.evalInt("new TextDecoder('utf-8', { ignoreBOM: true }).decode(new Uint8Array([0xEF, 0xBB, 0xBF])).length") == 1)
+        #expect(harness.evalString("new TextDecoder().decode(new Uint8Array([0xFF, 0x41, 0xE2, 0x82]))") == "\u{FFFD}A\u{FFFD}")
+        #expect(harness.evalString("new TextDecoder().decode(new Uint8Array([0x68, 0x69]).buffer)") == "hi")
+    }
+
+    @Test("streaming decode carries incomplete sequences between chunks")
+    func testStreaming() {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var decoder = new TextDecoder(), out = '';
+            for (var byte of [0xF0, 0x9F, 0x98, 0x80, 0xC3, 0xA9]) {
+                out += decoder.decode(new Uint8Array([byte]), { stream: true });
+            }
+            out += decoder.decode();
+        """)
+        #expect(harness.evalString("out") == "😀é")
+    }
+
+    @Test("fatal decoders throw, and only UTF-8 labels are accepted")
+    func testErrors() {
+        let harness = JSTestHarness()
+        harness.eval("new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array([0xC3]))")
+        harness.expectException()
+
+        harness.eval("new TextDecoder('latin1')")
+        harness.expectException()
+        #expect(harness.evalString("new TextDecoder(' UTF8 ').encoding") == "utf-8")
+    }
+}
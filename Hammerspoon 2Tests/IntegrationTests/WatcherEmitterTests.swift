@@ -0,0 +1,191 @@
+//
+//  WatcherEmitterTests.swift
+//  Hammerspoon 2Tests
+//
+
+import Testing
+import JavaScriptCore
+@testable import Hammerspoon_2
+
+/// Tests for the WatcherEmitter class provided by engine.js, using a fake native watcher
+@MainActor
+@Suite("WatcherEmitter tests")
+struct WatcherEmitterTests {
+
+    /// A harness with `emitter` wired to a fake native watcher that records start/stop calls
+    /// and exposes the dispatch functions it was given in `native.dispatch[key]`.
+    private func makeHarness(keyed: Bool = false) -> JSTestHarness {
+        let harness = JSTestHarness()
+        if keyed {
+            harness.eval("""
+                var native = { starts: [], stops: [], dispatch: {} };
+                var emitter = new WatcherEmitter({
+                    name: "test.addWatcher()",
+                    start: (key, dispatch) => { native.starts.push(key); native.dispatch[key] = dispatch; },
+                    stop: (key) => { native.stops.push(key); delete native.dispatch[key]; },
+                });
+            """)
+        } else {
+            harness.eval("""
+                var native = { starts: [], stops: [], dispatch: {} };
+                var emitter = new WatcherEmitter({
+                    name: "test.addWatcher()",
+                    start: (dispatch) => { native.starts.push(''); native.dispatch[''] = dispatch; },
+                    stop: () => { native.stops.push(''); delete native.dispatch['']; },
+                });
+            """)
+        }
+        return harness
+    }
+
+    @Test("the native watcher starts with the first listener and stops with the last")
+    func testLazyStartStop() {
+        let harness = makeHarness()
+        harness.eval("""
+            var a = () => {}, b = () => {};
+            emitter.on(a);
+            emitter.on(b);
+        """)
+        #expect(harness.evalInt("native.starts.length") == 1)
+
+        harness.eval("emitter.removeListener(a)")
+        #expect(harness.evalInt("native.stops.length") == 0)
+
+        harness.eval("emitter.removeListener(b)")
+        #expect(harness.evalInt("native.stops.length") == 1)
+    }
+
+    @Test("removing an unregistered listener does not stop the native watcher")
+    func testRemoveUnknownListener() {
+        let harness = makeHarness()
+        harness.eval("emitter.removeListener(() => {})")
+        #expect(harness.evalInt("native.stops.length") == 0)
+
+        harness.eval("""
+            var a = () => {};
+            emitter.on(a);
+            emitter.removeListener(() => {});
+        """)
+        #expect(harness.evalInt("native.stops.length") == 0)
+        #expect(harness.evalInt("emitter.listeners().length") == 1)
+    }
+
+    @Test("events are delivered to every listener with the native arguments")
+    func testDispatch() {
+        let harness = makeHarness()
+        harness.eval("""
+            var out = [];
+            emitter.on((x, y) => out.push('a' + x + y));
+            emitter.on((x, y) => out.push('b' + x + y));
+            native.dispatch[''](1, 2);
+        """)
+        #expect(harness.evalString("out.join(',')") == "a12,b12")
+    }
+
+    @Test("duplicate listeners are ignored and non-functions throw")
+    func testDuplicatesAndValidation() {
+        let harness = makeHarness()
+        harness.eval("""
+            var count = 0, a = () => count++;
+            emitter.on(a);
+            emitter.on(a);
+            native.dispatch['']();
+        """)
+        #expect(!harness.hasException)
+        #expect(harness.evalInt("count") == 1)
+        #expect(harness.evalInt("emitter.listeners().length") == 1)
+
+        harness.eval("emitter.on('not a function')")
+        harness.expectException()
+    }
+
+    @Test("a throwing listener does not stop delivery to later listeners")
+    func testErrorIsolation() {
+        let harness = makeHarness()
+        harness.eval("""
+            var reached = false;
+            emitter.on(() => { throw new Error('boom'); });
+            emitter.on(() => { reached = true; });
+            native.dispatch['']();
+        """)
+        #expect(!harness.hasException)
+        #expect(harness.evalBool("reached") == true)
+    }
+
+    @Test("once listeners fire a single time and stop the watcher if they were the last")
+    func testOnce() {
+        let harness = makeHarness()
+        harness.eval("""
+            var count = 0;
+            emitter.once(() => count++);
+            native.dispatch['']();
+        """)
+        #expect(harness.evalInt("count") == 1)
+        #expect(harness.evalInt("emitter.listeners().length") == 0)
+        #expect(harness.evalInt("native.stops.length") == 1)
+    }
+
+    @Test("keyed listeners get one native watcher per key")
+    func testKeyed() {
+        let harness = makeHarness(keyed: true)
+        harness.eval("""
+            var out = [];
+            var a = (v) => out.push('a' + v), b = (v) => out.push('b' + v);
+            emitter.on('one', a);
+            emitter.on('one', b);
+            emitter.on('two', a);
+            native.dispatch['one'](1);
+            native.dispatch['two'](2);
+        """)
+        #expect(harness.evalString("native.starts.join(',')") == "one,two")
+        #expect(harness.evalString("out.join(',')") == "a1,b1,a2")
+        #expect(harness.evalInt("emitter.listeners('one').length") == 2)
+
+        harness.eval("emitter.removeListener('two', a)")
+        #expect(harness.evalString("native.stops.join(',')") == "two")
+        #expect(harness.evalInt("emitter.listeners('one').length") == 2)
+    }
+
+    @Test("coalescing listeners get one batch of the events in each window, and others every event")
+    func testCoalesce() {
+        let harness = makeHarness(keyed: true)
+        harness.loadModule(HSTimerModule.self, as: "timer")
+        harness.eval("""
+            var batches = [], each = [];
+            var batched = (events) => batches.push(JSON.stringify(events));
+            emitter.on('usb', batched, { coalesce: 0.05 });
+            emitter.on('usb', (v) => each.push(v));
+            native.dispatch['usb']('added', 1);
+            native.dispatch['usb']('removed', 2);
+        """)
+        #expect(!harness.hasException)
+        #expect(harness.evalInt("each.length") == 2)
+        #expect(harness.evalInt("batches.length") == 0, "The batch waits for the window to end")
+
+        let delivered = harness.waitFor(timeout: 0.5) { harness.evalInt("batches.length") == 1 }
+        #expect(delivered)
+        #expect(harness.evalString("batches[0]") == #"[["added",1],["removed",2]]"#)
+
+        harness.eval("native.dispatch['usb']('added', 3); emitter.removeListener('usb', batched)")
+        _ = harness.waitFor(timeout: 0.15) { harness.evalInt("batches.length") != 1 }
+        #expect(harness.evalInt("batches.length") == 1, "A pending batch is dropped when the listener is removed")
+
+        harness.eval("emitter.on('usb', () => {}, { coalesce: 0 })")
+        harness.expectException()
+    }
+
+    @Test("a native watcher that fails to start throws and registers nothing")
+    func testFailedStart() {
+        let harness = JSTestHarness()
+        harness.eval("""
+            var emitter = new WatcherEmitter({
+                name: "test.addWatcher()",
+                start: () => false,
+                stop: () => {},
+            });
+            emitter.on(() => {});
+        """)
+        harness.expectException()
+        #expect(harness.evalInt("emitter.listeners().length") == 0)
+    }
+}
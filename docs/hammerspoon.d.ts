@@ -455,6 +455,73 @@ loop on a multi-URL playlist has no effect and logs a warning.
 
 }
 
+/**
+ * Signals that an operation should be cancelled. Promise-returning hs APIs accept one as `options.signal`
+ */
+declare class AbortSignal {
+    private constructor();
+
+    /**
+     * Whether the signal has been aborted
+     */
+    readonly aborted: boolean;
+
+    /**
+     * Why the signal was aborted: the reason given to abort(), or an AbortError
+     */
+    readonly reason: any;
+
+    /**
+     * Called when the signal is aborted, before the listeners added with addEventListener()
+     */
+    onabort: ((event: {type: "abort", target: AbortSignal}) => void) | null;
+
+    /**
+     * Throw the signal's reason if it has been aborted
+     */
+    throwIfAborted(): void;
+
+    /**
+     * Call a listener when the signal is aborted
+     */
+    addEventListener(type: "abort", listener: (event: {type: "abort", target: AbortSignal}) => void, options?: {once?: boolean}): void;
+
+    /**
+     * Remove a listener added with addEventListener()
+     */
+    removeEventListener(type: "abort", listener: (event: {type: "abort", target: AbortSignal}) => void): void;
+
+    /**
+     * Make a signal that is already aborted
+     */
+    static abort(reason?: any): AbortSignal;
+
+    /**
+     * Make a signal that aborts with a TimeoutError after a number of milliseconds
+     */
+    static timeout(milliseconds: number): AbortSignal;
+
+    /**
+     * Make a signal that aborts as soon as any of the given signals does, with its reason
+     */
+    static any(signals: AbortSignal[]): AbortSignal;
+}
+
+/**
+ * Owns an AbortSignal, and aborts it
+ */
+declare class AbortController {
+    /**
+     * The signal that abort() aborts
+     */
+    readonly signal: AbortSignal;
+
+    /**
+     * Abort the signal, with an AbortError unless a reason is given
+     */
+    abort(reason?: any): void;
+}
+
 // ========================================
 // Modules
 // ========================================
@@ -504,6 +571,14 @@ declare namespace hs {
      */
     function reload(): void;
 
+    /**
+     * Reload the configuration automatically whenever it changes on disk
+The config file and every file loaded with `require()` are watched. Changes are collected until no more arrive for the `debounce` period, so saving several files at once causes a single reload.
+     * @remarks Changed JavaScript and JSON files are checked for syntax errors first. If one has an error, it is logged to the Console and the running configuration is left alone
+     * @param options Optional object. `paths`: an array of extra files or directories to watch. `debounce`: the number of seconds to wait for further changes, defaulting to 0.5. `ignore`: an array of file name patterns to ignore, such as `"*.log"`, added to the defaults of `.git`, `.DS_Store` and editor swap and backup files. Pass `false` instead of an object to stop reloading automatically
+     */
+    function autoReload(options?: {paths?: string[], debounce?: number, ignore?: string[]} | false): void;
+
     /**
      * Force garbage collection of JavaScript objects that no longer have any references
      * @remarks This uses private macOS API
@@ -525,6 +600,98 @@ declare namespace hs {
      */
     function clearConsole(): void;
 
+    /**
+     * Set a function to be called for every error that escapes your JavaScript: uncaught exceptions, promise rejections that nothing handles, and errors thrown by callbacks such as watchers and timers
+     * @remarks Errors are always logged to the Console as well. An error thrown by the handler itself is logged, but not passed back to it
+     * @param handler A function taking two arguments: the error value, and a details object with `kind` (`"uncaughtException"`, `"unhandledRejection"` or `"reported"`), `message`, `stack`, `sourceURL`, `line` and `column`. Location fields are null when the error carries no location. Pass null to remove the handler
+     */
+    function onError(handler: ((...args: any[]) => any) | null): void;
+
+    /**
+     * Create a scope, which records the hotkeys, timers, watchers and other resources created while it runs, so they can be torn down together
+     * @param name A name for the scope
+     * @returns A new scope, nested inside the active one so that disposing that also disposes this
+     */
+    function scope(name?: string | null): HSScope;
+
+    /**
+     * Get the scope that newly created resources are being recorded in
+     * @returns The scope whose `run()` is executing, or the config's root scope, which is disposed before the config is reloaded
+     */
+    function currentScope(): HSScope;
+
+}
+
+/**
+ * A record of the resources created while it was active, so they can all be torn down together
+Create scopes with `hs.scope()`. While a scope's `run()` is executing, every hotkey, timer, watcher, event tap,
+menubar item, HTTP server, websocket, task and hs.ui window that is created is recorded in it, as is every listener
+added with an `addWatcher()` function. `dispose()` tears them all down again, newest first.
+Every config has a root scope, which is active whenever no other scope is running, and which is disposed before the
+config is reloaded.
+Only resources created while `run()` is executing are recorded. Anything created later, from a callback or after an
+`await`, is recorded in whichever scope is active then. Use `add()` to record those yourself.
+```js
+// features/clipboard.js
+module.exports = function () {
+    hs.hotkey.bind(["cmd", "shift"], "v", () => showClipboardHistory())
+    hs.pasteboard.addWatcher(() => rememberClipboard())
+}
+
+// init.js
+const clipboard = hs.scope("clipboard")
+clipboard.run(require("./features/clipboard"))
+
+// Switch the feature off, and back on again
+clipboard.dispose()
+clipboard.run(require("./features/clipboard"))
+```
+ */
+declare class HSScope {
+    /**
+     * Call a function with this scope active, recording every resource it creates
+     * @param fn The function to call
+     * @returns Whatever the function returns. If it throws, the error is rethrown after the scope stops being active
+     */
+    run(fn: () => any): any;
+
+    /**
+     * Record a resource that was created outside of `run()`, or a cleanup function of your own
+     * @param resource A function to call when the scope is disposed, or an object with a `dispose()`, `destroy()` or `stop()` method
+     * @returns The resource, so the call can wrap its creation
+     */
+    add(resource: (() => void) | {dispose(): void} | {destroy(): void} | {stop(): void}): any;
+
+    /**
+     * Stop recording a resource, without disposing of it
+     * @param resource A resource created while the scope was running, or a value passed to `add()`
+     * @returns true if the resource was recorded in this scope
+     */
+    remove(resource: any): boolean;
+
+    /**
+     * Create a scope nested inside this one, which is disposed along with it
+     * @param name A name for the new scope
+     * @returns The new scope
+     */
+    scope(name?: string | null): HSScope;
+
+    /**
+     * Tear down every resource recorded in the scope, newest first. Errors thrown by cleanup functions are reported,
+and do not stop the rest being disposed. The scope is empty afterwards, and can be run again
+     */
+    dispose(): void;
+
+    /**
+     * The name given to `hs.scope()`
+     */
+    readonly name: string;
+
+    /**
+     * The number of resources recorded in the scope. A nested scope counts as one resource
+     */
+    readonly count: number;
+
 }
 
 /**
@@ -948,8 +1115,9 @@ declare namespace hs.audiodevice {
     /**
      * Register a listener for all system-level audio configuration events.
      * @param listener A JavaScript function that receives the event name string
+     * @param options An object with `coalesce`, a number of seconds. Events are collected for that long after the first one, then the listener is called once with an array of them, each an array of the event's arguments
      */
-    function addWatcher(listener: (event: string) => void): void;
+    function addWatcher(listener: (event: string) => void, options?: {coalesce?: number}): void;
 
     /**
      * Remove a previously registered system-level listener.
@@ -1046,8 +1214,9 @@ declare class HSAudioDevice {
     /**
      * Register a listener for a per-device property-change event.
      * @param listener A JavaScript function that receives an event name string
+     * @param options An object with `coalesce`, a number of seconds. Events are collected for that long after the first one, then the listener is called once with an array of them, each an array of the event's arguments
      */
-    addWatcher(listener: (event: string) => void): void;
+    addWatcher(listener: (event: string) => void, options?: {coalesce?: number}): void;
 
     /**
      * Remove a previously registered per-device listener.
@@ -1187,8 +1356,9 @@ declare namespace hs.ax {
      * @param application An HSApplication object
      * @param notification An event name
      * @param listener A function called with the notification name and the accessibility element it applies to
+     * @param options An object with `coalesce`, a number of seconds. Events are collected for that long after the first one, then the listener is called once with an array of them, each an array of the event's arguments
      */
-    function addWatcher(application: HSApplication, notification: string, listener: (notification: string, element: HSAXElement) => void): void;
+    function addWatcher(application: HSApplication, notification: string, listener: (notification: string, element: HSAXElement) => void, options?: {coalesce?: number}): void;
 
     /**
      * Remove a watcher for application AX events
@@ -1433,9 +1603,10 @@ Internally searches for `_services._dns-sd._udp.` services, collects
 results for up to `timeout` seconds (or until the browser signals no more
 results), then resolves.
      * @param timeout maximum seconds to wait (pass `0` to use the default 5 s)
+     * @param options Optional object. `signal`: an `AbortSignal` that stops the search early and rejects with the signal's reason
      * @returns a Promise resolving to an array of service-type strings such as `"_http._tcp."`
      */
-    function networkServices(timeout: number): Promise<string[]>;
+    function networkServices(timeout: number, options?: {signal?: AbortSignal}): Promise<string[]>;
 
     /**
      * A frozen object mapping short service-type names to their mDNS strings.
@@ -3038,6 +3209,7 @@ declare namespace hs.hotkey {
 
     /**
      * Create a new modal hotkey group, optionally entered via a trigger key combination
+Modals log through `hs.logger` as "hs.hotkey". Use `hs.logger.setLevel("hs.hotkey", "verbose")` to trace what they are doing
      * @param mods Modifier keys for the trigger hotkey (e.g. ["cmd", "shift"]), or an empty array for no trigger
      * @param key Key name for the trigger hotkey (e.g. "h"), or an empty string for no trigger
      * @returns A modal object with bind(), enter(), exit(), destroy() methods, isActive property, and enterFn/exitFn callbacks
@@ -3089,6 +3261,9 @@ declare class HSHotkey {
 All request methods return Promises that resolve with a result object containing
 `status` (number), `body` (string), and `headers` (object). On network failure,
 `status` is -1 and `body` is an empty string.
+Every request method takes an optional final `options` object. Its `signal` property may be an
+`AbortSignal`: aborting it cancels the request and rejects the Promise with the signal's reason
+(an `AbortError` by default).
 ## Quick start
 ```js
 hs.http.get("https://api.example.com/data").then(r => {
@@ -3103,27 +3278,30 @@ declare namespace hs.http {
      * Perform an HTTP GET request.
      * @param url The URL to request.
      * @param headers Optional dictionary of request headers.
-     * @returns {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response.
+     * @param options Optional object. `signal`: an `AbortSignal` that cancels the request.
+     * @returns {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response, or rejects with the signal's reason if aborted.
      */
-    function get(url: string, headers?: Record<string, string> | null): Promise<any>;
+    function get(url: string, headers?: Record<string, string> | null, options?: {signal?: AbortSignal}): Promise<any>;
 
     /**
      * Perform an HTTP POST request.
      * @param url The URL to request.
      * @param body Optional request body string.
      * @param headers Optional dictionary of request headers.
-     * @returns {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response.
+     * @param options Optional object. `signal`: an `AbortSignal` that cancels the request.
+     * @returns {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response, or rejects with the signal's reason if aborted.
      */
-    function post(url: string, body?: string | null, headers?: Record<string, string> | null): Promise<any>;
+    function post(url: string, body?: string | null, headers?: Record<string, string> | null, options?: {signal?: AbortSignal}): Promise<any>;
 
     /**
      * Perform an HTTP PUT request.
      * @param url The URL to request.
      * @param body Optional request body string.
      * @param headers Optional dictionary of request headers.
-     * @returns {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response.
+     * @param options Optional object. `signal`: an `AbortSignal` that cancels the request.
+     * @returns {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response, or rejects with the signal's reason if aborted.
      */
-    function put(url: string, body?: string | null, headers?: Record<string, string> | null): Promise<any>;
+    function put(url: string, body?: string | null, headers?: Record<string, string> | null, options?: {signal?: AbortSignal}): Promise<any>;
 
     /**
      * Perform an HTTP request with any method (GET, POST, PUT, DELETE, PATCH, etc.).
@@ -3132,9 +3310,10 @@ Use this for methods not covered by the convenience helpers, such as DELETE or P
      * @param method The HTTP method string (e.g. "DELETE", "PATCH", "HEAD").
      * @param body Optional request body string.
      * @param headers Optional dictionary of request headers.
-     * @returns {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response.
+     * @param options Optional object. `signal`: an `AbortSignal` that cancels the request.
+     * @returns {Promise<{status: number, body: string, headers: object}>} Resolves with the HTTP response, or rejects with the signal's reason if aborted.
      */
-    function doRequest(url: string, method: string, body?: string | null, headers?: Record<string, string> | null): Promise<any>;
+    function doRequest(url: string, method: string, body?: string | null, headers?: Record<string, string> | null, options?: {signal?: AbortSignal}): Promise<any>;
 
     /**
      * URL-encode a string for use as a query parameter value.
@@ -3149,6 +3328,7 @@ using percent-encoding.
      * Parse a URL into its component parts.
 Returns an object containing only the fields present in the URL. The `queryItems` field
 is an array of `{name, value}` objects from the query string.
+To modify a URL, or resolve one relative to another, use the global `URL` class.
      * @param url The URL string to parse.
      * @returns An object with any of the fields: `scheme`, `host`, `port`, `user`, `password`, `path`, `query`, `fragment`, `queryItems`. Returns `null` if the URL is unparseable.
      */
@@ -3897,6 +4077,124 @@ is delivered. Defaults to `kCLDistanceFilterNone` (all movements reported).
 
 }
 
+/**
+ * Named, leveled loggers.
+Each logger has a name, usually that of the module or script using it, and a level that decides which of its
+messages reach the Console: `"nothing"`, `"error"`, `"warning"`, `"info"`, `"debug"` or `"verbose"`. Levels can be
+overridden by name at runtime, so you can turn on tracing for one module without drowning in everything else's.
+Every message that is logged is also kept, with a timestamp, in an in-memory ring buffer that you can query with
+`hs.logger.history()`.
+Hammerspoon's own JavaScript modules log through loggers named after themselves, e.g. `hs.hotkey`.
+```js
+const log = hs.logger.create("myconfig", "info")
+log.info("Config loaded")
+log.debug("Not shown, the level is info")
+
+// Trace what hs.hotkey's modals are doing
+hs.logger.setLevel("hs.hotkey", "verbose")
+```
+ */
+declare namespace hs.logger {
+    /**
+     * Create a logger
+     * @param name The name shown in front of each message, and used by `setLevel()` and `history()`
+     * @param level The logger's level, as a name or a number from 0 (nothing) to 5 (verbose). Defaults to `hs.logger.defaultLevel`
+     * @returns A new logger
+     */
+    function create(name: string, level?: string | null): HSLogger;
+
+    /**
+     * Override the level of every logger with a given name, including loggers created later
+     * @param name The logger name
+     * @param level The level to use, or null to go back to each logger's own level
+     */
+    function setLevel(name: string, level: string | null): void;
+
+    /**
+     * Get the level override for a logger name
+     * @param name The logger name
+     * @returns The level set with `setLevel()`, or null if there is none
+     */
+    function getLevel(name: string): string | null;
+
+    /**
+     * Get recently logged messages, oldest first
+     * @param name Only return messages from loggers with this name. Pass null for all loggers
+     * @param count The maximum number of messages to return. Defaults to all of them
+     * @returns {Array<{name: string, level: string, message: string, timestamp: number}>} The messages, with `timestamp` in milliseconds since the epoch, as used by `Date`
+     */
+    function history(name?: string | null, count?: number): Record<string, any>[];
+
+    /**
+     * Discard all messages kept for `history()`
+     */
+    function clearHistory(): void;
+
+    /**
+     * The level given to loggers created without one. Defaults to `"warning"`
+     */
+    let defaultLevel: string;
+
+    /**
+     * The number of messages kept by `history()`. Defaults to 500
+     */
+    let historySize: number;
+
+}
+
+/**
+ * A named logger. Create one with `hs.logger.create()`.
+Messages are written to the Console as `name: message`, and only if the logger's level allows them. If a level has
+been set for this logger's name with `hs.logger.setLevel()`, that takes precedence over the logger's own level.
+ */
+declare class HSLogger {
+    /**
+     * Log an error
+     * @param message The message to log
+     */
+    error(message: string): void;
+
+    /**
+     * Log a warning
+     * @param message The message to log
+     */
+    warn(message: string): void;
+
+    /**
+     * Log an informational message
+     * @param message The message to log
+     */
+    info(message: string): void;
+
+    /**
+     * Log a debugging message
+     * @param message The message to log
+     */
+    debug(message: string): void;
+
+    /**
+     * Log a detailed tracing message
+     * @param message The message to log
+     */
+    verbose(message: string): void;
+
+    /**
+     * The name given to `hs.logger.create()`
+     */
+    readonly name: string;
+
+    /**
+     * The logger's own level: `"nothing"`, `"error"`, `"warning"`, `"info"`, `"debug"` or `"verbose"`. Invalid values are ignored.
+     */
+    level: string;
+
+    /**
+     * The level actually in effect, taking any `hs.logger.setLevel()` override for this name into account
+     */
+    readonly effectiveLevel: string;
+
+}
+
 /**
  * Module for creating and managing macOS system menu bar items.
 Menu bar items appear in the right side of the macOS menu bar (alongside the clock, Wi-Fi icon, etc.).
@@ -4736,11 +5034,12 @@ Hints Vision toward specific languages. Use `supportedLanguages()` to
 enumerate the available codes for the current device.
 When `true`, Vision selects recognition languages automatically.
 Overrides `languages` when set.
+rejects the Promise with the signal's reason.
      * @param path Absolute path to the image file.
      * @param options Optional configuration object (see description).
      * @returns Resolves with the recognition result.
      */
-    function recognizeText(path: string, options: Record<string, any> | null): Promise<HSOCRResult>;
+    function recognizeText(path: string, options?: {recognitionLevel?: "accurate" | "fast", minimumConfidence?: number, languages?: string[], automaticallyDetectsLanguage?: boolean, signal?: AbortSignal}): Promise<HSOCRResult>;
 
     /**
      * Returns the BCP-47 language codes supported by the Vision text recognizer
@@ -5167,8 +5466,9 @@ Multiple watchers may be registered; they are each called independently.
 Because macOS provides no pasteboard change notification API, this is implemented
 by polling `changeCount` at the interval specified by `watcherInterval`.
      * @param listener A function called with the new `changeCount` integer whenever the pasteboard changes
+     * @param options An object with `coalesce`, a number of seconds. Events are collected for that long after the first one, then the listener is called once with an array of them, each an array of the event's arguments
      */
-    function addWatcher(listener: (changeCount: number) => void): void;
+    function addWatcher(listener: (changeCount: number) => void, options?: {coalesce?: number}): void;
 
     /**
      * Remove a previously registered pasteboard watcher
@@ -5321,6 +5621,119 @@ returns a base64-encoded binary plist string.
 
 }
 
+/**
+ * Load reusable packages of automation, called plugins.
+A plugin is a directory containing a `plugin.json` manifest and a JavaScript entry point. Plugins are found in the
+```
+~/.config/Hammerspoon2/
+├── init.js
+└── plugins/
+    └── ClipboardHistory/
+        ├── plugin.json
+        └── init.js
+```
+```json
+{
+    "name": "ClipboardHistory",
+    "version": "1.2.0",
+    "description": "Remember and paste recent clipboard entries",
+    "entry": "init.js",
+    "dependencies": { "Overlay": "1.0" },
+    "hotkeys": { "show": [["cmd", "shift"], "v"] }
+}
+```
+Only `name` and `version` are required. `entry` defaults to `init.js`. `dependencies` maps plugin names to the minimum
+version needed, and may also be an array of names. `hotkeys` gives the default hotkey for each of the plugin's actions,
+as `[mods, key]`.
+The entry point exports the plugin object, or a function that is passed the manifest and returns it. Every part of the
+```js
+module.exports = {
+    init(manifest) { },              // Called once, when the plugin is loaded
+    start() { },                     // Called by hs.plugins.start()
+    stop() { },                      // Called by hs.plugins.stop(), and before the config is reloaded
+    actions: {                       // Functions that hotkeys can be bound to
+        show() { }
+    }
+}
+```
+Everything a plugin creates while its hooks and hotkeys run is recorded in an `hs.scope()`, so stopping a plugin
+also removes the hotkeys, timers and watchers that `start()` created.
+```js
+const clipboard = hs.plugins.load("ClipboardHistory")
+clipboard.bindHotkeys({ show: [["cmd", "alt"], "v"] })
+hs.plugins.start("ClipboardHistory")
+```
+ */
+declare namespace hs.plugins {
+    /**
+     * Find every plugin in `hs.plugins.paths`
+Directories whose manifest is missing or invalid are skipped, with an error logged to the Console. If two directories hold plugins with the same name, the one found first is used.
+     * @returns {Array<{name: string, version: string, description: string, path: string, entry: string, dependencies: Object<string, string>, hotkeys: Object<string, Array>}>} The plugins' manifests, with `path` set to the plugin's directory and `entry` resolved to a full path
+     */
+    function discover(): Record<string, any>[];
+
+    /**
+     * Get the manifest of a plugin
+     * @param name The plugin's name
+     * @returns The manifest, as returned by `discover()`, or null if no plugin has that name
+     */
+    function manifest(name: string): Record<string, any> | null;
+
+    /**
+     * Load a plugin, and the plugins it depends on, calling its `init()` hook
+Loading a plugin that is already loaded returns the same object, so plugins can use this to get hold of their dependencies.
+     * @param name The plugin's name, from its manifest
+     * @returns The plugin object exported by the plugin's entry point. If it has no `bindHotkeys()` method, one is added that calls `hs.plugins.bindHotkeys()`
+     */
+    function load(name: any): any;
+
+    /**
+     * Start a plugin, loading it first if need be, by calling its `start()` hook
+Everything the hook creates is recorded, and torn down again by `hs.plugins.stop()`. Starting a plugin that is running does nothing. The plugins it depends on are loaded, but not started.
+     * @param name The plugin's name
+     * @returns The plugin object
+     */
+    function start(name: any): any;
+
+    /**
+     * Stop a running plugin by calling its `stop()` hook, then tearing down the hotkeys, timers, watchers and anything else its `start()` hook created
+Running plugins are also stopped before the config is reloaded.
+     * @param name The plugin's name
+     * @returns true if the plugin was running
+     */
+    function stop(name: any): any;
+
+    /**
+     * Check whether a plugin has been started
+     * @param name The plugin's name
+     * @returns true if the plugin is running
+     */
+    function isRunning(name: any): any;
+
+    /**
+     * Get the names of the loaded plugins
+     * @returns An array of plugin names, in the order they were loaded
+     */
+    function loaded(): any;
+
+    /**
+     * Bind hotkeys to a plugin's actions, replacing any bound before
+Actions are the functions in the plugin's `actions` object, or failing that, its own methods. The hotkeys in the plugin's manifest are used for any action the mapping doesn't mention. This is what a plugin's `bindHotkeys()` method calls, unless the plugin provides its own.
+     * @param name The plugin's name
+     * @param mapping An object of action names and `[mods, key]` pairs. Map an action to null to leave it unbound
+     * @param Returns The plugin object
+     * @param Note Throws an error if the plugin isn't loaded, or the mapping names an action the plugin doesn't have
+     * @returns The plugin object
+     */
+    function bindHotkeys(name: any, mapping?: any, Returns: any, Note: any): any;
+
+    /**
+     * The directories that plugins are looked for in, in order. Defaults to the `plugins` directory next to the config file
+     */
+    let paths: string[];
+
+}
+
 /**
  * Monitor and control system power: prevent sleep, read battery state, respond to
 power events, and lock or sleep the machine.
@@ -5495,6 +5908,10 @@ s.setMode(1920, 1080, 1, 60);
 ```javascript
 const img = await hs.screen.main().snapshot();
 img.saveToFile("/tmp/screen.png");
+```
+## Watching for changes
+```javascript
+hs.screen.addWatcher((screens) => console.log(screens.length + " screens attached"));
 ```
  */
 declare namespace hs.screen {
@@ -5517,6 +5934,22 @@ with the keyboard focus if no window is focused.
      */
     function primary(): HSScreen | null;
 
+    /**
+     * Register a listener for changes to the screens: screens being attached or detached, and changes to their
+arrangement, resolution or usable area (such as the Dock being moved).
+The listener is called with an array of the screens attached after the change. macOS often reports one change
+as several, so listeners that rearrange windows may want to coalesce them.
+     * @param listener The function to call when the screens change
+     * @param options An object with `coalesce`, a number of seconds. Events are collected for that long after the first one, then the listener is called once with an array of them, each an array of the event's arguments
+     */
+    function addWatcher(listener: (screens: HSScreen[]) => void, options?: {coalesce?: number}): void;
+
+    /**
+     * Remove a previously registered screen change listener.
+     * @param listener The function originally passed to `addWatcher`
+     */
+    function removeWatcher(listener: (screens: HSScreen[]) => void): void;
+
 }
 
 /**
@@ -5874,6 +6307,70 @@ as a `"received"` event, simulating local echo. Default is `false`.
 
 }
 
+/**
+ * Namespaced settings, checked against a schema, with defaults and versioned migrations.
+Each namespace keeps its settings together, so different scripts can use the same setting names without colliding.
+Settings are stored as JSON in `hs.userdefaults`, one key per namespace, so they persist across restarts.
+When a namespace has a schema, only the settings it describes can be set. Without one, any value that can be
+represented as JSON is allowed.
+A namespace's `version` is stored with its settings. When a namespace is opened with a higher version than the one
+stored, its `migrate` steps are run on the stored settings, and the result is saved.
+```js
+const clipboard = hs.settings.namespace("clipboard", {
+    version: 2,
+    schema: {
+        maxEntries: { type: "integer", min: 1, max: 1000 },
+        ignoredApps: { type: "array", items: "string" },
+        position: { type: "string", enum: ["mouse", "center"] }
+    },
+    defaults: { maxEntries: 100, ignoredApps: [], position: "mouse" },
+    migrate: {
+        // Version 1 stored the limit as "size"
+        2: ({ size, ...settings }) => ({ ...settings, maxEntries: size })
+    }
+})
+
+clipboard.set("maxEntries", 50)
+clipboard.get("position")           // "mouse"
+clipboard.set("position", "left")   // Throws a TypeError
+```
+keys or tokens.
+ */
+declare namespace hs.settings {
+    /**
+     * Get the names of every namespace that has settings stored
+     * @returns An array of namespace names, sorted alphabetically
+     */
+    function namespaces(): string[];
+
+    /**
+     * Open a namespace of settings, migrating what is stored if it was stored by an older version
+It also has `name` and `version` properties.
+     * @param name The namespace's name, made of letters, digits, `_` and `-`
+     * @param options `schema`: an object describing each setting, as in the hs.settings overview. `defaults`: an object of the value each setting has until it is set. `version`: a positive integer, defaulting to 1. `migrate`: either an object of functions keyed by version number, each taking the settings as they were at the version before and returning them as they should be at that version, or a single function taking the settings, the stored version and the new version
+     * @param Returns A settings store
+     * @param Note Throws a TypeError if the schema or defaults are invalid, or a migration fails. Stored settings that don't fit the schema after migrating are dropped, with a warning logged
+     * @returns A settings store
+     */
+    function namespace(name: any, options?: any, Returns: any, Note: any): any;
+
+    /**
+     * Write every namespace's settings to a JSON file
+     * @param path The file to write
+     * @returns The names of the namespaces written
+     */
+    function exportTo(path: any): any;
+
+    /**
+     * Read settings written by `exportTo()`, replacing the settings of each namespace in the file
+Namespaces that have been opened with `namespace()` are migrated and checked against their schema, as they would be when opened. Others are stored as they are, and migrated when they are next opened. Watchers are told about every setting that changes.
+     * @param path The file to read
+     * @returns The names of the namespaces imported
+     */
+    function importFrom(path: any): any;
+
+}
+
 /**
  * Share data with other people and apps via macOS sharing services (Mail, Messages,
 AirDrop, and more).
@@ -5947,6 +6444,7 @@ declare class HSSharingService {
 Items may be strings (treated as a web/mailto URL if they parse as one, a file
 path if they start with `/` or `~` and the file exists, otherwise plain text) or
 `HSImage` objects.
+     * @remarks Unsupported items will be ignored
      * @param items The items to check
      * @returns true if this service can share all of the given items
      */
@@ -5957,6 +6455,7 @@ path if they start with `/` or `~` and the file exists, otherwise plain text) or
 If the service cannot handle the items, this logs a warning and returns `false`
 without doing anything further. Otherwise the share is started; it is asynchronous
 — use `setCallback()` to find out when it completes.
+     * @remarks Unsupported items will be ignored
      * @param items The items to share
      * @returns true if the share was started
      */
@@ -6562,7 +7061,7 @@ declare namespace hs.task {
     /**
      * Run a shell command asynchronously
      * @param command - Shell command to execute
-     * @param options - Options (same as run)
+     * @param options - Options (same as run), including an AbortSignal as options.signal
      * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>}
      */
     function shell(command: string, options: Object): any;
@@ -6720,6 +7219,16 @@ declare namespace hs.timer {
      */
     function doAt(time: number, repeatInterval: number, callback: () => void, continueOnError?: boolean): HSTimer;
 
+    /**
+     * Create and start a schedule that runs a callback at calendar times, like cron
+     * @remarks A cron expression has five fields: minute, hour, day of month, month and day of week. Each accepts `*`, numbers, lists (`1,15`), ranges (`1-5`) and steps (`*\/15`). Months and days of the week may be given by name (`jan`, `mon`), and Sunday is 0 or 7. The day of month may be `L` for the last day of the month, and a day of the week may be `fri#2` for the second Friday of the month, or `friL` for the last one. When both the day of month and day of week are restricted, a day matching either runs. `@yearly`, `@monthly`, `@weekly`, `@daily` and `@hourly` are also accepted. The object form takes `minute`, `hour`, `day`, `month` and `weekdays`, each a number, an array of numbers or a cron field. Fields that are left out match every value, except `minute`, which defaults to 0. Runs follow the wall clock. A time that is skipped when the clocks go forward runs when they do, and a time that happens twice when they go back runs only the first time. Throws an error if the spec or options are invalid
+     * @param spec Either a cron expression, or an object of calendar fields. See the notes below.
+     * @param callback A JavaScript function to call at each run. It is passed the time the run was scheduled for
+     * @param options An object with any of: `timeZone`, a time zone identifier, such as `"America/New_York"`, to follow instead of the system's time zone; and `catchUp`, what to do about runs missed while the Mac was asleep. `"once"` (the default) runs the callback once on wake, however many runs were missed. `"skip"` doesn't run it until the next scheduled time.
+     * @returns A schedule object (already started)
+     */
+    function schedule(spec: string | {minute?: number | number[] | string, hour?: number | number[] | string, day?: number | number[] | string, month?: number | number[] | string, weekdays?: number | number[] | string}, callback: (scheduled: Date) => void, options?: {timeZone?: string, catchUp?: "once" | "skip"}): HSSchedule | null;
+
     /**
      * Block execution for a specified number of microseconds (strongly discouraged)
      * @remarks This blocks the entire application and should be avoided. Use timers instead.
@@ -6778,32 +7287,126 @@ declare namespace hs.timer {
      * @param predicateFn A function/lambda to test if the timer should continue. Return True to end the timer, False to continue it
      * @param actionFn A function/lambda to call until the predicateFn returns true
      * @param checkInterval How often, in seconds, to call actionFn
+     * @returns The timer. Call stop() on it to cancel
      */
-    function doUntil(predicateFn: any, actionFn: any, checkInterval: any): void;
+    function doUntil(predicateFn: any, actionFn: any, checkInterval: any): any;
 
     /**
      * Repeat a function/lambda while a given predicate function/lambda returns true
      * @param predicateFn A function/lambda to test if the timer should continue. Return True to continue the timer, False to end it
      * @param actionFn A function/lambda to call while the predicateFn returns true
      * @param checkInterval How often, in seconds, to call actionFn
+     * @returns The timer. Call stop() on it to cancel
      */
-    function doWhile(predicateFn: any, actionFn: any, checkInterval: any): void;
+    function doWhile(predicateFn: any, actionFn: any, checkInterval: any): any;
 
     /**
      * Wait to call a function/lambda until a given predicate function/lambda returns true
      * @param predicateFn A function/lambda to test if the actionFn should be called. Return True to call the actionFn, False to continue waiting
      * @param actionFn A function/lambda to call when the predicateFn returns true. This will only be called once and then the timer will stop.
      * @param checkInterval How often, in seconds, to call predicateFn
+     * @returns The timer. Call stop() on it to cancel
      */
-    function waitUntil(predicateFn: any, actionFn: any, checkInterval: any): void;
+    function waitUntil(predicateFn: any, actionFn: any, checkInterval: any): any;
 
     /**
      * Wait to call a function/lambda until a given predicate function/lambda returns false
      * @param predicateFn A function/lambda to test if the actionFn should be called. Return False to call the actionFn, True to continue waiting
      * @param actionFn A function/lambda to call when the predicateFn returns False. This will only be called once and then the timer will stop.
      * @param checkInterval How often, in seconds, to call predicateFn
+     * @returns The timer. Call stop() on it to cancel
+     */
+    function waitWhile(predicateFn: any, actionFn: any, checkInterval: any): any;
+
+    /**
+     * Wait for a number of seconds
+     * @param seconds How long to wait, in seconds
+     * @param options An optional object with `signal`, an AbortSignal that cancels the wait
+     * @returns {Promise<void>} A promise that resolves after the given time. It has a `cancel(reason)` method, which
+     */
+    function sleep(seconds: any, options: any): any;
+
+    /**
+     * Wait for a predicate to return a truthy value
+     * @param predicate A function that is called immediately, then every `interval` seconds until it returns a truthy value. It may return a promise
+     * @param options An optional object with any of:
+     * @returns {Promise<any>} A promise that resolves with the predicate's value. It rejects with a TimeoutError if the
+     */
+    function waitFor(predicate: any, options: any): any;
+
+    /**
+     * Tick every few seconds, as an async iterator
+     * @param seconds The interval between ticks, in seconds
+     * @param options An optional object with `signal`, an AbortSignal that ends the iteration by throwing its reason
+     * @returns {AsyncIterableIterator<number>} An async iterator of tick numbers, starting at 1. Ticks that happen while
      */
-    function waitWhile(predicateFn: any, actionFn: any, checkInterval: any): void;
+    function interval(seconds: any, options: any): any;
+
+    /**
+     * Make a function that only calls another once calls to it have stopped for a while
+     * @param fn The function to call
+     * @param seconds How long, in seconds, calls must stop for before `fn` is called
+     * @returns A function that takes the same arguments as `fn`. `fn` is called with the arguments of the last call. It
+     */
+    function debounce(fn: any, seconds: any): any;
+
+    /**
+     * Make a function that calls another at most once every few seconds
+     * @param fn The function to call
+     * @param seconds The shortest time, in seconds, between calls to `fn`
+     * @param options An optional object with any of:
+     * @returns A function that takes the same arguments as `fn`. It has `cancel()` to drop a pending call and end the
+     */
+    function throttle(fn: any, seconds: any, options: any): any;
+
+}
+
+/**
+ * Object representing a calendar schedule. You should not instantiate these yourself, but rather, use hs.timer.schedule() to create them for you.
+ */
+declare class HSSchedule {
+    /**
+     * Start the schedule
+     */
+    start(): void;
+
+    /**
+     * Stop the schedule
+     */
+    stop(): void;
+
+    /**
+     * Check if the schedule is currently running
+     * @returns true if the schedule is running, false otherwise
+     */
+    running(): boolean;
+
+    /**
+     * Get the next times the schedule will run
+     * @param count How many times to get
+     * @returns An array of Dates, in order. It is shorter than `count` if the schedule has no more runs in the next
+     */
+    nextRuns(count: number): Date[];
+
+    /**
+     * The schedule as a five-field cron expression, with any macro or object form expanded
+     */
+    readonly expression: string;
+
+    /**
+     * The identifier of the time zone the schedule follows, or null if it follows the system's time zone
+     */
+    readonly timeZone: string | null;
+
+    /**
+     * What happens to runs that were missed while the Mac was asleep: `"once"` or `"skip"`
+     */
+    readonly catchUp: string;
+
+    /**
+     * When the callback was last run, or null if it hasn't been
+     */
+    readonly lastRun: Date | null;
 
 }
 
@@ -8099,6 +8702,8 @@ declare namespace hs.urlevent {
      * Register or remove a callback for a named `hammerspoon2://` URL event.
 The URL format is `hammerspoon2://eventName?key=value`. The host
 component (`eventName`) selects the callback to invoke.
+`params` holds one value per key. For repeated keys, the path or the fragment,
+parse `fullURL` with the global `URL` class instead.
      * @param eventName The URL host component identifying the event.
      * @param callback A function receiving `(eventName, params, senderPID, fullURL)`, or `null` to remove any existing binding.
      */
@@ -8173,8 +8778,9 @@ declare namespace hs.usb {
      * Register a listener for USB device connection and disconnection events.
 The listener is called with two arguments: the event type string (`"added"` or `"removed"`) and a device-info object with the same fields as `attachedDevices()`.
      * @param listener The function to call when a USB device is added or removed
+     * @param options An object with `coalesce`, a number of seconds. Events are collected for that long after the first one, then the listener is called once with an array of them, each an array of the event's arguments
      */
-    function addWatcher(listener: (event: string, device: {productName: string, vendorName: string, productID: number, vendorID: number, serialNumber?: string, locationID?: number}) => void): void;
+    function addWatcher(listener: (event: string, device: {productName: string, vendorName: string, productID: number, vendorID: number, serialNumber?: string, locationID?: number}) => void, options?: {coalesce?: number}): void;
 
     /**
      * Remove a previously registered USB event listener.
@@ -8311,9 +8917,10 @@ This can take several seconds; it runs off the main thread so it does not block
      * Scans for visible Wi-Fi networks.
 This can take a few seconds; it runs off the main thread so it does not block the app.
      * @param interface the interface name as returned by `interfaces()`; omit for the system's default Wi-Fi interface
+     * @param options Optional object. `signal`: an `AbortSignal` that rejects the Promise with the signal's reason. CoreWLAN scans cannot be interrupted, so a scan already in progress finishes in the background and its results are discarded
      * @returns A Promise that resolves to an array of network tables, each with keys `ssid, bssid, rssi, noise, ibss, countryCode, beaconInterval, security, phyModes, wlanChannel, informationElementData`; or rejects if the interface doesn't exist or the scan fails. `bssid`/`countryCode` may be absent without Location Services authorization. `informationElementData` is raw beacon/probe-response data returned as an array of byte values (0-255) rather than a string, since it can contain sequences that are unsafe to render as text.
      */
-    function scanNetworks(interface?: string | null): Promise<object[]>;
+    function scanNetworks(interface?: string | null, options?: {signal?: AbortSignal}): Promise<object[]>;
 
     /**
      * Creates a new Wi-Fi event watcher. Call `.setCallback()` and `.start()` to activate it.
@@ -8449,33 +9056,519 @@ Parameter title: The window title to search for. All windows with titles that in
     function currentWindows(): any;
 
     /**
-     * Move a window to left half of screen
-Parameter win: An HSWindow object
-     * @param win An HSWindow object
+     * Work out the frame that a unit rect covers on a screen
+Parameter unit: The part of the screen, as fractions of its usable frame. Either an object with x, y, w and h, or an array of [x, y, w, h]
+Parameter screen: An HSScreen object
+Parameter options: An optional object with `margin` (the space between the windows and the edges of the screen) and `gap` (the space between neighbouring windows), in points. They default to hs.window.margin and hs.window.gap
+     * @param unit The part of the screen, as fractions of its usable frame. Either an object with x, y, w and h, or an array of [x, y, w, h]
+     * @param screen An HSScreen object
+     * @param options An optional object with `margin` (the space between the windows and the edges of the screen) and `gap` (the space between neighbouring windows), in points. They default to hs.window.margin and hs.window.gap
+     * @returns An HSRect in the same coordinates as HSWindow frames
+     */
+    function frameForUnit(unit: any, screen: any, options: any): any;
+
+    /**
+     * Move a window to part of its screen
+Parameter win: An HSWindow object, or null for the focused window
+Parameter unit: The part of the screen, as fractions of its usable frame. Either an object with x, y, w and h, or an array of [x, y, w, h]
+Parameter options: An optional object with `screen` (the HSScreen to move the window to, instead of the one it is on), `margin` and `gap`, as for hs.window.frameForUnit()
+     * @param win An HSWindow object, or null for the focused window
+     * @param unit The part of the screen, as fractions of its usable frame. Either an object with x, y, w and h, or an array of [x, y, w, h]
+     * @param options An optional object with `screen` (the HSScreen to move the window to, instead of the one it is on), `margin` and `gap`, as for hs.window.frameForUnit()
      * @returns True if the operation was successful, otherwise False
      */
-    function moveToLeftHalf(win: any): any;
+    function moveToUnit(win: any, unit: any, options: any): any;
 
     /**
-     * Move a window to right half of screen
-Parameter win: An HSWindow object
-     * @param win An HSWindow object
+     * Move a window to left half of its screen
+Parameter win: An HSWindow object, or null for the focused window
+Parameter options: An optional object with `screen`, `margin` and `gap`, as for hs.window.moveToUnit()
+     * @param win An HSWindow object, or null for the focused window
+     * @param options An optional object with `screen`, `margin` and `gap`, as for hs.window.moveToUnit()
      * @returns True if the operation was successful, otherwise False
      */
-    function moveToRightHalf(win: any): any;
+    function moveToLeftHalf(win: any, options: any): any;
 
     /**
-     * Maximize a window
-Parameter win: An HSWindow object
-     * @param win An HSWindow object
+     * Move a window to right half of its screen
+Parameter win: An HSWindow object, or null for the focused window
+Parameter options: An optional object with `screen`, `margin` and `gap`, as for hs.window.moveToUnit()
+     * @param win An HSWindow object, or null for the focused window
+     * @param options An optional object with `screen`, `margin` and `gap`, as for hs.window.moveToUnit()
+     * @returns True if the operation was successful, otherwise False
+     */
+    function moveToRightHalf(win: any, options: any): any;
+
+    /**
+     * Maximize a window to fill its screen
+Parameter win: An HSWindow object, or null for the focused window
+Parameter options: An optional object with `screen` and `margin`, as for hs.window.moveToUnit()
+     * @param win An HSWindow object, or null for the focused window
+     * @param options An optional object with `screen` and `margin`, as for hs.window.moveToUnit()
      * @returns True if the operation was successful, otherwise false
      */
-    function maximize(win: any): any;
+    function maximize(win: any, options: any): any;
+
+    /**
+     * Focus the nearest window to the east of a window
+Windows are compared by their centers. One that is off to the side counts as further away than one straight ahead, and when two are as near, the one in front wins. Only visible, standard windows are considered.
+Parameter win: An HSWindow object, or null for the focused window
+Parameter options: An optional object with `sameScreen`, true to only consider windows on the same screen, and `strict`, true to only consider windows within 45 degrees of the direction
+     * @param win An HSWindow object, or null for the focused window
+     * @param options An optional object with `sameScreen`, true to only consider windows on the same screen, and `strict`, true to only consider windows within 45 degrees of the direction
+     * @returns The window that was focused, or null if there is no window in that direction
+     */
+    function focusWindowEast(win: any, options: any): any;
+
+    /**
+     * Focus the nearest window to the west of a window
+Parameter win: An HSWindow object, or null for the focused window
+Parameter options: An optional object with `sameScreen` and `strict`, as for hs.window.focusWindowEast()
+     * @param win An HSWindow object, or null for the focused window
+     * @param options An optional object with `sameScreen` and `strict`, as for hs.window.focusWindowEast()
+     * @returns The window that was focused, or null if there is no window in that direction
+     */
+    function focusWindowWest(win: any, options: any): any;
+
+    /**
+     * Focus the nearest window to the north of a window
+Parameter win: An HSWindow object, or null for the focused window
+Parameter options: An optional object with `sameScreen` and `strict`, as for hs.window.focusWindowEast()
+     * @param win An HSWindow object, or null for the focused window
+     * @param options An optional object with `sameScreen` and `strict`, as for hs.window.focusWindowEast()
+     * @returns The window that was focused, or null if there is no window in that direction
+     */
+    function focusWindowNorth(win: any, options: any): any;
+
+    /**
+     * Focus the nearest window to the south of a window
+Parameter win: An HSWindow object, or null for the focused window
+Parameter options: An optional object with `sameScreen` and `strict`, as for hs.window.focusWindowEast()
+     * @param win An HSWindow object, or null for the focused window
+     * @param options An optional object with `sameScreen` and `strict`, as for hs.window.focusWindowEast()
+     * @returns The window that was focused, or null if there is no window in that direction
+     */
+    function focusWindowSouth(win: any, options: any): any;
+
+    /**
+     * Move a window to the screen to the east of the one it is on, keeping its relative position and size
+Parameter win: An HSWindow object, or null for the focused window
+Parameter options: An optional object with `keepRelative` and `resize`, as for HSWindow's moveToScreen()
+     * @param win An HSWindow object, or null for the focused window
+     * @param options An optional object with `keepRelative` and `resize`, as for HSWindow's moveToScreen()
+     * @returns True if the window was moved, false if there is no screen to the east
+     */
+    function moveOneScreenEast(win: any, options: any): any;
+
+    /**
+     * Move a window to the screen to the west of the one it is on, keeping its relative position and size
+Parameter win: An HSWindow object, or null for the focused window
+Parameter options: An optional object with `keepRelative` and `resize`, as for HSWindow's moveToScreen()
+     * @param win An HSWindow object, or null for the focused window
+     * @param options An optional object with `keepRelative` and `resize`, as for HSWindow's moveToScreen()
+     * @returns True if the window was moved, false if there is no screen to the west
+     */
+    function moveOneScreenWest(win: any, options: any): any;
+
+    /**
+     * Move a window to the screen to the north of the one it is on, keeping its relative position and size
+Parameter win: An HSWindow object, or null for the focused window
+Parameter options: An optional object with `keepRelative` and `resize`, as for HSWindow's moveToScreen()
+     * @param win An HSWindow object, or null for the focused window
+     * @param options An optional object with `keepRelative` and `resize`, as for HSWindow's moveToScreen()
+     * @returns True if the window was moved, false if there is no screen to the north
+     */
+    function moveOneScreenNorth(win: any, options: any): any;
+
+    /**
+     * Move a window to the screen to the south of the one it is on, keeping its relative position and size
+Parameter win: An HSWindow object, or null for the focused window
+Parameter options: An optional object with `keepRelative` and `resize`, as for HSWindow's moveToScreen()
+     * @param win An HSWindow object, or null for the focused window
+     * @param options An optional object with `keepRelative` and `resize`, as for HSWindow's moveToScreen()
+     * @returns True if the window was moved, false if there is no screen to the south
+     */
+    function moveOneScreenSouth(win: any, options: any): any;
+
+    /**
+     * SKIP_DOCS
+     */
+    function _log(): void;
 
     /**
      * SKIP_DOCS
      */
-    function cycleWindows(): void;
+    function _addToScope(): void;
+
+    /**
+     * SKIP_DOCS
+     */
+    function _findScreen(): void;
+
+    /**
+     * SKIP_DOCS
+     */
+    function _uiFrame(): void;
+
+    /**
+     * Get the windows in the order they were focused, most recent first
+The history starts the first time this or the switcher is used. Windows that were open then are ordered from front to back, and after that the order follows focus changes. Only standard windows are included.
+Parameter options: An optional object with `scope`: "all" for every window (the default), "app" for the windows of the same app as the most recently focused window, or "screen" for the windows on the same screen as it
+     * @param options An optional object with `scope`: "all" for every window (the default), "app" for the windows of the same app as the most recently focused window, or "screen" for the windows on the same screen as it
+     * @returns An array of HSWindow objects
+     */
+    function focusHistory(options: any): any;
+
+    namespace grid {
+        /**
+         * Set the grid used on a screen, or on every screen without one of its own
+Parameter grid: An object with any of: `rows` and `cols`, whole numbers of rows and columns; and `margin` and `gap`, as for hs.window.frameForUnit(). Settings that are left out come from the default grid, and the default grid's from 3 rows, 3 columns, hs.window.margin and hs.window.gap
+Parameter screen: An optional screen, named as in hs.window.layout.apply() rules. Leave it out to set the default grid. The screen doesn't need to be attached
+         * @param grid An object with any of: `rows` and `cols`, whole numbers of rows and columns; and `margin` and `gap`, as for hs.window.frameForUnit(). Settings that are left out come from the default grid, and the default grid's from 3 rows, 3 columns, hs.window.margin and hs.window.gap
+         * @param screen An optional screen, named as in hs.window.layout.apply() rules. Leave it out to set the default grid. The screen doesn't need to be attached
+         */
+        function configure(grid: any, screen: any): void;
+
+        /**
+         * Get the grid used on a screen
+Parameter screen: An HSScreen object
+         * @param screen An HSScreen object
+         * @returns An object with `rows`, `cols`, `margin` and `gap`. The margin and gap are undefined when they come from hs.window.margin and hs.window.gap
+         */
+        function getGrid(screen: any): any;
+
+        /**
+         * Move a window to a cell of a grid laid over its screen
+Parameter win: An HSWindow object, or null for the focused window
+Parameter grid: An object with the number of `rows` and `cols` in the grid, and optionally its `margin` and `gap`, or null for the grid of the window's screen
+Parameter cell: An object with the `row` and `col` of the cell, counting from 0, and optionally how many rows and columns it covers, as `rowSpan` and `colSpan`
+Parameter options: An optional object with `screen`, `margin` and `gap`, as for hs.window.moveToUnit()
+         * @param win An HSWindow object, or null for the focused window
+         * @param grid An object with the number of `rows` and `cols` in the grid, and optionally its `margin` and `gap`, or null for the grid of the window's screen
+         * @param cell An object with the `row` and `col` of the cell, counting from 0, and optionally how many rows and columns it covers, as `rowSpan` and `colSpan`
+         * @param options An optional object with `screen`, `margin` and `gap`, as for hs.window.moveToUnit()
+         * @returns True if the operation was successful, otherwise False
+         */
+        function setGrid(win: any, grid: any, cell: any, options: any): any;
+
+        /**
+         * Get the cells of its screen's grid that a window covers, to the nearest cell
+Parameter win: An HSWindow object, or null for the focused window
+         * @param win An HSWindow object, or null for the focused window
+         * @returns An object with `row`, `col`, `rowSpan` and `colSpan`, as for hs.window.grid.setGrid(), or null if the window or its screen can't be found
+         */
+        function get(win: any): any;
+
+        /**
+         * Move a window to the cells of its screen's grid it is nearest to
+Parameter win: An HSWindow object, or null for the focused window
+         * @param win An HSWindow object, or null for the focused window
+         * @returns True if the window was moved, otherwise false
+         */
+        function snap(win: any): any;
+
+        /**
+         * Move a window one cell to the left on its screen's grid
+Parameter win: An HSWindow object, or null for the focused window
+         * @param win An HSWindow object, or null for the focused window
+         * @returns True if the window was moved, otherwise false
+         */
+        function pushWindowLeft(win: any): any;
+
+        /**
+         * Move a window one cell to the right on its screen's grid
+Parameter win: An HSWindow object, or null for the focused window
+         * @param win An HSWindow object, or null for the focused window
+         * @returns True if the window was moved, otherwise false
+         */
+        function pushWindowRight(win: any): any;
+
+        /**
+         * Move a window one cell up on its screen's grid
+Parameter win: An HSWindow object, or null for the focused window
+         * @param win An HSWindow object, or null for the focused window
+         * @returns True if the window was moved, otherwise false
+         */
+        function pushWindowUp(win: any): any;
+
+        /**
+         * Move a window one cell down on its screen's grid
+Parameter win: An HSWindow object, or null for the focused window
+         * @param win An HSWindow object, or null for the focused window
+         * @returns True if the window was moved, otherwise false
+         */
+        function pushWindowDown(win: any): any;
+
+        /**
+         * Make a window one cell wider on its screen's grid, growing to the left when it reaches the right edge
+Parameter win: An HSWindow object, or null for the focused window
+         * @param win An HSWindow object, or null for the focused window
+         * @returns True if the window was moved, otherwise false
+         */
+        function resizeWindowWider(win: any): any;
+
+        /**
+         * Make a window one cell narrower on its screen's grid, down to one cell
+Parameter win: An HSWindow object, or null for the focused window
+         * @param win An HSWindow object, or null for the focused window
+         * @returns True if the window was moved, otherwise false
+         */
+        function resizeWindowThinner(win: any): any;
+
+        /**
+         * Make a window one cell taller on its screen's grid, growing upwards when it reaches the bottom edge
+Parameter win: An HSWindow object, or null for the focused window
+         * @param win An HSWindow object, or null for the focused window
+         * @returns True if the window was moved, otherwise false
+         */
+        function resizeWindowTaller(win: any): any;
+
+        /**
+         * Make a window one cell shorter on its screen's grid, down to one cell
+Parameter win: An HSWindow object, or null for the focused window
+         * @param win An HSWindow object, or null for the focused window
+         * @returns True if the window was moved, otherwise false
+         */
+        function resizeWindowShorter(win: any): any;
+
+        /**
+         * Show the grid over a window's screen, and move the window to the cells picked with the keyboard
+Each cell shows the key that picks it. Pick one corner of the area to move the window to, then the opposite corner, or the same cell again for a single cell. Escape hides the grid without moving the window.
+Parameter win: An HSWindow object, or null for the focused window
+         * @param win An HSWindow object, or null for the focused window
+         * @returns True if the grid was shown, false if the window or its screen can't be found
+         */
+        function show(win: any): any;
+
+        /**
+         * Hide the grid shown by hs.window.grid.show(), without moving the window
+         */
+        function hide(): void;
+
+    }
+
+    namespace layout {
+        /**
+         * Move windows into place
+Parameter layout: An array of rules, or the name of a layout saved with hs.window.layout.save(). Each rule is an object with a `unitRect`, the part of the screen to move windows to as for hs.window.moveToUnit(), and optionally: `app`, the bundle ID or name of the app whose windows to move, or an HSApplication (without it, windows of every app are moved); `title`, a string the windows' titles must include, or a RegExp they must match; `screen`, the screen to move the windows to instead of the ones they are on, which is an HSScreen, `"primary"`, `"main"`, a screen's uuid or name (or part of its name), or a number counting screens from the left, starting at 0; and `margin` and `gap`, to override hs.window.margin and hs.window.gap
+Parameter options?: An optional object with `margin` and `gap`, for rules that don't have their own
+         * @param layout An array of rules, or the name of a layout saved with hs.window.layout.save(). Each rule is an object with a `unitRect`, the part of the screen to move windows to as for hs.window.moveToUnit(), and optionally: `app`, the bundle ID or name of the app whose windows to move, or an HSApplication (without it, windows of every app are moved); `title`, a string the windows' titles must include, or a RegExp they must match; `screen`, the screen to move the windows to instead of the ones they are on, which is an HSScreen, `"primary"`, `"main"`, a screen's uuid or name (or part of its name), or a number counting screens from the left, starting at 0; and `margin` and `gap`, to override hs.window.margin and hs.window.gap
+         * @param options An optional object with `margin` and `gap`, for rules that don't have their own
+         * @returns An object with `moved`, an array of the HSWindows that were moved, and `skipped`, an array of `{rule, reason}` objects for the rules that didn't move any windows
+         */
+        function apply(layout: any, options?: any): any;
+
+        /**
+         * Save a layout under a name, so it can be applied by name and re-applied when the screens change
+Parameter name: The name of the layout. Saving another layout with the same name replaces it
+Parameter rules: An array of rules, as for hs.window.layout.apply()
+Parameter options?: An optional object with `auto`, whether to re-apply the layout whenever a screen is attached or detached (defaults to true); `when`, an array of screens, named as in rules, that must all be attached for the layout to be re-applied (defaults to the screens its rules name); and `margin` and `gap`, as for hs.window.layout.apply()
+Example: hs.window.layout.save("docked", [{app: "Safari", screen: "DELL", unitRect: [0, 0, 0.5, 1]}, {app: "Mail", screen: "DELL", unitRect: [0.5, 0, 0.5, 1]}])
+         * @param name The name of the layout. Saving another layout with the same name replaces it
+         * @param rules An array of rules, as for hs.window.layout.apply()
+         * @param options An optional object with `auto`, whether to re-apply the layout whenever a screen is attached or detached (defaults to true); `when`, an array of screens, named as in rules, that must all be attached for the layout to be re-applied (defaults to the screens its rules name); and `margin` and `gap`, as for hs.window.layout.apply()
+         */
+        function save(name: any, rules: any, options?: any): void;
+
+        /**
+         * Remove a saved layout
+Parameter name: The name of the layout
+         * @param name The name of the layout
+         * @returns True if there was a layout with that name, otherwise false
+         */
+        function remove(name: any): any;
+
+        /**
+         * Get the names of the saved layouts
+         * @returns An array of strings
+         */
+        function names(): any;
+
+    }
+
+    namespace filter {
+        /**
+         * Create a filter: a live list of the windows that match some options, which emits events as windows change
+It also has a `running` property.
+Parameter options: An optional object with any of: `apps`, an array of the bundle IDs or names of the apps whose windows match (defaults to every app); `allowTitles`, a string, a RegExp or an array of them, one of which a window's title must include or match; `rejectTitles`, the same, none of which a window's title may include or match; `visible`, true to only match windows that are not minimized or hidden, or false to only match those that are; `screens`, an array of the screens whose windows match, named as in hs.window.layout.apply() rules; `fullscreen`, true or false to only match windows that are or aren't full screen; and `standard`, true or false to only match windows that are or aren't standard windows, rather than panels, dialogs and the like
+         * @param options An optional object with any of: `apps`, an array of the bundle IDs or names of the apps whose windows match (defaults to every app); `allowTitles`, a string, a RegExp or an array of them, one of which a window's title must include or match; `rejectTitles`, the same, none of which a window's title may include or match; `visible`, true to only match windows that are not minimized or hidden, or false to only match those that are; `screens`, an array of the screens whose windows match, named as in hs.window.layout.apply() rules; `fullscreen`, true or false to only match windows that are or aren't full screen; and `standard`, true or false to only match windows that are or aren't standard windows, rather than panels, dialogs and the like
+         * @returns A running window filter
+         */
+        function new(options: any): any;
+
+    }
+
+    namespace switcher {
+        /**
+         * Switch to the next window in the focus history, like Command-Tab does for apps
+When called from a hotkey, the switch lasts while the hotkey's modifiers are held: calling this again steps further back through the windows as they were ordered when the switch started. Calling it with no modifiers held switches to the most recently focused window that isn't focused now. Minimized windows, and those of hidden apps, are skipped.
+Parameter options: An optional object with `scope`, as for hs.window.focusHistory(), and `overlay`, true to show the windows' titles and app icons while the modifiers are held and only focus the chosen window when they are let go. Options are read when a switch starts
+         * @param options An optional object with `scope`, as for hs.window.focusHistory(), and `overlay`, true to show the windows' titles and app icons while the modifiers are held and only focus the chosen window when they are let go. Options are read when a switch starts
+         * @returns The window that was switched to, or null if there are no windows
+         */
+        function next(options: any): any;
+
+        /**
+         * Switch to the previous window in the focus history, which is the least recently focused one when a switch starts
+Parameter options: An optional object with `scope` and `overlay`, as for hs.window.switcher.next()
+         * @param options An optional object with `scope` and `overlay`, as for hs.window.switcher.next()
+         * @returns The window that was switched to, or null if there are no windows
+         */
+        function previous(options: any): any;
+
+    }
+
+    namespace hints {
+        /**
+         * Show a hint over each visible window, and focus the window whose hint is typed
+Each hint is a badge in the center of its window, with the window's app icon and one or more letters. When there are more windows than letters, every hint has two letters (or more), and typing the first letter hides the hints that don't start with it. Delete takes back the last letter typed, and escape hides the hints without focusing a window.
+Parameter options: An optional object with `windows`, an array of the HSWindow objects to show hints for. By default, hints are shown for every visible standard window
+         * @param options An optional object with `windows`, an array of the HSWindow objects to show hints for. By default, hints are shown for every visible standard window
+         * @returns True if any hints were shown, false if there are no windows to show them for
+         */
+        function show(options: any): any;
+
+        /**
+         * Hide the hints shown by hs.window.hints.show(), without focusing a window
+         */
+        function hide(): void;
+
+    }
+
+    namespace tiler {
+        /**
+         * Start tiling windows automatically
+Starting the tiler again replaces its options and tiles every window again.
+Parameter options: An optional object with `layout`, "bsp" (the default) or "masterStack", for every screen; `ratio`, the fraction of a screen a new split or the master window gets, from 0.1 to 0.9 (defaults to 0.5); `margin` and `gap`, as for hs.window.moveToUnit(); and `floatApps`, an array of the bundle IDs or names of apps whose windows aren't tiled
+         * @param options An optional object with `layout`, "bsp" (the default) or "masterStack", for every screen; `ratio`, the fraction of a screen a new split or the master window gets, from 0.1 to 0.9 (defaults to 0.5); `margin` and `gap`, as for hs.window.moveToUnit(); and `floatApps`, an array of the bundle IDs or names of apps whose windows aren't tiled
+         */
+        function start(options: any): void;
+
+        /**
+         * Stop tiling windows automatically. Windows are left where they are
+         */
+        function stop(): void;
+
+        /**
+         * Check whether the tiler is running
+         * @returns True if hs.window.tiler.start() has been called, and neither hs.window.tiler.stop() has been called nor the scope it was started in disposed since, otherwise false
+         */
+        function isRunning(): any;
+
+        /**
+         * Move every tiled window back into its tile, such as after moving or resizing one by hand
+         */
+        function retile(): void;
+
+        /**
+         * Change the layout of a screen
+Parameter layout: "bsp" or "masterStack", as for hs.window.tiler.start()
+Parameter screen: An optional HSScreen, or a screen named as in hs.window.layout.apply() rules. Defaults to the focused window's screen
+         * @param layout "bsp" or "masterStack", as for hs.window.tiler.start()
+         * @param screen An optional HSScreen, or a screen named as in hs.window.layout.apply() rules. Defaults to the focused window's screen
+         * @returns True if the screen's layout was changed, false if the tiler isn't running or the screen has no tiled windows
+         */
+        function setLayout(layout: any, screen: any): any;
+
+        /**
+         * Swap a tiled window with its neighbour in a direction, on the same screen
+Parameter direction: "east", "west", "north" or "south"
+Parameter win: An optional HSWindow object. Defaults to the focused window
+         * @param direction "east", "west", "north" or "south"
+         * @param win An optional HSWindow object. Defaults to the focused window
+         * @returns True if the windows were swapped, false if the window isn't tiled or has no neighbour in that direction
+         */
+        function swap(direction: any, win: any): any;
+
+        /**
+         * Rotate the tiles of a window's screen. In the bsp layout, the split the window is in turns from side by side to one above the other, or back. In the masterStack layout, every window moves to the next tile, and the last one becomes the master
+Parameter win: An optional HSWindow object. Defaults to the focused window
+         * @param win An optional HSWindow object. Defaults to the focused window
+         * @returns True if any windows were moved, false if the window isn't tiled or is alone on its screen
+         */
+        function rotate(win: any): any;
+
+        /**
+         * Move the split next to a tiled window, to make the window bigger or smaller. In the bsp layout, this is the split the window is in. In the masterStack layout, it is the split between the master and the stack
+Parameter amount: The fraction of the split's area to give the window, such as 0.05, or to take from it when negative. A split can't give either side less than 0.1
+Parameter win: An optional HSWindow object. Defaults to the focused window
+         * @param amount The fraction of the split's area to give the window, such as 0.05, or to take from it when negative. A split can't give either side less than 0.1
+         * @param win An optional HSWindow object. Defaults to the focused window
+         * @returns True if the split was moved, false if the window isn't tiled or is alone on its screen
+         */
+        function resizeSplit(amount: any, win: any): any;
+
+        /**
+         * Stop tiling a window, so it can be moved and resized freely, or tile a window that floats again
+This overrides the tiler's `floatApps` option for the window until it is closed.
+Parameter win: An optional HSWindow object. Defaults to the focused window
+         * @param win An optional HSWindow object. Defaults to the focused window
+         * @returns True if the window floats now, false if it is tiled or the tiler isn't running
+         */
+        function toggleFloat(win: any): any;
+
+        /**
+         * Check whether a window floats rather than being tiled, because of the tiler's `floatApps` option or hs.window.tiler.toggleFloat()
+Parameter win: An HSWindow object
+         * @param win An HSWindow object
+         * @returns True if the tiler is running and the window floats, otherwise false
+         */
+        function isFloating(win: any): any;
+
+    }
+
+    namespace snapshot {
+        /**
+         * Get the file a snapshot is saved in
+Parameter name: The name of the snapshot
+         * @param name The name of the snapshot
+         * @returns The path of the snapshot's JSON file, in the window-snapshots folder of the config's folder
+         */
+        function path(name: any): any;
+
+        /**
+         * Save where every standard window is, so they can be put back with hs.window.snapshot.restore()
+Each window is saved with its app's bundle ID, its title, frame and screen, and whether it is minimized or full screen. Windows of apps without a bundle ID can't be matched again, so they aren't saved.
+Parameter name: The name of the snapshot, made of letters, digits, _ and -. Saving another snapshot with the same name replaces it
+         * @param name The name of the snapshot, made of letters, digits, _ and -. Saving another snapshot with the same name replaces it
+         * @returns The number of windows saved
+         */
+        function save(name: any): any;
+
+        /**
+         * Put windows back where they were when a snapshot was saved
+Windows are matched to saved ones of the same app by their titles, which don't need to be exactly the same: the most alike titles are matched first. When an app has one saved window and one open window left that aren't alike, they are matched anyway. Each window is moved to the same part of its saved screen, or of the screen with the same name, or of the primary screen if neither is attached, and minimized, unminimized or made full screen as it was.
+Parameter name: The name of the snapshot
+         * @param name The name of the snapshot
+         * @returns An object with `restored`, an array of the HSWindows that were put back, and `skipped`, an array of `{window, reason}` objects for the saved windows that couldn't be, where `window` is the saved window's `bundleID`, `app`, `title`, `frame`, `screen` uuid, `minimized` and `fullscreen`
+         */
+        function restore(name: any): any;
+
+        /**
+         * Get the names of the saved snapshots
+         * @returns An array of strings
+         */
+        function names(): any;
+
+        /**
+         * Delete a saved snapshot
+Parameter name: The name of the snapshot
+         * @param name The name of the snapshot
+         * @returns True if there was a snapshot with that name, otherwise false
+         */
+        function remove(name: any): any;
+
+    }
+
+    /**
+     * The space, in points, that tiling leaves between windows and the edges of the screen. Defaults to 0
+     */
+    let margin: number;
+
+    /**
+     * The space, in points, that tiling leaves between neighbouring windows. Defaults to 0
+     */
+    let gap: number;
 
 }
 
@@ -8521,10 +9614,20 @@ declare class HSWindow {
     close(): boolean;
 
     /**
-     * Center the window on the screen
+     * Center the window on the screen it is on
      */
     centerOnScreen(): void;
 
+    /**
+     * Move the window to another screen
+Screens can have different resolutions, so the window's position and size are kept relative to the usable
+frames of the screens. A window against an edge of one screen ends up against the same edge of the other.
+     * @param screen The HSScreen to move the window to
+     * @param options An object with `keepRelative`, false to center the window on the new screen instead of keeping its relative position, and `resize`, false to keep the window's size instead of scaling it with the screen. Both default to true. A window too big for the new screen is shrunk to fit either way
+     * @returns true if the window was moved, false if its frame or screen couldn't be read
+     */
+    moveToScreen(screen: HSScreen, options?: JSValue | null): boolean;
+
     /**
      * Get the underlying AXElement
      * @returns The accessibility element for this window
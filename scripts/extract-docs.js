@@ -1021,6 +1021,14 @@ function processModuleRoot() {
         }
     }
 
+    // Types returned by root-level methods (e.g. HSScope from hs.scope()) live alongside ModuleRoot.swift
+    const engineDir = path.dirname(moduleRootPath);
+    const engineFiles = fs.readdirSync(engineDir).filter(f => f.endsWith('.swift') && f !== 'ModuleRoot.swift');
+    for (const file of engineFiles) {
+        const { protocols: engineProtocols } = parseSwiftFile(path.join(engineDir, file), REPO_ROOT);
+        moduleData.types.push(...engineProtocols.filter(p => p.type === 'typedef'));
+    }
+
     return moduleData;
 }
 
@@ -1095,6 +1103,11 @@ function formatDocCToJSDoc(documentation) {
             continue;
         }
 
+        // Skip single parameter documentation (with or without leading dash)
+        if (trimmed.match(/^-?\s*Parameter\s+\w+\??\s*:/)) {
+            continue;
+        }
+
         // If we hit a non-parameter line, we're out of the params list
         if (inParamsList && !trimmed.startsWith('-')) {
             inParamsList = false;
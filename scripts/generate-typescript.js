@@ -14,6 +14,77 @@ const path = require('path');
 const JSON_DIR = path.join(__dirname, '..', 'docs', 'json');
 const OUTPUT_FILE = path.join(__dirname, '..', 'docs', 'hammerspoon.d.ts');
 
+// Globals that engine.js defines in JavaScript, so they have no Swift protocol to extract, but which module APIs
+// refer to in their {TypeScript type} annotations
+const ENGINE_GLOBALS = `/**
+ * Signals that an operation should be cancelled. Promise-returning hs APIs accept one as \`options.signal\`
+ */
+declare class AbortSignal {
+    private constructor();
+
+    /**
+     * Whether the signal has been aborted
+     */
+    readonly aborted: boolean;
+
+    /**
+     * Why the signal was aborted: the reason given to abort(), or an AbortError
+     */
+    readonly reason: any;
+
+    /**
+     * Called when the signal is aborted, before the listeners added with addEventListener()
+     */
+    onabort: ((event: {type: "abort", target: AbortSignal}) => void) | null;
+
+    /**
+     * Throw the signal's reason if it has been aborted
+     */
+    throwIfAborted(): void;
+
+    /**
+     * Call a listener when the signal is aborted
+     */
+    addEventListener(type: "abort", listener: (event: {type: "abort", target: AbortSignal}) => void, options?: {once?: boolean}): void;
+
+    /**
+     * Remove a listener added with addEventListener()
+     */
+    removeEventListener(type: "abort", listener: (event: {type: "abort", target: AbortSignal}) => void): void;
+
+    /**
+     * Make a signal that is already aborted
+     */
+    static abort(reason?: any): AbortSignal;
+
+    /**
+     * Make a signal that aborts with a TimeoutError after a number of milliseconds
+     */
+    static timeout(milliseconds: number): AbortSignal;
+
+    /**
+     * Make a signal that aborts as soon as any of the given signals does, with its reason
+     */
+    static any(signals: AbortSignal[]): AbortSignal;
+}
+
+/**
+ * Owns an AbortSignal, and aborts it
+ */
+declare class AbortController {
+    /**
+     * The signal that abort() aborts
+     */
+    readonly signal: AbortSignal;
+
+    /**
+     * Abort the signal, with an AbortError unless a reason is given
+     */
+    abort(reason?: any): void;
+}
+
+`;
+
 /**
  * Find the index of the first colon at bracket-depth 0 within a string.
  * Returns -1 if no such colon exists (i.e. the string is an array type, not a dictionary).
@@ -128,6 +199,72 @@ function escapeDocComment(text) {
     return text.replace(/\*\//g, '*\\/');
 }
 
+/**
+ * Generate the declaration of a module method, indented by the given amount
+ */
+function generateMethodDefinition(method, name, indent) {
+    let output = '';
+    output += `${indent}/**\n`;
+    if (method.description) {
+        output += `${indent} * ${escapeDocComment(method.description)}\n`;
+    }
+    if (method.notes && method.notes.length > 0) {
+        output += `${indent} * @remarks ${method.notes.map(escapeDocComment).join(' ')}\n`;
+    }
+    if (method.params && method.params.length > 0) {
+        for (const param of method.params) {
+            const desc = param.description ? ` ${escapeDocComment(param.description)}` : '';
+            output += `${indent} * @param ${param.name}${desc}\n`;
+        }
+    }
+    if (method.returns && method.returns.description) {
+        output += `${indent} * @returns ${escapeDocComment(method.returns.description)}\n`;
+    }
+    output += `${indent} */\n`;
+
+    // Method signature — p.optional maps to TypeScript's optional parameter (name?: type)
+    const params = (method.params || []).map(p => {
+        return `${p.name}${p.optional ? '?' : ''}: ${resolveParamType(p, method.source === 'swift')}`;
+    }).join(', ');
+
+    const returnType = method.returns
+        ? (method.source === 'swift' ? swiftTypeToTS(method.returns.type, method.returns.promiseType) : method.returns.type)
+        : 'void';
+
+    output += `${indent}function ${name}(${params}): ${returnType};\n\n`;
+    return output;
+}
+
+/**
+ * Generate the declarations of module methods. Methods of objects inside the module, such as hs.window.grid.show(),
+ * have dotted names, and are declared in nested namespaces
+ */
+function generateMethodDefinitions(methods, indent) {
+    let output = '';
+    const nested = new Map();
+
+    for (const method of methods) {
+        const dot = method.name.indexOf('.');
+        if (dot === -1) {
+            output += generateMethodDefinition(method, method.name, indent);
+            continue;
+        }
+        const namespace = method.name.substring(0, dot);
+        if (!nested.has(namespace)) {
+            nested.set(namespace, []);
+        }
+        nested.get(namespace).push({ ...method, name: method.name.substring(dot + 1) });
+    }
+
+    for (const [namespace, namespaceMethods] of nested) {
+        output += `${indent}namespace ${namespace} {\n`;
+        output += generateMethodDefinitions(namespaceMethods, indent + '    ');
+        output += `${indent}}\n\n`;
+    }
+
+    return output;
+}
+
 /**
  * Generate TypeScript definitions for a module
  */
@@ -143,36 +280,7 @@ function generateModuleDefinitions(moduleData) {
     output += `declare namespace ${moduleData.name} {\n`;
 
     // Module methods
-    for (const method of moduleData.methods || []) {
-        output += `    /**\n`;
-        if (method.description) {
-            output += `     * ${escapeDocComment(method.description)}\n`;
-        }
-        if (method.notes && method.notes.length > 0) {
-            output += `     * @remarks ${method.notes.map(escapeDocComment).join(' ')}\n`;
-        }
-        if (method.params && method.params.length > 0) {
-            for (const param of method.params) {
-                const desc = param.description ? ` ${escapeDocComment(param.description)}` : '';
-                output += `     * @param ${param.name}${desc}\n`;
-            }
-        }
-        if (method.returns && method.returns.description) {
-            output += `     * @returns ${escapeDocComment(method.returns.description)}\n`;
-        }
-        output += `     */\n`;
-
-        // Method signature — p.optional maps to TypeScript's optional parameter (name?: type)
-        const params = (method.params || []).map(p => {
-            return `${p.name}${p.optional ? '?' : ''}: ${resolveParamType(p, method.source === 'swift')}`;
-        }).join(', ');
-
-        const returnType = method.returns
-            ? (method.source === 'swift' ? swiftTypeToTS(method.returns.type, method.returns.promiseType) : method.returns.type)
-            : 'void';
-
-        output += `    function ${method.name}(${params}): ${returnType};\n\n`;
-    }
+    output += generateMethodDefinitions(moduleData.methods || [], '    ');
 
     // Module properties
     for (const prop of moduleData.properties || []) {
@@ -387,6 +495,7 @@ function main() {
             output += generateTypeDefinition(protocol);
         }
     }
+    output += ENGINE_GLOBALS;
 
     // Module definitions
     output += `// ========================================\n`;